@@ -1,37 +1,410 @@
 #!/usr/bin/env node
 
-import { Command } from "commander";
+import { Argument, Command, InvalidArgumentError, Option } from "commander";
 import chalk from "chalk";
 import inquirer from "inquirer";
-import { execSync } from "child_process";
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
+import { fileURLToPath } from "url";
 import chalkAnimation from "chalk-animation";
 import figlet from "figlet";
 import gradient from "gradient-string";
 import { createSpinner } from "nanospinner";
 import {
   checkOpenSSL,
-  ensureCertsDir,
+  runCommand,
+  runOpenSSL,
+  isEncryptedKey,
   log,
   getCertsDir,
   fileExists,
   getCAInstallInstructions,
-  cleanupTempFiles,
+  parseDuration,
 } from "./utils.js";
+import {
+  parseNames,
+  validateNames,
+  isIPAddress,
+  toFileName,
+  toASCIIName,
+  toHostname,
+  validateDnsName,
+  validateHostname,
+} from "./lib/names.js";
+import { validateEmail, validatePort } from "./lib/validate.js";
+import {
+  listCertificates,
+  readCertificate,
+  CERT_SORTERS,
+} from "./lib/certs.js";
+import {
+  KEY_TYPES,
+  DIGESTS,
+  generateKey,
+  readPassphraseFile,
+} from "./lib/keys.js";
+import { issueCertificate, buildSubject } from "./lib/issue.js";
+import { renewCertificate } from "./lib/renew.js";
+import {
+  REVOCATION_REASONS,
+  findDatabaseEntry,
+  getDatabasePaths,
+  revokeSerial,
+  revocationUrls,
+  generateCrl,
+} from "./lib/cadb.js";
+import { createRevocationServer } from "./lib/ocsp.js";
+import {
+  getCAPaths,
+  getSigningCA,
+  getLocalCACertPaths,
+  caExists,
+  getIssuerChain,
+  DEFAULT_CA_NAME,
+  validateCAName,
+  getCADir,
+  getTrustedName,
+} from "./lib/ca.js";
+import {
+  CONFIG_KEYS,
+  loadConfig,
+  getConfig,
+  getSubjectDefaults,
+  setConfigValue,
+  getConfigPath,
+  envNameOf,
+} from "./lib/config.js";
+import { EXPORT_FORMATS, exportCertificate } from "./lib/export.js";
+import { TRUST_STORES, trustCA, untrustCA } from "./lib/trust.js";
+import {
+  DEFAULT_UPSTREAM,
+  SERVERS,
+  parseUpstream,
+  renderServerConfig,
+  writeServerConfig,
+} from "./lib/servers.js";
+import {
+  DEPLOY_HOOK_PATH,
+  RENEWAL_UNIT,
+  installRenewal,
+  renewalStatus,
+  testRenewal,
+} from "./lib/renewal.js";
+import {
+  ACME_CHALLENGES,
+  acmePaths,
+  createAcmeClient,
+  loadAccountKey,
+  obtainCertificate,
+  resolveDirectoryUrl,
+  saveCertificate,
+  standaloneHttpSolver,
+  webrootHttpSolver,
+} from "./lib/acme.js";
+import {
+  DNS_PROVIDERS,
+  dnsProviderSolver,
+  loadDnsProvider,
+  readDnsCredentials,
+} from "./lib/dns.js";
+import {
+  runPreflight,
+  waitForTxtRecord,
+  withPropagationCheck,
+} from "./lib/preflight.js";
+import { createPlan, formatCommand } from "./lib/plan.js";
+import {
+  PACKAGE_MANAGERS,
+  detectPlatform,
+  installCommand,
+  serviceCommands,
+} from "./lib/platform.js";
+import {
+  NGINX_BACKUP_DIR,
+  applyIssuingSite,
+  applySiteConfig,
+  includeLayout,
+  listSiteBackups,
+  rollbackSite,
+} from "./lib/sites.js";
+import { applySiteSpec, loadSiteSpec } from "./lib/spec.js";
+import {
+  ACME_DIR,
+  ACME_WEBROOT,
+  DHPARAM_PATH,
+  TLS_PROFILES,
+  dhParameters,
+  httpsSiteConfig,
+} from "./lib/nginx.js";
+import {
+  createCA,
+  createCert,
+  listCAs,
+  listCerts,
+  inspect,
+  AcmeError,
+  CANotFoundError,
+  DnsPropagationError,
+  DnsProviderError,
+  FileExistsError,
+  InvalidNameError,
+  InvalidOptionError,
+  NginxConfigError,
+  PassphraseRequiredError,
+  SiteSpecError,
+} from "./lib/api.js";
 
 const program = new Command();
 
 // Helper for sleep/delay
 const sleep = (ms = 2000) => new Promise((r) => setTimeout(r, ms));
 
+// Helper to report a failure and make the process exit with a non-zero code
+function fail(message) {
+  log(message, "error");
+  process.exitCode = 1;
+}
+
+// Option parser for validity periods given in days
+function parseDays(value) {
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1) {
+    throw new InvalidArgumentError("Must be a positive whole number of days.");
+  }
+  return days;
+}
+
+// Option parser for waits given in seconds, where 0 turns the wait off
+function parseSeconds(value) {
+  const seconds = Number(value);
+  if (!Number.isInteger(seconds) || seconds < 0) {
+    throw new InvalidArgumentError("Must be a whole number of seconds.");
+  }
+  return seconds;
+}
+
+// Option parser for the base URL of the revocation endpoints
+function parseRevocationUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new InvalidArgumentError(
+      "Must be a URL such as http://127.0.0.1:8888."
+    );
+  }
+  if (url.protocol !== "http:") {
+    throw new InvalidArgumentError(
+      "CRL and OCSP URLs must use http:// so clients can fetch them."
+    );
+  }
+  return url.href;
+}
+
+// --revocation-url option shared by the commands that issue certificates
+function revocationUrlOption() {
+  return new Option(
+    "--revocation-url <url>",
+    "embed CRL and OCSP URLs under this base URL (see ocsp-responder)"
+  ).argParser(parseRevocationUrl);
+}
+
+// Option parser for CA names
+function parseCAName(value) {
+  const error = validateCAName(value);
+  if (error) {
+    throw new InvalidArgumentError(error);
+  }
+  return value;
+}
+
+// --ca option shared by the commands that work with one CA
+function caOption() {
+  return new Option(
+    "--ca <name>",
+    "CA to use (default: the default CA, see list-cas)"
+  ).argParser(parseCAName);
+}
+
+// Work out which CA a command uses and the directory holding it and its certificates
+function resolveCA(options) {
+  const certsDir = getCertsDir();
+  const name = options.ca || getConfig("defaultCA");
+  return { name, dir: getCADir(certsDir, name) };
+}
+
+// Error for a CA that has not been created, naming the command that creates it
+function missingCAMessage(name) {
+  return name === DEFAULT_CA_NAME
+    ? 'CA files do not exist. Please run "ssl-cli create-local-ca" first.'
+    : `The "${name}" CA does not exist. Please run "ssl-cli create-local-ca --name ${name}" first.`;
+}
+
+// --key-type option shared by the commands that generate keys
+function keyTypeOption() {
+  return new Option("--key-type <type>", "private key algorithm and size")
+    .choices(Object.keys(KEY_TYPES))
+    .default(getConfig("keyType"));
+}
+
+// --digest option shared by the commands that sign certificates
+function digestOption() {
+  return new Option(
+    "--digest <digest>",
+    "signing digest (auto matches the CA key)"
+  )
+    .choices(DIGESTS)
+    .default(getConfig("digest"));
+}
+
+// --json, or the output.json setting when neither --json nor --no-json is given
+function wantsJson(options) {
+  return options.json === undefined ? getConfig("output.json") : options.json;
+}
+
+// Commands run unattended when told to skip prompts or when there is no TTY
+function isUnattended(options = {}) {
+  return Boolean(options.yes || options.force || !process.stdin.isTTY);
+}
+
+// Animated command title, skipped in unattended mode or when animations are off
+async function showTitle(animation, text, options) {
+  if (isUnattended(options) || !getConfig("output.animations")) {
+    return;
+  }
+  console.clear();
+  const title = chalkAnimation[animation](`${text}\n`);
+  await sleep(1500);
+  title.stop();
+}
+
+// Figlet success banner, skipped in unattended mode or when animations are off
+function showBanner(text, paint, options) {
+  if (isUnattended(options) || !getConfig("output.animations")) {
+    return;
+  }
+  console.clear();
+  try {
+    console.log(paint.multiline(figlet.textSync(text)));
+  } catch (err) {
+    console.log("Something went wrong with figlet");
+    console.dir(err);
+  }
+}
+
+// Ask before overwriting existing files; --force/--yes answer for the user
+async function confirmOverwrite(message, options) {
+  if (options.force || options.yes) {
+    return true;
+  }
+  if (isUnattended(options)) {
+    return false;
+  }
+  const { overwrite } = await inquirer.prompt([
+    { type: "confirm", name: "overwrite", message, default: false },
+  ]);
+  return overwrite;
+}
+
+// Read a CA key passphrase from a file or a prompt
+async function readCAPassphrase(ca, passphraseFile) {
+  if (passphraseFile) {
+    return readPassphraseFile(passphraseFile);
+  }
+  const { passphrase } = await inquirer.prompt([
+    {
+      type: "password",
+      name: "passphrase",
+      mask: "*",
+      message: `Passphrase for the ${ca.label} CA key:`,
+    },
+  ]);
+  return passphrase;
+}
+
+// Ask twice for a new password or passphrase without echoing it
+async function promptNewPassword(label) {
+  const { password } = await inquirer.prompt([
+    {
+      type: "password",
+      name: "password",
+      mask: "*",
+      message: `${label[0].toUpperCase()}${label.slice(1)}:`,
+      validate: (input) => input.length > 0 || `The ${label} cannot be empty`,
+    },
+  ]);
+  await inquirer.prompt([
+    {
+      type: "password",
+      name: "confirmation",
+      mask: "*",
+      message: `Repeat the ${label}:`,
+      validate: (input) => input === password || "The entries do not match",
+    },
+  ]);
+  return password;
+}
+
+// Ask for a CA common name, offering the configured one
+async function promptCommonName(message, defaultName) {
+  const { commonName } = await inquirer.prompt([
+    {
+      type: "input",
+      name: "commonName",
+      message,
+      default: defaultName,
+      validate: (input) => input.trim().length > 0 || "Enter a common name",
+    },
+  ]);
+  return commonName.trim();
+}
+
+// Signing needs the openssl binary only when the backend setting asks for it
+function checkBackend() {
+  if (getConfig("backend") === "openssl" && !checkOpenSSL()) {
+    fail(
+      "OpenSSL is not installed or not in PATH. Install it, or set the backend setting to native."
+    );
+    return false;
+  }
+  return true;
+}
+
+// Run a step behind a spinner; on failure the spinner is cleared and the caller reports the error
+function withSpinner(text, successText, step) {
+  const spinner = createSpinner(text).start();
+  try {
+    const result = step();
+    spinner.success({ text: successText });
+    return result;
+  } catch (error) {
+    spinner.stop();
+    throw error;
+  }
+}
+
+// Call an API function that refuses to overwrite files, asking before calling it again with overwrite
+async function withOverwritePrompt(run, message, options) {
+  try {
+    return run(false);
+  } catch (error) {
+    if (!(error instanceof FileExistsError)) {
+      throw error;
+    }
+  }
+  return (await confirmOverwrite(message, options)) ? run(true) : null;
+}
+
 // Welcome screen with animation
 async function welcomeScreen() {
-  console.clear();
+  if (getConfig("output.animations")) {
+    console.clear();
 
-  const title = chalkAnimation.rainbow("SSL Certificate Manager\n");
-  await sleep(1000);
-  title.stop();
+    const title = chalkAnimation.rainbow("SSL Certificate Manager\n");
+    await sleep(1000);
+    title.stop();
+  }
 
   console.log(`
   ${chalk.bgBlue(" SSL CERTIFICATE MANAGER ")} 
@@ -51,6 +424,14 @@ program
   .name("ssl-cli")
   .description("CLI tool for creating and managing SSL certificates")
   .version("1.0.0")
+  .hook("preAction", () => {
+    // Settings come from ~/.config/ssl-cli/config.json and SSL_CLI_* env vars
+    const { problems } = loadConfig();
+    if (!getConfig("output.color")) {
+      chalk.level = 0;
+    }
+    problems.forEach((problem) => log(problem, "warning"));
+  })
   .action(async () => {
     await welcomeScreen();
   });
@@ -59,358 +440,2040 @@ program
 program
   .command("create-local-ca")
   .description("Create a Certificate Authority for local development")
-  .action(async () => {
+  .option(
+    "--name <name>",
+    "name of the CA; each named CA keeps its certificates in its own directory",
+    parseCAName
+  )
+  .option("--cn <name>", "common name for the CA certificate")
+  .option(
+    "--subject <subject>",
+    'full CA subject, e.g. "/CN=Acme Dev CA/O=Acme" (overrides --cn)'
+  )
+  .option(
+    "--days <days>",
+    "validity period in days",
+    parseDays,
+    getConfig("days.ca")
+  )
+  .addOption(keyTypeOption())
+  .addOption(digestOption())
+  .option(
+    "--passphrase-file <file>",
+    "read the CA key passphrase from a file instead of prompting"
+  )
+  .option("-f, --force", "overwrite existing CA files without asking")
+  .option("-y, --yes", "run non-interactively, answering yes to all prompts")
+  .action(async (options) => {
+    const unattended = isUnattended(options);
+
     // Show title animation
-    console.clear();
-    const title = chalkAnimation.glitch(
-      "Creating Local Certificate Authority\n"
-    );
-    await sleep(1500);
-    title.stop();
+    await showTitle("glitch", "Creating Local Certificate Authority", options);
 
-    // Check if OpenSSL is installed
-    if (!checkOpenSSL()) {
-      log(
-        "OpenSSL is not installed or not in PATH. Please install OpenSSL first.",
-        "error"
-      );
+    if (!checkBackend()) {
       return;
     }
 
-    try {
-      // Create certs directory if it doesn't exist
-      if (!ensureCertsDir()) {
-        return;
+    // Settle overwriting before asking for a passphrase that may not be needed
+    const name = options.name || getConfig("defaultCA");
+    const { root } = getCAPaths(getCADir(getCertsDir(), name));
+    const overwrite = [root.certPath, root.keyPath].some(fileExists);
+    if (
+      overwrite &&
+      !(await confirmOverwrite(
+        "CA files already exist. Do you want to overwrite them?",
+        options
+      ))
+    ) {
+      if (unattended) {
+        return fail("CA files already exist. Use --force to overwrite them.");
       }
+      log("Operation cancelled. Using existing CA files.", "warning");
+      return;
+    }
 
-      const certsDir = getCertsDir();
-
-      // Generate CA private key and certificate
-      const caKeyPath = path.join(certsDir, "myCA.key");
-      const caCertPath = path.join(certsDir, "myCA.pem");
-
-      // Check if CA files already exist
-      if (fileExists(caKeyPath) && fileExists(caCertPath)) {
-        const { overwrite } = await inquirer.prompt([
-          {
-            type: "confirm",
-            name: "overwrite",
-            message: "CA files already exist. Do you want to overwrite them?",
-            default: false,
-          },
-        ]);
-
-        if (!overwrite) {
-          log("Operation cancelled. Using existing CA files.", "warning");
-          return;
-        }
+    let passphrase;
+    let commonName = options.cn;
+    if (!unattended) {
+      if (!options.passphraseFile) {
+        passphrase = await promptNewPassword("CA key passphrase");
       }
-
-      // Create CA key with spinner
-      const keySpinner = createSpinner("Generating CA private key...").start();
-      try {
-        execSync(`openssl genrsa -des3 -out ${caKeyPath} 2048`, {
-          stdio: "inherit",
-        });
-        keySpinner.success({ text: "CA private key generated successfully!" });
-      } catch (error) {
-        keySpinner.error({
-          text: `Failed to generate CA private key: ${error.message}`,
-        });
-        return;
+      if (!commonName && !options.subject) {
+        commonName = await promptCommonName(
+          "Common name for the CA certificate:",
+          `${getConfig("subject.caCommonName")}${
+            name === DEFAULT_CA_NAME ? "" : ` (${name})`
+          }`
+        );
       }
+    }
 
-      // Create CA certificate with spinner
-      const certSpinner = createSpinner("Generating CA certificate...").start();
-      try {
-        execSync(
-          `openssl req -x509 -new -nodes -key ${caKeyPath} -sha256 -days 1825 -out ${caCertPath}`,
-          { stdio: "inherit" }
+    let ca;
+    try {
+      ca = withSpinner(
+        "Generating CA private key and certificate...",
+        "CA private key and certificate generated successfully!",
+        () =>
+          createCA({
+            name,
+            commonName,
+            subject: options.subject,
+            days: options.days,
+            keyType: options.keyType,
+            digest: options.digest,
+            passphrase,
+            passphraseFile: options.passphraseFile,
+            overwrite,
+          })
+      );
+    } catch (error) {
+      if (error instanceof PassphraseRequiredError) {
+        return fail(
+          "--passphrase-file is required when running non-interactively"
         );
-        certSpinner.success({ text: "CA certificate generated successfully!" });
-      } catch (error) {
-        certSpinner.error({
-          text: `Failed to generate CA certificate: ${error.message}`,
-        });
-        return;
       }
+      return fail(`Error creating CA: ${error.message}`);
+    }
 
-      // Show success message with figlet
-      console.clear();
-      figlet("CA Created!", (err, data) => {
-        if (err) {
-          console.log("Something went wrong with figlet");
-          console.dir(err);
-          return;
-        }
-        console.log(gradient.pastel.multiline(data));
-
-        log("Local Certificate Authority created successfully!", "success");
-        log("Next steps:", "info");
-        log("1. Install the CA certificate in your browser/system", "info");
-        log(
-          `2. Run 'ssl-cli create-cert' to create certificates for your domains`,
-          "info"
-        );
+    // Show success message with figlet
+    showBanner("CA Created!", gradient.pastel, options);
 
-        // Show platform-specific installation instructions
-        console.log(
-          chalk.yellow("\nInstallation instructions for your platform:")
-        );
-        console.log(chalk.white(getCAInstallInstructions()));
-      });
-    } catch (error) {
-      log(`Error creating CA: ${error.message}`, "error");
+    log("Local Certificate Authority created successfully!", "success");
+    if (ca.madeDefault) {
+      log(`"${ca.name}" is now the default CA`, "info");
     }
+    if (unattended) {
+      log(`CA certificate: ${ca.certPath}`, "info");
+      return;
+    }
+
+    const caFlag = ca.default ? "" : ` --ca ${ca.name}`;
+    log("Next steps:", "info");
+    log(
+      process.platform === "linux"
+        ? `1. Run 'ssl-cli trust-ca${caFlag}' to trust the CA in your system, browsers and Node.js`
+        : "1. Install the CA certificate in your browser/system",
+      "info"
+    );
+    log(
+      `2. Run 'ssl-cli create-cert${caFlag}' to create certificates for your domains`,
+      "info"
+    );
+
+    // Show platform-specific installation instructions
+    console.log(chalk.yellow("\nInstallation instructions for your platform:"));
+    console.log(
+      chalk.white(
+        getCAInstallInstructions(ca.certPath, getTrustedName(ca.name))
+      )
+    );
   });
 
-// Command for creating certificates for specific domains
+// Command for creating an intermediate CA signed by the local root CA
 program
-  .command("create-cert")
-  .description("Create a certificate for a domain signed by your local CA")
-  .action(async () => {
-    // Show title animation
-    console.clear();
-    const title = chalkAnimation.karaoke("Creating SSL Certificate\n");
-    await sleep(1500);
-    title.stop();
+  .command("create-intermediate-ca")
+  .description(
+    "Create an intermediate CA, signed by your local CA, to issue certificates"
+  )
+  .option("--cn <name>", "common name for the intermediate CA certificate")
+  .option(
+    "--subject <subject>",
+    'full intermediate CA subject, e.g. "/CN=Acme Dev Issuing CA" (overrides --cn)'
+  )
+  .option(
+    "--days <days>",
+    "validity period in days",
+    parseDays,
+    getConfig("days.intermediate")
+  )
+  .addOption(keyTypeOption())
+  .addOption(digestOption())
+  .option(
+    "--passphrase-file <file>",
+    "read the passphrase for the new intermediate key from a file"
+  )
+  .option(
+    "--no-encrypt",
+    "leave the intermediate key unencrypted so create-cert can run without a passphrase"
+  )
+  .option(
+    "--ca-passphrase-file <file>",
+    "read the root CA key passphrase from a file instead of prompting"
+  )
+  .addOption(revocationUrlOption())
+  .addOption(caOption())
+  .option("-f, --force", "overwrite an existing intermediate CA without asking")
+  .option("-y, --yes", "run non-interactively, answering yes to all prompts")
+  .action(async (options) => {
+    const unattended = isUnattended(options);
+
+    await showTitle(
+      "glitch",
+      "Creating Intermediate Certificate Authority",
+      options
+    );
 
-    // Check if OpenSSL is installed
-    if (!checkOpenSSL()) {
-      log(
-        "OpenSSL is not installed or not in PATH. Please install OpenSSL first.",
-        "error"
-      );
+    if (!checkBackend()) {
       return;
     }
 
     try {
-      const { domain } = await inquirer.prompt([
-        {
-          type: "input",
-          name: "domain",
-          message: "Enter the domain name (e.g., mysite.test):",
-          validate: (input) => input.length > 0 || "Domain name is required",
-        },
-      ]);
-
-      const certsDir = getCertsDir();
+      const { name: caName, dir: certsDir } = resolveCA(options);
+      const { root, intermediate } = getCAPaths(certsDir);
 
-      // Check if certs directory exists
-      if (!ensureCertsDir()) {
-        return;
+      if (!caExists(root)) {
+        return fail(missingCAMessage(caName));
       }
 
-      // Check if CA files exist
-      const caKeyPath = path.join(certsDir, "myCA.key");
-      const caCertPath = path.join(certsDir, "myCA.pem");
-
-      if (!fileExists(caKeyPath) || !fileExists(caCertPath)) {
-        log(
-          'CA files do not exist. Please run "ssl-cli create-local-ca" first.',
-          "error"
+      for (const file of [options.passphraseFile, options.caPassphraseFile]) {
+        if (file && !fileExists(file)) {
+          return fail(`Passphrase file not found: ${file}`);
+        }
+      }
+      if (unattended && options.encrypt && !options.passphraseFile) {
+        return fail(
+          "--passphrase-file or --no-encrypt is required when running non-interactively"
+        );
+      }
+      if (
+        unattended &&
+        !options.caPassphraseFile &&
+        isEncryptedKey(root.keyPath)
+      ) {
+        return fail(
+          "The CA key is passphrase-protected. Pass --ca-passphrase-file when running non-interactively."
         );
-        return;
       }
 
-      // Check if domain certificate already exists
-      const domainCertPath = path.join(certsDir, `${domain}.crt`);
-      const domainKeyPath = path.join(certsDir, `${domain}.key`);
-
-      if (fileExists(domainCertPath) || fileExists(domainKeyPath)) {
-        const { overwrite } = await inquirer.prompt([
-          {
-            type: "confirm",
-            name: "overwrite",
-            message: `Certificate for ${domain} already exists. Do you want to overwrite it?`,
-            default: false,
-          },
-        ]);
-
+      if (caExists(intermediate)) {
+        const overwrite = await confirmOverwrite(
+          "An intermediate CA already exists. Do you want to replace it? Certificates it issued stay valid.",
+          options
+        );
         if (!overwrite) {
+          if (unattended) {
+            return fail(
+              "An intermediate CA already exists. Use --force to replace it."
+            );
+          }
           log(
-            `Operation cancelled. Using existing certificate for ${domain}.`,
+            "Operation cancelled. Using the existing intermediate CA.",
             "warning"
           );
           return;
         }
       }
 
-      // Generate domain private key with spinner
-      const keySpinner = createSpinner(
-        `Generating private key for ${domain}...`
-      ).start();
-      try {
-        execSync(
-          `openssl genrsa -out ${path.join(certsDir, `${domain}.key`)} 2048`
-        );
-        keySpinner.success({ text: `Private key for ${domain} generated!` });
-      } catch (error) {
-        keySpinner.error({
-          text: `Failed to generate private key: ${error.message}`,
-        });
-        return;
-      }
-
-      // Generate CSR with spinner
-      const csrSpinner = createSpinner(
-        "Creating certificate signing request..."
-      ).start();
-      try {
-        execSync(
-          `openssl req -new -key ${path.join(
-            certsDir,
-            `${domain}.key`
-          )} -out ${path.join(certsDir, `${domain}.csr`)}`,
-          { stdio: "inherit" }
-        );
-        csrSpinner.success({ text: "Certificate signing request created!" });
-      } catch (error) {
-        csrSpinner.error({ text: `Failed to create CSR: ${error.message}` });
-        return;
+      const defaultCommonName = `${getConfig(
+        "subject.intermediateCommonName"
+      )}${caName === DEFAULT_CA_NAME ? "" : ` (${caName})`}`;
+      let commonName = options.cn || defaultCommonName;
+      let passphrase;
+      let caPassphrase;
+      if (!unattended) {
+        if (!options.cn && !options.subject) {
+          commonName = await promptCommonName(
+            "Common name for the intermediate CA certificate:",
+            defaultCommonName
+          );
+        }
+        if (options.encrypt && !options.passphraseFile) {
+          passphrase = await promptNewPassword(
+            "intermediate CA key passphrase"
+          );
+        }
+        if (!options.caPassphraseFile && isEncryptedKey(root.keyPath)) {
+          caPassphrase = await readCAPassphrase({ label: "root" });
+        }
       }
+      const keyPassphrase = options.encrypt
+        ? { passphrase, passphraseFile: options.passphraseFile }
+        : {};
 
-      // Create config file for SAN
-      const configSpinner = createSpinner(
-        "Creating configuration file..."
+      const keySpinner = createSpinner(
+        "Generating intermediate CA private key..."
       ).start();
       try {
-        const configPath = path.join(certsDir, `${domain}.ext`);
-        const configContent = `authorityKeyIdentifier=keyid,issuer
-basicConstraints=CA:FALSE
-keyUsage = digitalSignature, nonRepudiation, keyEncipherment, dataEncipherment
-subjectAltName = @alt_names
-
-[alt_names]
-DNS.1 = ${domain}`;
-
-        fs.writeFileSync(configPath, configContent);
-        configSpinner.success({ text: "Configuration file created!" });
+        generateKey(intermediate.keyPath, {
+          keyType: options.keyType,
+          encrypt: options.encrypt,
+          ...keyPassphrase,
+          backend: getConfig("backend"),
+        });
+        keySpinner.success({ text: "Intermediate CA private key generated!" });
       } catch (error) {
-        configSpinner.error({
-          text: `Failed to create config file: ${error.message}`,
+        keySpinner.error({
+          text: `Failed to generate intermediate CA private key: ${error.message}`,
         });
+        process.exitCode = 1;
         return;
       }
 
-      // Create certificate with spinner
       const certSpinner = createSpinner(
-        `Creating certificate for ${domain}...`
+        "Signing intermediate CA certificate with the root CA..."
       ).start();
       try {
-        execSync(
-          `openssl x509 -req -in ${path.join(
-            certsDir,
-            `${domain}.csr`
-          )} -CA ${caCertPath} -CAkey ${caKeyPath} -CAcreateserial -out ${path.join(
-            certsDir,
-            `${domain}.crt`
-          )} -days 825 -sha256 -extfile ${path.join(
-            certsDir,
-            `${domain}.ext`
-          )}`,
-          { stdio: "inherit" }
-        );
-        certSpinner.success({ text: "Certificate created successfully!" });
+        issueCertificate({
+          profile: "intermediate",
+          keyPath: intermediate.keyPath,
+          keyPassphrase: keyPassphrase.passphrase,
+          keyPassphraseFile: keyPassphrase.passphraseFile,
+          certPath: intermediate.certPath,
+          subject:
+            options.subject || buildSubject(commonName, getSubjectDefaults()),
+          revocation:
+            options.revocationUrl &&
+            revocationUrls(options.revocationUrl, root.certPath),
+          caCertPath: root.certPath,
+          caKeyPath: root.keyPath,
+          caPassphrase,
+          caPassphraseFile: options.caPassphraseFile,
+          days: options.days,
+          digest: options.digest,
+          backend: getConfig("backend"),
+        });
+        certSpinner.success({ text: "Intermediate CA certificate signed!" });
       } catch (error) {
         certSpinner.error({
-          text: `Failed to create certificate: ${error.message}`,
+          text: `Failed to create intermediate CA certificate: ${error.message}`,
         });
+        process.exitCode = 1;
         return;
       }
 
-      // Show success message with figlet
-      console.clear();
-      figlet(`${domain} Cert`, (err, data) => {
-        if (err) {
-          console.log("Something went wrong with figlet");
-          console.dir(err);
-          return;
-        }
-        console.log(gradient.cristal.multiline(data));
-
-        log(`Certificate for ${domain} created successfully!`, "success");
-        log("Files created:", "info");
-        log(`- ${domain}.key: Private key`, "info");
-        log(`- ${domain}.crt: Certificate`, "info");
-
-        // Ask if user wants to clean up temporary files
-        inquirer
-          .prompt([
-            {
-              type: "confirm",
-              name: "cleanup",
-              message: "Do you want to clean up temporary files (CSR and EXT)?",
-              default: true,
-            },
-          ])
-          .then(({ cleanup }) => {
-            if (cleanup) {
-              const cleanupSpinner = createSpinner(
-                "Cleaning up temporary files..."
-              ).start();
-              try {
-                cleanupTempFiles(domain);
-                cleanupSpinner.success({ text: "Temporary files cleaned up!" });
-              } catch (error) {
-                cleanupSpinner.error({
-                  text: `Failed to clean up: ${error.message}`,
-                });
-              }
-            } else {
-              log(`Temporary files kept in: ${certsDir}`, "info");
-            }
-
-            // Show web server configuration tips
-            console.log(
-              chalk.yellow("\nTo use this certificate with your web server:")
-            );
-            console.log(
-              chalk.white(`
-For Apache:
-<VirtualHost *:443>
-   ServerName ${domain}
-   DocumentRoot /path/to/site
-
-   SSLEngine on
-   SSLCertificateFile ${path.join(certsDir, `${domain}.crt`)}
-   SSLCertificateKeyFile ${path.join(certsDir, `${domain}.key`)}
-</VirtualHost>
-
-For Nginx:
-server {
-    listen 443 ssl;
-    server_name ${domain};
-    
-    ssl_certificate ${path.join(certsDir, `${domain}.crt`)};
-    ssl_certificate_key ${path.join(certsDir, `${domain}.key`)};
-    
-    # Other SSL settings
-    ssl_protocols TLSv1.2 TLSv1.3;
-    ssl_prefer_server_ciphers on;
-    
-    # Rest of your server block
-}
-`)
-            );
-          });
-      });
+      showBanner("Intermediate CA!", gradient.pastel, options);
+
+      log(
+        "Intermediate Certificate Authority created successfully!",
+        "success"
+      );
+      log(`Intermediate CA certificate: ${intermediate.certPath}`, "info");
+      log(
+        "create-cert now signs with the intermediate and writes <domain>.fullchain.pem",
+        "info"
+      );
+      log(
+        "Only the root CA needs to be trusted; keep its key encrypted and offline",
+        "info"
+      );
     } catch (error) {
-      log(`Error creating certificate: ${error.message}`, "error");
+      fail(`Error creating intermediate CA: ${error.message}`);
     }
   });
 
-// Helper function to check OS compatibility
-function checkOSCompatibility() {
-  const os = process.platform;
-  if (os !== "linux") {
-    log("This command is only supported on Linux systems", "error");
-    log("Supported distributions:", "info");
-    log("- Ubuntu/Debian", "info");
-    log("- CentOS/RHEL", "info");
-    log("- Fedora", "info");
-    return false;
+// Command for creating certificates for specific domains
+program
+  .command("create-cert")
+  .description("Create a certificate for a domain signed by your local CA")
+  .option(
+    "-d, --domain <names...>",
+    "domain names and IP addresses to include; the first one names the files"
+  )
+  .option(
+    "--subject <subject>",
+    'certificate subject, e.g. "/CN=app.test/O=Acme" (default: /CN=<domain>)'
+  )
+  .option(
+    "--days <days>",
+    "validity period in days",
+    parseDays,
+    getConfig("days.cert")
+  )
+  .addOption(keyTypeOption())
+  .addOption(digestOption())
+  .option(
+    "--ca-passphrase-file <file>",
+    "read the CA key passphrase from a file instead of prompting"
+  )
+  .addOption(revocationUrlOption())
+  .addOption(caOption())
+  .addOption(
+    new Option(
+      "--server <server>",
+      "print (or with --write, save) a configuration for this web server"
+    ).choices(SERVERS)
+  )
+  .option("--write <dir>", "directory to write the --server configuration to")
+  .option(
+    "--upstream <url>",
+    "application the --server configuration proxies to",
+    DEFAULT_UPSTREAM
+  )
+  .option(
+    "-f, --force",
+    "overwrite an existing certificate and configuration without asking"
+  )
+  .option("-y, --yes", "run non-interactively, answering yes to all prompts")
+  .action(async (options) => {
+    const unattended = isUnattended(options);
+
+    if (options.write && !options.server) {
+      return fail(
+        "--write needs --server to know which configuration to write"
+      );
+    }
+    if (options.server) {
+      try {
+        parseUpstream(options.upstream);
+      } catch (error) {
+        return fail(error.message);
+      }
+    }
+
+    // Show title animation
+    await showTitle("karaoke", "Creating SSL Certificate", options);
+
+    let names = parseNames(options.domain || []);
+    if (names.length === 0) {
+      if (unattended) {
+        return fail("--domain is required when running non-interactively");
+      }
+      const { input } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "input",
+          message:
+            "Enter the domain names, comma separated (e.g., mysite.test, *.mysite.test, 127.0.0.1):",
+          validate: (input) => validateNames(parseNames(input))[0] || true,
+        },
+      ]);
+      names = parseNames(input);
+    }
+    const [domain] = names;
+
+    if (!checkBackend()) {
+      return;
+    }
+
+    let caPassphrase;
+    const ca = getSigningCA(resolveCA(options).dir);
+    if (
+      !unattended &&
+      !options.caPassphraseFile &&
+      caExists(ca) &&
+      isEncryptedKey(ca.keyPath)
+    ) {
+      caPassphrase = await readCAPassphrase({
+        label: ca.intermediate ? "intermediate" : "root",
+      });
+    }
+
+    let cert;
+    try {
+      cert = await withOverwritePrompt(
+        (overwrite) =>
+          withSpinner(
+            `Creating certificate for ${domain}...`,
+            "Certificate created successfully!",
+            () =>
+              createCert({
+                names,
+                subject: options.subject,
+                days: options.days,
+                keyType: options.keyType,
+                digest: options.digest,
+                ca: options.ca,
+                caPassphrase,
+                caPassphraseFile: options.caPassphraseFile,
+                revocationUrl: options.revocationUrl,
+                overwrite,
+              })
+          ),
+        `Certificate for ${domain} already exists. Do you want to overwrite it?`,
+        options
+      );
+    } catch (error) {
+      if (error instanceof InvalidNameError) {
+        error.errors.forEach((message) => log(message, "error"));
+        process.exitCode = 1;
+        return;
+      }
+      if (error instanceof CANotFoundError) {
+        return fail(missingCAMessage(error.caName));
+      }
+      if (error instanceof PassphraseRequiredError) {
+        return fail(
+          "The CA key is passphrase-protected. Pass --ca-passphrase-file when running non-interactively."
+        );
+      }
+      return fail(`Error creating certificate: ${error.message}`);
+    }
+
+    if (!cert) {
+      if (unattended) {
+        return fail(
+          `Certificate for ${domain} already exists. Use --force to overwrite it.`
+        );
+      }
+      log(
+        `Operation cancelled. Using existing certificate for ${domain}.`,
+        "warning"
+      );
+      return;
+    }
+
+    // Show success message with figlet
+    showBanner(`${domain} Cert`, gradient.cristal, options);
+
+    const fileBase = path.basename(cert.certPath, ".crt");
+    log(`Certificate for ${domain} created successfully!`, "success");
+    log("Files created:", "info");
+    log(`- ${fileBase}.key: Private key (${cert.keyType})`, "info");
+    log(`- ${fileBase}.crt: Certificate`, "info");
+    if (cert.fullchainPath) {
+      log(`- ${fileBase}.fullchain.pem: Certificate + intermediate CA`, "info");
+    }
+    log(`Subject Alternative Names: ${cert.names.join(", ")}`, "info");
+
+    if (options.server) {
+      await showServerConfig(cert, options);
+      return;
+    }
+    if (unattended) {
+      return;
+    }
+
+    // Show web server configuration examples
+    console.log(
+      chalk.yellow("\nTo use this certificate with your web server:")
+    );
+    [
+      ["Apache", "apache"],
+      ["Nginx", "nginx"],
+    ].forEach(([label, server]) => {
+      console.log(chalk.white(`\nFor ${label}:`));
+      console.log(chalk.white(renderServerConfig(server, cert)));
+    });
+    log(
+      `Use --server <${SERVERS.join(
+        "|"
+      )}> --write <dir> to save a configuration file`,
+      "info"
+    );
+  });
+
+// Print or write the --server configuration of a new certificate, checking it with the server when installed
+async function showServerConfig(cert, options) {
+  const site = {
+    names: cert.names,
+    certPath: cert.certPath,
+    keyPath: cert.keyPath,
+    fullchainPath: cert.fullchainPath,
+    upstream: options.upstream,
+  };
+  if (!options.write) {
+    console.log(renderServerConfig(options.server, site));
+    return;
+  }
+
+  let written;
+  try {
+    written = await withOverwritePrompt(
+      (overwrite) =>
+        writeServerConfig(options.server, {
+          ...site,
+          dir: options.write,
+          overwrite,
+        }),
+      `The ${options.server} configuration for ${cert.names[0]} already exists. Do you want to overwrite it?`,
+      options
+    );
+  } catch (error) {
+    return fail(
+      `Error writing the ${options.server} configuration: ${error.message}`
+    );
+  }
+  if (!written) {
+    if (isUnattended(options)) {
+      return fail(
+        `The ${options.server} configuration for ${cert.names[0]} already exists. Use --force to overwrite it.`
+      );
+    }
+    log(`Kept the existing ${options.server} configuration`, "warning");
+    return;
+  }
+
+  written.files.forEach((file) => log(`Wrote ${file}`, "success"));
+  const { status, detail } = written.validation;
+  if (status === "failed") {
+    log(`${options.server} rejected the configuration:`, "error");
+    console.log(detail);
+    process.exitCode = 1;
+    return;
+  }
+  log(detail, status === "ok" ? "success" : "warning");
+}
+
+// Directory holding the built-in ACME client's accounts and certificates
+function getAcmeDir() {
+  return path.join(getCertsDir(), "acme");
+}
+
+// DNS-01 solver for a person: show each TXT record and wait until it is published
+function manualDnsSolver() {
+  return {
+    type: "dns-01",
+    prepare: async ({ dnsName, dnsValue }) => {
+      console.log(chalk.cyan("\n🔐 DNS Verification Required"));
+      console.log(chalk.white("----------------------------------------"));
+      console.log(chalk.yellow(`   - Record Type: TXT`));
+      console.log(chalk.yellow(`   - Record Name: ${dnsName}`));
+      console.log(chalk.yellow(`   - Value: ${dnsValue}`));
+      console.log(chalk.white("----------------------------------------"));
+      await inquirer.prompt([
+        {
+          type: "input",
+          name: "published",
+          message: chalk.yellow("Press Enter once the record is published"),
+        },
+      ]);
+    },
+    cleanup: async ({ dnsName }) => {
+      log(`The ${dnsName} TXT record can be removed now`, "info");
+    },
+  };
+}
+
+// --dns-provider and --propagation-timeout options shared by the commands that answer DNS-01 challenges
+function addDnsProviderOptions(command) {
+  return command
+    .option(
+      "--dns-provider <provider>",
+      `create the DNS-01 TXT records automatically: ${Object.keys(
+        DNS_PROVIDERS
+      ).join(", ")}, or the path of a provider module`
+    )
+    .option(
+      "--dns-credentials <file>",
+      "JSON settings of the DNS provider, e.g. the server and TSIG key for rfc2136"
+    )
+    .option(
+      "--propagation-timeout <seconds>",
+      "how long to wait for each TXT record to reach the authoritative name servers (0: do not check)",
+      parseSeconds,
+      300
+    );
+}
+
+// Log progress messages of a long wait, skipping repeats
+function progressLogger() {
+  let last = null;
+  return (message) => {
+    if (message !== last) {
+      last = message;
+      log(`${message}...`, "info");
+    }
+  };
+}
+
+// DNS-01 solver of the --dns-provider, or the manual one without it, which waits for the authoritative name servers
+async function dnsSolverFor(options) {
+  let solver = manualDnsSolver();
+  if (options.dnsProvider) {
+    const settings = options.dnsCredentials
+      ? readDnsCredentials(options.dnsCredentials)
+      : {};
+    solver = dnsProviderSolver(
+      await loadDnsProvider(options.dnsProvider, settings),
+      settings
+    );
+  }
+  if (!options.propagationTimeout) {
+    return solver;
+  }
+  return withPropagationCheck(solver, {
+    timeout: options.propagationTimeout * 1000,
+    onProgress: progressLogger(),
+  });
+}
+
+// Accept the terms of service of an ACME server through --agree-tos, or by asking
+async function agreeToTerms(client, directoryUrl, options) {
+  if (options.agreeTos) {
+    return true;
+  }
+  if (isUnattended(options)) {
+    log(
+      "Pass --agree-tos to accept the terms of service of the ACME server",
+      "error"
+    );
+    return false;
+  }
+  const { meta = {} } = await client.directory();
+  const { agree } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "agree",
+      message: `Do you agree to the terms of service of ${directoryUrl}${
+        meta.termsOfService ? ` (${meta.termsOfService})` : ""
+      }?`,
+      default: false,
+    },
+  ]);
+  if (!agree) {
+    log("The ACME server only issues certificates once you agree", "error");
+  }
+  return agree;
+}
+
+// Get a certificate with the built-in ACME client and write it to outDir
+async function requestAcmeCertificate(
+  client,
+  { names, solver, keyType, email, outDir }
+) {
+  const { privateKey } = crypto.generateKeyPairSync(
+    ...KEY_TYPES[keyType].nodeArgs
+  );
+  const chain = await obtainCertificate({
+    client,
+    names,
+    solver,
+    privateKey,
+    email,
+    // Callers ask first, with agreeToTerms()
+    termsOfServiceAgreed: true,
+    onProgress: (message) => log(message, "info"),
+  });
+  return saveCertificate(outDir, { privateKey, chain });
+}
+
+// Command to get a certificate from an ACME CA without certbot
+addDnsProviderOptions(
+  program
+    .command("acme-cert")
+    .description(
+      "Get a certificate from Let's Encrypt or another ACME CA with the built-in client"
+    )
+    .option("-d, --domain <names...>", "domain names to include")
+    .option("--email <email>", "contact address of the ACME account")
+    .option(
+      "--directory <url>",
+      "ACME directory URL, or letsencrypt / letsencrypt-staging",
+      getConfig("acme.directory")
+    )
+    .option(
+      "--directory-ca <file>",
+      "CA certificate to trust for the ACME server, e.g. Pebble's"
+    )
+    .addOption(
+      new Option(
+        "--challenge <type>",
+        "http (HTTP-01 on port 80, the default) or dns (a TXT record, needed for wildcards; the default with --dns-provider)"
+      ).choices(ACME_CHALLENGES)
+    )
+    .option(
+      "--webroot <dir>",
+      "answer HTTP-01 with files in the directory your web server serves instead of a listener of our own"
+    )
+    .option(
+      "--http-port <port>",
+      "port of the HTTP-01 listener; the CA connects to port 80, so use another only behind a redirect or with a test CA",
+      parsePort,
+      80
+    )
+    .addOption(keyTypeOption())
+    .option(
+      "--out <dir>",
+      "directory for privkey.pem, cert.pem, chain.pem and fullchain.pem (default: <store>/acme/live/<domain>)"
+    )
+    .option("--agree-tos", "agree to the terms of service of the ACME server")
+    .option("-f, --force", "overwrite an existing certificate without asking")
+    .option("-y, --yes", "run non-interactively, answering yes to all prompts")
+).action(async (options) => {
+  const unattended = isUnattended(options);
+  const challenge = options.challenge || (options.dnsProvider ? "dns" : "http");
+
+  const names = parseNames(options.domain || []);
+  if (names.length === 0) {
+    return fail("--domain is required");
+  }
+  const errors = validateNames(names);
+  if (errors.length > 0) {
+    errors.forEach((message) => log(message, "error"));
+    process.exitCode = 1;
+    return;
+  }
+  if (names.some(isIPAddress)) {
+    return fail("ACME certificates are for domain names, not IP addresses");
+  }
+  if (options.dnsProvider && challenge !== "dns") {
+    return fail("--dns-provider only answers --challenge dns");
+  }
+  if (challenge === "http" && names.some((name) => name.startsWith("*."))) {
+    return fail("Wildcard names can only be validated with --challenge dns");
+  }
+  if (challenge === "dns" && !options.dnsProvider && !process.stdin.isTTY) {
+    return fail(
+      "--challenge dns needs a terminal to show the TXT records to publish, or a --dns-provider"
+    );
+  }
+  if (options.keyType === "ed25519") {
+    return fail("ACME CAs do not issue certificates for Ed25519 keys");
+  }
+  const emailError = options.email && validateEmail(options.email);
+  if (emailError) {
+    return fail(emailError);
+  }
+
+  let ca;
+  if (options.directoryCa) {
+    try {
+      ca = fs.readFileSync(options.directoryCa);
+    } catch (error) {
+      return fail(`Cannot read ${options.directoryCa}: ${error.message}`);
+    }
+  }
+
+  const directoryUrl = resolveDirectoryUrl(options.directory);
+  const { accountKeyPath, liveDir } = acmePaths(
+    getAcmeDir(),
+    directoryUrl,
+    names[0]
+  );
+  const outDir = options.out || liveDir;
+  if (
+    fileExists(path.join(outDir, "fullchain.pem")) &&
+    !(await confirmOverwrite(
+      `A certificate already exists in ${outDir}. Do you want to replace it?`,
+      options
+    ))
+  ) {
+    if (unattended) {
+      return fail(
+        `A certificate already exists in ${outDir}. Use --force to replace it.`
+      );
+    }
+    log("Operation cancelled. Kept the existing certificate.", "warning");
+    return;
+  }
+
+  try {
+    const client = createAcmeClient({
+      directoryUrl,
+      accountKey: loadAccountKey(accountKeyPath),
+      ca,
+    });
+    if (!(await agreeToTerms(client, directoryUrl, options))) {
+      process.exitCode = 1;
+      return;
+    }
+
+    let solver;
+    if (challenge === "dns") {
+      solver = await dnsSolverFor(options);
+    } else {
+      solver = options.webroot
+        ? webrootHttpSolver(options.webroot)
+        : standaloneHttpSolver({ port: options.httpPort });
+    }
+    const files = await requestAcmeCertificate(client, {
+      names,
+      solver,
+      keyType: options.keyType,
+      email: options.email,
+      outDir,
+    });
+
+    log(`Certificate for ${names.join(", ")} issued!`, "success");
+    log("Files created:", "info");
+    log(`- ${files.keyPath}: Private key (${options.keyType})`, "info");
+    log(`- ${files.certPath}: Certificate`, "info");
+    log(`- ${files.chainPath}: Issuer chain`, "info");
+    log(`- ${files.fullchainPath}: Certificate + issuer chain`, "info");
+    const cert = readCertificate(files.certPath);
+    if (cert) {
+      log(`Expires: ${cert.validTo}`, "info");
+    }
+  } catch (error) {
+    if (error instanceof AcmeError) {
+      return fail(`The ACME server refused: ${error.message}`);
+    }
+    if (error instanceof DnsProviderError) {
+      return fail(`DNS provider error: ${error.message}`);
+    }
+    if (error instanceof DnsPropagationError) {
+      return fail(
+        `${error.message}; raise --propagation-timeout or check the record`
+      );
+    }
+    return fail(`Error getting the certificate: ${error.message}`);
+  }
+});
+
+// Option parser for durations such as 30d or 2w
+function parseDurationOption(value) {
+  const days = parseDuration(value);
+  if (days === null) {
+    throw new InvalidArgumentError(
+      'Expected a duration such as "30d" or "2w".'
+    );
+  }
+  return days;
+}
+
+// Colour the remaining validity of a certificate
+function formatDaysLeft(daysLeft) {
+  if (daysLeft < 0) {
+    return chalk.red(`expired ${-daysLeft} days ago`);
+  }
+  if (daysLeft <= 30) {
+    return chalk.yellow(`${daysLeft} days left`);
+  }
+  return chalk.green(`${daysLeft} days left`);
+}
+
+// Print one certificate from list-certs as a readable block
+function printCertificateSummary(cert) {
+  const keyStatus =
+    cert.keyFile === null
+      ? chalk.yellow("missing")
+      : cert.keyMatches === false
+      ? chalk.red(`${cert.keyFile} (does not match)`)
+      : chalk.green(cert.keyFile);
+
+  console.log(
+    chalk.bold.cyan(cert.file) + (cert.isCA ? chalk.gray(" (CA)") : "")
+  );
+  console.log(`  Subject:   ${cert.subject}`);
+  if (cert.subjectAltNames.length > 0) {
+    console.log(`  SANs:      ${cert.subjectAltNames.join(", ")}`);
+  }
+  console.log(
+    `  Issuer:    ${cert.issuer}${
+      cert.issuedByLocalCA ? chalk.gray(" (local CA)") : ""
+    }`
+  );
+  console.log(`  Serial:    ${cert.serialNumber}`);
+  console.log(
+    `  Valid:     ${cert.notBefore.slice(0, 10)} → ${cert.notAfter.slice(
+      0,
+      10
+    )} (${formatDaysLeft(cert.daysLeft)})`
+  );
+  console.log(`  Key:       ${cert.key.type.toUpperCase()} ${cert.key.size}`);
+  console.log(`  Key file:  ${keyStatus}\n`);
+}
+
+// Command for listing the certificates in the certificates directory
+program
+  .command("list-certs")
+  .description("List the certificates stored in the certificates directory")
+  .addOption(
+    new Option("--sort <field>", "sort order")
+      .choices(Object.keys(CERT_SORTERS))
+      .default("name")
+  )
+  .option(
+    "--expiring-within <duration>",
+    'only show certificates expiring within a duration, e.g. "30d"',
+    parseDurationOption
+  )
+  .addOption(caOption())
+  .option("--json", "print the inventory as JSON")
+  .option("--no-json", "print text even when output.json is set")
+  .action((options) => {
+    const { dir: certsDir } = resolveCA(options);
+    const certs = listCerts({
+      ca: options.ca,
+      sort: options.sort,
+      expiringWithin: options.expiringWithin,
+    });
+
+    if (wantsJson(options)) {
+      console.log(JSON.stringify(certs, null, 2));
+      return;
+    }
+
+    if (certs.length === 0) {
+      // Tell a filter that matched nothing from a directory without certificates
+      const total =
+        options.expiringWithin === undefined
+          ? 0
+          : listCerts({ ca: options.ca }).length;
+      if (total === 0) {
+        log(`No certificates found in ${certsDir}`, "info");
+        return;
+      }
+      const days = options.expiringWithin;
+      log(
+        `None of the ${total} certificate(s) in ${certsDir} expire within ${
+          Number.isInteger(days)
+            ? `${days} days`
+            : `${Math.round(days * 24)} hours`
+        }`,
+        "info"
+      );
+      return;
+    }
+
+    log(`${certs.length} certificate(s) in ${certsDir}\n`, "info");
+    certs.forEach(printCertificateSummary);
+  });
+
+// Command for listing the named CAs
+program
+  .command("list-cas")
+  .description("List your local CAs and show which one is the default")
+  .option("--json", "print the CAs as JSON")
+  .option("--no-json", "print text even when output.json is set")
+  .action((options) => {
+    const cas = listCAs();
+
+    if (wantsJson(options)) {
+      console.log(JSON.stringify(cas, null, 2));
+      return;
+    }
+
+    if (cas.length === 0) {
+      log('No CAs found. Run "ssl-cli create-local-ca" to create one.', "info");
+      return;
+    }
+
+    cas.forEach((ca) => {
+      console.log(
+        chalk.bold.cyan(ca.name) + (ca.default ? chalk.green(" (default)") : "")
+      );
+      console.log(`  Subject:       ${ca.root.subject}`);
+      console.log(
+        `  Valid until:   ${ca.root.notAfter.slice(0, 10)} (${formatDaysLeft(
+          ca.root.daysLeft
+        )})`
+      );
+      console.log(
+        `  Key:           ${ca.root.key.type.toUpperCase()} ${ca.root.key.size}`
+      );
+      if (ca.intermediate) {
+        console.log(`  Intermediate:  ${ca.intermediate.subject}`);
+      }
+      console.log(`  Certificates:  ${ca.certificates}`);
+      console.log(`  Directory:     ${ca.dir}\n`);
+    });
+  });
+
+// Command for choosing the CA used when --ca is not given
+program
+  .command("default-ca")
+  .description("Show or set the CA used when --ca is not given")
+  .argument("[name]", "CA to make the default")
+  .action((name) => {
+    const certsDir = getCertsDir();
+
+    if (!name) {
+      console.log(getConfig("defaultCA"));
+      return;
+    }
+
+    const error = validateCAName(name);
+    if (error) {
+      return fail(error);
+    }
+    if (!caExists(getCAPaths(getCADir(certsDir, name)).root)) {
+      return fail(missingCAMessage(name));
+    }
+    try {
+      setConfigValue("defaultCA", name);
+    } catch (error) {
+      return fail(error.message);
+    }
+    log(`"${name}" is now the default CA`, "success");
+  });
+
+// Options shared by trust-ca and untrust-ca
+function addTrustOptions(command) {
+  return command
+    .option("--no-system", "leave the system trust store alone")
+    .option("--no-nss", "leave the Firefox and Chromium (NSS) databases alone")
+    .option("--no-node", "leave NODE_EXTRA_CA_CERTS alone")
+    .option(
+      "--java [cacerts]",
+      "also use a Java cacerts keystore (default: found under JAVA_HOME or /etc)"
+    )
+    .option(
+      "--java-storepass-file <file>",
+      "read the Java keystore password from a file (default: changeit)"
+    )
+    .option(
+      "--root <dir>",
+      "filesystem root to work under, e.g. a mounted image or a test directory",
+      "/"
+    )
+    .addOption(caOption())
+    .option("--json", "print the result of each store as JSON");
+}
+
+// Install or remove the root of a CA in the selected trust stores and report each store
+function runTrustCommand(action, options) {
+  const { name: caName, dir } = resolveCA(options);
+  const { root } = getCAPaths(dir);
+  if (!caExists(root)) {
+    return fail(missingCAMessage(caName));
+  }
+  if (options.javaStorepassFile && !fileExists(options.javaStorepassFile)) {
+    return fail(`Password file not found: ${options.javaStorepassFile}`);
+  }
+
+  const run = action === "trust" ? trustCA : untrustCA;
+  const results = run({
+    certPath: root.certPath,
+    nickname: getTrustedName(caName),
+    stores: TRUST_STORES.filter((store) =>
+      store === "java" ? options.java : options[store]
+    ),
+    root: path.resolve(options.root),
+    javaKeystore: options.java,
+    javaStorepassFile: options.javaStorepassFile,
+  });
+  if (results.some((result) => result.status === "failed")) {
+    process.exitCode = 1;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+  const types = { ok: "success", skipped: "warning", failed: "error" };
+  results.forEach(({ store, status, detail }) =>
+    log(
+      `${store}: ${status === "ok" ? "" : `${status}, `}${detail}`,
+      types[status]
+    )
+  );
+}
+
+// Command for trusting a local CA on this machine
+addTrustOptions(
+  program
+    .command("trust-ca")
+    .description(
+      "Install your local CA into the system, browser, Node.js and Java trust stores"
+    )
+).action((options) => runTrustCommand("trust", options));
+
+// Command for removing a local CA from the trust stores
+addTrustOptions(
+  program
+    .command("untrust-ca")
+    .description("Remove your local CA from the trust stores trust-ca uses")
+).action((options) => runTrustCommand("untrust", options));
+
+// Show a setting's value, marking settings that have none
+function formatConfigValue(value) {
+  return value === null ? chalk.gray("(not set)") : String(value);
+}
+
+// Error for a setting name that does not exist
+function unknownSettingMessage(key) {
+  return `Unknown setting: ${key}. Run "ssl-cli config list" to see them all.`;
+}
+
+// Commands for reading and changing settings
+const configCommand = program
+  .command("config")
+  .description(
+    "Show and change settings: config file, then SSL_CLI_* env vars, then flags"
+  );
+
+configCommand
+  .command("list")
+  .description("List every setting with its value and where it comes from")
+  .option("--json", "print the settings as JSON")
+  .option("--no-json", "print text even when output.json is set")
+  .action((options) => {
+    const { values, sources } = loadConfig();
+
+    if (wantsJson(options)) {
+      console.log(
+        JSON.stringify(
+          Object.keys(CONFIG_KEYS).map((key) => ({
+            key,
+            value: values[key],
+            source: sources[key],
+            env: envNameOf(key),
+          })),
+          null,
+          2
+        )
+      );
+      return;
+    }
+
+    log(`Config file: ${getConfigPath()}\n`, "info");
+    Object.entries(CONFIG_KEYS).forEach(([key, { description }]) => {
+      const source = sources[key] === "env" ? envNameOf(key) : sources[key];
+      console.log(
+        `${chalk.cyan(key.padEnd(32))}${formatConfigValue(
+          values[key]
+        )} ${chalk.gray(`(${source})`)}`
+      );
+      console.log(chalk.gray(`  ${description}`));
+    });
+  });
+
+configCommand
+  .command("get")
+  .description("Print the effective value of a setting")
+  .argument("<key>", 'setting, e.g. "days.cert"')
+  .action((key) => {
+    if (!CONFIG_KEYS[key]) {
+      return fail(unknownSettingMessage(key));
+    }
+    const value = getConfig(key);
+    console.log(value === null ? "" : String(value));
+  });
+
+configCommand
+  .command("set")
+  .description("Save a setting in the config file")
+  .argument("<key>", 'setting, e.g. "days.cert"')
+  .argument("<value>", "new value")
+  .action((key, value) => {
+    if (!CONFIG_KEYS[key]) {
+      return fail(unknownSettingMessage(key));
+    }
+    try {
+      const stored = setConfigValue(key, value);
+      log(`${key} = ${stored} (saved to ${getConfigPath()})`, "success");
+    } catch (error) {
+      return fail(error.message);
+    }
+    if (process.env[envNameOf(key)]) {
+      log(`${envNameOf(key)} is set and takes precedence`, "warning");
+    }
+  });
+
+configCommand
+  .command("unset")
+  .description("Remove a setting from the config file, restoring its default")
+  .argument("<key>", 'setting, e.g. "days.cert"')
+  .action((key) => {
+    if (!CONFIG_KEYS[key]) {
+      return fail(unknownSettingMessage(key));
+    }
+    try {
+      setConfigValue(key, undefined);
+    } catch (error) {
+      return fail(error.message);
+    }
+    log(
+      `${key} reset to its default: ${formatConfigValue(
+        CONFIG_KEYS[key].default
+      )}`,
+      "success"
+    );
+  });
+
+// Command for renewing certificates issued by the local CA
+program
+  .command("renew-cert")
+  .description("Renew certificates issued by your local CA")
+  .argument("[domain]", "primary domain of the certificate to renew")
+  .option("--all", "renew every certificate issued by the local CA")
+  .option(
+    "--within <duration>",
+    'only renew certificates expiring within a duration, e.g. "30d"',
+    parseDurationOption
+  )
+  .option("--rotate-key", "generate new private keys instead of reusing them")
+  .option(
+    "--days <days>",
+    "validity period in days (default: same as the current certificate)",
+    parseDays
+  )
+  .addOption(digestOption())
+  .option(
+    "--ca-passphrase-file <file>",
+    "read the CA key passphrase from a file instead of prompting"
+  )
+  .addOption(caOption())
+  .option("-y, --yes", "run non-interactively, answering yes to all prompts")
+  .action(async (domain, options) => {
+    const unattended = isUnattended(options);
+
+    if (!checkBackend()) {
+      return;
+    }
+    if (!domain && !options.all) {
+      return fail("Specify a domain to renew, or --all");
+    }
+
+    const { name: caName, dir: certsDir } = resolveCA(options);
+    const ca = getSigningCA(certsDir);
+    const localCACertPaths = getLocalCACertPaths(certsDir);
+
+    if (!caExists(ca)) {
+      return fail(missingCAMessage(caName));
+    }
+    if (options.caPassphraseFile && !fileExists(options.caPassphraseFile)) {
+      return fail(`Passphrase file not found: ${options.caPassphraseFile}`);
+    }
+    if (unattended && !options.caPassphraseFile && isEncryptedKey(ca.keyPath)) {
+      return fail(
+        "The CA key is passphrase-protected. Pass --ca-passphrase-file when running non-interactively."
+      );
+    }
+
+    let candidates = listCertificates(certsDir, localCACertPaths).filter(
+      (cert) => cert.issuedByLocalCA && !cert.isCA
+    );
+    if (domain) {
+      const file = `${toFileName(parseNames(domain)[0] || "")}.crt`;
+      candidates = candidates.filter((cert) => cert.file === file);
+      if (candidates.length === 0) {
+        return fail(
+          `No certificate issued by the local CA found for ${domain}`
+        );
+      }
+    }
+    if (options.within !== undefined) {
+      candidates = candidates.filter((cert) => cert.daysLeft <= options.within);
+    }
+
+    if (candidates.length === 0) {
+      log("No certificates are due for renewal", "info");
+      return;
+    }
+
+    if (!unattended && candidates.length > 1) {
+      const { proceed } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "proceed",
+          message: `Renew ${candidates.length} certificates (${candidates
+            .map((cert) => cert.file)
+            .join(", ")})?`,
+          default: true,
+        },
+      ]);
+      if (!proceed) {
+        log("Renewal cancelled", "warning");
+        return;
+      }
+    }
+
+    // Ask once for the CA passphrase rather than for every certificate
+    const caPassphrase =
+      !unattended && !options.caPassphraseFile && isEncryptedKey(ca.keyPath)
+        ? await readCAPassphrase({
+            label: ca.intermediate ? "intermediate" : "root",
+          })
+        : undefined;
+
+    const renewed = [];
+    for (const cert of candidates) {
+      const spinner = createSpinner(`Renewing ${cert.file}...`).start();
+      try {
+        const result = renewCertificate({
+          certPath: cert.path,
+          ca,
+          localCACertPaths,
+          caPassphrase,
+          caPassphraseFile: options.caPassphraseFile,
+          rotateKey: options.rotateKey,
+          days: options.days,
+          digest: options.digest,
+          backend: getConfig("backend"),
+        });
+        renewed.push(result);
+        spinner.success({ text: `Renewed ${cert.file}` });
+      } catch (error) {
+        spinner.error({
+          text: `Failed to renew ${cert.file}: ${error.message}`,
+        });
+        process.exitCode = 1;
+      }
+    }
+
+    if (renewed.length === 0) {
+      return;
+    }
+
+    console.log();
+    log(
+      `Renewed ${renewed.length} of ${candidates.length} certificate(s):`,
+      "success"
+    );
+    renewed.forEach((result) => {
+      console.log(
+        `  ${chalk.cyan(result.file)} ${result.previousNotAfter.slice(
+          0,
+          10
+        )} → ${result.notAfter.slice(0, 10)}, key ${
+          result.keyRotated ? "rotated" : "reused"
+        }`
+      );
+      console.log(chalk.gray(`    names:  ${result.names.join(", ")}`));
+      if (result.fullchain) {
+        console.log(chalk.gray(`    chain:  ${result.fullchain}`));
+      }
+      console.log(chalk.gray(`    backup: ${result.backups.cert}`));
+      if (result.backups.key) {
+        console.log(chalk.gray(`    backup: ${result.backups.key}`));
+      }
+    });
+  });
+
+// Option parser for TCP ports
+function parsePort(value) {
+  const error = validatePort(value);
+  if (error) {
+    throw new InvalidArgumentError(`${error}.`);
+  }
+  return Number(value);
+}
+
+// Option parser for domain names; internationalized ones become punycode
+function parseHostname(value) {
+  const hostname = toHostname(value);
+  const error = validateHostname(hostname);
+  if (error) {
+    throw new InvalidArgumentError(`${error}.`);
+  }
+  return hostname;
+}
+
+// Option parser for e-mail addresses
+function parseEmail(value) {
+  const error = validateEmail(value.trim());
+  if (error) {
+    throw new InvalidArgumentError(`${error}.`);
+  }
+  return value.trim();
+}
+
+// The local CAs that exist, labelled "root" and "intermediate"
+function getExistingCAs(certsDir) {
+  const { root, intermediate } = getCAPaths(certsDir);
+  return [
+    { label: "root", ...root },
+    { label: "intermediate", ...intermediate },
+  ].filter(caExists);
+}
+
+// Command for revoking certificates issued by the local CA
+program
+  .command("revoke")
+  .description(
+    "Revoke a certificate issued by your local CA and update its CRL"
+  )
+  .argument(
+    "<target>",
+    "primary domain of the certificate, or its serial number"
+  )
+  .addOption(
+    new Option("--reason <reason>", "revocation reason")
+      .choices(REVOCATION_REASONS)
+      .default("unspecified")
+  )
+  .option(
+    "--crl-days <days>",
+    "days until the next CRL is due",
+    parseDays,
+    getConfig("days.crl")
+  )
+  .option(
+    "--ca-passphrase-file <file>",
+    "read the CA key passphrase from a file instead of prompting"
+  )
+  .addOption(caOption())
+  .option("-y, --yes", "run non-interactively, revoking without confirmation")
+  .action(async (target, options) => {
+    const unattended = isUnattended(options);
+
+    if (!checkOpenSSL()) {
+      return fail(
+        "OpenSSL is not installed or not in PATH. Please install OpenSSL first."
+      );
+    }
+
+    try {
+      const { name: caName, dir: certsDir } = resolveCA(options);
+      const cas = getExistingCAs(certsDir);
+      if (cas.length === 0) {
+        return fail(missingCAMessage(caName));
+      }
+
+      // A domain names a certificate file; anything else is taken as a serial number
+      const certPath = path.join(
+        certsDir,
+        `${toFileName(parseNames(target)[0] || "")}.crt`
+      );
+      const cert = fileExists(certPath) ? readCertificate(certPath) : null;
+      const serial = cert ? cert.serialNumber : target;
+      if (!/^(0x)?[0-9a-f:]+$/i.test(serial)) {
+        return fail(`No certificate found for ${target}`);
+      }
+
+      const found = findDatabaseEntry(
+        cas.map((ca) => ca.certPath),
+        serial
+      );
+      if (!found) {
+        return fail(`${target} was not issued by the local CA`);
+      }
+      const { db, entry } = found;
+      const ca = cas.find(
+        (candidate) => candidate.certPath === found.caCertPath
+      );
+
+      if (entry.status === "revoked") {
+        log(
+          `${entry.subject} (serial ${
+            entry.serial
+          }) was already revoked on ${entry.revokedAt.slice(0, 10)} (${
+            entry.reason
+          })`,
+          "warning"
+        );
+        return;
+      }
+
+      if (options.caPassphraseFile && !fileExists(options.caPassphraseFile)) {
+        return fail(`Passphrase file not found: ${options.caPassphraseFile}`);
+      }
+      if (
+        unattended &&
+        !options.caPassphraseFile &&
+        isEncryptedKey(ca.keyPath)
+      ) {
+        return fail(
+          "The CA key is passphrase-protected. Pass --ca-passphrase-file when running non-interactively."
+        );
+      }
+
+      if (!options.yes) {
+        if (unattended) {
+          return fail("Pass --yes to revoke without confirmation");
+        }
+        const { proceed } = await inquirer.prompt([
+          {
+            type: "confirm",
+            name: "proceed",
+            message: `Revoke ${entry.subject} (serial ${entry.serial}) as ${options.reason}? This cannot be undone.`,
+            default: false,
+          },
+        ]);
+        if (!proceed) {
+          log("Revocation cancelled", "warning");
+          return;
+        }
+      }
+
+      revokeSerial(db, entry.serial, options.reason);
+      log(
+        `Revoked ${entry.subject} (serial ${entry.serial}): ${options.reason}`,
+        "success"
+      );
+
+      const crlSpinner = createSpinner(
+        `Updating the CRL of the ${ca.label} CA...`
+      ).start();
+      try {
+        const crlPath = generateCrl({
+          caCertPath: ca.certPath,
+          caKeyPath: ca.keyPath,
+          caPassphraseFile: options.caPassphraseFile,
+          days: options.crlDays,
+          digest: getConfig("digest"),
+          interactive: !unattended,
+        });
+        crlSpinner.success({ text: `CRL updated: ${crlPath}` });
+      } catch (error) {
+        crlSpinner.error({
+          text: `The database records the revocation, but the CRL could not be updated: ${error.message}`,
+        });
+        log('Run "ssl-cli update-crl" to retry', "info");
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      fail(`Error revoking certificate: ${error.message}`);
+    }
+  });
+
+// Command for refreshing the CRLs before they expire
+program
+  .command("update-crl")
+  .description("Regenerate the certificate revocation lists of your local CAs")
+  .addOption(
+    new Option(
+      "--only <level>",
+      "only update the CRL of the root or the intermediate CA"
+    ).choices(["root", "intermediate"])
+  )
+  .option(
+    "--crl-days <days>",
+    "days until the next CRL is due",
+    parseDays,
+    getConfig("days.crl")
+  )
+  .option(
+    "--ca-passphrase-file <file>",
+    "read the CA key passphrase from a file instead of prompting"
+  )
+  .addOption(caOption())
+  .option("-y, --yes", "run non-interactively")
+  .action((options) => {
+    const unattended = isUnattended(options);
+
+    if (!checkOpenSSL()) {
+      return fail(
+        "OpenSSL is not installed or not in PATH. Please install OpenSSL first."
+      );
+    }
+
+    const { name: caName, dir: certsDir } = resolveCA(options);
+    const existing = getExistingCAs(certsDir);
+    if (existing.length === 0) {
+      return fail(missingCAMessage(caName));
+    }
+    const cas = existing.filter(
+      (ca) => !options.only || ca.label === options.only
+    );
+    if (cas.length === 0) {
+      return fail(`There is no ${options.only} CA`);
+    }
+    if (options.caPassphraseFile && !fileExists(options.caPassphraseFile)) {
+      return fail(`Passphrase file not found: ${options.caPassphraseFile}`);
+    }
+
+    for (const ca of cas) {
+      if (
+        unattended &&
+        !options.caPassphraseFile &&
+        isEncryptedKey(ca.keyPath)
+      ) {
+        fail(
+          `The ${ca.label} CA key is passphrase-protected. Pass --ca-passphrase-file when running non-interactively.`
+        );
+        continue;
+      }
+
+      const spinner = createSpinner(
+        `Updating the CRL of the ${ca.label} CA...`
+      ).start();
+      try {
+        const crlPath = generateCrl({
+          caCertPath: ca.certPath,
+          caKeyPath: ca.keyPath,
+          caPassphraseFile: options.caPassphraseFile,
+          days: options.crlDays,
+          digest: getConfig("digest"),
+          interactive: !unattended,
+        });
+        spinner.success({ text: `CRL updated: ${crlPath}` });
+      } catch (error) {
+        spinner.error({
+          text: `Failed to update the CRL of the ${ca.label} CA: ${error.message}`,
+        });
+        process.exitCode = 1;
+      }
+    }
+  });
+
+// Command for serving revocation status to services under test
+program
+  .command("ocsp-responder")
+  .description("Serve OCSP responses and CRLs for your local CAs over HTTP")
+  .option("--port <port>", "port to listen on", parsePort, 8888)
+  .option("--host <address>", "address to listen on", "127.0.0.1")
+  .option(
+    "--ca-passphrase-file <file>",
+    "read the CA key passphrase from a file instead of prompting"
+  )
+  .addOption(caOption())
+  .action(async (options) => {
+    if (!checkOpenSSL()) {
+      return fail(
+        "OpenSSL is not installed or not in PATH. Please install OpenSSL first."
+      );
+    }
+
+    const { name: caName, dir: certsDir } = resolveCA(options);
+    const cas = getExistingCAs(certsDir);
+    if (cas.length === 0) {
+      return fail(missingCAMessage(caName));
+    }
+    if (options.caPassphraseFile && !fileExists(options.caPassphraseFile)) {
+      return fail(`Passphrase file not found: ${options.caPassphraseFile}`);
+    }
+
+    // Passphrases stay in memory and reach openssl through its environment
+    for (const ca of cas) {
+      if (!isEncryptedKey(ca.keyPath)) {
+        continue;
+      }
+      if (!options.caPassphraseFile && isUnattended()) {
+        return fail(
+          `The ${ca.label} CA key is passphrase-protected. Pass --ca-passphrase-file when running non-interactively.`
+        );
+      }
+      ca.passphrase = await readCAPassphrase(ca, options.caPassphraseFile);
+      try {
+        crypto.createPrivateKey({
+          key: fs.readFileSync(ca.keyPath),
+          passphrase: ca.passphrase,
+        });
+      } catch (error) {
+        return fail(`Wrong passphrase for the ${ca.label} CA key`);
+      }
+    }
+
+    const server = createRevocationServer({
+      cas,
+      onRequest: ({ method, url, status }) =>
+        console.log(
+          chalk.gray(`${new Date().toISOString()} ${method} ${url} ${status}`)
+        ),
+    });
+
+    server.on("error", (error) => {
+      fail(`OCSP responder stopped: ${error.message}`);
+      server.close();
+    });
+    process.once("SIGINT", () => {
+      server.close();
+      server.closeAllConnections();
+    });
+
+    server.listen(options.port, options.host, () => {
+      const host = options.host.includes(":")
+        ? `[${options.host}]`
+        : options.host;
+      const baseUrl = `http://${host}:${options.port}`;
+
+      log(`OCSP responder listening on ${baseUrl}`, "success");
+      cas.forEach((ca) => {
+        const { crlUrl, ocspUrl } = revocationUrls(baseUrl, ca.certPath);
+        console.log(`  ${chalk.cyan(ca.label)} CA`);
+        console.log(`    OCSP: ${ocspUrl}`);
+        console.log(`    CRL:  ${crlUrl}`);
+        if (!fileExists(getDatabasePaths(ca.certPath).crl)) {
+          log(
+            `No CRL yet for the ${ca.label} CA; run "ssl-cli update-crl" to create one`,
+            "warning"
+          );
+        }
+      });
+      log(
+        `Issue certificates with --revocation-url ${baseUrl} to point clients here. Press Ctrl+C to stop.`,
+        "info"
+      );
+    });
+  });
+
+// Command for exporting certificates for clients that do not read PEM files
+program
+  .command("export")
+  .description("Export a certificate to PKCS#12, DER or combined PEM files")
+  .argument("<domain>", "primary domain of the certificate")
+  .addOption(
+    new Option("--format <format>", "export format")
+      .choices(Object.keys(EXPORT_FORMATS))
+      .makeOptionMandatory()
+  )
+  .option(
+    "-o, --out <file>",
+    "output file (default: exports/<domain> in the CA's directory, with the format's extension)"
+  )
+  .option(
+    "--friendly-name <name>",
+    "PKCS#12 friendly name of the key and certificate (default: the CN)"
+  )
+  .option("--include-root", "also include the root CA certificate in the chain")
+  .option(
+    "--password-file <file>",
+    "read the PKCS#12 export password from a file instead of prompting"
+  )
+  .option(
+    "--legacy",
+    "use 3DES/SHA-1 PKCS#12 encryption for Windows before Server 2019 and Java 8"
+  )
+  .addOption(caOption())
+  .option("-f, --force", "overwrite an existing export without asking")
+  .option("-y, --yes", "run non-interactively, answering yes to all prompts")
+  .action(async (domain, options) => {
+    const unattended = isUnattended(options);
+    const format = EXPORT_FORMATS[options.format];
+
+    if (options.format === "p12" && !checkOpenSSL()) {
+      return fail(
+        "OpenSSL is not installed or not in PATH. Please install OpenSSL first."
+      );
+    }
+
+    try {
+      const { dir: certsDir } = resolveCA(options);
+      const fileBase = toFileName(parseNames(domain)[0] || "");
+      const certPath = path.join(certsDir, `${fileBase}.crt`);
+      const keyPath = path.join(certsDir, `${fileBase}.key`);
+      const outPath = path.resolve(
+        options.out ||
+          path.join(certsDir, "exports", `${fileBase}${format.extension}`)
+      );
+
+      const cert = fileExists(certPath) ? readCertificate(certPath) : null;
+      if (!cert) {
+        return fail(`No certificate found for ${domain} in ${certsDir}`);
+      }
+      if (format.containsKey && !fileExists(keyPath)) {
+        return fail(`Private key ${fileBase}.key not found in ${certsDir}`);
+      }
+      if (options.passwordFile && !fileExists(options.passwordFile)) {
+        return fail(`Password file not found: ${options.passwordFile}`);
+      }
+
+      let password;
+      if (options.format === "p12") {
+        if (options.passwordFile) {
+          password = readPassphraseFile(options.passwordFile);
+        } else if (unattended) {
+          return fail(
+            "--password-file is required to export PKCS#12 when running non-interactively"
+          );
+        } else {
+          password = await promptNewPassword("export password");
+        }
+      }
+
+      if (fileExists(outPath)) {
+        const overwrite = await confirmOverwrite(
+          `${outPath} already exists. Do you want to overwrite it?`,
+          options
+        );
+        if (!overwrite) {
+          if (unattended) {
+            return fail(
+              `${outPath} already exists. Use --force to overwrite it.`
+            );
+          }
+          log("Export cancelled", "warning");
+          return;
+        }
+      }
+
+      // The root is usually trusted separately, so it is left out unless asked for
+      const chain = getIssuerChain(cert, getLocalCACertPaths(certsDir)).filter(
+        (caCert) => options.includeRoot || caCert.issuer !== caCert.subject
+      );
+
+      const result = exportCertificate({
+        format: options.format,
+        cert,
+        keyPath,
+        chain,
+        outPath,
+        friendlyName: options.friendlyName,
+        password,
+        legacy: options.legacy,
+      });
+
+      log(`Exported ${domain} as ${format.label}: ${result.file}`, "success");
+      if (result.format !== "der") {
+        log(
+          `${result.certificates} certificate(s)${
+            result.containsKey ? " and the private key" : ""
+          }`,
+          "info"
+        );
+      }
+      if (result.containsKey) {
+        log(
+          "The file contains the private key; it is readable by you only",
+          "warning"
+        );
+      }
+    } catch (error) {
+      fail(`Error exporting certificate: ${error.message}`);
+    }
+  });
+
+// Extensions that inspect prints in their own, more readable fields
+const INSPECT_DEDICATED_EXTENSIONS = [
+  "subjectAltName",
+  "keyUsage",
+  "extKeyUsage",
+  "basicConstraints",
+];
+
+// Print a labelled value for inspect, skipping empty ones
+function printField(label, value) {
+  if (value === null || value === undefined || value.length === 0) {
+    return;
+  }
+  console.log(`  ${chalk.gray(`${label}:`.padEnd(24))} ${value}`);
+}
+
+// Render a decoded extension value on one line
+function formatExtensionValue(value) {
+  if (!Array.isArray(value)) {
+    return typeof value === "string" ? value : JSON.stringify(value);
+  }
+  return value
+    .map((entry) =>
+      entry.method ? `${entry.method} - ${entry.location}` : String(entry)
+    )
+    .join(", ");
+}
+
+// Describe a key as e.g. "RSA 2048" or "EC prime256v1"
+function formatKey(key) {
+  return [key.type.toUpperCase(), key.size].filter(Boolean).join(" ");
+}
+
+// Print one item found by inspect (certificate, CSR or key)
+function printInspectedItem(item, position) {
+  switch (item.type) {
+    case "certificate": {
+      log(
+        `${position}Certificate: ${item.subject}`,
+        item.expired ? "warning" : "success"
+      );
+      printField("Subject", item.subject);
+      printField(
+        "Issuer",
+        item.selfSigned ? `${item.issuer} (self-signed)` : item.issuer
+      );
+      printField("Serial", item.serialNumber);
+      printField("Version", `v${item.version}`);
+      printField(
+        "Valid",
+        `${item.notBefore} → ${item.notAfter}${
+          item.expired ? " (EXPIRED)" : ""
+        }`
+      );
+      printField("Signature", item.signatureAlgorithm);
+      printField("Public key", formatKey(item.publicKey));
+      printField("SANs", item.subjectAltNames.join(", "));
+      printField("Key usage", item.keyUsage.join(", "));
+      printField("Extended key usage", item.extendedKeyUsage.join(", "));
+      if (item.basicConstraints) {
+        const { ca, pathLen } = item.basicConstraints;
+        printField(
+          "Basic constraints",
+          `CA:${ca ? "TRUE" : "FALSE"}${
+            pathLen === null ? "" : `, pathlen:${pathLen}`
+          }`
+        );
+      }
+      item.extensions
+        .filter((ext) => !INSPECT_DEDICATED_EXTENSIONS.includes(ext.name))
+        .forEach((ext) =>
+          printField(
+            ext.name + (ext.critical ? " (critical)" : ""),
+            formatExtensionValue(ext.value)
+          )
+        );
+      printField("SHA-1", item.fingerprints.sha1);
+      printField("SHA-256", item.fingerprints.sha256);
+      break;
+    }
+    case "csr":
+      log(`${position}Certificate signing request: ${item.subject}`, "success");
+      printField("Subject", item.subject);
+      printField("Public key", formatKey(item.publicKey));
+      printField(
+        "Signature",
+        `${item.signatureAlgorithm}${
+          item.signatureValid === null
+            ? ""
+            : item.signatureValid
+            ? " (valid)"
+            : " (INVALID)"
+        }`
+      );
+      printField("SANs", item.subjectAltNames.join(", "));
+      printField("Key usage", item.keyUsage.join(", "));
+      printField("Extended key usage", item.extendedKeyUsage.join(", "));
+      printField("Public key SHA-256", item.fingerprints.publicKeySha256);
+      break;
+    case "private-key":
+      log(`${position}Private key (${item.format})`, "success");
+      printField(
+        "Encrypted",
+        item.encrypted
+          ? `yes, passphrase-protected with ${item.encryption}`
+          : "no"
+      );
+      if (!item.encrypted) {
+        printField("Algorithm", formatKey(item.key));
+        printField("Public key SHA-256", item.fingerprints.publicKeySha256);
+      }
+      break;
+    case "public-key":
+      log(`${position}Public key`, "success");
+      printField("Algorithm", formatKey(item.key));
+      printField("SHA-256", item.fingerprints.publicKeySha256);
+      break;
+    default:
+      log(`${position}Unsupported PEM block: ${item.label}`, "warning");
+  }
+  console.log();
+}
+
+// Command for decoding certificates, chains, CSRs and keys
+program
+  .command("inspect")
+  .description("Decode a certificate, chain, CSR or private key (PEM or DER)")
+  .argument("<file>", "file to inspect")
+  .option("--json", "print the details as JSON")
+  .option("--no-json", "print text even when output.json is set")
+  .action((file, options) => {
+    let result;
+    try {
+      result = inspect(file);
+    } catch (error) {
+      return fail(error.message);
+    }
+
+    if (wantsJson(options)) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+
+    log(`${file}: ${result.type} (${result.encoding})\n`, "info");
+    result.items.forEach((item, i) =>
+      printInspectedItem(item, result.items.length > 1 ? `#${i + 1} ` : "")
+    );
+
+    if (result.chain) {
+      log(
+        result.chain.ordered
+          ? "Chain order: leaf first, each certificate signed by the next"
+          : "Chain order: certificates are not in leaf-to-root order",
+        result.chain.ordered ? "success" : "warning"
+      );
+      result.chain.certificates.forEach((cert, i) => {
+        const link =
+          cert.signedByNext === null
+            ? ""
+            : cert.signedByNext
+            ? chalk.green(" ✓ signed by next")
+            : chalk.red(" ✗ not signed by next");
+        console.log(`  ${i + 1}. [${cert.role}] ${cert.subject}${link}`);
+      });
+    }
+  });
+
+// Helper function to check OS compatibility
+function checkOSCompatibility() {
+  const os = process.platform;
+  if (os !== "linux") {
+    log("This command is only supported on Linux systems", "error");
+    log("Supported distributions:", "info");
+    log("- Ubuntu/Debian", "info");
+    log("- CentOS/RHEL/Rocky/AlmaLinux", "info");
+    log("- Fedora", "info");
+    log("- Alpine", "info");
+    log("- Arch", "info");
+    log("- openSUSE/SLES", "info");
+    return false;
   }
+  const platform = detectPlatform();
+  log(
+    `Detected ${platform.name}: ${
+      platform.packageManager?.command || "no known package manager"
+    }, ${platform.serviceManager}, nginx sites in ${platform.nginx.dir}`,
+    "info"
+  );
   return true;
 }
 
@@ -418,7 +2481,7 @@ function checkOSCompatibility() {
 async function checkNginxInstallation() {
   const spinner = createSpinner("Checking Nginx installation...").start();
   try {
-    execSync("nginx -v", { stdio: "pipe" });
+    runCommand("nginx", ["-v"]);
     spinner.success({ text: "Nginx is installed" });
     return true;
   } catch (error) {
@@ -427,94 +2490,93 @@ async function checkNginxInstallation() {
   }
 }
 
-// Helper function to check if running in WSL
-function isWSL() {
+// Helper function to reload Nginx, through run (runCommand, or a plan's for --dry-run)
+async function reloadNginx(run = runCommand) {
+  const commands = serviceCommands(
+    detectPlatform().serviceManager,
+    "reload",
+    "nginx"
+  );
   try {
-    const release = execSync("cat /proc/version").toString().toLowerCase();
-    return release.includes("microsoft") || release.includes("wsl");
-  } catch {
+    commands.forEach(({ command, args }) => run(command, args, { sudo: true }));
+    return true;
+  } catch (error) {
+    log("Warning: Could not reload Nginx service automatically", "warning");
+    log(
+      `Please reload Nginx manually using: ${commands
+        .map(({ command, args }) => formatCommand(command, args, true))
+        .join(" && ")}`,
+      "info"
+    );
     return false;
   }
 }
 
-// Helper function to reload Nginx
-async function reloadNginx() {
-  if (isWSL()) {
-    try {
-      execSync("sudo service nginx reload", { stdio: "pipe" });
-      return true;
-    } catch (error) {
-      log("Warning: Could not reload Nginx service automatically", "warning");
-      log("Please reload Nginx manually using one of these commands:", "info");
-      log("1. sudo service nginx reload", "info");
-      log("2. sudo /etc/init.d/nginx reload", "info");
-      return false;
-    }
-  } else {
-    try {
-      execSync("sudo systemctl reload nginx", { stdio: "pipe" });
-      return true;
-    } catch (error) {
-      log("Warning: Could not reload Nginx service automatically", "warning");
-      log(
-        "Please reload Nginx manually using: sudo systemctl reload nginx",
-        "info"
-      );
-      return false;
-    }
+// Install packages with the system package manager, or add them to the plan
+function installPackages(packageManager, packages, plan = null) {
+  const { command, args } = installCommand(packageManager, packages);
+  if (plan) {
+    plan.installPackages(command, packages, args);
+    return;
+  }
+  runCommand(command, args, { sudo: true });
+}
+
+// Platform to install packages on, failing when it has no known package manager
+function packagePlatform() {
+  const platform = detectPlatform();
+  if (!platform.packageManager) {
+    throw new Error(
+      `Could not detect a package manager on ${
+        platform.name
+      }; supported are ${Object.keys(PACKAGE_MANAGERS).join(", ")}`
+    );
+  }
+  return platform;
+}
+
+// Whether this run already refreshed the package lists, so installing nginx and certbot does it once
+let packageListsUpdated = false;
+
+// Refresh the package lists where the package manager does not do it itself
+async function updatePackageLists(packageManager, spinner, run) {
+  if (!packageManager.update || packageListsUpdated) {
+    return;
   }
+  spinner.update({ text: "Updating package list..." });
+  await sleep(1000);
+  run(packageManager.command, packageManager.update, { sudo: true });
+  packageListsUpdated = true;
 }
 
 // Helper function to install Nginx
-async function installNginx() {
+async function installNginx(plan = null) {
+  const run = plan ? plan.runCommand : runCommand;
   const spinner = createSpinner("Installing Nginx").start();
   try {
-    // Detect package manager
-    let packageManager;
-    try {
-      execSync("which apt-get", { stdio: "pipe" });
-      packageManager = "apt";
-    } catch {
-      try {
-        execSync("which yum", { stdio: "pipe" });
-        packageManager = "yum";
-      } catch {
-        try {
-          execSync("which dnf", { stdio: "pipe" });
-          packageManager = "dnf";
-        } catch {
-          throw new Error("Could not detect package manager");
-        }
-      }
-    }
-
-    // Update package list
-    spinner.update({ text: "Updating package list..." });
-    await sleep(1000);
-    execSync("sudo apt-get update", { stdio: "pipe" });
+    const { packageManager, packages, serviceManager } = packagePlatform();
+    await updatePackageLists(packageManager, spinner, run);
 
-    // Install Nginx based on package manager
+    // Install Nginx, and the repositories it comes from
     spinner.update({ text: "Installing Nginx..." });
     await sleep(1000);
-    switch (packageManager) {
-      case "apt":
-        execSync("sudo apt-get install -y nginx", { stdio: "pipe" });
-        break;
-      case "yum":
-        execSync("sudo yum install -y epel-release", { stdio: "pipe" });
-        execSync("sudo yum install -y nginx", { stdio: "pipe" });
-        break;
-      case "dnf":
-        execSync("sudo dnf install -y nginx", { stdio: "pipe" });
-        break;
-    }
-
-    // Start Nginx service
+    if (packages.repositories.length > 0) {
+      installPackages(packageManager, packages.repositories, plan);
+    }
+    installPackages(packageManager, packages.nginx, plan);
+
+    // Start Nginx service, and at boot
     spinner.update({ text: "Starting Nginx service..." });
     await sleep(1000);
-    await reloadNginx();
+    serviceCommands(serviceManager, "enable", "nginx").forEach(
+      ({ command, args }) => run(command, args, { sudo: true })
+    );
 
-    spinner.success({ text: "Nginx installed successfully" });
+    spinner.success({
+      text: plan
+        ? "Nginx installation planned"
+        : "Nginx installed successfully",
+    });
     return true;
   } catch (error) {
     spinner.error({ text: `Failed to install Nginx: ${error.message}` });
@@ -526,7 +2588,7 @@ async function installNginx() {
 async function checkCertbotInstallation() {
   const spinner = createSpinner("Checking certbot installation...").start();
   try {
-    execSync("certbot --version", { stdio: "pipe" });
+    runCommand("certbot", ["--version"]);
     spinner.success({ text: "certbot is installed" });
     return true;
   } catch (error) {
@@ -536,55 +2598,26 @@ async function checkCertbotInstallation() {
 }
 
 // Helper function to install certbot
-async function installCertbot() {
+async function installCertbot(plan = null) {
+  const run = plan ? plan.runCommand : runCommand;
   const spinner = createSpinner("Installing certbot").start();
   try {
-    // Detect package manager
-    let packageManager;
-    try {
-      execSync("which apt-get", { stdio: "pipe" });
-      packageManager = "apt";
-    } catch {
-      try {
-        execSync("which yum", { stdio: "pipe" });
-        packageManager = "yum";
-      } catch {
-        try {
-          execSync("which dnf", { stdio: "pipe" });
-          packageManager = "dnf";
-        } catch {
-          throw new Error("Could not detect package manager");
-        }
-      }
-    }
+    const { packageManager, packages } = packagePlatform();
+    await updatePackageLists(packageManager, spinner, run);
 
-    // Update package list
-    spinner.update({ text: "Updating package list..." });
-    await sleep(1000);
-    execSync("sudo apt-get update", { stdio: "pipe" });
-
-    // Install certbot based on package manager
+    // Install certbot and its nginx plugin, under this distribution's names
     spinner.update({ text: "Installing certbot..." });
     await sleep(1000);
-    switch (packageManager) {
-      case "apt":
-        execSync("sudo apt-get install -y certbot python3-certbot-nginx", {
-          stdio: "pipe",
-        });
-        break;
-      case "yum":
-        execSync("sudo yum install -y certbot python3-certbot-nginx", {
-          stdio: "pipe",
-        });
-        break;
-      case "dnf":
-        execSync("sudo dnf install -y certbot python3-certbot-nginx", {
-          stdio: "pipe",
-        });
-        break;
+    if (packages.repositories.length > 0) {
+      installPackages(packageManager, packages.repositories, plan);
     }
+    installPackages(packageManager, packages.certbot, plan);
 
-    spinner.success({ text: "certbot installed successfully" });
+    spinner.success({
+      text: plan
+        ? "certbot installation planned"
+        : "certbot installed successfully",
+    });
     return true;
   } catch (error) {
     spinner.error({ text: `Failed to install certbot: ${error.message}` });
@@ -595,7 +2628,7 @@ async function installCertbot() {
 // Helper function to check if running as root
 function checkRootPrivileges() {
   try {
-    execSync("sudo -n true", { stdio: "pipe" });
+    runCommand("sudo", ["-n", "true"]);
     return true;
   } catch (error) {
     return false;
@@ -627,41 +2660,134 @@ async function enhancedLog(message, type = "info", animation = false) {
   }
 }
 
+// certbot arguments of each challenge setup-nginx offers
+const CERTBOT_CHALLENGES = {
+  // The nginx plugin answers HTTP-01 itself, so renewals need nobody
+  http: ["--nginx", "--non-interactive"],
+  // A person publishes the TXT record, so renewals cannot run unattended, unless hooks do it
+  dns: ["--manual", "--preferred-challenges", "dns"],
+};
+
+// certbot hooks that publish and remove the TXT record through dns-hook and the --dns-provider
+function certbotDnsHookArgs(options) {
+  // certbot runs the hooks through a shell at every renewal, so paths are absolute and quoted
+  const quote = (value) => `'${value.replace(/'/g, "'\\''")}'`;
+  const hook = (phase) =>
+    [
+      process.execPath,
+      fileURLToPath(import.meta.url),
+      "dns-hook",
+      phase,
+      "--dns-provider",
+      DNS_PROVIDERS[options.dnsProvider]
+        ? options.dnsProvider
+        : path.resolve(options.dnsProvider),
+      ...(options.dnsCredentials
+        ? ["--dns-credentials", path.resolve(options.dnsCredentials)]
+        : []),
+      "--propagation-timeout",
+      String(options.propagationTimeout),
+    ]
+      .map(quote)
+      .join(" ");
+  return [
+    "--manual-auth-hook",
+    hook("auth"),
+    "--manual-cleanup-hook",
+    hook("cleanup"),
+    "--non-interactive",
+  ];
+}
+
+// Ask for the address the CA sends expiry notices to, unless --email gave it
+async function promptEmail(given) {
+  if (given) {
+    return given;
+  }
+  const { email } = await inquirer.prompt([
+    {
+      type: "input",
+      name: "email",
+      message: chalk.yellow(
+        "Enter email address for certificate notifications:"
+      ),
+      filter: (input) => input.trim(),
+      validate: (input) => validateEmail(input) || true,
+    },
+  ]);
+  return email;
+}
+
+// Print why getting a certificate failed
+function showCertificateError(error) {
+  console.log(chalk.red("\n❌ Error Details:"));
+  console.log(chalk.white("----------------------------------------"));
+  console.log(chalk.yellow(error.message));
+  console.log(chalk.white("\n💡 Need help?"));
+  console.log(chalk.blue("Visit: https://community.letsencrypt.org"));
+}
+
+// certbot certonly arguments for the certificate of a site; with several names it is named after the first
+function certbotArguments(names, challenge, email, dnsHookArgs = []) {
+  const domains = [].concat(names);
+  return [
+    "certonly",
+    ...CERTBOT_CHALLENGES[challenge],
+    ...dnsHookArgs,
+    ...(domains.length > 1 ? ["--cert-name", domains[0]] : []),
+    ...domains.flatMap((domain) => ["-d", domain]),
+    "--email",
+    email,
+    "--agree-tos",
+  ];
+}
+
 // Enhanced certbot output handling
-async function runCertbot(domain) {
+async function runCertbot(
+  domain,
+  challenge,
+  dnsHookArgs = [],
+  givenEmail = null
+) {
   try {
     // Show colorful instructions
     console.log(chalk.cyan("\n📝 Certificate Generation Setup"));
     console.log(chalk.white("----------------------------------------"));
 
-    // Email prompt
-    const { email } = await inquirer.prompt([
-      {
-        type: "input",
-        name: "email",
-        message: chalk.yellow(
-          "Enter email address for certificate notifications:"
-        ),
-        validate: (input) => {
-          if (!input) return "Email is required for certificate notifications";
-          if (!input.includes("@")) return "Please enter a valid email address";
-          return true;
-        },
-      },
-    ]);
+    const email = await promptEmail(givenEmail);
 
-    // Show DNS verification instructions
-    console.log(chalk.cyan("\n🔐 DNS Verification Required"));
-    console.log(chalk.white("----------------------------------------"));
-    console.log(chalk.green("1. You will be shown a TXT record value"));
-    console.log(
-      chalk.green("2. Add this as a TXT record in your DNS settings:")
-    );
-    console.log(chalk.yellow(`   - Record Type: TXT`));
-    console.log(chalk.yellow(`   - Record Name: _acme-challenge.${domain}`));
-    console.log(chalk.green("3. Wait 1-2 minutes for DNS propagation"));
-    console.log(chalk.green("4. Press Enter in the certbot prompt to verify"));
-    console.log(chalk.white("----------------------------------------"));
+    if (challenge === "dns" && dnsHookArgs.length > 0) {
+      console.log(
+        chalk.green(
+          `The _acme-challenge.${domain} TXT record is created and removed through the DNS provider`
+        )
+      );
+    } else if (challenge === "dns") {
+      // Show DNS verification instructions
+      console.log(chalk.cyan("\n🔐 DNS Verification Required"));
+      console.log(chalk.white("----------------------------------------"));
+      console.log(chalk.green("1. You will be shown a TXT record value"));
+      console.log(
+        chalk.green("2. Add this as a TXT record in your DNS settings:")
+      );
+      console.log(chalk.yellow(`   - Record Type: TXT`));
+      console.log(chalk.yellow(`   - Record Name: _acme-challenge.${domain}`));
+      console.log(
+        chalk.green(
+          `3. Check that every name server has it: ssl-cli preflight ${domain} --txt <value>`
+        )
+      );
+      console.log(
+        chalk.green("4. Press Enter in the certbot prompt to verify")
+      );
+      console.log(chalk.white("----------------------------------------"));
+    } else {
+      console.log(
+        chalk.green(
+          `Let's Encrypt will check http://${domain}/.well-known/acme-challenge/ through Nginx, so ${domain} must point at this server`
+        )
+      );
+    }
 
     const { ready } = await inquirer.prompt([
       {
@@ -682,11 +2808,10 @@ async function runCertbot(domain) {
     // Run certbot with enhanced output
     console.log(chalk.cyan("\n🔄 Starting certificate generation..."));
     try {
-      execSync(
-        `sudo certbot certonly --manual --preferred-challenges dns -d ${domain} --email ${email} --agree-tos`,
-        {
-          stdio: "inherit",
-        }
+      runCommand(
+        "certbot",
+        certbotArguments(domain, challenge, email, dnsHookArgs),
+        { sudo: true, stdio: "inherit" }
       );
 
       // Show success animation
@@ -697,58 +2822,573 @@ async function runCertbot(domain) {
           console.dir(err);
           return;
         }
-        console.log(gradient.rainbow.multiline(data));
-        console.log(chalk.green("\n✨ Your SSL certificate is ready to use!"));
-      });
+        console.log(gradient.rainbow.multiline(data));
+        console.log(chalk.green("\n✨ Your SSL certificate is ready to use!"));
+      });
+
+      return true;
+    } catch (error) {
+      showCertificateError(error);
+      return false;
+    }
+  } catch (error) {
+    showCertificateError(error);
+    return false;
+  }
+}
+
+// Get the certificate of a site with the built-in ACME client; returns its directory, or null
+async function runNativeAcme(domain, solver, options) {
+  console.log(chalk.cyan("\n📝 Certificate Generation Setup"));
+  console.log(chalk.white("----------------------------------------"));
+  const email = await promptEmail(options.email);
+
+  const directoryUrl = resolveDirectoryUrl(options.directory);
+  const { accountKeyPath, liveDir } = acmePaths(ACME_DIR, directoryUrl, domain);
+  try {
+    const client = createAcmeClient({
+      directoryUrl,
+      accountKey: loadAccountKey(accountKeyPath),
+    });
+    if (!(await agreeToTerms(client, directoryUrl, options))) {
+      return null;
+    }
+    console.log(
+      chalk.cyan(`\n🔄 Requesting a certificate from ${directoryUrl}...`)
+    );
+    await requestAcmeCertificate(client, {
+      names: [domain],
+      solver,
+      keyType: "ec:P-256",
+      email,
+      outDir: liveDir,
+    });
+    log(`Certificate saved in ${liveDir}`, "success");
+    return liveDir;
+  } catch (error) {
+    showCertificateError(error);
+    return null;
+  }
+}
+
+// Switch a site from plain HTTP to HTTPS once its certificate has been issued
+async function enableHttps(site, plan = null) {
+  const run = plan ? plan.runCommand : runCommand;
+  const spinner = createSpinner("Enabling HTTPS...").start();
+  try {
+    if (TLS_PROFILES[site.profile].dhparam && !fileExists(DHPARAM_PATH)) {
+      spinner.update({ text: "Writing Diffie-Hellman parameters..." });
+      run("tee", [DHPARAM_PATH], { sudo: true, input: dhParameters() });
+    }
+    // A rejected HTTPS site is replaced by the working HTTP one again
+    applySiteConfig(site.domain, httpsSiteConfig(site), {
+      plan,
+      layout: detectPlatform().nginx,
+    });
+    await reloadNginx(run);
+    spinner.success({
+      text: `HTTPS ${plan ? "planned" : "enabled"} with the Mozilla ${
+        site.profile
+      } profile!`,
+    });
+    return true;
+  } catch (error) {
+    spinner.error({ text: "Failed to enable HTTPS" });
+    console.log(chalk.red("\n❌ Configuration Error:"));
+    console.log(chalk.yellow(error.message));
+    return false;
+  }
+}
+
+// Install the deploy hook that reloads Nginx, and the renewal timer (or cron job) unless certbot's package brought one
+async function setupRenewal(plan = null) {
+  const spinner = createSpinner("Setting up automatic renewal...").start();
+  try {
+    const renewal = installRenewal({ plan });
+    let scheduler =
+      renewal.scheduler === "systemd" ? "a systemd timer" : "a cron job";
+    if (renewal.packaged) {
+      scheduler = `certbot's ${
+        renewal.scheduler === "systemd" ? "systemd timer" : "cron job"
+      } ${renewal.packaged}`;
+    }
+    spinner.success({
+      text: `Automatic renewal ${
+        plan ? "planned" : "set up"
+      } with ${scheduler}`,
+    });
+    return renewal;
+  } catch (error) {
+    spinner.error({
+      text: `Failed to set up automatic renewal: ${error.message}`,
+    });
+    return null;
+  }
+}
+
+// Print what a --dry-run would have done, in order
+function printPlan(plan) {
+  console.log(chalk.cyan("\n📋 Dry run: nothing was changed. The plan:"));
+  console.log(chalk.white("----------------------------------------"));
+  if (plan.steps.length === 0) {
+    console.log("Nothing to change");
+  }
+  plan.steps.forEach((step, i) => {
+    const number = chalk.bold(`${i + 1}.`);
+    if (step.type === "packages") {
+      console.log(
+        `${number} Install ${step.packages.join(", ")} with ${step.manager}`
+      );
+      console.log(
+        chalk.gray(`   ${formatCommand(step.manager, step.args, true)}`)
+      );
+    } else if (step.type === "command") {
+      console.log(
+        `${number} Run ${chalk.yellow(
+          formatCommand(step.command, step.args, step.sudo)
+        )}`
+      );
+    } else if (step.type === "note") {
+      console.log(`${number} ${step.text}`);
+    } else {
+      const mode = step.mode ? ` (mode ${step.mode})` : "";
+      console.log(
+        `${number} ${step.exists ? "Change" : "Create"} ${chalk.yellow(
+          step.file
+        )}${mode}`
+      );
+      if (step.diff === null) {
+        console.log(chalk.gray("   cannot read the current file to compare"));
+      } else if (step.diff === "") {
+        console.log(chalk.gray("   unchanged"));
+      } else {
+        step.diff
+          .trimEnd()
+          .split("\n")
+          .forEach((line) => {
+            const color = line.startsWith("@@")
+              ? chalk.cyan
+              : line.startsWith("+")
+              ? chalk.green
+              : line.startsWith("-")
+              ? chalk.red
+              : chalk.white;
+            console.log(`   ${color(line)}`);
+          });
+      }
+    }
+  });
+  console.log(chalk.white("----------------------------------------"));
+}
+
+// Print pre-flight check results; true when none failed
+function printPreflight(results) {
+  const types = { ok: "success", warning: "warning", failed: "error" };
+  results.forEach(({ check, status, message }) =>
+    log(`${check}: ${message}`, types[status])
+  );
+  return results.every(({ status }) => status !== "failed");
+}
+
+// Command to check a domain before asking Let's Encrypt for a certificate
+program
+  .command("preflight")
+  .description(
+    "Check DNS records, CAA records and ports 80/443 before requesting a Let's Encrypt certificate"
+  )
+  .argument("<domain>", "domain to check, e.g. example.com or *.example.com")
+  .addOption(
+    new Option(
+      "--challenge <type>",
+      "challenge the certificate will use; a missing A/AAAA record only fails http"
+    )
+      .choices(ACME_CHALLENGES)
+      .default("http")
+  )
+  .option(
+    "--ip <addresses...>",
+    "public addresses of this host, when it is behind NAT or a load balancer"
+  )
+  .option(
+    "--txt <value>",
+    "wait until every authoritative name server serves this _acme-challenge TXT value"
+  )
+  .option("--timeout <seconds>", "how long --txt waits", parseSeconds, 300)
+  .option("--json", "print the results as JSON")
+  .option("--no-json", "print text even when output.json is set")
+  .action(async (input, options) => {
+    const domain = toASCIIName(input.trim().toLowerCase());
+    const nameError = validateDnsName(domain);
+    if (nameError) {
+      return fail(nameError);
+    }
+    const ipErrors = (options.ip || []).filter((ip) => !isIPAddress(ip));
+    if (ipErrors.length > 0) {
+      return fail(`Not an IP address: ${ipErrors.join(", ")}`);
+    }
+
+    const json = wantsJson(options);
+    const results = await runPreflight(domain, {
+      challenge: options.challenge,
+      expected: options.ip,
+    });
+    if (options.txt) {
+      const name = `_acme-challenge.${domain.replace(/^\*\./, "")}`;
+      const check = "TXT";
+      try {
+        const servers = await waitForTxtRecord(name, options.txt, {
+          timeout: options.timeout * 1000,
+          onProgress: json ? undefined : progressLogger(),
+        });
+        results.push({
+          check,
+          status: "ok",
+          message: `${servers.join(", ")} serve the ${name} record`,
+        });
+      } catch (error) {
+        results.push({ check, status: "failed", message: error.message });
+      }
+    }
+
+    if (json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else if (printPreflight(results)) {
+      log(`${domain} is ready for Let's Encrypt`, "success");
+    }
+    if (results.some(({ status }) => status === "failed")) {
+      process.exitCode = 1;
+    }
+  });
+
+// Make nginx.conf load the sites of the layout, which Arch's does not out of the box
+function includeSites(layout, plan) {
+  if (includeLayout(layout, { plan })) {
+    log(
+      `nginx.conf did not load the sites in ${
+        layout.enabledDir || layout.dir
+      }: ${plan ? "the plan adds" : "added"} an include`,
+      "info"
+    );
+  }
+}
+
+// setup-nginx --spec: bring every site of a spec file to its configuration, changing only what differs
+async function setupFromSpec(options) {
+  const plan = options.dryRun ? createPlan() : null;
+  const run = plan ? plan.runCommand : runCommand;
+
+  let spec;
+  try {
+    spec = loadSiteSpec(options.spec);
+  } catch (error) {
+    if (error instanceof SiteSpecError) {
+      log(`${options.spec} is not a valid site spec:`, "error");
+      error.errors.forEach((message) => log(`- ${message}`, "error"));
+      process.exitCode = 1;
+      return;
+    }
+    return fail(error.message);
+  }
+  if (options.client === "native") {
+    return fail("--spec gets its certificates with certbot");
+  }
+  const challenge = options.challenge || (options.dnsProvider ? "dns" : "http");
+  if (challenge === "dns" && !options.dnsProvider) {
+    return fail(
+      "--spec with --challenge dns needs a --dns-provider to publish the TXT records"
+    );
+  }
+  if (!checkOSCompatibility()) {
+    process.exitCode = 1;
+    return;
+  }
+  // Only root can read the certificates in /etc/letsencrypt/live; sudo rights are not enough
+  if (!plan && process.getuid?.() !== 0) {
+    return fail(
+      `This command must run as root: sudo ssl-cli setup-nginx --spec ${options.spec}`
+    );
+  }
+  if (plan) {
+    log(
+      "Dry run: nothing is changed, the steps are printed at the end",
+      "info"
+    );
+  }
+  // Load the DNS provider before Nginx is touched, so wrong settings stop the setup early
+  const dnsHookArgs = options.dnsProvider ? certbotDnsHookArgs(options) : [];
+  if (options.dnsProvider) {
+    try {
+      await dnsSolverFor(options);
+    } catch (error) {
+      return fail(`DNS provider error: ${error.message}`);
+    }
+  }
+
+  if (!(await checkNginxInstallation())) {
+    if (!isUnattended(options)) {
+      const { install } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "install",
+          message: "Nginx is not installed. Would you like to install it?",
+          default: true,
+        },
+      ]);
+      if (!install) {
+        return fail("Nginx installation is required to proceed");
+      }
+    }
+    if (!(await installNginx(plan))) {
+      process.exitCode = 1;
+      return;
+    }
+  }
+  const tlsSites = spec.sites.filter((site) => site.tls);
+  if (
+    tlsSites.length > 0 &&
+    !(await checkCertbotInstallation()) &&
+    !(await installCertbot(plan))
+  ) {
+    process.exitCode = 1;
+    return;
+  }
+  if (plan && tlsSites.length > 0 && process.getuid?.() !== 0) {
+    log(
+      "Without root the dry run cannot read /etc/letsencrypt/live, so it plans every certificate",
+      "warning"
+    );
+  }
+
+  const layout = detectPlatform().nginx;
+  try {
+    includeSites(layout, plan);
+  } catch (error) {
+    return fail(error.message);
+  }
+  let email = spec.email;
+  let results;
+  try {
+    results = await applySiteSpec(spec, {
+      layout,
+      plan,
+      profile: options.tlsProfile,
+      // Catch what Let's Encrypt would reject before it counts against the rate limits
+      preflight: async (site) => {
+        if (!options.preflight) {
+          return;
+        }
+        const checks = [];
+        for (const name of site.serverNames) {
+          checks.push(...(await runPreflight(name, { challenge })));
+        }
+        if (!printPreflight(checks)) {
+          if (!plan) {
+            throw new Error(
+              `Fix the failed checks of ${site.serverNames[0]}, or run again with --no-preflight to skip them`
+            );
+          }
+          log("A real run would stop here; the dry run goes on", "warning");
+        }
+      },
+      requestCertificate: async (site) => {
+        if (!email) {
+          if (isUnattended(options)) {
+            throw new Error(
+              "Set email in the spec: it is the address for certificate notices"
+            );
+          }
+          email = await promptEmail();
+        }
+        log(
+          `Requesting a certificate for ${site.serverNames.join(", ")}`,
+          "info"
+        );
+        run(
+          "certbot",
+          certbotArguments(site.serverNames, challenge, email, dnsHookArgs),
+          { sudo: true, stdio: "inherit" }
+        );
+      },
+      reload: () => reloadNginx(run),
+      onSite: ({ domain, changed }) => {
+        if (changed) {
+          log(
+            `${domain}: ${plan ? "change planned" : "configured"}`,
+            "success"
+          );
+        } else {
+          log(`${domain}: unchanged`, "info");
+        }
+      },
+    });
+  } catch (error) {
+    return fail(error.message);
+  }
+  const reload = results.some(({ changed }) => changed);
+  const requested = results.some(({ certificate }) => certificate);
 
-      return true;
-    } catch (error) {
-      console.log(chalk.red("\n❌ Error Details:"));
-      console.log(chalk.white("----------------------------------------"));
-      console.log(chalk.yellow(error.message));
-      console.log(chalk.white("\n💡 Need help?"));
-      console.log(chalk.blue("Visit: https://community.letsencrypt.org"));
-      return false;
-    }
+  if (reload) {
+    await reloadNginx(run);
+  }
+  // Renewal is set up once, and again when certificates are added
+  if (
+    tlsSites.length > 0 &&
+    (requested || !fileExists(DEPLOY_HOOK_PATH)) &&
+    !(await setupRenewal(plan))
+  ) {
+    process.exitCode = 1;
+  }
+  if (plan) {
+    printPlan(plan);
+  } else if (!reload) {
+    log(`Every site already matches ${options.spec}`, "success");
+  }
+}
+
+// Put back the site setup-nginx replaced when no certificate came of it, so one that served HTTPS does again
+async function restorePreviousSite(domain, backup, layout) {
+  if (!backup.available) {
+    return;
+  }
+  try {
+    rollbackSite(domain, backup.id, { layout });
+    await reloadNginx();
+    log(`The previous configuration of ${domain} is restored`, "info");
   } catch (error) {
-    console.log(chalk.red("\n❌ Error Details:"));
-    console.log(chalk.white("----------------------------------------"));
-    console.log(chalk.yellow(error.message));
-    console.log(chalk.white("\n💡 Need help?"));
-    console.log(chalk.blue("Visit: https://community.letsencrypt.org"));
-    return false;
+    log(
+      `Could not restore the previous configuration of ${domain}: ${error.message}`,
+      "error"
+    );
+    log(
+      `To restore it: sudo ssl-cli nginx-rollback ${domain} ${backup.id}`,
+      "info"
+    );
   }
 }
 
 // Command for Nginx SSL setup
-program
-  .command("setup-nginx")
-  .description("Set up Nginx with SSL certificates from Let's Encrypt")
-  .action(async () => {
-    // Show title animation
-    console.clear();
-    const title = chalkAnimation.pulse("Nginx SSL Setup\n");
-    await sleep(1500);
-    title.stop();
+addDnsProviderOptions(
+  program
+    .command("setup-nginx")
+    .description("Set up Nginx with SSL certificates from Let's Encrypt")
+    .option(
+      "-d, --domain <name>",
+      "domain name of the site (prompted for when not given)",
+      parseHostname
+    )
+    .option(
+      "-p, --port <port>",
+      "port of the application Nginx proxies to (prompted for when not given)",
+      parsePort
+    )
+    .option(
+      "--email <email>",
+      "address for certificate notices (prompted for when not given)",
+      parseEmail
+    )
+    .addOption(
+      new Option(
+        "--tls-profile <profile>",
+        "Mozilla TLS profile of the HTTPS site (prompted for when not given)"
+      ).choices(Object.keys(TLS_PROFILES))
+    )
+    .addOption(
+      new Option(
+        "--challenge <type>",
+        "how Let's Encrypt checks the domain: http (renews unattended) or dns (prompted for when not given; the default with --dns-provider)"
+      ).choices(Object.keys(CERTBOT_CHALLENGES))
+    )
+    .addOption(
+      new Option(
+        "--client <client>",
+        "ACME client: certbot, or native for the built-in one (prompted for when not given)"
+      ).choices(["certbot", "native"])
+    )
+    .option(
+      "--directory <url>",
+      "ACME directory of the native client, or letsencrypt / letsencrypt-staging",
+      getConfig("acme.directory")
+    )
+    .option(
+      "--agree-tos",
+      "with --client native, agree to the terms of service of the ACME server (asked when not given)"
+    )
+    .option(
+      "--no-preflight",
+      "skip the DNS, CAA and port checks before the certificate is requested"
+    )
+    .option(
+      "--dry-run",
+      "print the files, commands and packages of the setup, with diffs, without changing anything"
+    )
+    .option(
+      "--spec <file>",
+      "set up every site of a YAML or JSON spec instead of prompting for one; unchanged sites are left alone"
+    )
+    .option(
+      "-y, --yes",
+      "install what is missing, and take the defaults of what is not given, without asking"
+    )
+).action(async (options) => {
+  if (options.spec) {
+    await setupFromSpec(options);
+    return;
+  }
+  // With --dry-run, every change goes into the plan and nothing needs root
+  const plan = options.dryRun ? createPlan() : null;
+  const run = plan ? plan.runCommand : runCommand;
+  const unattended = isUnattended(options);
+
+  // A dry run keeps the terminal, so its output can be read back or piped
+  if (!plan) {
+    await showTitle("pulse", "Nginx SSL Setup", options);
+  }
+  await enhancedLog("Setting up Nginx with SSL certificates...", "info");
+  await enhancedLog("Note: This requires root/admin privileges", "warning");
+
+  if (plan) {
+    await enhancedLog(
+      "Dry run: nothing is changed, the steps are printed at the end",
+      "info"
+    );
+  }
 
-    await enhancedLog("Setting up Nginx with SSL certificates...", "info");
-    await enhancedLog("Note: This requires root/admin privileges", "warning");
+  try {
+    // Check OS compatibility
+    if (!checkOSCompatibility()) {
+      process.exitCode = 1;
+      return;
+    }
 
-    try {
-      // Check OS compatibility
-      if (!checkOSCompatibility()) {
-        return;
-      }
+    // Check root privileges
+    if (!plan && !checkRootPrivileges()) {
+      log("This command requires root privileges", "error");
+      log("Please run with sudo: sudo ssl-cli setup-nginx", "info");
+      process.exitCode = 1;
+      return;
+    }
 
-      // Check root privileges
-      if (!checkRootPrivileges()) {
-        log("This command requires root privileges", "error");
-        log("Please run with sudo: sudo ssl-cli setup-nginx", "info");
-        return;
-      }
+    // Without a terminal nothing can be asked, so what is missing must be given
+    if (unattended && (!options.domain || !options.port)) {
+      log(
+        "Without a terminal to ask at, pass the site with --domain and --port",
+        "error"
+      );
+      process.exitCode = 1;
+      return;
+    }
+    if (unattended && !options.email && options.client !== "native") {
+      log(
+        "Without a terminal to ask at, pass the address for certificate notices with --email",
+        "error"
+      );
+      process.exitCode = 1;
+      return;
+    }
 
-      // Check and install Nginx if needed
-      if (!(await checkNginxInstallation())) {
+    // Check and install Nginx if needed; a dry run plans the installation instead of asking
+    if (!(await checkNginxInstallation())) {
+      if (!plan && !unattended) {
         const { install } = await inquirer.prompt([
           {
             type: "confirm",
@@ -760,16 +3400,143 @@ program
 
         if (!install) {
           log("Nginx installation is required to proceed", "error");
+          process.exitCode = 1;
           return;
         }
+      }
+
+      if (!(await installNginx(plan))) {
+        process.exitCode = 1;
+        return;
+      }
+    }
+
+    // Get domain and port with enhanced prompts
+    const answers = await inquirer.prompt([
+      {
+        type: "input",
+        name: "domain",
+        message: chalk.yellow("Enter domain name (e.g., staging.klynk.in):"),
+        // Internationalized names are used in their punycode form
+        filter: toHostname,
+        validate: (input) => validateHostname(input) || true,
+        when: !options.domain,
+      },
+      {
+        type: "input",
+        name: "port",
+        message: chalk.yellow("Enter application port (e.g., 7000):"),
+        validate: (input) => validatePort(input) || true,
+        filter: (input) => input.trim(),
+        when: !options.port,
+      },
+      {
+        type: "list",
+        name: "profile",
+        message: chalk.yellow("Choose a TLS profile:"),
+        choices: [
+          {
+            name: "intermediate: TLS 1.2 and 1.3, works with almost every client",
+            value: "intermediate",
+          },
+          {
+            name: "modern: TLS 1.3 only, for clients from the last few years",
+            value: "modern",
+          },
+        ],
+        default: "intermediate",
+        when: !unattended && !options.tlsProfile,
+      },
+      {
+        type: "list",
+        name: "challenge",
+        message: chalk.yellow("How should Let's Encrypt verify the domain?"),
+        choices: [
+          {
+            name: "http: through Nginx on port 80; renews automatically",
+            value: "http",
+          },
+          {
+            name: "dns: a TXT record you add by hand; must be renewed by hand",
+            value: "dns",
+          },
+        ],
+        default: "http",
+        when: !unattended && !options.challenge && !options.dnsProvider,
+      },
+      {
+        type: "list",
+        name: "client",
+        message: chalk.yellow("Which ACME client should get the certificate?"),
+        choices: [
+          {
+            name: "certbot: installed from your distribution's packages",
+            value: "certbot",
+          },
+          {
+            name: "native: built into ssl-cli, nothing to install",
+            value: "native",
+          },
+        ],
+        default: "certbot",
+        when: !unattended && !options.client,
+      },
+    ]);
+
+    const {
+      domain = options.domain,
+      port = options.port,
+      profile = options.tlsProfile || "intermediate",
+      challenge = options.challenge || (options.dnsProvider ? "dns" : "http"),
+      client = options.client || "certbot",
+    } = answers;
+    const native = client === "native";
+
+    if (options.dnsProvider && challenge !== "dns") {
+      log("--dns-provider only answers --challenge dns", "error");
+      process.exitCode = 1;
+      return;
+    }
+    // Load the DNS provider before Nginx is touched, so wrong settings stop the setup early
+    let dnsSolver = null;
+    if (options.dnsProvider) {
+      try {
+        dnsSolver = await dnsSolverFor(options);
+      } catch (error) {
+        log(`DNS provider error: ${error.message}`, "error");
+        process.exitCode = 1;
+        return;
+      }
+    }
 
-        if (!(await installNginx())) {
+    // Catch what Let's Encrypt would reject before it counts against the rate limits
+    if (options.preflight) {
+      console.log(chalk.cyan("\n🔍 Pre-flight checks"));
+      const results = await runPreflight(domain, { challenge });
+      if (!printPreflight(results)) {
+        log(
+          "Fix the failed checks, or run again with --no-preflight to skip them",
+          plan ? "warning" : "error"
+        );
+        if (!plan) {
+          process.exitCode = 1;
           return;
         }
+        log("A real run would stop here; the dry run goes on", "warning");
       }
+    }
 
-      // Check and install certbot if needed
-      if (!(await checkCertbotInstallation())) {
+    // The built-in client writes the certificate and challenge files itself
+    if (native && !plan && process.getuid?.() !== 0) {
+      log("The native client must run as root", "error");
+      log("Please run: sudo ssl-cli setup-nginx --client native", "info");
+      process.exitCode = 1;
+      return;
+    }
+
+    // Check and install certbot if needed
+    if (!native && !(await checkCertbotInstallation())) {
+      if (!plan && !unattended) {
         const { install } = await inquirer.prompt([
           {
             type: "confirm",
@@ -781,146 +3548,411 @@ program
 
         if (!install) {
           log("certbot installation is required to proceed", "error");
+          process.exitCode = 1;
           return;
         }
+      }
 
-        if (!(await installCertbot())) {
-          return;
-        }
+      if (!(await installCertbot(plan))) {
+        process.exitCode = 1;
+        return;
       }
+    }
 
-      // Get domain and port with enhanced prompts
-      const answers = await inquirer.prompt([
-        {
-          type: "input",
-          name: "domain",
-          message: chalk.yellow("Enter domain name (e.g., staging.klynk.in):"),
-          validate: (input) => input.length > 0 || "Domain name is required",
-        },
-        {
-          type: "input",
-          name: "port",
-          message: chalk.yellow("Enter application port (e.g., 7000):"),
-          validate: (input) => !isNaN(input) || "Port must be a number",
-        },
-      ]);
+    const site = {
+      domain,
+      port,
+      profile,
+      // Nginx answers HTTP-01 for the native client from a webroot location
+      acmeWebroot: native && challenge === "http" ? ACME_WEBROOT : undefined,
+    };
+
+    // Create Nginx configuration with enhanced output
+    const configSpinner = createSpinner(
+      "Creating Nginx configuration..."
+    ).start();
+    const layout = detectPlatform().nginx;
+    let backup;
+    try {
+      includeSites(layout, plan);
+      // Back up, write, enable and test the site; a rejected one is rolled back.
+      // A site that serves HTTPS already keeps doing so while it is issued.
+      backup = applyIssuingSite(site, { plan, layout });
+      await reloadNginx(run);
+      configSpinner.success({
+        text: plan
+          ? "Nginx configuration planned"
+          : "Nginx configuration created and reloaded!",
+      });
+      if (!plan && backup.available) {
+        log(
+          `The previous configuration is backed up: sudo ssl-cli nginx-rollback ${domain} ${backup.id} restores it`,
+          "info"
+        );
+      }
+    } catch (error) {
+      configSpinner.error({ text: "Failed to configure Nginx" });
+      console.log(chalk.red("\n❌ Configuration Error:"));
+      console.log(chalk.yellow(error.message));
+      process.exitCode = 1;
+      return;
+    }
+
+    if (plan) {
+      // Certificates cannot be rehearsed: the CA only issues real ones
+      if (native) {
+        const directoryUrl = resolveDirectoryUrl(options.directory);
+        site.certDir = acmePaths(ACME_DIR, directoryUrl, domain).liveDir;
+        plan.note(
+          `Get a certificate for ${domain} from ${directoryUrl} with the built-in ACME client (${challenge}-01) and write it to ${site.certDir}`
+        );
+      } else {
+        const email = await promptEmail(options.email);
+        run(
+          "certbot",
+          certbotArguments(
+            domain,
+            challenge,
+            email,
+            dnsSolver ? certbotDnsHookArgs(options) : []
+          ),
+          { sudo: true }
+        );
+      }
+    } else if (native) {
+      // Nginx serves HTTP-01 files through the location in the HTTP site
+      const solver =
+        challenge === "dns"
+          ? dnsSolver || (await dnsSolverFor(options))
+          : webrootHttpSolver(ACME_WEBROOT);
+      site.certDir = await runNativeAcme(domain, solver, options);
+      if (!site.certDir) {
+        await restorePreviousSite(domain, backup, layout);
+        process.exitCode = 1;
+        return;
+      }
+    } else if (
+      !(await runCertbot(
+        domain,
+        challenge,
+        dnsSolver ? certbotDnsHookArgs(options) : [],
+        options.email
+      ))
+    ) {
+      await restorePreviousSite(domain, backup, layout);
+      process.exitCode = 1;
+      return;
+    }
 
-      const { domain, port } = answers;
+    // certbot certonly leaves nginx alone, so switch the site to HTTPS here
+    if (!(await enableHttps(site, plan))) {
+      if (!plan) {
+        await restorePreviousSite(domain, backup, layout);
+      }
+      process.exitCode = 1;
+      return;
+    }
 
-      // Create Nginx configuration with enhanced output
-      const configSpinner = createSpinner(
-        "Creating Nginx configuration..."
-      ).start();
-      try {
-        const configContent = `server {
-    listen 80;
-    server_name ${domain};
-    
-    location / {
-        proxy_pass http://127.0.0.1:${port};
-        proxy_set_header Host \$host;
-        proxy_set_header X-Real-IP \$remote_addr;
-        proxy_set_header X-Forwarded-For \$proxy_add_x_forwarded_for;
-        proxy_read_timeout 90s;
-        proxy_connect_timeout 90s;
-        proxy_send_timeout 90s;
-        proxy_set_header Upgrade \$http_upgrade;
-        proxy_set_header Connection 'upgrade';
-        proxy_cache_bypass \$http_upgrade;
-    }
-}`;
-
-        // Write initial Nginx config
-        execSync(`sudo tee /etc/nginx/sites-available/${domain}.conf`, {
-          input: configContent,
-          stdio: "pipe",
-        });
+    // The renewal timer runs certbot, which knows nothing of native certificates
+    const renewal = native ? null : await setupRenewal(plan);
 
-        // Create symbolic link
-        if (fs.existsSync(`/etc/nginx/sites-enabled/${domain}.conf`)) {
-          execSync(`sudo rm /etc/nginx/sites-enabled/${domain}.conf`, {
-            stdio: "inherit",
-          });
-        }
-        execSync(
-          `sudo ln -s /etc/nginx/sites-available/${domain}.conf /etc/nginx/sites-enabled/${domain}.conf`,
-          { stdio: "inherit" }
-        );
+    if (plan) {
+      printPlan(plan);
+      return;
+    }
 
-        // Test Nginx configuration with enhanced output
-        console.log(chalk.cyan("\n🔍 Testing Nginx configuration..."));
-        execSync("sudo nginx -t", { stdio: "inherit" });
-        await reloadNginx();
-        configSpinner.success({
-          text: "Nginx configuration created and reloaded!",
-        });
-      } catch (error) {
-        configSpinner.error({ text: "Failed to configure Nginx" });
-        console.log(chalk.red("\n❌ Configuration Error:"));
-        console.log(chalk.yellow(error.message));
+    // Show success message
+    console.clear();
+    figlet("SSL Setup Complete!", (err, data) => {
+      if (err) {
+        console.log("Something went wrong with figlet");
+        console.dir(err);
         return;
       }
+      console.log(gradient.pastel.multiline(data));
 
-      // DNS verification with enhanced instructions
-      console.log(chalk.cyan("\n🔐 DNS Verification Required"));
-      console.log(chalk.white("----------------------------------------"));
-      console.log(chalk.green("1. You will be shown a TXT record value"));
-      console.log(
-        chalk.green("2. Add this as a TXT record in your DNS settings:")
+      log("Configuration completed successfully!", "success");
+      log("\nImportant Notes:", "info");
+      if (native) {
+        log(
+          "1. Certificates from the native client are not renewed automatically: run setup-nginx again before they expire",
+          "warning"
+        );
+      } else if (challenge === "dns" && !dnsSolver) {
+        log(
+          "1. Certificates from a manual DNS challenge cannot renew unattended: run setup-nginx again before they expire, or use --challenge http",
+          "warning"
+        );
+      } else {
+        log("1. SSL certificates will automatically renew", "info");
+      }
+      if (native) {
+        log(`2. Certificate files are in ${site.certDir}`, "info");
+        log("3. To renew: sudo ssl-cli setup-nginx --client native", "info");
+      } else {
+        log(
+          renewal
+            ? `2. Renewal checks run twice daily (${
+                renewal.scheduler === "systemd"
+                  ? `systemd timer ${RENEWAL_UNIT}.timer`
+                  : `cron job /etc/cron.d/${RENEWAL_UNIT}`
+              }); Nginx is tested and reloaded after each renewal`
+            : "2. Renewal automation is not set up: run 'sudo ssl-cli renewal install'",
+          renewal ? "info" : "warning"
+        );
+        log(
+          "3. To check renewal: ssl-cli renewal status, ssl-cli renewal test",
+          "info"
+        );
+      }
+      log(
+        challenge === "dns"
+          ? `4. To verify DNS records: dig +short TXT _acme-challenge.${domain}`
+          : `4. To check the certificate: ssl-cli inspect ${
+              site.certDir || `/etc/letsencrypt/live/${domain}`
+            }/cert.pem`,
+        "info"
       );
-      console.log(chalk.yellow(`   - Record Type: TXT`));
-      console.log(chalk.yellow(`   - Record Name: _acme-challenge.${domain}`));
-      console.log(chalk.green("3. Wait 1-2 minutes for DNS propagation"));
-      console.log(
-        chalk.green("4. Press Enter in the certbot prompt to verify")
+      log(`5. To test HTTPS: curl -I https://${domain}`, "info");
+      log(`6. HTTP requests to ${domain} are redirected to HTTPS`, "info");
+    });
+  } catch (error) {
+    await enhancedLog(`Error: ${error.message}`, "error");
+    process.exitCode = 1;
+  }
+});
+
+// One line about a site backup for nginx-rollback
+function describeSiteBackup(backup) {
+  const enabled = {
+    link: "enabled",
+    file: "enabled (copied file)",
+  }[backup.enabled?.type];
+  return `${backup.id}  ${new Date(backup.createdAt).toLocaleString()}  ${
+    backup.available ? `site file, ${enabled || "disabled"}` : "no site"
+  }`;
+}
+
+// Command to restore a site configuration setup-nginx replaced
+program
+  .command("nginx-rollback")
+  .description(
+    "Restore an earlier Nginx configuration of a site from the backups setup-nginx makes"
+  )
+  .argument("<domain>", "domain of the site")
+  .argument("[backup]", "backup to restore (chosen from a list when not given)")
+  .option("--list", "list the backups of the site")
+  .option("-y, --yes", "restore the latest backup without asking")
+  .action(async (input, id, options) => {
+    const domain = toHostname(input);
+    const nameError = validateHostname(domain);
+    if (nameError) {
+      return fail(nameError);
+    }
+    const backups = listSiteBackups(domain);
+    if (backups.length === 0) {
+      return fail(
+        `No backups of ${domain} in ${path.join(NGINX_BACKUP_DIR, domain)}`
       );
-      console.log(chalk.white("----------------------------------------"));
+    }
+    if (options.list) {
+      backups.forEach((backup) => console.log(describeSiteBackup(backup)));
+      return;
+    }
 
-      const { ready } = await inquirer.prompt([
+    if (!id && options.yes) {
+      id = backups[0].id;
+    } else if (!id) {
+      if (isUnattended(options)) {
+        return fail(
+          "Name the backup to restore, or pass --yes for the latest; --list shows them"
+        );
+      }
+      ({ id } = await inquirer.prompt([
         {
-          type: "confirm",
-          name: "ready",
-          message: chalk.yellow(
-            "Are you ready to proceed with certificate generation?"
-          ),
-          default: true,
+          type: "list",
+          name: "id",
+          message: `Restore which configuration of ${domain}?`,
+          choices: backups.map((backup) => ({
+            name: describeSiteBackup(backup),
+            value: backup.id,
+          })),
         },
-      ]);
+      ]));
+    }
 
-      if (!ready) {
-        await enhancedLog("Certificate generation cancelled", "warning");
-        return;
+    if (!checkRootPrivileges()) {
+      return fail("Restoring a site needs root: run with sudo");
+    }
+    try {
+      const { backup } = rollbackSite(domain, id, {
+        layout: detectPlatform().nginx,
+      });
+      await reloadNginx();
+      log(`Restored the configuration of ${domain} from ${id}`, "success");
+      log(`The configuration it replaced is backed up as ${backup.id}`, "info");
+    } catch (error) {
+      if (error instanceof InvalidOptionError) {
+        return fail(`${error.message}; --list shows the backups`);
       }
-
-      // Run certbot with enhanced output
-      if (!(await runCertbot(domain))) {
-        return;
+      if (error instanceof NginxConfigError) {
+        return fail(error.message);
       }
+      return fail(`Could not restore ${domain}: ${error.message}`);
+    }
+  });
 
-      // Show success message
-      console.clear();
-      figlet("SSL Setup Complete!", (err, data) => {
-        if (err) {
-          console.log("Something went wrong with figlet");
-          console.dir(err);
-          return;
-        }
-        console.log(gradient.pastel.multiline(data));
+// Hook certbot runs for DNS-01 with --dns-provider: it sets CERTBOT_DOMAIN and CERTBOT_VALIDATION
+addDnsProviderOptions(
+  program
+    .command("dns-hook", { hidden: true })
+    .description(
+      "Create (auth) or remove (cleanup) certbot's TXT record through a DNS provider"
+    )
+    .addArgument(new Argument("<phase>").choices(["auth", "cleanup"]))
+).action(async (phase, options) => {
+  const { CERTBOT_DOMAIN: domain, CERTBOT_VALIDATION: value } = process.env;
+  if (!domain || !value || !options.dnsProvider) {
+    return fail(
+      "dns-hook is run by certbot, which sets CERTBOT_DOMAIN and CERTBOT_VALIDATION, with --dns-provider"
+    );
+  }
+  const task = { dnsName: `_acme-challenge.${domain}`, dnsValue: value };
+  try {
+    const solver = await dnsSolverFor(options);
+    await (phase === "auth" ? solver.prepare(task) : solver.cleanup(task));
+  } catch (error) {
+    return fail(
+      error instanceof DnsPropagationError
+        ? error.message
+        : `DNS provider error: ${error.message}`
+    );
+  }
+});
+
+// Commands for the automatic renewal of Let's Encrypt certificates
+const renewalCommand = program
+  .command("renewal")
+  .description(
+    "Set up, check and rehearse the renewal of Let's Encrypt certificates"
+  );
+
+renewalCommand
+  .command("install")
+  .description(
+    "Install the hook that reloads Nginx, and a renewal timer (or cron job) unless certbot has one"
+  )
+  .action(async () => {
+    if (!checkRootPrivileges()) {
+      return fail(
+        "This command requires root privileges: sudo ssl-cli renewal install"
+      );
+    }
+    const renewal = await setupRenewal();
+    if (!renewal) {
+      process.exitCode = 1;
+      return;
+    }
+    renewal.files.forEach((file) => log(`Wrote ${file}`, "info"));
+  });
 
-        log("Configuration completed successfully!", "success");
-        log("\nImportant Notes:", "info");
-        log("1. SSL certificates will automatically renew", "info");
-        log("2. Renewal checks run twice daily", "info");
-        log(`3. Renewal script location: /root/renew-ssl-${domain}.sh`, "info");
-        log(
-          `4. To verify DNS records: dig +short TXT _acme-challenge.${domain}`,
-          "info"
+// Print when the renewal ran and runs next
+function printRenewalSchedule(status) {
+  if (!status.scheduler) {
+    log(
+      "Automatic renewal is not set up: run 'sudo ssl-cli renewal install'",
+      "warning"
+    );
+    return;
+  }
+  let name = status.packaged;
+  if (!name) {
+    name =
+      status.scheduler === "systemd"
+        ? `${RENEWAL_UNIT}.timer`
+        : `/etc/cron.d/${RENEWAL_UNIT}`;
+  }
+  log(
+    `Scheduler: ${
+      status.scheduler === "systemd" ? "systemd timer" : "cron job"
+    } ${name}${status.packaged ? " (from the certbot package)" : ""}`,
+    "info"
+  );
+  log(
+    `Next run: ${status.nextRun ? status.nextRun.toLocaleString() : "unknown"}`,
+    status.nextRun ? "info" : "warning"
+  );
+  if (status.lastRun) {
+    log(`Last run: ${status.lastRun.toLocaleString()}`, "info");
+  }
+}
+
+renewalCommand
+  .command("status")
+  .description(
+    "Show the renewal schedule, the Nginx reload hook and the certificates certbot manages"
+  )
+  .option("--json", "print the status as JSON")
+  .option("--no-json", "print text even when output.json is set")
+  .action((options) => {
+    const status = renewalStatus();
+    if (wantsJson(options)) {
+      console.log(JSON.stringify(status, null, 2));
+      return;
+    }
+
+    printRenewalSchedule(status);
+    log(
+      status.deployHook
+        ? "Nginx is tested and reloaded after each renewal"
+        : "No deploy hook: Nginx is not reloaded after renewals",
+      status.deployHook ? "info" : "warning"
+    );
+
+    if (status.certificates === null) {
+      log(
+        "Run with sudo to list the certificates in /etc/letsencrypt",
+        "warning"
+      );
+      return;
+    }
+    if (status.certificates.length === 0) {
+      log("certbot manages no certificates yet", "info");
+      return;
+    }
+    console.log(chalk.yellow("\nCertificates:"));
+    status.certificates.forEach((cert) => {
+      console.log(
+        `  ${chalk.cyan(cert.name)}  ${
+          cert.notAfter
+            ? `${cert.notAfter.slice(0, 10)} (${formatDaysLeft(cert.daysLeft)})`
+            : chalk.red("certificate missing")
+        }`
+      );
+      if (!cert.unattended) {
+        console.log(
+          chalk.yellow(
+            "    uses a manual challenge, so it cannot renew unattended; run setup-nginx again with --challenge http"
+          )
         );
-        log(`5. To test HTTPS: curl -k https://${domain}`, "info");
-      });
+      }
+    });
+  });
+
+renewalCommand
+  .command("test")
+  .description(
+    "Rehearse the renewal with certbot renew --dry-run against the staging server"
+  )
+  .action(() => {
+    try {
+      testRenewal();
     } catch (error) {
-      await enhancedLog(`Error: ${error.message}`, "error");
+      fail(`certbot renew --dry-run failed: ${error.message.split("\n")[0]}`);
+      return;
     }
+    log("The dry run succeeded: renewals should work", "success");
+    printRenewalSchedule(renewalStatus());
   });
 
 // Command to check OpenSSL installation
@@ -940,13 +3972,14 @@ program
     if (checkOpenSSL()) {
       spinner.success({ text: "OpenSSL is installed and working correctly" });
       try {
-        const version = execSync("openssl version").toString().trim();
+        const version = runOpenSSL(["version"]).toString().trim();
         log(`OpenSSL version: ${version}`, "info");
       } catch (error) {
         log("Could not determine OpenSSL version", "warning");
       }
     } else {
       spinner.error({ text: "OpenSSL is not installed or not in PATH" });
+      process.exitCode = 1;
       console.log(chalk.yellow("\nPlease install OpenSSL:"));
       console.log(
         chalk.white(`
@@ -970,4 +4003,4 @@ if (process.argv.length <= 2) {
   welcomeScreen();
 }
 
-program.parse();
+program.parseAsync();
@@ -0,0 +1,585 @@
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import https from "https";
+import path from "path";
+import { AcmeError } from "./errors.js";
+import { digestFor } from "./keys.js";
+import { toFileName } from "./names.js";
+import { createCertificationRequest } from "./native.js";
+import { decodePem, encodePem } from "./pem.js";
+
+// Well-known ACME directories, usable by name wherever a directory URL is expected
+export const ACME_DIRECTORIES = {
+  letsencrypt: "https://acme-v02.api.letsencrypt.org/directory",
+  "letsencrypt-staging":
+    "https://acme-staging-v02.api.letsencrypt.org/directory",
+};
+
+// Challenge types the client can answer
+export const ACME_CHALLENGES = ["http", "dns"];
+
+// JWS algorithm and digest for each kind of account key
+const JWS_ALGORITHMS = {
+  prime256v1: { alg: "ES256", digest: "sha256" },
+  secp384r1: { alg: "ES384", digest: "sha384" },
+  rsa: { alg: "RS256", digest: "sha256" },
+};
+
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Turn a directory name from ACME_DIRECTORIES into its URL
+ * @param {string} directory - Name or URL
+ * @returns {string} Directory URL
+ */
+export const resolveDirectoryUrl = (directory) =>
+  ACME_DIRECTORIES[directory] || directory;
+
+/**
+ * Encode data as unpadded base64url, as JWS wants it
+ * @param {Buffer|string} data - Data
+ * @returns {string} base64url text
+ */
+const base64url = (data) => Buffer.from(data).toString("base64url");
+
+/**
+ * Pick the JWS algorithm of an account key
+ * @param {crypto.KeyObject} key - Account private key
+ * @returns {{alg: string, digest: string}} e.g. ES256 and sha256
+ * @throws {AcmeError} If ACME servers do not accept the key type
+ */
+const jwsAlgorithmOf = (key) => {
+  const algorithm =
+    JWS_ALGORITHMS[
+      key.asymmetricKeyType === "ec"
+        ? key.asymmetricKeyDetails.namedCurve
+        : key.asymmetricKeyType
+    ];
+  if (!algorithm) {
+    throw new AcmeError("ACME account keys must be RSA, P-256 or P-384 keys");
+  }
+  return algorithm;
+};
+
+/**
+ * Public JWK of a key with only its required members, in the order RFC 7638 hashes them
+ * @param {crypto.KeyObject} key - Private or public key
+ * @returns {Object} JWK
+ */
+const publicJwk = (key) => {
+  const jwk = (
+    key.type === "private" ? crypto.createPublicKey(key) : key
+  ).export({ format: "jwk" });
+  return jwk.kty === "RSA"
+    ? { e: jwk.e, kty: jwk.kty, n: jwk.n }
+    : { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y };
+};
+
+/**
+ * Compute the key authorization of a challenge (RFC 8555 section 8.1)
+ * @param {string} token - Challenge token
+ * @param {crypto.KeyObject} accountKey - Account key
+ * @returns {string} token.thumbprint
+ */
+export const keyAuthorization = (token, accountKey) =>
+  `${token}.${base64url(
+    crypto
+      .createHash("sha256")
+      .update(JSON.stringify(publicJwk(accountKey)))
+      .digest()
+  )}`;
+
+/**
+ * Value of the _acme-challenge TXT record for a DNS-01 challenge
+ * @param {string} authorization - Key authorization
+ * @returns {string} base64url SHA-256 of the key authorization
+ */
+export const dnsRecordValue = (authorization) =>
+  base64url(crypto.createHash("sha256").update(authorization).digest());
+
+/**
+ * Send an HTTP(S) request
+ * @param {string} url - URL
+ * @param {Object} [options] - method, headers, body, and ca to trust instead of the system CAs
+ * @returns {Promise<{status: number, headers: Object, body: Buffer}>} Response
+ */
+const request = (url, { method = "GET", headers = {}, body, ca } = {}) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === "https:" ? https : http;
+    const req = transport.request(
+      target,
+      {
+        method,
+        headers: { "User-Agent": "ssl-cli", ...headers },
+        ...(ca ? { ca } : {}),
+      },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks),
+          })
+        );
+      }
+    );
+    req.on("error", reject);
+    req.setTimeout(REQUEST_TIMEOUT_MS, () =>
+      req.destroy(new Error(`Request to ${url} timed out`))
+    );
+    req.end(body);
+  });
+
+/**
+ * Decode a response body: JSON (including problem documents) or text
+ * @param {{headers: Object, body: Buffer}} response - Response
+ * @returns {Object|string} Parsed body
+ */
+const parseBody = ({ headers, body }) =>
+  /json/.test(headers["content-type"] || "")
+    ? JSON.parse(body.toString())
+    : body.toString();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Create a client for an ACME (RFC 8555) server
+ * @param {Object} options - Options
+ * @param {string} options.directoryUrl - Directory URL, e.g. ACME_DIRECTORIES.letsencrypt
+ * @param {crypto.KeyObject} options.accountKey - Account private key (P-256, P-384 or RSA)
+ * @param {string|Buffer} [options.ca] - CA certificate(s) to trust for the server, e.g. Pebble's test CA
+ * @param {number} [options.pollInterval=2000] - Milliseconds between status checks, unless the server sends Retry-After
+ * @param {number} [options.timeout=300000] - Milliseconds to wait for an authorization or order
+ * @returns {Object} Client with register, newOrder, fetch, respond, finalize, waitFor and downloadCertificate
+ */
+export const createAcmeClient = ({
+  directoryUrl,
+  accountKey,
+  ca,
+  pollInterval = 2000,
+  timeout = 5 * 60 * 1000,
+}) => {
+  const { alg, digest } = jwsAlgorithmOf(accountKey);
+  let directory = null;
+  let nonce = null;
+  let accountUrl = null;
+
+  const getDirectory = async () => {
+    if (!directory) {
+      const response = await request(directoryUrl, { ca });
+      if (response.status !== 200) {
+        throw new AcmeError(
+          `Could not read the ACME directory at ${directoryUrl} (HTTP ${response.status})`
+        );
+      }
+      directory = JSON.parse(response.body.toString());
+    }
+    return directory;
+  };
+
+  // Every signed request spends a nonce; responses hand out the next one
+  const takeNonce = async () => {
+    if (nonce) {
+      const current = nonce;
+      nonce = null;
+      return current;
+    }
+    const { newNonce } = await getDirectory();
+    const response = await request(newNonce, { method: "HEAD", ca });
+    if (!response.headers["replay-nonce"]) {
+      throw new AcmeError(`${newNonce} returned no Replay-Nonce`);
+    }
+    return response.headers["replay-nonce"];
+  };
+
+  // Flattened JWS; until the account exists the key itself identifies it, then its URL
+  const sign = (url, payload, currentNonce) => {
+    const header = base64url(
+      JSON.stringify({
+        alg,
+        nonce: currentNonce,
+        url,
+        ...(accountUrl ? { kid: accountUrl } : { jwk: publicJwk(accountKey) }),
+      })
+    );
+    const body = payload === null ? "" : base64url(JSON.stringify(payload));
+    const signature = crypto.sign(digest, Buffer.from(`${header}.${body}`), {
+      key: accountKey,
+      dsaEncoding: "ieee-p1363",
+    });
+    return JSON.stringify({
+      protected: header,
+      payload: body,
+      signature: base64url(signature),
+    });
+  };
+
+  // Signed POST; a null payload is a POST-as-GET
+  const post = async (url, payload, { accept, retries = 1 } = {}) => {
+    const response = await request(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/jose+json",
+        ...(accept ? { Accept: accept } : {}),
+      },
+      body: sign(url, payload, await takeNonce()),
+      ca,
+    });
+    nonce = response.headers["replay-nonce"] || null;
+    const body = parseBody(response);
+
+    if (response.status >= 400) {
+      const problem = typeof body === "object" ? body : null;
+      // Servers may reject any nonce as stale; a retry with the fresh one is expected
+      if (
+        problem?.type === "urn:ietf:params:acme:error:badNonce" &&
+        retries > 0
+      ) {
+        return post(url, payload, { accept, retries: retries - 1 });
+      }
+      throw new AcmeError(
+        `${problem?.detail || `HTTP ${response.status}`} (${url})`,
+        problem
+      );
+    }
+    return { headers: response.headers, body };
+  };
+
+  const client = {
+    directory: getDirectory,
+
+    /**
+     * Create the account of the key, or find it if it exists
+     * @param {Object} options - email, and termsOfServiceAgreed
+     * @returns {Promise<Object>} Account, with its url
+     */
+    register: async ({ email, termsOfServiceAgreed = false } = {}) => {
+      const { newAccount } = await getDirectory();
+      const { headers, body } = await post(newAccount, {
+        termsOfServiceAgreed,
+        ...(email ? { contact: [`mailto:${email}`] } : {}),
+      });
+      accountUrl = headers.location;
+      return { ...body, url: accountUrl };
+    },
+
+    /**
+     * Order a certificate
+     * @param {string[]} names - DNS names
+     * @returns {Promise<Object>} Order, with its url
+     */
+    newOrder: async (names) => {
+      const { newOrder } = await getDirectory();
+      const { headers, body } = await post(newOrder, {
+        identifiers: names.map((value) => ({ type: "dns", value })),
+      });
+      return { ...body, url: headers.location };
+    },
+
+    // Read an order, authorization or challenge
+    fetch: async (url) => (await post(url, null)).body,
+
+    // Tell the server a challenge is ready to be validated
+    respond: async (challengeUrl) => (await post(challengeUrl, {})).body,
+
+    // Send the CSR of a ready order
+    finalize: async (order, csrDer) =>
+      (await post(order.finalize, { csr: base64url(csrDer) })).body,
+
+    /**
+     * Poll an order or authorization until it reaches one of the statuses
+     * @param {string} url - Order or authorization URL
+     * @param {string[]} statuses - Statuses to wait for, e.g. ["valid"]
+     * @returns {Promise<Object>} The object in one of those statuses
+     * @throws {AcmeError} If it becomes invalid or the timeout passes
+     */
+    waitFor: async (url, statuses) => {
+      const deadline = Date.now() + timeout;
+      for (;;) {
+        const { headers, body } = await post(url, null);
+        if (statuses.includes(body.status)) {
+          return { ...body, url };
+        }
+        if (body.status === "invalid") {
+          // An authorization's reason is on the challenge that failed
+          const error =
+            body.error ||
+            (body.challenges || []).find((challenge) => challenge.error)?.error;
+          throw new AcmeError(
+            `${body.identifier ? body.identifier.value : "The order"}: ${
+              error?.detail || "invalid"
+            }`,
+            error || null
+          );
+        }
+        if (Date.now() > deadline) {
+          throw new AcmeError(
+            `Timed out waiting for ${url} (status ${body.status})`
+          );
+        }
+        const retryAfter = Number(headers["retry-after"]);
+        await sleep(retryAfter > 0 ? retryAfter * 1000 : pollInterval);
+      }
+    },
+
+    // Download the certificate of a valid order, followed by its chain
+    downloadCertificate: async (url) =>
+      (await post(url, null, { accept: "application/pem-certificate-chain" }))
+        .body,
+
+    keyAuthorization: (token) => keyAuthorization(token, accountKey),
+  };
+  return client;
+};
+
+/**
+ * Get a certificate: register, order, answer each challenge with a solver, finalize and download
+ *
+ * A solver is an object with the challenge type it answers ("http-01" or
+ * "dns-01") and async prepare(task) and cleanup(task) methods. The task
+ * holds domain, wildcard, token, keyAuthorization, and for DNS-01 the
+ * dnsName and dnsValue of the TXT record.
+ * @param {Object} options - Options
+ * @param {Object} options.client - From createAcmeClient()
+ * @param {string[]} options.names - DNS names; the first one becomes the CN when it fits
+ * @param {Object} options.solver - Challenge solver, see above
+ * @param {crypto.KeyObject} options.privateKey - Key of the new certificate
+ * @param {string} [options.email] - Account contact address
+ * @param {boolean} [options.termsOfServiceAgreed=false] - Agree to the server's terms of service
+ * @param {Function} [options.onProgress] - Called with a message before each step
+ * @returns {Promise<string>} PEM certificate followed by its chain
+ * @throws {AcmeError} If the server rejects a request or a challenge fails
+ */
+export const obtainCertificate = async ({
+  client,
+  names,
+  solver,
+  privateKey,
+  email,
+  termsOfServiceAgreed = false,
+  onProgress = () => {},
+}) => {
+  onProgress("Registering the ACME account...");
+  await client.register({ email, termsOfServiceAgreed });
+
+  onProgress(`Ordering a certificate for ${names.join(", ")}...`);
+  let order = await client.newOrder(names);
+
+  for (const authorizationUrl of order.authorizations) {
+    const authorization = await client.fetch(authorizationUrl);
+    // Authorizations stay valid for a while, so a recent order may have left it done
+    if (authorization.status === "valid") {
+      continue;
+    }
+    const domain = authorization.identifier.value;
+    const challenge = authorization.challenges.find(
+      ({ type }) => type === solver.type
+    );
+    if (!challenge) {
+      throw new AcmeError(
+        `The ACME server offers no ${solver.type} challenge for ${domain}`
+      );
+    }
+    // Tokens end up in file names and URLs, so only base64url is accepted
+    if (!/^[\w-]+$/.test(challenge.token)) {
+      throw new AcmeError(
+        `The ACME server sent an invalid token for ${domain}`
+      );
+    }
+
+    const authorizationKey = client.keyAuthorization(challenge.token);
+    const task = {
+      domain,
+      wildcard: Boolean(authorization.wildcard),
+      token: challenge.token,
+      keyAuthorization: authorizationKey,
+      dnsName: `_acme-challenge.${domain}`,
+      dnsValue: dnsRecordValue(authorizationKey),
+    };
+    await solver.prepare(task);
+    try {
+      onProgress(`Validating ${domain} (${solver.type})...`);
+      await client.respond(challenge.url);
+      await client.waitFor(authorizationUrl, ["valid"]);
+    } finally {
+      await solver.cleanup(task);
+    }
+  }
+
+  order = await client.waitFor(order.url, ["ready", "valid"]);
+  if (order.status === "ready") {
+    onProgress("Finalizing the order...");
+    const csr = createCertificationRequest({
+      // A CN is limited to 64 characters; the names are in the subjectAltName anyway
+      subject: names[0].length <= 64 ? `/CN=${names[0]}` : undefined,
+      names,
+      privateKey,
+      digest: digestFor(privateKey),
+    });
+    await client.finalize(order, decodePem(csr)[0].der);
+    order = await client.waitFor(order.url, ["valid"]);
+  }
+
+  onProgress("Downloading the certificate...");
+  return client.downloadCertificate(order.certificate);
+};
+
+/**
+ * Answer HTTP-01 challenges with a temporary HTTP server of our own
+ * @param {Object} [options] - Options
+ * @param {number} [options.port=80] - Port to listen on; the ACME server always connects to port 80
+ * @param {string} [options.host] - Address to listen on (default: all)
+ * @returns {Object} Solver for obtainCertificate()
+ */
+export const standaloneHttpSolver = ({ port = 80, host } = {}) => {
+  const tokens = new Map();
+  let server = null;
+
+  const handle = (req, res) => {
+    const match = req.url.match(/^\/\.well-known\/acme-challenge\/([\w-]+)$/);
+    const answer = match && tokens.get(match[1]);
+    if (!answer) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "text/plain" }).end(answer);
+  };
+
+  return {
+    type: "http-01",
+    prepare: async ({ token, keyAuthorization: answer }) => {
+      tokens.set(token, answer);
+      if (server) {
+        return;
+      }
+      server = http.createServer(handle);
+      try {
+        await new Promise((resolve, reject) => {
+          server.once("error", reject);
+          server.listen(port, host, resolve);
+        });
+      } catch (error) {
+        server = null;
+        throw new AcmeError(
+          error.code === "EADDRINUSE"
+            ? `Port ${port} is in use, e.g. by a web server: answer the challenge through it with a webroot instead`
+            : `Cannot listen on port ${port}: ${error.message}`
+        );
+      }
+    },
+    cleanup: async ({ token }) => {
+      tokens.delete(token);
+      if (tokens.size > 0 || !server) {
+        return;
+      }
+      const closing = server;
+      server = null;
+      // The validation server may keep its connection open
+      closing.closeAllConnections();
+      await new Promise((resolve) => closing.close(resolve));
+    },
+  };
+};
+
+/**
+ * Answer HTTP-01 challenges with files that a running web server serves
+ * @param {string} webroot - Directory served at http://<domain>/, e.g. nginx's root for /.well-known/acme-challenge/
+ * @returns {Object} Solver for obtainCertificate()
+ */
+export const webrootHttpSolver = (webroot) => {
+  const fileOf = (token) =>
+    path.join(webroot, ".well-known", "acme-challenge", token);
+  return {
+    type: "http-01",
+    prepare: async ({ token, keyAuthorization: answer }) => {
+      fs.mkdirSync(path.dirname(fileOf(token)), {
+        recursive: true,
+        mode: 0o755,
+      });
+      // The web server's worker user must be able to read it
+      fs.writeFileSync(fileOf(token), answer, { mode: 0o644 });
+    },
+    cleanup: async ({ token }) => {
+      fs.rmSync(fileOf(token), { force: true });
+    },
+  };
+};
+
+/**
+ * Where the files of an ACME CA live under a base directory
+ * @param {string} baseDir - e.g. <store>/acme
+ * @param {string} directoryUrl - Directory URL, which decides the account
+ * @param {string} [domain] - First name of a certificate
+ * @returns {{accountKeyPath: string, liveDir: string|null}} Account key (one per ACME server) and certificate directory
+ */
+export const acmePaths = (baseDir, directoryUrl, domain) => ({
+  accountKeyPath: path.join(
+    baseDir,
+    "accounts",
+    toFileName(new URL(directoryUrl).host),
+    "account.key"
+  ),
+  liveDir: domain ? path.join(baseDir, "live", toFileName(domain)) : null,
+});
+
+/**
+ * Load an account key, creating a P-256 key the first time
+ * @param {string} keyPath - PEM key file
+ * @returns {crypto.KeyObject} Account key
+ */
+export const loadAccountKey = (keyPath) => {
+  if (fs.existsSync(keyPath)) {
+    return crypto.createPrivateKey(fs.readFileSync(keyPath));
+  }
+  const { privateKey } = crypto.generateKeyPairSync("ec", {
+    namedCurve: "P-256",
+  });
+  fs.mkdirSync(path.dirname(keyPath), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(
+    keyPath,
+    privateKey.export({ type: "pkcs8", format: "pem" }),
+    {
+      mode: 0o600,
+    }
+  );
+  return privateKey;
+};
+
+/**
+ * Write a certificate the way certbot lays out /etc/letsencrypt/live/<domain>/
+ * @param {string} dir - Directory to write to
+ * @param {Object} certificate - Certificate
+ * @param {crypto.KeyObject} certificate.privateKey - Its key
+ * @param {string} certificate.chain - PEM certificate followed by its chain, from obtainCertificate()
+ * @returns {{keyPath: string, certPath: string, chainPath: string, fullchainPath: string}} Files written
+ */
+export const saveCertificate = (dir, { privateKey, chain }) => {
+  const pems = decodePem(chain)
+    .filter(({ label }) => label === "CERTIFICATE")
+    .map(({ der }) => encodePem("CERTIFICATE", der));
+  if (pems.length === 0) {
+    throw new AcmeError("The ACME server returned no certificate");
+  }
+  const files = {
+    keyPath: path.join(dir, "privkey.pem"),
+    certPath: path.join(dir, "cert.pem"),
+    chainPath: path.join(dir, "chain.pem"),
+    fullchainPath: path.join(dir, "fullchain.pem"),
+  };
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    files.keyPath,
+    privateKey.export({ type: "pkcs8", format: "pem" }),
+    { mode: 0o600 }
+  );
+  fs.chmodSync(files.keyPath, 0o600);
+  fs.writeFileSync(files.certPath, pems[0]);
+  fs.writeFileSync(files.chainPath, pems.slice(1).join(""));
+  fs.writeFileSync(files.fullchainPath, pems.join(""));
+  return files;
+};
@@ -0,0 +1,396 @@
+import fs from "fs";
+import path from "path";
+import {
+  checkOpenSSL,
+  fileExists,
+  getCertsDir,
+  isEncryptedKey,
+} from "../utils.js";
+import {
+  DEFAULT_CA_NAME,
+  caExists,
+  getCADir,
+  getCAPaths,
+  getLocalCACertPaths,
+  getSigningCA,
+  listCAs as listCAsIn,
+  validateCAName,
+  writeFullChain,
+} from "./ca.js";
+import { revocationUrls } from "./cadb.js";
+import {
+  CERT_SORTERS,
+  listCertificates,
+  readCertificate,
+  summarizeCertificate,
+} from "./certs.js";
+import { getConfig, getSubjectDefaults, setConfigValue } from "./config.js";
+import {
+  CANotFoundError,
+  FileExistsError,
+  FileNotFoundError,
+  InvalidFileError,
+  InvalidNameError,
+  InvalidOptionError,
+  OpenSSLNotFoundError,
+  PassphraseRequiredError,
+} from "./errors.js";
+import { inspectFile } from "./inspect.js";
+import { buildSubject, createSelfSignedCA, issueCertificate } from "./issue.js";
+import { BACKENDS, DIGESTS, KEY_TYPES, generateKey } from "./keys.js";
+import { parseNames, toFileName, validateNames } from "./names.js";
+
+export * from "./errors.js";
+export {
+  ACME_DIRECTORIES,
+  createAcmeClient,
+  obtainCertificate,
+  standaloneHttpSolver,
+  webrootHttpSolver,
+} from "./acme.js";
+export { DNS_PROVIDERS, dnsProviderSolver, loadDnsProvider } from "./dns.js";
+export { runPreflight, waitForTxtRecord } from "./preflight.js";
+export { detectPlatform } from "./platform.js";
+export { loadSiteSpec, validateSiteSpec } from "./spec.js";
+export { applySiteConfig, listSiteBackups, rollbackSite } from "./sites.js";
+export { SERVERS, renderServerConfig, writeServerConfig } from "./servers.js";
+
+/**
+ * Check the options shared by the functions that issue certificates
+ * @param {Object} options - days, keyType, digest and backend
+ * @throws {InvalidOptionError} If one of them is not supported
+ * @throws {OpenSSLNotFoundError} If the openssl backend is chosen and OpenSSL is not installed
+ */
+const checkIssueOptions = ({ days, keyType, digest, backend }) => {
+  if (!Number.isInteger(days) || days <= 0) {
+    throw new InvalidOptionError("days must be a positive whole number");
+  }
+  if (!KEY_TYPES[keyType]) {
+    throw new InvalidOptionError(
+      `keyType must be one of ${Object.keys(KEY_TYPES).join(", ")}`
+    );
+  }
+  if (!DIGESTS.includes(digest)) {
+    throw new InvalidOptionError(`digest must be one of ${DIGESTS.join(", ")}`);
+  }
+  if (!BACKENDS.includes(backend)) {
+    throw new InvalidOptionError(
+      `backend must be one of ${BACKENDS.join(", ")}`
+    );
+  }
+  if (backend === "openssl" && !checkOpenSSL()) {
+    throw new OpenSSLNotFoundError();
+  }
+};
+
+/**
+ * Get the directory of a CA, checking its name
+ * @param {string} store - Certificates directory
+ * @param {string} name - CA name
+ * @returns {string} Directory, see getCADir()
+ * @throws {InvalidOptionError} If the name cannot be used as a directory name
+ */
+const resolveCADir = (store, name) => {
+  const error = validateCAName(name);
+  if (error) {
+    throw new InvalidOptionError(error);
+  }
+  return getCADir(store, name);
+};
+
+/**
+ * Check that a passphrase file given by the caller exists
+ * @param {string} [passphraseFile] - File holding a passphrase
+ * @throws {FileNotFoundError} If the file is missing
+ */
+const checkPassphraseFile = (passphraseFile) => {
+  if (passphraseFile && !fileExists(passphraseFile)) {
+    throw new FileNotFoundError(passphraseFile);
+  }
+};
+
+/**
+ * Run the steps that write a set of files, removing them all if a step fails
+ * @param {string[]} files - Files the steps write
+ * @param {Function} steps - Writes the files
+ */
+const writeAllOrNothing = (files, steps) => {
+  try {
+    steps();
+  } catch (error) {
+    files.filter(fileExists).forEach((file) => fs.unlinkSync(file));
+    throw error;
+  }
+};
+
+/**
+ * Create a root CA for local development
+ *
+ * The CA key is always encrypted, so a passphrase or passphrase file is
+ * required.
+ * @param {Object} [options] - Options
+ * @param {string} [options.name] - CA name; defaults to the defaultCA setting
+ * @param {string} [options.commonName] - CN; defaults to the subject.caCommonName setting
+ * @param {string} [options.subject] - Full subject in OpenSSL form, e.g. "/CN=Acme Dev CA/O=Acme" (overrides commonName)
+ * @param {number} [options.days] - Validity in days; defaults to the days.ca setting
+ * @param {string} [options.keyType] - One of KEY_TYPES; defaults to the keyType setting
+ * @param {string} [options.digest] - One of DIGESTS; defaults to the digest setting
+ * @param {string} [options.passphrase] - Passphrase for the CA key
+ * @param {string} [options.passphraseFile] - File holding the passphrase
+ * @param {boolean} [options.overwrite=false] - Replace an existing CA
+ * @param {string} [options.store] - Certificates directory; defaults to the store setting
+ * @param {string} [options.backend] - One of BACKENDS; defaults to the backend setting
+ * @returns {Object} name, dir, certPath, keyPath, whether it is (or was just made) the default CA, and a summary of the certificate
+ * @throws {SslCliError} OpenSSLNotFoundError, InvalidOptionError, FileNotFoundError, PassphraseRequiredError, FileExistsError or OpenSSLError
+ */
+export const createCA = ({
+  name = getConfig("defaultCA"),
+  commonName,
+  subject,
+  days = getConfig("days.ca"),
+  keyType = getConfig("keyType"),
+  digest = getConfig("digest"),
+  passphrase,
+  passphraseFile,
+  overwrite = false,
+  store = getCertsDir(),
+  backend = getConfig("backend"),
+} = {}) => {
+  checkIssueOptions({ days, keyType, digest, backend });
+  const dir = resolveCADir(store, name);
+  const { root } = getCAPaths(dir);
+
+  checkPassphraseFile(passphraseFile);
+  if (!passphrase && !passphraseFile) {
+    throw new PassphraseRequiredError(
+      "The CA key is encrypted: pass passphrase or passphraseFile"
+    );
+  }
+
+  const existing = [root.certPath, root.keyPath].filter(fileExists);
+  if (existing.length > 0 && !overwrite) {
+    throw new FileExistsError(`The "${name}" CA already exists`, existing);
+  }
+
+  // Named CAs get the name in their CN so they can be told apart once trusted
+  const defaultCommonName = `${getConfig("subject.caCommonName")}${
+    name === DEFAULT_CA_NAME ? "" : ` (${name})`
+  }`;
+  const caSubject =
+    subject ||
+    buildSubject(commonName || defaultCommonName, getSubjectDefaults());
+
+  fs.mkdirSync(dir, { recursive: true });
+  writeAllOrNothing([root.keyPath, root.certPath], () => {
+    generateKey(root.keyPath, {
+      keyType,
+      encrypt: true,
+      passphrase,
+      passphraseFile,
+      backend,
+    });
+    createSelfSignedCA({
+      keyPath: root.keyPath,
+      certPath: root.certPath,
+      subject: caSubject,
+      days,
+      digest,
+      passphrase,
+      passphraseFile,
+      backend,
+    });
+  });
+
+  // The first CA created in the configured store becomes the default one
+  const defaultName = getConfig("defaultCA");
+  const madeDefault =
+    path.resolve(store) === getCertsDir() &&
+    name !== defaultName &&
+    !caExists(getCAPaths(getCADir(store, defaultName)).root);
+  if (madeDefault) {
+    setConfigValue("defaultCA", name);
+  }
+
+  return {
+    name,
+    dir,
+    certPath: root.certPath,
+    keyPath: root.keyPath,
+    default: madeDefault || name === defaultName,
+    madeDefault,
+    certificate: summarizeCertificate(
+      root.certPath,
+      readCertificate(root.certPath)
+    ),
+  };
+};
+
+/**
+ * Create a certificate signed by a local CA
+ *
+ * Leaf certificates are signed by the CA's intermediate when it has one, in
+ * which case a full chain file is written next to the certificate.
+ * @param {Object} options - Options
+ * @param {string|string[]} options.names - DNS names and IP addresses; the first one becomes the CN and names the files
+ * @param {string} [options.subject] - Full subject in OpenSSL form (default: /CN=<first name> plus the subject.* settings)
+ * @param {number} [options.days] - Validity in days; defaults to the days.cert setting
+ * @param {string} [options.keyType] - One of KEY_TYPES; defaults to the keyType setting
+ * @param {string} [options.digest] - One of DIGESTS; defaults to the digest setting
+ * @param {string} [options.ca] - Name of the issuing CA; defaults to the defaultCA setting
+ * @param {string} [options.caPassphrase] - Passphrase of the CA key
+ * @param {string} [options.caPassphraseFile] - File holding the passphrase of the CA key
+ * @param {string} [options.revocationUrl] - Base URL of ocsp-responder, embedded as CRL and OCSP URLs
+ * @param {boolean} [options.overwrite=false] - Replace an existing certificate and key
+ * @param {string} [options.store] - Certificates directory; defaults to the store setting
+ * @param {string} [options.backend] - One of BACKENDS; defaults to the backend setting
+ * @returns {Object} names, file paths (fullchainPath is null without an intermediate), issuing CA and a summary of the certificate
+ * @throws {SslCliError} OpenSSLNotFoundError, InvalidNameError, InvalidOptionError, CANotFoundError, FileNotFoundError, PassphraseRequiredError, WrongPassphraseError, FileExistsError or OpenSSLError
+ */
+export const createCert = ({
+  names: input,
+  subject,
+  days = getConfig("days.cert"),
+  keyType = getConfig("keyType"),
+  digest = getConfig("digest"),
+  ca: caName = getConfig("defaultCA"),
+  caPassphrase,
+  caPassphraseFile,
+  revocationUrl,
+  overwrite = false,
+  store = getCertsDir(),
+  backend = getConfig("backend"),
+} = {}) => {
+  const names = parseNames(input || []);
+  const nameErrors = validateNames(names);
+  if (nameErrors.length > 0) {
+    throw new InvalidNameError(nameErrors);
+  }
+  checkIssueOptions({ days, keyType, digest, backend });
+
+  // Certificates live in the directory of the CA that issues them
+  const dir = resolveCADir(store, caName);
+  const ca = getSigningCA(dir);
+  if (!caExists(ca)) {
+    throw new CANotFoundError(caName);
+  }
+
+  checkPassphraseFile(caPassphraseFile);
+  if (
+    caPassphrase === undefined &&
+    !caPassphraseFile &&
+    isEncryptedKey(ca.keyPath)
+  ) {
+    throw new PassphraseRequiredError(
+      "The CA key is passphrase-protected: pass caPassphrase or caPassphraseFile"
+    );
+  }
+
+  // The first name is the primary one: it becomes the CN and the file name
+  const [domain] = names;
+  const fileBase = toFileName(domain);
+  const certPath = path.join(dir, `${fileBase}.crt`);
+  const keyPath = path.join(dir, `${fileBase}.key`);
+  const fullchainPath = path.join(dir, `${fileBase}.fullchain.pem`);
+
+  const existing = [certPath, keyPath].filter(fileExists);
+  if (existing.length > 0 && !overwrite) {
+    throw new FileExistsError(
+      `Certificate for ${domain} already exists`,
+      existing
+    );
+  }
+
+  writeAllOrNothing([keyPath, certPath, fullchainPath], () => {
+    generateKey(keyPath, { keyType, backend });
+    issueCertificate({
+      keyPath,
+      certPath,
+      subject: subject || buildSubject(domain, getSubjectDefaults()),
+      names,
+      revocation: revocationUrl && revocationUrls(revocationUrl, ca.certPath),
+      caCertPath: ca.certPath,
+      caKeyPath: ca.keyPath,
+      caPassphrase,
+      caPassphraseFile,
+      days,
+      digest,
+      backend,
+    });
+    if (ca.intermediate) {
+      writeFullChain(fullchainPath, certPath, ca.certPath);
+    }
+  });
+
+  return {
+    names,
+    certPath,
+    keyPath,
+    fullchainPath: ca.intermediate ? fullchainPath : null,
+    keyType,
+    ca: {
+      name: caName,
+      certPath: ca.certPath,
+      intermediate: ca.intermediate,
+    },
+    certificate: summarizeCertificate(
+      certPath,
+      readCertificate(certPath),
+      getLocalCACertPaths(dir).map(readCertificate)
+    ),
+  };
+};
+
+/**
+ * List the local CAs
+ * @param {Object} [options] - Options
+ * @param {string} [options.store] - Certificates directory; defaults to the store setting
+ * @returns {Object[]} CAs, see listCAs() in ca.js
+ */
+export const listCAs = ({ store = getCertsDir() } = {}) =>
+  listCAsIn(store, getConfig("defaultCA"));
+
+/**
+ * List the certificates of a CA
+ * @param {Object} [options] - Options
+ * @param {string} [options.ca] - CA name; defaults to the defaultCA setting
+ * @param {string} [options.sort="name"] - One of CERT_SORTERS: name, subject, expiry or issued
+ * @param {number} [options.expiringWithin] - Only certificates expiring within this many days (expired ones included)
+ * @param {string} [options.store] - Certificates directory; defaults to the store setting
+ * @returns {Object[]} Certificate summaries
+ * @throws {InvalidOptionError} If the CA name or sort order is not valid
+ */
+export const listCerts = ({
+  ca: caName = getConfig("defaultCA"),
+  sort = "name",
+  expiringWithin,
+  store = getCertsDir(),
+} = {}) => {
+  if (!CERT_SORTERS[sort]) {
+    throw new InvalidOptionError(
+      `sort must be one of ${Object.keys(CERT_SORTERS).join(", ")}`
+    );
+  }
+  const dir = resolveCADir(store, caName);
+  return listCertificates(dir, getLocalCACertPaths(dir))
+    .filter(
+      (cert) => expiringWithin === undefined || cert.daysLeft <= expiringWithin
+    )
+    .sort(CERT_SORTERS[sort]);
+};
+
+/**
+ * Decode a certificate, chain, CSR or key file (PEM or DER)
+ * @param {string} file - Path to the file
+ * @returns {Object} See inspectFile() in inspect.js
+ * @throws {FileNotFoundError|InvalidFileError} If the file is missing or cannot be decoded
+ */
+export const inspect = (file) => {
+  if (!fileExists(file)) {
+    throw new FileNotFoundError(file);
+  }
+  try {
+    return inspectFile(file);
+  } catch (error) {
+    throw new InvalidFileError(file, error.message);
+  }
+};
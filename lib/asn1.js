@@ -0,0 +1,375 @@
+// Universal ASN.1 tag numbers used by X.509 structures
+export const TAGS = {
+  BOOLEAN: 1,
+  INTEGER: 2,
+  BIT_STRING: 3,
+  OCTET_STRING: 4,
+  NULL: 5,
+  OID: 6,
+  UTF8_STRING: 12,
+  SEQUENCE: 16,
+  SET: 17,
+  PRINTABLE_STRING: 19,
+  T61_STRING: 20,
+  IA5_STRING: 22,
+  UTC_TIME: 23,
+  GENERALIZED_TIME: 24,
+  BMP_STRING: 30,
+};
+
+// ASN.1 tag classes
+export const CLASS = {
+  UNIVERSAL: 0,
+  APPLICATION: 1,
+  CONTEXT: 2,
+  PRIVATE: 3,
+};
+
+/**
+ * Decode one DER element, recursing into constructed types
+ * @param {Buffer} buf - DER encoded data
+ * @param {number} [offset=0] - Position of the element in the buffer
+ * @returns {Object} Node with cls, tag, constructed, value, raw, end and children
+ */
+export const decode = (buf, offset = 0) => {
+  const start = offset;
+  const read = () => {
+    if (offset >= buf.length) {
+      throw new Error("Truncated ASN.1 data");
+    }
+    return buf[offset++];
+  };
+
+  const tagByte = read();
+  let tag = tagByte & 0x1f;
+  if (tag === 0x1f) {
+    tag = 0;
+    let byte;
+    do {
+      byte = read();
+      tag = tag * 128 + (byte & 0x7f);
+    } while (byte & 0x80);
+  }
+
+  let length = read();
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    if (count === 0 || count > 4) {
+      throw new Error("Unsupported ASN.1 length encoding");
+    }
+    length = 0;
+    for (let i = 0; i < count; i++) {
+      length = length * 256 + read();
+    }
+  }
+
+  const end = offset + length;
+  if (end > buf.length) {
+    throw new Error("Truncated ASN.1 data");
+  }
+
+  const node = {
+    cls: tagByte >> 6,
+    tag,
+    constructed: (tagByte & 0x20) !== 0,
+    value: buf.subarray(offset, end),
+    raw: buf.subarray(start, end),
+    end,
+  };
+
+  if (node.constructed) {
+    node.children = [];
+    let position = offset;
+    while (position < end) {
+      const child = decode(buf, position);
+      node.children.push(child);
+      position = child.end;
+    }
+  }
+
+  return node;
+};
+
+/**
+ * Decode a complete DER buffer, rejecting trailing data
+ * @param {Buffer} buf - DER encoded data
+ * @returns {Object} Root node
+ */
+export const decodeAll = (buf) => {
+  const node = decode(buf);
+  if (node.end !== buf.length) {
+    throw new Error("Unexpected data after ASN.1 structure");
+  }
+  return node;
+};
+
+/**
+ * Check whether a node has the given class and tag
+ * @param {Object} node - Decoded node
+ * @param {number} tag - Tag number
+ * @param {number} [cls=CLASS.UNIVERSAL] - Tag class
+ * @returns {boolean} True if the node matches
+ */
+export const is = (node, tag, cls = CLASS.UNIVERSAL) =>
+  Boolean(node) && node.tag === tag && node.cls === cls;
+
+/**
+ * Decode an OBJECT IDENTIFIER value
+ * @param {Object} node - OID node
+ * @returns {string} Dotted OID, e.g. 2.5.29.17
+ */
+export const toOid = (node) => {
+  const bytes = node.value;
+  const parts = [];
+  let value = 0;
+  for (const byte of bytes) {
+    value = value * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+  const first = parts.shift();
+  const head =
+    first < 80 ? [Math.floor(first / 40), first % 40] : [2, first - 80];
+  return [...head, ...parts].join(".");
+};
+
+/**
+ * Decode an INTEGER value as a BigInt
+ * @param {Object} node - INTEGER node
+ * @returns {bigint} Integer value
+ */
+export const toBigInt = (node) => {
+  if (node.value.length === 0) {
+    return 0n;
+  }
+  let value = BigInt(`0x${node.value.toString("hex")}`);
+  if (node.value[0] & 0x80) {
+    value -= 1n << BigInt(node.value.length * 8);
+  }
+  return value;
+};
+
+/**
+ * Decode a string type (UTF8String, PrintableString, IA5String, BMPString, ...)
+ * @param {Object} node - String node
+ * @returns {string} Decoded text
+ */
+export const toText = (node) => {
+  if (node.tag === TAGS.BMP_STRING) {
+    const swapped = Buffer.from(node.value).swap16();
+    return swapped.toString("utf16le");
+  }
+  if (node.tag === TAGS.UTF8_STRING) {
+    return node.value.toString("utf8");
+  }
+  return node.value.toString("latin1");
+};
+
+/**
+ * Decode a UTCTime or GeneralizedTime value
+ * @param {Object} node - Time node
+ * @returns {Date} Point in time
+ */
+export const toDate = (node) => {
+  const text = node.value.toString("latin1");
+  const match =
+    node.tag === TAGS.UTC_TIME
+      ? /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?Z$/.exec(text)
+      : /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?(?:\.\d+)?Z$/.exec(text);
+  if (!match) {
+    throw new Error(`Unsupported time value: ${text}`);
+  }
+  let year = Number(match[1]);
+  if (node.tag === TAGS.UTC_TIME) {
+    year += year < 50 ? 2000 : 1900;
+  }
+  return new Date(
+    Date.UTC(
+      year,
+      Number(match[2]) - 1,
+      Number(match[3]),
+      Number(match[4]),
+      Number(match[5]),
+      Number(match[6] || 0)
+    )
+  );
+};
+
+/**
+ * Decode a BIT STRING into its payload bytes
+ * @param {Object} node - BIT STRING node
+ * @returns {{unusedBits: number, bytes: Buffer}} Payload and number of padding bits
+ */
+export const toBits = (node) => ({
+  unusedBits: node.value[0],
+  bytes: node.value.subarray(1),
+});
+
+/**
+ * Encode the length octets of a DER element
+ * @param {number} length - Content length
+ * @returns {Buffer} Short or long form length
+ */
+const encodeLength = (length) => {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+  const bytes = [];
+  for (let rest = length; rest > 0; rest = Math.floor(rest / 256)) {
+    bytes.unshift(rest % 256);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+};
+
+/**
+ * Encode one DER element
+ * @param {number} tag - Tag number (below 31)
+ * @param {Buffer|Buffer[]} content - Content octets, or child elements to concatenate
+ * @param {Object} [options] - Options
+ * @param {number} [options.cls=CLASS.UNIVERSAL] - Tag class
+ * @param {boolean} [options.constructed] - Constructed encoding; defaults to true when content is an array
+ * @returns {Buffer} Encoded element
+ */
+export const encode = (
+  tag,
+  content,
+  { cls = CLASS.UNIVERSAL, constructed = Array.isArray(content) } = {}
+) => {
+  const body = Array.isArray(content) ? Buffer.concat(content) : content;
+  return Buffer.concat([
+    Buffer.from([(cls << 6) | (constructed ? 0x20 : 0) | tag]),
+    encodeLength(body.length),
+    body,
+  ]);
+};
+
+/**
+ * Encode a SEQUENCE
+ * @param {Buffer[]} children - Encoded elements
+ * @returns {Buffer} Encoded SEQUENCE
+ */
+export const encodeSequence = (children) => encode(TAGS.SEQUENCE, children);
+
+/**
+ * Encode a SET, sorting the elements as DER requires for SET OF
+ * @param {Buffer[]} children - Encoded elements
+ * @returns {Buffer} Encoded SET
+ */
+export const encodeSet = (children) =>
+  encode(TAGS.SET, [...children].sort(Buffer.compare));
+
+/**
+ * Encode a non-negative INTEGER
+ * @param {bigint|number|Buffer} value - Value, or its unsigned big-endian bytes
+ * @returns {Buffer} Encoded INTEGER
+ */
+export const encodeInteger = (value) => {
+  let bytes;
+  if (Buffer.isBuffer(value)) {
+    bytes = value;
+  } else {
+    const hex = BigInt(value).toString(16);
+    bytes = Buffer.from(hex.length % 2 ? `0${hex}` : hex, "hex");
+  }
+  // Drop redundant leading zeros, then keep the value positive
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) {
+    start++;
+  }
+  bytes = bytes.subarray(start);
+  if (bytes.length === 0 || bytes[0] & 0x80) {
+    bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  }
+  return encode(TAGS.INTEGER, bytes);
+};
+
+/**
+ * Encode a BOOLEAN
+ * @param {boolean} value - Value
+ * @returns {Buffer} Encoded BOOLEAN
+ */
+export const encodeBoolean = (value) =>
+  encode(TAGS.BOOLEAN, Buffer.from([value ? 0xff : 0]));
+
+/**
+ * Encode NULL
+ * @returns {Buffer} Encoded NULL
+ */
+export const encodeNull = () => encode(TAGS.NULL, Buffer.alloc(0));
+
+/**
+ * Encode an OBJECT IDENTIFIER
+ * @param {string} oid - Dotted OID, e.g. 2.5.29.17
+ * @returns {Buffer} Encoded OID
+ */
+export const encodeOid = (oid) => {
+  const [first, second, ...rest] = oid.split(".").map(Number);
+  const bytes = [first * 40 + second, ...rest].flatMap((arc) => {
+    const groups = [arc & 0x7f];
+    for (let value = Math.floor(arc / 128); value > 0; value >>>= 7) {
+      groups.unshift((value & 0x7f) | 0x80);
+    }
+    return groups;
+  });
+  return encode(TAGS.OID, Buffer.from(bytes));
+};
+
+/**
+ * Encode an OCTET STRING
+ * @param {Buffer} bytes - Content
+ * @returns {Buffer} Encoded OCTET STRING
+ */
+export const encodeOctetString = (bytes) => encode(TAGS.OCTET_STRING, bytes);
+
+/**
+ * Encode a BIT STRING
+ * @param {Buffer} bytes - Payload
+ * @param {number} [unusedBits=0] - Padding bits at the end of the last byte
+ * @returns {Buffer} Encoded BIT STRING
+ */
+export const encodeBitString = (bytes, unusedBits = 0) =>
+  encode(TAGS.BIT_STRING, Buffer.concat([Buffer.from([unusedBits]), bytes]));
+
+/**
+ * Encode a character string
+ * @param {number} tag - String type, e.g. TAGS.UTF8_STRING or TAGS.IA5_STRING
+ * @param {string} text - Text
+ * @returns {Buffer} Encoded string
+ */
+export const encodeString = (tag, text) =>
+  encode(tag, Buffer.from(text, tag === TAGS.UTF8_STRING ? "utf8" : "latin1"));
+
+/**
+ * Encode a point in time as X.509 does: UTCTime until 2049, GeneralizedTime after
+ * @param {Date} date - Point in time; milliseconds are dropped
+ * @returns {Buffer} Encoded time
+ */
+export const encodeTime = (date) => {
+  const stamp = date
+    .toISOString()
+    .replace(/[-:T]/g, "")
+    .replace(/\.\d+Z$/, "Z");
+  return date.getUTCFullYear() < 2050
+    ? encode(TAGS.UTC_TIME, Buffer.from(stamp.slice(2), "latin1"))
+    : encode(TAGS.GENERALIZED_TIME, Buffer.from(stamp, "latin1"));
+};
+
+/**
+ * Wrap an element in an explicit context-specific tag, e.g. [0] EXPLICIT
+ * @param {number} tag - Context tag number
+ * @param {Buffer} element - Encoded element
+ * @returns {Buffer} Tagged element
+ */
+export const encodeExplicit = (tag, element) =>
+  encode(tag, [element], { cls: CLASS.CONTEXT });
+
+/**
+ * Encode content under an implicit context-specific tag, e.g. [2] IMPLICIT IA5String
+ * @param {number} tag - Context tag number
+ * @param {Buffer|Buffer[]} content - Content octets, or child elements for a constructed type
+ * @returns {Buffer} Tagged element
+ */
+export const encodeImplicit = (tag, content) =>
+  encode(tag, content, { cls: CLASS.CONTEXT });
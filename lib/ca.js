@@ -0,0 +1,174 @@
+import fs from "fs";
+import path from "path";
+import { fileExists } from "../utils.js";
+import {
+  listCertificates,
+  readCertificate,
+  summarizeCertificate,
+} from "./certs.js";
+
+// Name of the CA kept directly in the certificates directory, as before named CAs
+export const DEFAULT_CA_NAME = "default";
+
+// Names become directory names, so keep them short and path-safe
+const CA_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * Check that a CA name can be used as a directory name
+ * @param {string} name - CA name, e.g. "qa"
+ * @returns {string|null} Error message, or null if the name is valid
+ */
+export const validateCAName = (name) =>
+  CA_NAME_PATTERN.test(name)
+    ? null
+    : `Invalid CA name "${name}": use up to 64 letters, digits, "-" and "_"`;
+
+/**
+ * Name a CA is installed under in trust stores
+ * @param {string} [name=DEFAULT_CA_NAME] - CA name
+ * @returns {string} "myCA" for the default CA, ssl-cli-<name> otherwise
+ */
+export const getTrustedName = (name = DEFAULT_CA_NAME) =>
+  name === DEFAULT_CA_NAME ? "myCA" : `ssl-cli-${name}`;
+
+/**
+ * Get the directory holding a CA and the certificates it issued
+ * @param {string} certsDir - Certificates directory
+ * @param {string} [name=DEFAULT_CA_NAME] - CA name
+ * @returns {string} The certificates directory itself for the default CA, <certs>/cas/<name> otherwise
+ */
+export const getCADir = (certsDir, name = DEFAULT_CA_NAME) =>
+  name === DEFAULT_CA_NAME ? certsDir : path.join(certsDir, "cas", name);
+
+/**
+ * Get the paths of the local root and intermediate CA files
+ * @param {string} certsDir - Certificates directory
+ * @returns {{root: Object, intermediate: Object}} certPath and keyPath of each CA
+ */
+export const getCAPaths = (certsDir) => ({
+  root: {
+    certPath: path.join(certsDir, "myCA.pem"),
+    keyPath: path.join(certsDir, "myCA.key"),
+  },
+  intermediate: {
+    certPath: path.join(certsDir, "intermediateCA.pem"),
+    keyPath: path.join(certsDir, "intermediateCA.key"),
+  },
+});
+
+/**
+ * Check whether both files of a CA exist
+ * @param {{certPath: string, keyPath: string}} ca - CA paths
+ * @returns {boolean} True if the certificate and key exist
+ */
+export const caExists = ({ certPath, keyPath }) =>
+  fileExists(certPath) && fileExists(keyPath);
+
+/**
+ * Pick the CA that signs leaf certificates: the intermediate when there is one
+ * @param {string} certsDir - Certificates directory
+ * @returns {{certPath: string, keyPath: string, intermediate: boolean}} Signing CA
+ */
+export const getSigningCA = (certsDir) => {
+  const { root, intermediate } = getCAPaths(certsDir);
+  return caExists(intermediate)
+    ? { ...intermediate, intermediate: true }
+    : { ...root, intermediate: false };
+};
+
+/**
+ * List the certificates of the local CAs that exist
+ * @param {string} certsDir - Certificates directory
+ * @returns {string[]} Root and intermediate certificate paths
+ */
+export const getLocalCACertPaths = (certsDir) => {
+  const { root, intermediate } = getCAPaths(certsDir);
+  return [root.certPath, intermediate.certPath].filter(fileExists);
+};
+
+/**
+ * Write a full chain file: the leaf followed by the intermediate CA
+ * @param {string} fullchainPath - Where to write the chain
+ * @param {string} certPath - Leaf certificate
+ * @param {string} intermediateCertPath - Intermediate CA certificate
+ */
+export const writeFullChain = (
+  fullchainPath,
+  certPath,
+  intermediateCertPath
+) => {
+  const pems = [certPath, intermediateCertPath].map((file) =>
+    fs.readFileSync(file, "utf8").trim()
+  );
+  fs.writeFileSync(fullchainPath, `${pems.join("\n")}\n`);
+};
+
+/**
+ * Find the local CA certificates above a certificate, nearest first
+ * @param {crypto.X509Certificate} cert - Certificate to build the chain for
+ * @param {string[]} caCertPaths - Local CA certificates, see getLocalCACertPaths()
+ * @returns {crypto.X509Certificate[]} e.g. [intermediate, root]; empty if no local CA issued it
+ */
+export const getIssuerChain = (cert, caCertPaths) => {
+  const caCerts = caCertPaths.map(readCertificate).filter(Boolean);
+  const issuerOf = (subject) =>
+    caCerts.find(
+      (caCert) =>
+        caCert.fingerprint256 !== subject.fingerprint256 &&
+        subject.checkIssued(caCert) &&
+        subject.verify(caCert.publicKey)
+    );
+
+  const chain = [];
+  for (
+    let issuer = issuerOf(cert);
+    issuer && !chain.includes(issuer);
+    issuer = issuerOf(issuer)
+  ) {
+    chain.push(issuer);
+  }
+  return chain;
+};
+
+/**
+ * List the CAs in the certificates directory
+ * @param {string} certsDir - Certificates directory
+ * @param {string} [defaultName=DEFAULT_CA_NAME] - Name of the default CA
+ * @returns {Object[]} name, default, dir, root and intermediate summaries, and the number of certificates issued
+ */
+export const listCAs = (certsDir, defaultName = DEFAULT_CA_NAME) => {
+  const casDir = path.join(certsDir, "cas");
+  const named = fs.existsSync(casDir)
+    ? fs
+        .readdirSync(casDir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() && !validateCAName(entry.name))
+        .map((entry) => entry.name)
+        .sort()
+    : [];
+
+  return [DEFAULT_CA_NAME, ...named]
+    .map((name) => {
+      const dir = getCADir(certsDir, name);
+      const { root, intermediate } = getCAPaths(dir);
+      const rootCert = caExists(root) && readCertificate(root.certPath);
+      if (!rootCert) {
+        return null;
+      }
+      const intermediateCert =
+        caExists(intermediate) && readCertificate(intermediate.certPath);
+
+      return {
+        name,
+        default: name === defaultName,
+        dir,
+        root: summarizeCertificate(root.certPath, rootCert),
+        intermediate: intermediateCert
+          ? summarizeCertificate(intermediate.certPath, intermediateCert, [
+              rootCert,
+            ])
+          : null,
+        certificates: listCertificates(dir).filter((cert) => !cert.isCA).length,
+      };
+    })
+    .filter(Boolean);
+};
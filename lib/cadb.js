@@ -0,0 +1,352 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { runOpenSSL } from "../utils.js";
+import { listCertificates, readCertificate } from "./certs.js";
+import { digestFor } from "./keys.js";
+import { toOpenSSLSubject } from "./issue.js";
+import { parseCertificate } from "./x509.js";
+
+// Reason codes accepted by revoke, as OpenSSL spells them in index.txt
+export const REVOCATION_REASONS = [
+  "unspecified",
+  "keyCompromise",
+  "CACompromise",
+  "affiliationChanged",
+  "superseded",
+  "cessationOfOperation",
+  "certificateHold",
+];
+
+/**
+ * Name a CA after its certificate file, e.g. "myCA" for myCA.pem
+ * @param {string} caCertPath - CA certificate
+ * @returns {string} CA name used in database paths and revocation URLs
+ */
+export const caNameOf = (caCertPath) =>
+  path.basename(caCertPath, path.extname(caCertPath));
+
+/**
+ * Get the paths of a CA's database, kept in <certs>/ca-db/<CA name>
+ * @param {string} caCertPath - CA certificate
+ * @returns {Object} dir, index, attr, serial, crlnumber, fingerprint and crl paths
+ */
+export const getDatabasePaths = (caCertPath) => {
+  const dir = path.join(
+    path.dirname(caCertPath),
+    "ca-db",
+    caNameOf(caCertPath)
+  );
+  return {
+    dir,
+    index: path.join(dir, "index.txt"),
+    attr: path.join(dir, "index.txt.attr"),
+    serial: path.join(dir, "serial"),
+    crlnumber: path.join(dir, "crlnumber"),
+    fingerprint: path.join(dir, "ca.sha256"),
+    crl: path.join(dir, "crl.pem"),
+  };
+};
+
+/**
+ * Normalise a serial number to the upper-case, even-length hex used in index.txt
+ * @param {string} serial - e.g. "0x1a2b", "1A:2B" or "1A2B"
+ * @returns {string} e.g. "1A2B"
+ */
+export const normalizeSerial = (serial) => {
+  const hex = serial
+    .replace(/[:\s]/g, "")
+    .replace(/^0x/i, "")
+    .toUpperCase()
+    .replace(/^0+(?=.)/, "");
+  return hex.length % 2 === 0 ? hex : `0${hex}`;
+};
+
+/**
+ * Format a date the way index.txt stores it: UTCTime until 2049, GeneralizedTime after
+ * @param {Date} date - Date to format
+ * @returns {string} e.g. "261018154223Z"
+ */
+const toIndexTime = (date) => {
+  const stamp = date
+    .toISOString()
+    .replace(/[-:T]/g, "")
+    .replace(/\.\d+Z$/, "Z");
+  return date.getUTCFullYear() < 2050 ? stamp.slice(2) : stamp;
+};
+
+/**
+ * Parse an index.txt time
+ * @param {string} value - UTCTime or GeneralizedTime, e.g. "261018154223Z"
+ * @returns {Date} Parsed date
+ */
+const fromIndexTime = (value) => {
+  const digits = value.replace(/Z$/, "");
+  const full =
+    digits.length === 12
+      ? `${Number(digits.slice(0, 2)) < 50 ? "20" : "19"}${digits}`
+      : digits;
+  return new Date(
+    `${full.slice(0, 4)}-${full.slice(4, 6)}-${full.slice(6, 8)}T${full.slice(
+      8,
+      10
+    )}:${full.slice(10, 12)}:${full.slice(12, 14)}Z`
+  );
+};
+
+/**
+ * Read the entries of a CA database
+ * @param {Object} db - Paths from getDatabasePaths()
+ * @returns {Object[]} status (valid|revoked|expired), serial, subject, notAfter, revokedAt and reason
+ */
+export const readIndex = (db) => {
+  if (!fs.existsSync(db.index)) {
+    return [];
+  }
+  return fs
+    .readFileSync(db.index, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [status, expires, revocation, serial, , subject] = line.split("\t");
+      const [revokedAt, reason] = revocation ? revocation.split(",") : [];
+      return {
+        status: { V: "valid", R: "revoked", E: "expired" }[status] || status,
+        serial,
+        subject,
+        notAfter: fromIndexTime(expires).toISOString(),
+        revokedAt: revokedAt ? fromIndexTime(revokedAt).toISOString() : null,
+        reason: revokedAt ? reason || "unspecified" : null,
+      };
+    });
+};
+
+/**
+ * Add an issued certificate to a CA database
+ * @param {Object} db - Paths from getDatabasePaths()
+ * @param {crypto.X509Certificate} cert - Certificate signed by the CA
+ */
+export const recordCertificate = (db, cert) => {
+  const line = [
+    "V",
+    toIndexTime(new Date(cert.validTo)),
+    "",
+    normalizeSerial(cert.serialNumber),
+    "unknown",
+    toOpenSSLSubject(cert.subject),
+  ].join("\t");
+  fs.appendFileSync(db.index, `${line}\n`);
+};
+
+/**
+ * Create a CA database, importing certificates the CA issued before it existed
+ * @param {Object} db - Paths from getDatabasePaths()
+ * @param {string} caCertPath - CA certificate
+ * @param {crypto.X509Certificate} caCert - Parsed CA certificate
+ */
+const initDatabase = (db, caCertPath, caCert) => {
+  fs.rmSync(db.dir, { recursive: true, force: true });
+  fs.mkdirSync(db.dir, { recursive: true });
+
+  fs.writeFileSync(db.index, "");
+  fs.writeFileSync(db.attr, "unique_subject = no\n");
+  fs.writeFileSync(db.crlnumber, "01\n");
+  fs.writeFileSync(db.fingerprint, `${caCert.fingerprint256}\n`);
+
+  // Serials start at a random positive 128-bit value and count up from there
+  const start = crypto.randomBytes(16);
+  start[0] = (start[0] & 0x7f) | 0x10;
+  fs.writeFileSync(db.serial, `${start.toString("hex").toUpperCase()}\n`);
+
+  listCertificates(path.dirname(caCertPath), [caCertPath])
+    .filter((summary) => summary.issuedByLocalCA)
+    .map((summary) => readCertificate(summary.path))
+    .forEach((cert) => recordCertificate(db, cert));
+
+  // The database replaces the serial file left behind by -CAcreateserial
+  const srlPath = path.join(
+    path.dirname(caCertPath),
+    `${caNameOf(caCertPath)}.srl`
+  );
+  if (fs.existsSync(srlPath)) {
+    fs.unlinkSync(srlPath);
+  }
+};
+
+/**
+ * Open the database of a CA, creating it on first use or when the CA was recreated
+ * @param {string} caCertPath - CA certificate
+ * @returns {Object} Paths from getDatabasePaths()
+ */
+export const openDatabase = (caCertPath) => {
+  const db = getDatabasePaths(caCertPath);
+  const caCert = readCertificate(caCertPath);
+  if (!caCert) {
+    throw new Error(`No CA certificate found at ${caCertPath}`);
+  }
+
+  const recorded = fs.existsSync(db.fingerprint)
+    ? fs.readFileSync(db.fingerprint, "utf8").trim()
+    : null;
+  if (recorded !== caCert.fingerprint256) {
+    initDatabase(db, caCertPath, caCert);
+  }
+  return db;
+};
+
+/**
+ * Take the next serial number from a CA database
+ * @param {Object} db - Paths from getDatabasePaths()
+ * @returns {string} Serial in hex, e.g. "1A2B..."
+ */
+export const nextSerial = (db) => {
+  const serial = fs.readFileSync(db.serial, "utf8").trim();
+  const next = (BigInt(`0x${serial}`) + 1n).toString(16).toUpperCase();
+  fs.writeFileSync(db.serial, `${normalizeSerial(next)}\n`);
+  return serial;
+};
+
+/**
+ * Mark a certificate as revoked in a CA database
+ * @param {Object} db - Paths from getDatabasePaths()
+ * @param {string} serial - Serial number of the certificate
+ * @param {string} [reason="unspecified"] - One of REVOCATION_REASONS
+ * @returns {Object} The updated entry, see readIndex()
+ */
+export const revokeSerial = (db, serial, reason = "unspecified") => {
+  if (!REVOCATION_REASONS.includes(reason)) {
+    throw new Error(`Unknown revocation reason: ${reason}`);
+  }
+
+  const wanted = normalizeSerial(serial);
+  const lines = fs.readFileSync(db.index, "utf8").split("\n").filter(Boolean);
+  const position = lines.findIndex(
+    (line) => normalizeSerial(line.split("\t")[3]) === wanted
+  );
+  if (position === -1) {
+    throw new Error(`Serial ${wanted} is not in the database`);
+  }
+
+  const fields = lines[position].split("\t");
+  if (fields[0] === "R") {
+    throw new Error(`Serial ${wanted} is already revoked`);
+  }
+  fields[0] = "R";
+  fields[2] = `${toIndexTime(new Date())},${reason}`;
+  lines[position] = fields.join("\t");
+  fs.writeFileSync(db.index, `${lines.join("\n")}\n`);
+
+  return readIndex(db)[position];
+};
+
+/**
+ * Look a serial number up in the databases of several CAs
+ * @param {string[]} caCertPaths - CA certificates whose databases to search
+ * @param {string} serial - Serial number, in any form normalizeSerial() accepts
+ * @returns {{caCertPath: string, db: Object, entry: Object}|null} The CA that issued the serial and its entry
+ */
+export const findDatabaseEntry = (caCertPaths, serial) => {
+  const wanted = normalizeSerial(serial);
+  for (const caCertPath of caCertPaths) {
+    const db = openDatabase(caCertPath);
+    const entry = readIndex(db).find(
+      (candidate) => normalizeSerial(candidate.serial) === wanted
+    );
+    if (entry) {
+      return { caCertPath, db, entry };
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the CRL and OCSP URLs of a CA under a revocation base URL
+ * @param {string} baseUrl - Where ocsp-responder is reachable, e.g. "http://127.0.0.1:8888"
+ * @param {string} caCertPath - CA that signs the certificate
+ * @returns {{crlUrl: string, ocspUrl: string}} URLs to embed in issued certificates
+ */
+export const revocationUrls = (baseUrl, caCertPath) => {
+  const base = baseUrl.replace(/\/+$/, "");
+  const name = caNameOf(caCertPath);
+  return { crlUrl: `${base}/crl/${name}.crl`, ocspUrl: `${base}/ocsp/${name}` };
+};
+
+/**
+ * Recover the revocation base URL a certificate was issued with
+ * @param {crypto.X509Certificate} cert - Certificate
+ * @returns {string|null} Base URL, or null when the certificate has no CRL distribution point of ours
+ */
+export const revocationBaseUrlOf = (cert) => {
+  const { extensions } = parseCertificate(cert.raw);
+  const points = extensions.find((ext) => ext.name === "cRLDistributionPoints");
+  const match = (points ? points.value : [])
+    .map((url) => url.match(/^(.*)\/crl\/[^/]+\.crl$/))
+    .find(Boolean);
+  return match ? match[1] : null;
+};
+
+/**
+ * Regenerate the CRL of a CA from its database
+ * @param {Object} options - Options
+ * @param {string} options.caCertPath - CA certificate
+ * @param {string} options.caKeyPath - CA private key
+ * @param {string} [options.caPassphraseFile] - File holding the CA key passphrase
+ * @param {number} [options.days=30] - Days until the next CRL is due
+ * @param {string} [options.digest="auto"] - Signing digest, one of DIGESTS
+ * @param {boolean} [options.interactive=false] - Let OpenSSL prompt for the CA passphrase
+ * @returns {string} Path of the PEM CRL
+ */
+export const generateCrl = ({
+  caCertPath,
+  caKeyPath,
+  caPassphraseFile,
+  days = 30,
+  digest = "auto",
+  interactive = false,
+}) => {
+  const db = openDatabase(caCertPath);
+  const caCert = readCertificate(caCertPath);
+  const configPath = path.join(db.dir, "crl.cnf");
+
+  // openssl ca only reads the database location from a config file
+  fs.writeFileSync(
+    configPath,
+    `[ ca ]
+default_ca = local_ca
+
+[ local_ca ]
+database = ${db.index}
+crlnumber = ${db.crlnumber}
+default_md = ${digestFor(caCert.publicKey, digest) || "default"}
+crl_extensions = crl_ext
+
+[ crl_ext ]
+authorityKeyIdentifier = keyid:always
+`
+  );
+
+  try {
+    runOpenSSL(
+      [
+        "ca",
+        "-gencrl",
+        "-batch",
+        "-config",
+        configPath,
+        "-cert",
+        caCertPath,
+        "-keyfile",
+        caKeyPath,
+        ...(caPassphraseFile ? ["-passin", `file:${caPassphraseFile}`] : []),
+        "-crldays",
+        String(days),
+        "-out",
+        db.crl,
+      ],
+      { interactive }
+    );
+  } finally {
+    fs.unlinkSync(configPath);
+  }
+  return db.crl;
+};
@@ -0,0 +1,140 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// File extensions that may hold a PEM certificate
+const CERT_EXTENSIONS = [".crt", ".pem", ".cer"];
+
+/**
+ * Turn a multi-line X509Certificate name into a single line
+ * @param {string} name - Subject or issuer as returned by Node, one RDN per line
+ * @returns {string} Name in "CN=app.test, O=Acme" form
+ */
+export const formatName = (name = "") => name.split("\n").join(", ");
+
+/**
+ * Split the subjectAltName string returned by Node into a list of names
+ * @param {string} [subjectAltName] - e.g. "DNS:app.test, IP Address:127.0.0.1"
+ * @returns {string[]} Names without their type prefix
+ */
+export const parseSubjectAltName = (subjectAltName) => {
+  if (!subjectAltName) {
+    return [];
+  }
+  return subjectAltName
+    .split(", ")
+    .map((entry) => entry.replace(/^(DNS|IP Address|email|URI):/, ""));
+};
+
+/**
+ * Describe the public key of a certificate or key object
+ * @param {crypto.KeyObject} key - Public or private key
+ * @returns {{type: string, size: (number|string|null)}} Key algorithm and size or curve
+ */
+export const describeKey = (key) => {
+  const details = key.asymmetricKeyDetails || {};
+  return {
+    type: key.asymmetricKeyType,
+    size: details.modulusLength || details.namedCurve || null,
+  };
+};
+
+/**
+ * Check whether a private key file matches a certificate's public key
+ * @param {crypto.X509Certificate} cert - Certificate
+ * @param {string} keyPath - Path to the PEM private key
+ * @returns {boolean|null} True/false, or null if the key is encrypted or unreadable
+ */
+export const keyMatchesCertificate = (cert, keyPath) => {
+  try {
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(keyPath));
+    return cert.checkPrivateKey(privateKey);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read the first certificate in a PEM file
+ * @param {string} certPath - Path to the certificate file
+ * @returns {crypto.X509Certificate|null} Parsed certificate, or null if the file holds none
+ */
+export const readCertificate = (certPath) => {
+  try {
+    return new crypto.X509Certificate(fs.readFileSync(certPath));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Summarise a certificate stored in the certificates directory
+ * @param {string} certPath - Path to the certificate file
+ * @param {crypto.X509Certificate} cert - Parsed certificate
+ * @param {crypto.X509Certificate[]} [caCerts] - Local CA certificates
+ * @returns {Object} Plain object suitable for display or JSON output
+ */
+export const summarizeCertificate = (certPath, cert, caCerts = []) => {
+  const notBefore = new Date(cert.validFrom);
+  const notAfter = new Date(cert.validTo);
+  const keyPath = certPath.replace(/\.[^.]+$/, ".key");
+  const hasKey = fs.existsSync(keyPath);
+
+  return {
+    file: path.basename(certPath),
+    path: certPath,
+    subject: formatName(cert.subject),
+    subjectAltNames: parseSubjectAltName(cert.subjectAltName),
+    issuer: formatName(cert.issuer),
+    issuedByLocalCA: caCerts.some(
+      (caCert) =>
+        cert.fingerprint256 !== caCert.fingerprint256 &&
+        cert.checkIssued(caCert) &&
+        cert.verify(caCert.publicKey)
+    ),
+    isCA: cert.ca,
+    serialNumber: cert.serialNumber,
+    notBefore: notBefore.toISOString(),
+    notAfter: notAfter.toISOString(),
+    daysLeft: Math.floor((notAfter.getTime() - Date.now()) / DAY_MS),
+    key: describeKey(cert.publicKey),
+    keyFile: hasKey ? path.basename(keyPath) : null,
+    keyMatches: hasKey ? keyMatchesCertificate(cert, keyPath) : null,
+  };
+};
+
+/**
+ * Parse every certificate in a directory
+ * @param {string} certsDir - Directory to scan
+ * @param {string[]} [caCertPaths] - Paths of the local CA certificates
+ * @returns {Object[]} Certificate summaries, in directory order
+ */
+export const listCertificates = (certsDir, caCertPaths = []) => {
+  if (!fs.existsSync(certsDir)) {
+    return [];
+  }
+
+  const caCerts = caCertPaths.map(readCertificate).filter(Boolean);
+
+  return (
+    fs
+      .readdirSync(certsDir)
+      .filter((file) => CERT_EXTENSIONS.includes(path.extname(file)))
+      // Full chains repeat the leaf certificate stored next to them
+      .filter((file) => !file.endsWith(".fullchain.pem"))
+      .map((file) => path.join(certsDir, file))
+      .map((certPath) => [certPath, readCertificate(certPath)])
+      .filter(([, cert]) => cert !== null)
+      .map(([certPath, cert]) => summarizeCertificate(certPath, cert, caCerts))
+  );
+};
+
+// Comparators for the --sort option of list-certs
+export const CERT_SORTERS = {
+  name: (a, b) => a.file.localeCompare(b.file),
+  subject: (a, b) => a.subject.localeCompare(b.subject),
+  expiry: (a, b) => a.daysLeft - b.daysLeft,
+  issued: (a, b) => a.notBefore.localeCompare(b.notBefore),
+};
@@ -0,0 +1,382 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ACME_DIRECTORIES } from "./acme.js";
+import { validateCAName } from "./ca.js";
+import { BACKENDS, DIGESTS, KEY_TYPES } from "./keys.js";
+
+// How values of each setting type are read from strings (env vars, config set) and checked
+const TYPES = {
+  string: {
+    parse: (value) => value,
+    check: (value) => typeof value === "string" && value.length > 0,
+    expected: "a non-empty string",
+  },
+  path: {
+    parse: (value) => value,
+    check: (value) => typeof value === "string" && value.length > 0,
+    expected: "a directory path",
+  },
+  days: {
+    parse: (value) => (/^\d+$/.test(value) ? Number(value) : NaN),
+    check: (value) => Number.isInteger(value) && value > 0,
+    expected: "a positive whole number of days",
+  },
+  boolean: {
+    parse: (value) =>
+      ({ true: true, yes: true, 1: true, false: false, no: false, 0: false }[
+        value.toLowerCase()
+      ]),
+    check: (value) => typeof value === "boolean",
+    expected: "true or false",
+  },
+};
+
+// Every setting: its type, built-in default and description. Validators only
+// touch the imports when called, since utils.js imports this module
+export const CONFIG_KEYS = {
+  store: {
+    type: "path",
+    default: "~/certs",
+    description: "directory holding the CAs and certificates",
+  },
+  defaultCA: {
+    type: "string",
+    default: "default",
+    description: "CA used when --ca is not given",
+    validate: (value) =>
+      validateCAName(value)
+        ? 'must use up to 64 letters, digits, "-" and "_"'
+        : null,
+  },
+  keyType: {
+    type: "string",
+    default: "rsa:2048",
+    description: "key type for new keys",
+    validate: (value) =>
+      KEY_TYPES[value]
+        ? null
+        : `must be one of ${Object.keys(KEY_TYPES).join(", ")}`,
+  },
+  digest: {
+    type: "string",
+    default: "auto",
+    description: "signing digest; auto picks one to match the CA key",
+    validate: (value) =>
+      DIGESTS.includes(value) ? null : `must be one of ${DIGESTS.join(", ")}`,
+  },
+  backend: {
+    type: "string",
+    default: "native",
+    description: "how certificates are signed: native (Node crypto) or openssl",
+    validate: (value) =>
+      BACKENDS.includes(value) ? null : `must be one of ${BACKENDS.join(", ")}`,
+  },
+  "days.ca": {
+    type: "days",
+    default: 1825,
+    description: "validity of root CAs",
+  },
+  "days.intermediate": {
+    type: "days",
+    default: 1095,
+    description: "validity of intermediate CAs",
+  },
+  "days.cert": {
+    type: "days",
+    default: 825,
+    description: "validity of certificates",
+  },
+  "days.crl": {
+    type: "days",
+    default: 30,
+    description: "days until the next CRL is due",
+  },
+  "subject.caCommonName": {
+    type: "string",
+    default: "SSL CLI Local Development CA",
+    description: "CN of CAs created without --cn or --subject",
+  },
+  "subject.intermediateCommonName": {
+    type: "string",
+    default: "SSL CLI Local Development Intermediate CA",
+    description: "CN of intermediate CAs created without --cn or --subject",
+  },
+  "subject.country": {
+    type: "string",
+    default: null,
+    description: "C added to generated subjects",
+    validate: (value) =>
+      /^[A-Z]{2}$/.test(value) ? null : "must be a two-letter country code",
+  },
+  "subject.state": {
+    type: "string",
+    default: null,
+    description: "ST added to generated subjects",
+  },
+  "subject.locality": {
+    type: "string",
+    default: null,
+    description: "L added to generated subjects",
+  },
+  "subject.organization": {
+    type: "string",
+    default: null,
+    description: "O added to generated subjects",
+  },
+  "subject.organizationalUnit": {
+    type: "string",
+    default: null,
+    description: "OU added to generated subjects",
+  },
+  "acme.directory": {
+    type: "string",
+    default: "letsencrypt",
+    description:
+      "ACME server: letsencrypt, letsencrypt-staging or a directory URL",
+    validate: (value) =>
+      ACME_DIRECTORIES[value] || /^https?:\/\//.test(value)
+        ? null
+        : `must be ${Object.keys(ACME_DIRECTORIES).join(", ")} or a URL`,
+  },
+  "output.color": {
+    type: "boolean",
+    default: true,
+    description: "colour terminal output",
+  },
+  "output.animations": {
+    type: "boolean",
+    default: true,
+    description: "show title animations and banners",
+  },
+  "output.json": {
+    type: "boolean",
+    default: false,
+    description: "print JSON from commands that support --json",
+  },
+};
+
+/**
+ * Get the path of the config file, following the XDG base directory spec
+ * @returns {string} $XDG_CONFIG_HOME/ssl-cli/config.json, or ~/.config/ssl-cli/config.json
+ */
+export const getConfigPath = () =>
+  path.join(
+    process.env.XDG_CONFIG_HOME ||
+      path.join(
+        process.env.HOME || process.env.USERPROFILE || os.homedir(),
+        ".config"
+      ),
+    "ssl-cli",
+    "config.json"
+  );
+
+/**
+ * Name of the environment variable overriding a setting
+ * @param {string} key - Setting, e.g. "days.cert"
+ * @returns {string} e.g. "SSL_CLI_DAYS_CERT"
+ */
+export const envNameOf = (key) =>
+  `SSL_CLI_${key
+    .replace(/([a-z])([A-Z])/g, "$1_$2")
+    .replace(/\./g, "_")
+    .toUpperCase()}`;
+
+/**
+ * Check a value for a setting
+ * @param {string} key - Setting
+ * @param {*} value - Value, already parsed
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+const checkValue = (key, value) => {
+  const { type, validate } = CONFIG_KEYS[key];
+  if (!TYPES[type].check(value)) {
+    return `${key} must be ${TYPES[type].expected}`;
+  }
+  const error = validate && validate(value);
+  return error ? `${key} ${error}` : null;
+};
+
+/**
+ * Parse a setting from its string form, as given to config set or an env var
+ * @param {string} key - Setting
+ * @param {string} raw - String value
+ * @returns {*} Parsed value
+ * @throws {Error} If the key is unknown or the value invalid
+ */
+export const parseConfigValue = (key, raw) => {
+  if (!CONFIG_KEYS[key]) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+  const value = TYPES[CONFIG_KEYS[key].type].parse(raw.trim());
+  const error = checkValue(key, value);
+  if (error) {
+    throw new Error(error);
+  }
+  return value;
+};
+
+// Read and write nested settings such as {"days": {"cert": 825}} by dotted key
+const getIn = (object, key) =>
+  key
+    .split(".")
+    .reduce(
+      (node, part) =>
+        node && typeof node === "object" && part in node
+          ? node[part]
+          : undefined,
+      object
+    );
+
+const setIn = (object, key, value) => {
+  const parts = key.split(".");
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => {
+    if (!node[part] || typeof node[part] !== "object") {
+      node[part] = {};
+    }
+    return node[part];
+  }, object);
+  if (value === undefined) {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+};
+
+/**
+ * Read the config file
+ * @returns {{settings: Object, problems: string[]}} File contents, and why it could not be read
+ */
+const readConfigFile = () => {
+  const configPath = getConfigPath();
+  if (!fs.existsSync(configPath)) {
+    return { settings: {}, problems: [] };
+  }
+  try {
+    const settings = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      throw new Error("expected a JSON object");
+    }
+    return { settings, problems: [] };
+  } catch (error) {
+    return {
+      settings: {},
+      problems: [`Ignoring ${configPath}: ${error.message}`],
+    };
+  }
+};
+
+let cached = null;
+
+/**
+ * Load the settings: built-in defaults, then the config file, then SSL_CLI_* env vars
+ *
+ * Invalid values are skipped and reported in problems, so a broken config
+ * file never stops the CLI (or config set) from running.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.reload=false] - Read the file and environment again
+ * @returns {{values: Object, sources: Object, problems: string[]}} Effective values by key, where each came from, and problems found
+ */
+export const loadConfig = ({ reload = false } = {}) => {
+  if (cached && !reload) {
+    return cached;
+  }
+
+  const { settings, problems } = readConfigFile();
+  const values = {};
+  const sources = {};
+
+  Object.entries(CONFIG_KEYS).forEach(([key, definition]) => {
+    values[key] = definition.default;
+    sources[key] = "default";
+
+    const fromFile = getIn(settings, key);
+    if (fromFile !== undefined && fromFile !== null) {
+      const error = checkValue(key, fromFile);
+      if (error) {
+        problems.push(`Ignoring ${key} in ${getConfigPath()}: ${error}`);
+      } else {
+        values[key] = fromFile;
+        sources[key] = "file";
+      }
+    }
+
+    const envName = envNameOf(key);
+    if (process.env[envName] !== undefined && process.env[envName] !== "") {
+      try {
+        values[key] = parseConfigValue(key, process.env[envName]);
+        sources[key] = "env";
+      } catch (error) {
+        problems.push(`Ignoring ${envName}: ${error.message}`);
+      }
+    }
+  });
+
+  cached = { values, sources, problems };
+  return cached;
+};
+
+/**
+ * Get the effective value of a setting
+ * @param {string} key - Setting, e.g. "days.cert"
+ * @returns {*} Value from the env, the config file or the built-in default
+ */
+export const getConfig = (key) => {
+  if (!CONFIG_KEYS[key]) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+  return loadConfig().values[key];
+};
+
+/**
+ * Get the subject attributes from the subject.* settings, for buildSubject()
+ * @returns {Object} country, state, locality, organization and organizationalUnit; null when not set
+ */
+export const getSubjectDefaults = () => ({
+  country: getConfig("subject.country"),
+  state: getConfig("subject.state"),
+  locality: getConfig("subject.locality"),
+  organization: getConfig("subject.organization"),
+  organizationalUnit: getConfig("subject.organizationalUnit"),
+});
+
+/**
+ * Store a setting in the config file, or remove it to fall back to the default
+ * @param {string} key - Setting
+ * @param {string} [raw] - String value; undefined removes the setting
+ * @returns {*} The stored value, parsed
+ * @throws {Error} If the key is unknown or the value invalid
+ */
+export const setConfigValue = (key, raw) => {
+  if (!CONFIG_KEYS[key]) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+  const value = raw === undefined ? undefined : parseConfigValue(key, raw);
+
+  const configPath = getConfigPath();
+  const { settings, problems } = readConfigFile();
+  if (problems.length > 0) {
+    // Rewriting an unreadable file would throw away whatever is in it
+    throw new Error(`${configPath} could not be read; fix or remove it first`);
+  }
+  setIn(settings, key, value);
+
+  fs.mkdirSync(path.dirname(configPath), { recursive: true });
+  fs.writeFileSync(configPath, `${JSON.stringify(settings, null, 2)}\n`);
+  loadConfig({ reload: true });
+  return value;
+};
+
+/**
+ * Expand a leading ~ and make a path absolute
+ * @param {string} value - e.g. "~/certs"
+ * @returns {string} Absolute path
+ */
+export const expandPath = (value) =>
+  path.resolve(
+    value.replace(
+      /^~(?=$|[\\/])/,
+      process.env.HOME || process.env.USERPROFILE || os.homedir()
+    )
+  );
@@ -0,0 +1,114 @@
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { DnsProviderError } from "./errors.js";
+import { createRfc2136Provider } from "./rfc2136.js";
+
+/**
+ * Built-in DNS providers by --dns-provider name
+ *
+ * A DNS provider creates and removes the _acme-challenge TXT records of
+ * DNS-01 challenges. It is an object with async createTxtRecord(name, value)
+ * and removeTxtRecord(name, value) methods, the latter removing only the
+ * record with that value, and optionally waitForRecord(name, value), which
+ * resolves once the record is served. A factory makes it from the settings
+ * of the --dns-credentials file; besides these, a provider can be a module
+ * exporting its factory as createProvider, e.g. for a DNS host's HTTP API.
+ */
+export const DNS_PROVIDERS = {
+  rfc2136: createRfc2136Provider,
+};
+
+/**
+ * Check whether a --dns-provider value names a module rather than a built-in provider
+ * @param {string} provider - Provider name or module path
+ * @returns {boolean} True for paths such as ./cloudflare.js
+ */
+const isModulePath = (provider) =>
+  /^(\.{1,2}\/|\/)/.test(provider) || /\.[cm]?js$/.test(provider);
+
+/**
+ * Read the settings of a DNS provider
+ * @param {string} file - JSON file
+ * @returns {Object} Settings
+ * @throws {DnsProviderError} If the file cannot be read or is not a JSON object
+ */
+export const readDnsCredentials = (file) => {
+  let settings;
+  try {
+    settings = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new DnsProviderError(`Cannot read ${file}: ${error.message}`);
+  }
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    throw new DnsProviderError(`${file} must hold a JSON object`);
+  }
+  return settings;
+};
+
+/**
+ * Create a DNS provider
+ * @param {string} provider - A DNS_PROVIDERS name, or the path of a module exporting createProvider
+ * @param {Object} [settings] - Settings passed to the factory, e.g. from readDnsCredentials()
+ * @returns {Promise<Object>} Provider
+ * @throws {DnsProviderError} If the provider is unknown or incomplete, or its settings are wrong
+ */
+export const loadDnsProvider = async (provider, settings = {}) => {
+  let factory = DNS_PROVIDERS[provider];
+  if (!factory) {
+    if (!isModulePath(provider)) {
+      throw new DnsProviderError(
+        `Unknown DNS provider "${provider}": use ${Object.keys(
+          DNS_PROVIDERS
+        ).join(", ")} or the path of a provider module`
+      );
+    }
+    const module = await import(pathToFileURL(path.resolve(provider)).href);
+    factory = module.createProvider;
+    if (typeof factory !== "function") {
+      throw new DnsProviderError(`${provider} does not export createProvider`);
+    }
+  }
+
+  const instance = await factory(settings);
+  const missing = ["createTxtRecord", "removeTxtRecord"].filter(
+    (method) => typeof instance?.[method] !== "function"
+  );
+  if (missing.length > 0) {
+    throw new DnsProviderError(
+      `The ${provider} DNS provider has no ${missing.join(" or ")} method`
+    );
+  }
+  // Providers name themselves in messages; a module's path stands in otherwise
+  if (!instance.name) {
+    instance.name = provider;
+  }
+  return instance;
+};
+
+/**
+ * Answer DNS-01 challenges through a DNS provider, for obtainCertificate()
+ * @param {Object} provider - From loadDnsProvider()
+ * @param {Object} [options] - Options
+ * @param {number} [options.propagationSeconds=0] - Extra wait after the record is created, for secondary servers to catch up
+ * @returns {Object} Solver
+ */
+export const dnsProviderSolver = (
+  provider,
+  { propagationSeconds = 0 } = {}
+) => ({
+  type: "dns-01",
+  prepare: async ({ dnsName, dnsValue }) => {
+    await provider.createTxtRecord(dnsName, dnsValue);
+    if (provider.waitForRecord) {
+      await provider.waitForRecord(dnsName, dnsValue);
+    }
+    if (propagationSeconds > 0) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, propagationSeconds * 1000)
+      );
+    }
+  },
+  cleanup: ({ dnsName, dnsValue }) =>
+    provider.removeTxtRecord(dnsName, dnsValue),
+});
@@ -0,0 +1,140 @@
+/**
+ * Base class of the errors thrown by the programmatic API
+ *
+ * Every error carries a stable code, so callers can branch on err.code
+ * instead of parsing messages.
+ */
+export class SslCliError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {string} code - Stable error code, e.g. "ERR_CA_NOT_FOUND"
+   * @param {Object} [details] - Extra properties copied onto the error
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// The openssl binary is not installed or not in PATH
+export class OpenSSLNotFoundError extends SslCliError {
+  constructor() {
+    super("OpenSSL is not installed or not in PATH", "ERR_OPENSSL_NOT_FOUND");
+  }
+}
+
+// An openssl command exited with an error; stderr holds its output
+export class OpenSSLError extends SslCliError {
+  constructor(command, stderr) {
+    const lines = stderr
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean);
+    // OpenSSL prints progress notes ("... ok", "subject=") and an error stack around the message
+    const reason =
+      lines.find((line) => !/ ok$|^subject=|^[0-9A-F]+:error:/.test(line)) ||
+      lines.pop() ||
+      "unknown error";
+    super(`openssl ${command} failed: ${reason}`, "ERR_OPENSSL", {
+      command,
+      stderr,
+    });
+  }
+}
+
+// Domain names or IP addresses that cannot go in a certificate; errors lists each problem
+export class InvalidNameError extends SslCliError {
+  constructor(errors) {
+    super(errors.join("; "), "ERR_INVALID_NAME", { errors });
+  }
+}
+
+// An option has a value the API does not accept
+export class InvalidOptionError extends SslCliError {
+  constructor(message) {
+    super(message, "ERR_INVALID_OPTION");
+  }
+}
+
+// The CA to use (or sign with) has not been created
+export class CANotFoundError extends SslCliError {
+  constructor(caName) {
+    super(`The "${caName}" CA does not exist`, "ERR_CA_NOT_FOUND", {
+      caName,
+    });
+  }
+}
+
+// Files would be overwritten and overwrite was not requested
+export class FileExistsError extends SslCliError {
+  constructor(message, files) {
+    super(message, "ERR_FILE_EXISTS", { files });
+  }
+}
+
+// A key needs a passphrase and none was given
+export class PassphraseRequiredError extends SslCliError {
+  constructor(message) {
+    super(message, "ERR_PASSPHRASE_REQUIRED");
+  }
+}
+
+// A file the caller pointed at does not exist
+export class FileNotFoundError extends SslCliError {
+  constructor(file) {
+    super(`File not found: ${file}`, "ERR_FILE_NOT_FOUND", { file });
+  }
+}
+
+// A file could not be decoded as a certificate, CSR or key
+export class InvalidFileError extends SslCliError {
+  constructor(file, reason) {
+    super(`Could not inspect ${file}: ${reason}`, "ERR_INVALID_FILE", {
+      file,
+    });
+  }
+}
+
+// A key could not be decrypted with the passphrase given
+export class WrongPassphraseError extends SslCliError {
+  constructor(message) {
+    super(message, "ERR_WRONG_PASSPHRASE");
+  }
+}
+
+// An ACME server rejected a request or an order failed; problem is the RFC 7807 document, if any
+export class AcmeError extends SslCliError {
+  constructor(message, problem = null) {
+    super(message, "ERR_ACME", { problem });
+  }
+}
+
+// A DNS provider could not create or remove a challenge record; rcode is the DNS response code, if any
+export class DnsProviderError extends SslCliError {
+  constructor(message, rcode = null) {
+    super(message, "ERR_DNS_PROVIDER", { rcode });
+  }
+}
+
+// A challenge TXT record did not reach every authoritative name server in time; pending lists the servers without it
+export class DnsPropagationError extends SslCliError {
+  constructor(message, pending = []) {
+    super(message, "ERR_DNS_PROPAGATION", { pending });
+  }
+}
+
+// nginx -t rejected a site configuration and the previous files were put back; backup is the id of their backup
+export class NginxConfigError extends SslCliError {
+  constructor(message, output, backup) {
+    super(message, "ERR_NGINX_CONFIG", { output, backup });
+  }
+}
+
+// A setup-nginx site spec could not be parsed or is invalid; errors lists each problem
+export class SiteSpecError extends SslCliError {
+  constructor(file, errors) {
+    super(`${file}: ${errors.join("; ")}`, "ERR_SITE_SPEC", { file, errors });
+  }
+}
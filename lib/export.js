@@ -0,0 +1,163 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { runOpenSSL } from "../utils.js";
+
+// Formats of the export command: default file extension and whether the file holds the private key
+export const EXPORT_FORMATS = {
+  p12: { extension: ".p12", label: "PKCS#12", containsKey: true },
+  der: { extension: ".cer", label: "DER certificate", containsKey: false },
+  "pem-bundle": {
+    extension: ".bundle.pem",
+    label: "PEM key + certificate + chain",
+    containsKey: true,
+  },
+  fullchain: {
+    extension: ".fullchain.pem",
+    label: "PEM certificate + chain",
+    containsKey: false,
+  },
+};
+
+// PBE and MAC settings older PKCS#12 readers understand (Windows before Server 2019, Java 8)
+const LEGACY_PKCS12_ARGS = [
+  "-certpbe",
+  "PBE-SHA1-3DES",
+  "-keypbe",
+  "PBE-SHA1-3DES",
+  "-macalg",
+  "sha1",
+];
+
+/**
+ * Concatenate PEM blocks, one after the other
+ * @param {Array<string|crypto.X509Certificate>} items - PEM text or certificates
+ * @returns {string} PEM text with a trailing newline
+ */
+const joinPem = (items) =>
+  `${items.map((item) => String(item).trim()).join("\n")}\n`;
+
+/**
+ * Read the common name of a certificate
+ * @param {crypto.X509Certificate} cert - Certificate
+ * @returns {string|null} CN, or null if the subject has none
+ */
+const commonNameOf = (cert) => {
+  const cn = cert.subject.split("\n").find((rdn) => rdn.startsWith("CN="));
+  return cn ? cn.slice(3) : null;
+};
+
+/**
+ * Write a PKCS#12 file with OpenSSL
+ * @param {Object} options - See exportCertificate()
+ */
+const writePkcs12 = ({
+  cert,
+  keyPath,
+  outPath,
+  chain,
+  friendlyName,
+  password,
+  legacy,
+}) => {
+  // openssl pkcs12 takes the leaf and its chain from a single PEM file
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-export-"));
+  const certsPath = path.join(tmpDir, "certs.pem");
+  fs.writeFileSync(certsPath, joinPem([cert, ...chain]));
+
+  try {
+    runOpenSSL(
+      [
+        "pkcs12",
+        "-export",
+        "-inkey",
+        keyPath,
+        "-in",
+        certsPath,
+        "-name",
+        friendlyName,
+        ...chain.flatMap((caCert) => ["-caname", commonNameOf(caCert) || "CA"]),
+        ...(legacy ? LEGACY_PKCS12_ARGS : []),
+        "-passout",
+        "env:SSL_CLI_EXPORT_PASSWORD",
+        "-out",
+        outPath,
+      ],
+      { env: { SSL_CLI_EXPORT_PASSWORD: password } }
+    );
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Export a certificate, and for some formats its key and chain, to a single file
+ * @param {Object} options - Options
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {crypto.X509Certificate} options.cert - Certificate to export
+ * @param {string} options.keyPath - Its private key (p12 and pem-bundle)
+ * @param {crypto.X509Certificate[]} options.chain - CA certificates to include, nearest first
+ * @param {string} options.outPath - Where to write the export
+ * @param {string} [options.friendlyName] - PKCS#12 friendly name of the key and certificate
+ * @param {string} [options.password] - PKCS#12 export password
+ * @param {boolean} [options.legacy=false] - Use 3DES/SHA-1 for older PKCS#12 readers
+ * @returns {{file: string, format: string, certificates: number, containsKey: boolean}} What was written
+ */
+export const exportCertificate = ({
+  format,
+  cert,
+  keyPath,
+  chain,
+  outPath,
+  friendlyName,
+  password,
+  legacy = false,
+}) => {
+  const { containsKey } = EXPORT_FORMATS[format] || {};
+  if (containsKey === undefined) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  if (containsKey && !fs.existsSync(keyPath)) {
+    throw new Error(`Private key ${path.basename(keyPath)} not found`);
+  }
+
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+
+  switch (format) {
+    case "p12":
+      writePkcs12({
+        cert,
+        keyPath,
+        outPath,
+        chain,
+        friendlyName: friendlyName || commonNameOf(cert) || "certificate",
+        password,
+        legacy,
+      });
+      break;
+    case "der":
+      fs.writeFileSync(outPath, cert.raw);
+      break;
+    case "pem-bundle":
+      fs.writeFileSync(
+        outPath,
+        joinPem([fs.readFileSync(keyPath, "utf8"), cert, ...chain]),
+        { mode: 0o600 }
+      );
+      break;
+    default:
+      fs.writeFileSync(outPath, joinPem([cert, ...chain]));
+  }
+
+  // Files holding the private key are readable by the owner only
+  if (containsKey) {
+    fs.chmodSync(outPath, 0o600);
+  }
+
+  return {
+    file: outPath,
+    format,
+    certificates: format === "der" ? 1 : 1 + chain.length,
+    containsKey,
+  };
+};
@@ -0,0 +1,316 @@
+import crypto from "crypto";
+import fs from "fs";
+import { decodeAll, is, toOid, TAGS } from "./asn1.js";
+import { decodePem, isPem } from "./pem.js";
+import {
+  formatGeneralName,
+  formatHex,
+  parseCertificate,
+  parseCertificationRequest,
+} from "./x509.js";
+import { describeKey, formatName } from "./certs.js";
+
+// Password-based encryption schemes and ciphers used by encrypted PKCS#8 keys
+const ENCRYPTION_NAMES = {
+  "1.2.840.113549.1.5.13": "PBES2",
+  "1.2.840.113549.1.5.12": "PBKDF2",
+  "1.2.840.113549.3.7": "des-ede3-cbc",
+  "2.16.840.1.101.3.4.1.2": "aes-128-cbc",
+  "2.16.840.1.101.3.4.1.22": "aes-192-cbc",
+  "2.16.840.1.101.3.4.1.42": "aes-256-cbc",
+};
+
+// Digests used to check CSR self-signatures (null: the key type implies it)
+const SIGNATURE_DIGESTS = {
+  sha1WithRSAEncryption: "sha1",
+  sha256WithRSAEncryption: "sha256",
+  sha384WithRSAEncryption: "sha384",
+  sha512WithRSAEncryption: "sha512",
+  "ecdsa-with-SHA256": "sha256",
+  "ecdsa-with-SHA384": "sha384",
+  "ecdsa-with-SHA512": "sha512",
+  Ed25519: null,
+  Ed448: null,
+};
+
+// PEM labels and the DER key encodings they carry
+const KEY_LABELS = {
+  "PRIVATE KEY": "pkcs8",
+  "RSA PRIVATE KEY": "pkcs1",
+  "EC PRIVATE KEY": "sec1",
+};
+
+const KEY_FORMAT_NAMES = { pkcs8: "PKCS#8", pkcs1: "PKCS#1", sec1: "SEC1" };
+
+/**
+ * SHA-256 fingerprint of a public key
+ * @param {crypto.KeyObject} key - Public or private key
+ * @returns {string} Colon separated hex digest of the SubjectPublicKeyInfo
+ */
+const publicKeyFingerprint = (key) => {
+  const publicKey = key.type === "public" ? key : crypto.createPublicKey(key);
+  const spki = publicKey.export({ type: "spki", format: "der" });
+  return formatHex(crypto.createHash("sha256").update(spki).digest());
+};
+
+/**
+ * Pick the named extension out of a decoded extension list
+ * @param {Object[]} extensions - Decoded extensions
+ * @param {string} name - Extension name
+ * @returns {*} Decoded extension value, or null when absent
+ */
+const extensionValue = (extensions, name) => {
+  const extension = extensions.find((ext) => ext.name === name);
+  return extension ? extension.value : null;
+};
+
+/**
+ * Describe a DER certificate
+ * @param {Buffer} der - DER encoded certificate
+ * @returns {Object} Certificate details
+ */
+export const inspectCertificate = (der) => {
+  const cert = new crypto.X509Certificate(der);
+  const { version, signatureAlgorithm, extensions } = parseCertificate(der);
+  const subjectAltNames = extensionValue(extensions, "subjectAltName") || [];
+
+  return {
+    type: "certificate",
+    version,
+    subject: formatName(cert.subject),
+    issuer: formatName(cert.issuer),
+    selfSigned: cert.checkIssued(cert) && cert.verify(cert.publicKey),
+    isCA: cert.ca,
+    serialNumber: cert.serialNumber,
+    notBefore: new Date(cert.validFrom).toISOString(),
+    notAfter: new Date(cert.validTo).toISOString(),
+    expired: new Date(cert.validTo).getTime() < Date.now(),
+    signatureAlgorithm,
+    publicKey: describeKey(cert.publicKey),
+    subjectAltNames: subjectAltNames.map(formatGeneralName),
+    keyUsage: extensionValue(extensions, "keyUsage") || [],
+    extendedKeyUsage: extensionValue(extensions, "extKeyUsage") || [],
+    basicConstraints: extensionValue(extensions, "basicConstraints"),
+    extensions,
+    fingerprints: {
+      sha1: cert.fingerprint,
+      sha256: cert.fingerprint256,
+    },
+  };
+};
+
+/**
+ * Describe a DER certificate signing request
+ * @param {Buffer} der - DER encoded CSR
+ * @returns {Object} CSR details, including whether its self-signature is valid
+ */
+export const inspectCertificationRequest = (der) => {
+  const csr = parseCertificationRequest(der);
+  const publicKey = crypto.createPublicKey({
+    key: csr.spki,
+    format: "der",
+    type: "spki",
+  });
+  const digest = SIGNATURE_DIGESTS[csr.signatureAlgorithm];
+
+  let signatureValid = null;
+  if (digest !== undefined) {
+    signatureValid = crypto.verify(digest, csr.info, publicKey, csr.signature);
+  }
+
+  const subjectAltNames = extensionValue(csr.extensions, "subjectAltName");
+
+  return {
+    type: "csr",
+    subject: csr.subject,
+    signatureAlgorithm: csr.signatureAlgorithm,
+    signatureValid,
+    publicKey: describeKey(publicKey),
+    subjectAltNames: (subjectAltNames || []).map(formatGeneralName),
+    keyUsage: extensionValue(csr.extensions, "keyUsage") || [],
+    extendedKeyUsage: extensionValue(csr.extensions, "extKeyUsage") || [],
+    extensions: csr.extensions,
+    fingerprints: { publicKeySha256: publicKeyFingerprint(publicKey) },
+  };
+};
+
+/**
+ * Describe an unencrypted DER private key
+ * @param {Buffer} der - DER encoded key
+ * @param {string} type - Key encoding: pkcs8, pkcs1 or sec1
+ * @returns {Object} Key details
+ */
+export const inspectPrivateKey = (der, type) => {
+  const key = crypto.createPrivateKey({ key: der, format: "der", type });
+  return {
+    type: "private-key",
+    format: KEY_FORMAT_NAMES[type],
+    encrypted: false,
+    key: describeKey(key),
+    fingerprints: { publicKeySha256: publicKeyFingerprint(key) },
+  };
+};
+
+/**
+ * Describe an encrypted PKCS#8 private key without decrypting it
+ * @param {Buffer} der - DER encoded EncryptedPrivateKeyInfo
+ * @returns {Object} Key details, including the encryption scheme
+ */
+export const inspectEncryptedPrivateKey = (der) => {
+  const [algorithm, data] = decodeAll(der).children;
+  if (!is(algorithm, TAGS.SEQUENCE) || !is(data, TAGS.OCTET_STRING)) {
+    throw new Error("Not an encrypted private key");
+  }
+
+  const [schemeOid, params] = algorithm.children;
+  const scheme = ENCRYPTION_NAMES[toOid(schemeOid)] || toOid(schemeOid);
+  let cipher = null;
+  if (scheme === "PBES2" && params) {
+    const cipherOid = toOid(params.children[1].children[0]);
+    cipher = ENCRYPTION_NAMES[cipherOid] || cipherOid;
+  }
+
+  return {
+    type: "private-key",
+    format: "PKCS#8",
+    encrypted: true,
+    encryption: cipher ? `${scheme} (${cipher})` : scheme,
+  };
+};
+
+/**
+ * Describe a DER public key
+ * @param {Buffer} der - DER encoded SubjectPublicKeyInfo
+ * @returns {Object} Key details
+ */
+export const inspectPublicKey = (der) => {
+  const key = crypto.createPublicKey({ key: der, format: "der", type: "spki" });
+  return {
+    type: "public-key",
+    key: describeKey(key),
+    fingerprints: { publicKeySha256: publicKeyFingerprint(key) },
+  };
+};
+
+/**
+ * Work out what a DER blob holds by trying each structure in turn
+ * @param {Buffer} der - DER encoded data
+ * @returns {Object} Details from the first matching inspector
+ */
+const inspectDer = (der) => {
+  const attempts = [
+    () => inspectCertificate(der),
+    () => inspectCertificationRequest(der),
+    () => inspectPrivateKey(der, "pkcs8"),
+    () => inspectPrivateKey(der, "pkcs1"),
+    () => inspectPrivateKey(der, "sec1"),
+    () => inspectEncryptedPrivateKey(der),
+    () => inspectPublicKey(der),
+  ];
+
+  for (const attempt of attempts) {
+    try {
+      return attempt();
+    } catch (error) {
+      // Not this structure, try the next one
+    }
+  }
+  throw new Error("Unrecognized DER data: not a certificate, CSR or key");
+};
+
+/**
+ * Describe one PEM block
+ * @param {{label: string, headers: Object, der: Buffer}} block - Decoded PEM block
+ * @returns {Object} Block details
+ */
+const inspectPemBlock = ({ label, headers, der }) => {
+  if (label === "CERTIFICATE" || label === "TRUSTED CERTIFICATE") {
+    return inspectCertificate(der);
+  }
+  if (label === "CERTIFICATE REQUEST" || label === "NEW CERTIFICATE REQUEST") {
+    return inspectCertificationRequest(der);
+  }
+  if (label === "ENCRYPTED PRIVATE KEY") {
+    return inspectEncryptedPrivateKey(der);
+  }
+  if (KEY_LABELS[label]) {
+    // Legacy OpenSSL encryption keeps the PKCS#1/SEC1 label and adds headers
+    if ((headers["Proc-Type"] || "").includes("ENCRYPTED")) {
+      return {
+        type: "private-key",
+        format: KEY_FORMAT_NAMES[KEY_LABELS[label]],
+        encrypted: true,
+        encryption: (headers["DEK-Info"] || "").split(",")[0] || "unknown",
+      };
+    }
+    return inspectPrivateKey(der, KEY_LABELS[label]);
+  }
+  if (label === "PUBLIC KEY") {
+    return inspectPublicKey(der);
+  }
+  return { type: "unknown", label };
+};
+
+/**
+ * Check the order of a certificate chain (leaf first, each signed by the next)
+ * @param {Buffer[]} ders - DER encoded certificates in file order
+ * @returns {{ordered: boolean, certificates: Object[]}} Role of each certificate and whether the next one signed it
+ */
+export const checkChainOrder = (ders) => {
+  const certs = ders.map((der) => new crypto.X509Certificate(der));
+  const certificates = certs.map((cert, i) => {
+    const selfSigned = cert.checkIssued(cert) && cert.verify(cert.publicKey);
+    const next = certs[i + 1];
+    return {
+      subject: formatName(cert.subject),
+      role: selfSigned ? "root" : i === 0 ? "leaf" : "intermediate",
+      signedByNext: next
+        ? Boolean(cert.checkIssued(next) && cert.verify(next.publicKey))
+        : null,
+    };
+  });
+
+  return {
+    ordered: certificates.every(({ signedByNext }) => signedByNext !== false),
+    certificates,
+  };
+};
+
+/**
+ * Inspect a certificate, chain, CSR or key file (PEM or DER)
+ * @param {string} filePath - Path to the file
+ * @returns {Object} File encoding, overall type, per-item details and chain order
+ */
+export const inspectFile = (filePath) => {
+  const data = fs.readFileSync(filePath);
+  const pem = isPem(data);
+  // EC PARAMETERS only repeats the curve name that the key already carries
+  const blocks = pem
+    ? decodePem(data.toString("latin1")).filter(
+        ({ label }) => label !== "EC PARAMETERS"
+      )
+    : null;
+
+  if (pem && blocks.length === 0) {
+    throw new Error("The file contains no complete PEM block");
+  }
+
+  const items = pem ? blocks.map(inspectPemBlock) : [inspectDer(data)];
+  const certDers = pem
+    ? blocks.filter((_, i) => items[i].type === "certificate").map((b) => b.der)
+    : [];
+
+  const types = [...new Set(items.map((item) => item.type))];
+  let type = types.length === 1 ? types[0] : "bundle";
+  if (type === "certificate" && items.length > 1) {
+    type = "chain";
+  }
+
+  return {
+    file: filePath,
+    encoding: pem ? "PEM" : "DER",
+    type,
+    items,
+    chain: certDers.length > 1 ? checkChainOrder(certDers) : null,
+  };
+};
@@ -0,0 +1,350 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { runOpenSSL } from "../utils.js";
+import { readCertificate } from "./certs.js";
+import {
+  CA_KEY_USAGE,
+  digestArgs,
+  digestFor,
+  leafKeyUsageFor,
+  loadPrivateKey,
+  passphraseArgs,
+} from "./keys.js";
+import { buildAltNames } from "./names.js";
+import { nextSerial, openDatabase, recordCertificate } from "./cadb.js";
+import { signCertificate } from "./native.js";
+
+/**
+ * Extension lines pointing relying parties at the CRL and OCSP responder
+ * @param {{crlUrl: string, ocspUrl: string}} [revocation] - URLs from revocationUrls()
+ * @returns {string} crlDistributionPoints and authorityInfoAccess lines, or nothing
+ */
+const revocationExtensions = (revocation) =>
+  revocation
+    ? `crlDistributionPoints = URI:${revocation.crlUrl}
+authorityInfoAccess = OCSP;URI:${revocation.ocspUrl}
+`
+    : "";
+
+/**
+ * OpenSSL extension file for a leaf certificate
+ * @param {string[]} names - DNS names and IP addresses for subjectAltName
+ * @param {crypto.KeyObject} publicKey - The leaf's key, which decides the key usages
+ * @param {{crlUrl: string, ocspUrl: string}} [revocation] - Revocation URLs to embed
+ * @returns {string} Extension file contents
+ */
+const leafExtFile = (names, publicKey, revocation) =>
+  `authorityKeyIdentifier=keyid,issuer
+basicConstraints=CA:FALSE
+keyUsage = ${leafKeyUsageFor(publicKey).join(", ")}
+subjectAltName = @alt_names
+${revocationExtensions(revocation)}
+[alt_names]
+${buildAltNames(names)}`;
+
+/**
+ * OpenSSL extension file for an intermediate CA
+ * @param {{crlUrl: string, ocspUrl: string}} [revocation] - Revocation URLs of the root CA
+ * @returns {string} Extension file contents
+ */
+const intermediateExtFile = (revocation) =>
+  // pathlen:0 lets the intermediate sign leaf certificates but no further CAs
+  `basicConstraints = critical, CA:TRUE, pathlen:0
+keyUsage = critical, ${CA_KEY_USAGE.join(", ")}
+subjectKeyIdentifier = hash
+authorityKeyIdentifier = keyid:always, issuer
+${revocationExtensions(revocation)}`;
+
+/**
+ * Issue a certificate with the openssl binary: a CSR, then x509 -req with an extension file
+ *
+ * The CSR and extension file go to a temporary directory that is removed
+ * afterwards, so nothing is left next to the certificate.
+ * @param {Object} options - See issueCertificate(), plus the leaf's publicKey, the serial and the resolved digest
+ */
+const issueWithOpenSSL = ({
+  profile,
+  keyPath,
+  keyPassphrase,
+  keyPassphraseFile,
+  publicKey,
+  certPath,
+  subject,
+  names,
+  revocation,
+  caCertPath,
+  caKeyPath,
+  caPassphrase,
+  caPassphraseFile,
+  serial,
+  days,
+  digest,
+}) => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-"));
+  const csrPath = path.join(tmpDir, "request.csr");
+  const extPath = path.join(tmpDir, "extensions.ext");
+
+  try {
+    const keyPass = passphraseArgs("-passin", {
+      passphrase: keyPassphrase,
+      passphraseFile: keyPassphraseFile,
+    });
+    runOpenSSL(
+      [
+        "req",
+        "-new",
+        "-key",
+        keyPath,
+        ...keyPass.args,
+        "-subj",
+        subject,
+        "-out",
+        csrPath,
+      ],
+      { env: keyPass.env }
+    );
+    fs.writeFileSync(
+      extPath,
+      profile === "intermediate"
+        ? intermediateExtFile(revocation)
+        : leafExtFile(names, publicKey, revocation)
+    );
+
+    const caPass = passphraseArgs("-passin", {
+      passphrase: caPassphrase,
+      passphraseFile: caPassphraseFile,
+    });
+    runOpenSSL(
+      [
+        "x509",
+        "-req",
+        "-in",
+        csrPath,
+        "-CA",
+        caCertPath,
+        "-CAkey",
+        caKeyPath,
+        ...caPass.args,
+        "-set_serial",
+        `0x${serial}`,
+        "-out",
+        certPath,
+        "-days",
+        String(days),
+        ...digestArgs(digest),
+        "-extfile",
+        extPath,
+      ],
+      { env: caPass.env }
+    );
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Issue a leaf or intermediate CA certificate from a local CA and record it in the CA database
+ * @param {Object} options - Options
+ * @param {string} [options.profile="leaf"] - "leaf" or "intermediate"
+ * @param {string} options.keyPath - The subject's private key
+ * @param {string} [options.keyPassphrase] - Passphrase of the subject's key, if it is encrypted
+ * @param {string} [options.keyPassphraseFile] - File holding that passphrase
+ * @param {string} options.certPath - Where to write the certificate
+ * @param {string} options.subject - Subject in OpenSSL form, e.g. "/CN=app.test"
+ * @param {string[]} [options.names] - DNS names and IP addresses for subjectAltName (leaf only)
+ * @param {{crlUrl: string, ocspUrl: string}} [options.revocation] - Revocation URLs to embed
+ * @param {string} options.caCertPath - CA certificate
+ * @param {string} options.caKeyPath - CA private key
+ * @param {string} [options.caPassphrase] - CA key passphrase
+ * @param {string} [options.caPassphraseFile] - File holding the CA key passphrase
+ * @param {number} options.days - Validity period in days
+ * @param {string} [options.digest="auto"] - Signing digest, one of DIGESTS
+ * @param {string} [options.backend="native"] - One of BACKENDS
+ */
+export const issueCertificate = ({
+  profile = "leaf",
+  keyPath,
+  keyPassphrase,
+  keyPassphraseFile,
+  certPath,
+  subject,
+  names = [],
+  revocation,
+  caCertPath,
+  caKeyPath,
+  caPassphrase,
+  caPassphraseFile,
+  days,
+  digest: preferredDigest = "auto",
+  backend = "native",
+}) => {
+  const caCert = readCertificate(caCertPath);
+  if (!caCert) {
+    throw new Error(`No CA certificate found at ${caCertPath}`);
+  }
+  // The digest follows the CA's key: e.g. SHA-384 for P-384, none for Ed25519
+  const digest = digestFor(caCert.publicKey, preferredDigest);
+  const publicKey = crypto.createPublicKey(
+    loadPrivateKey(keyPath, {
+      passphrase: keyPassphrase,
+      passphraseFile: keyPassphraseFile,
+    })
+  );
+  const db = openDatabase(caCertPath);
+  const serial = nextSerial(db);
+
+  if (backend === "openssl") {
+    issueWithOpenSSL({
+      profile,
+      keyPath,
+      keyPassphrase,
+      keyPassphraseFile,
+      publicKey,
+      certPath,
+      subject,
+      names,
+      revocation,
+      caCertPath,
+      caKeyPath,
+      caPassphrase,
+      caPassphraseFile,
+      serial,
+      days,
+      digest,
+    });
+  } else {
+    const signingKey = loadPrivateKey(caKeyPath, {
+      passphrase: caPassphrase,
+      passphraseFile: caPassphraseFile,
+    });
+    fs.writeFileSync(
+      certPath,
+      signCertificate({
+        subject,
+        publicKey,
+        signingKey,
+        issuerCert: caCert,
+        serial,
+        days,
+        digest,
+        profile:
+          profile === "intermediate"
+            ? { ca: true, pathLength: 0, keyUsage: CA_KEY_USAGE, revocation }
+            : {
+                ca: false,
+                keyUsage: leafKeyUsageFor(publicKey),
+                names,
+                revocation,
+              },
+      })
+    );
+  }
+  recordCertificate(db, readCertificate(certPath));
+};
+
+/**
+ * Create the self-signed certificate of a root CA
+ * @param {Object} options - Options
+ * @param {string} options.keyPath - The CA's private key
+ * @param {string} options.certPath - Where to write the certificate
+ * @param {string} options.subject - Subject in OpenSSL form
+ * @param {number} options.days - Validity period in days
+ * @param {string} [options.digest="auto"] - Signing digest, one of DIGESTS
+ * @param {string} [options.passphrase] - CA key passphrase
+ * @param {string} [options.passphraseFile] - File holding the CA key passphrase
+ * @param {string} [options.backend="native"] - One of BACKENDS
+ */
+export const createSelfSignedCA = ({
+  keyPath,
+  certPath,
+  subject,
+  days,
+  digest: preferredDigest = "auto",
+  passphrase,
+  passphraseFile,
+  backend = "native",
+}) => {
+  const key = loadPrivateKey(keyPath, { passphrase, passphraseFile });
+  const digest = digestFor(key, preferredDigest);
+
+  if (backend === "openssl") {
+    const passin = passphraseArgs("-passin", { passphrase, passphraseFile });
+    runOpenSSL(
+      [
+        "req",
+        "-x509",
+        "-new",
+        "-key",
+        keyPath,
+        ...passin.args,
+        "-subj",
+        subject,
+        ...digestArgs(digest),
+        "-addext",
+        "basicConstraints=critical,CA:TRUE",
+        "-addext",
+        `keyUsage=critical,${CA_KEY_USAGE.join(",")}`,
+        "-days",
+        String(days),
+        "-out",
+        certPath,
+      ],
+      { env: passin.env }
+    );
+    return;
+  }
+
+  // There is no CA database to count from yet, so the root gets a random serial
+  const serial = crypto.randomBytes(16);
+  serial[0] &= 0x7f;
+  fs.writeFileSync(
+    certPath,
+    signCertificate({
+      subject,
+      publicKey: crypto.createPublicKey(key),
+      signingKey: key,
+      serial: serial.toString("hex"),
+      days,
+      digest,
+      profile: { ca: true, keyUsage: CA_KEY_USAGE },
+    })
+  );
+};
+
+// Subject attributes that buildSubject() adds, in the order they appear
+const SUBJECT_ATTRIBUTES = [
+  ["country", "C"],
+  ["state", "ST"],
+  ["locality", "L"],
+  ["organization", "O"],
+  ["organizationalUnit", "OU"],
+];
+
+/**
+ * Build an OpenSSL -subj value from a common name and default attributes
+ * @param {string} commonName - CN, e.g. "app.test"
+ * @param {Object} [defaults] - country, state, locality, organization and organizationalUnit; empty ones are left out
+ * @returns {string} e.g. "/C=DE/O=Acme/CN=app.test"
+ */
+export const buildSubject = (commonName, defaults = {}) =>
+  [
+    ...SUBJECT_ATTRIBUTES.filter(([name]) => defaults[name]).map(
+      ([name, attribute]) => [attribute, defaults[name]]
+    ),
+    ["CN", commonName],
+  ]
+    .map(([attribute, value]) => `/${attribute}=${value.replace(/\//g, "\\/")}`)
+    .join("");
+
+/**
+ * Convert a subject from Node's X509Certificate into OpenSSL -subj form
+ * @param {string} subject - One RDN per line, e.g. "CN=app.test\nO=Acme"
+ * @returns {string} e.g. "/CN=app.test/O=Acme"
+ */
+export const toOpenSSLSubject = (subject) =>
+  subject
+    .split("\n")
+    .map((rdn) => `/${rdn.replace(/\//g, "\\/")}`)
+    .join("");
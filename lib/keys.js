@@ -0,0 +1,246 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { isEncryptedKey, runOpenSSL } from "../utils.js";
+import { PassphraseRequiredError, WrongPassphraseError } from "./errors.js";
+
+// Supported --key-type values and how to generate and sign with them
+export const KEY_TYPES = {
+  "rsa:2048": {
+    genpkeyArgs: ["-algorithm", "RSA", "-pkeyopt", "rsa_keygen_bits:2048"],
+    nodeArgs: ["rsa", { modulusLength: 2048 }],
+    digest: "sha256",
+  },
+  "rsa:4096": {
+    genpkeyArgs: ["-algorithm", "RSA", "-pkeyopt", "rsa_keygen_bits:4096"],
+    nodeArgs: ["rsa", { modulusLength: 4096 }],
+    digest: "sha256",
+  },
+  "ec:P-256": {
+    genpkeyArgs: ["-algorithm", "EC", "-pkeyopt", "ec_paramgen_curve:P-256"],
+    nodeArgs: ["ec", { namedCurve: "P-256" }],
+    digest: "sha256",
+  },
+  "ec:P-384": {
+    genpkeyArgs: ["-algorithm", "EC", "-pkeyopt", "ec_paramgen_curve:P-384"],
+    nodeArgs: ["ec", { namedCurve: "P-384" }],
+    digest: "sha384",
+  },
+  ed25519: {
+    genpkeyArgs: ["-algorithm", "ED25519"],
+    nodeArgs: ["ed25519", {}],
+    digest: null,
+  },
+};
+
+// Values of the backend setting: Node's crypto module, or the openssl binary
+export const BACKENDS = ["native", "openssl"];
+
+export const DEFAULT_KEY_TYPE = "rsa:2048";
+
+// Values of the digest setting; auto follows the key, see digestFor()
+export const DIGESTS = ["auto", "sha256", "sha384", "sha512"];
+
+// Key usages for RSA leaf certificates
+const RSA_LEAF_KEY_USAGE = [
+  "digitalSignature",
+  "nonRepudiation",
+  "keyEncipherment",
+  "dataEncipherment",
+];
+
+// Key usages every CA certificate gets
+export const CA_KEY_USAGE = ["digitalSignature", "keyCertSign", "cRLSign"];
+
+// Node's curve names for the NIST curves we generate
+const CURVE_NAMES = {
+  prime256v1: "P-256",
+  secp384r1: "P-384",
+};
+
+/**
+ * Work out the --key-type value matching an existing key
+ * @param {crypto.KeyObject} key - Public or private key
+ * @returns {string} Key type, e.g. "ec:P-256"
+ */
+export const keyTypeOf = (key) => {
+  const details = key.asymmetricKeyDetails || {};
+  switch (key.asymmetricKeyType) {
+    case "rsa":
+      return `rsa:${details.modulusLength}`;
+    case "ec":
+      return `ec:${CURVE_NAMES[details.namedCurve] || details.namedCurve}`;
+    default:
+      return key.asymmetricKeyType;
+  }
+};
+
+/**
+ * Apply a preferred digest on top of the one a key type calls for
+ * @param {string|null} keyDigest - Digest from KEY_TYPES, null for EdDSA
+ * @param {string} [preferred="auto"] - One of DIGESTS
+ * @returns {string|null} Digest name, or null for algorithms with a fixed digest
+ */
+export const resolveDigest = (keyDigest, preferred = "auto") =>
+  keyDigest === null || preferred === "auto" ? keyDigest : preferred;
+
+/**
+ * Look up the signing digest to use with a key
+ * @param {crypto.KeyObject} key - The signing key (or its public half)
+ * @param {string} [preferred="auto"] - One of DIGESTS
+ * @returns {string|null} Digest name, or null for algorithms with a fixed digest
+ */
+export const digestFor = (key, preferred = "auto") => {
+  const keyType = KEY_TYPES[keyTypeOf(key)];
+  if (keyType) {
+    return resolveDigest(keyType.digest, preferred);
+  }
+  return key.asymmetricKeyType === "ed448"
+    ? null
+    : resolveDigest("sha256", preferred);
+};
+
+/**
+ * OpenSSL arguments selecting a digest
+ * @param {string|null} digest - Digest name from KEY_TYPES or digestFor()
+ * @returns {string[]} e.g. ["-sha384"], or [] for Ed25519
+ */
+export const digestArgs = (digest) => (digest ? [`-${digest}`] : []);
+
+/**
+ * Key usages for a leaf certificate with the given key
+ * @param {crypto.KeyObject} key - The leaf's public or private key
+ * @returns {string[]} keyUsage values
+ */
+export const leafKeyUsageFor = (key) =>
+  // ECDSA and EdDSA keys cannot encrypt, so they only get digitalSignature
+  key.asymmetricKeyType === "rsa" ? RSA_LEAF_KEY_USAGE : ["digitalSignature"];
+
+/**
+ * OpenSSL arguments supplying a key passphrase, from a string or a file
+ *
+ * A passphrase string goes through the environment so it never shows up in
+ * the process list.
+ * @param {string} flag - OpenSSL option, e.g. "-pass" or "-passin"
+ * @param {Object} source - Where the passphrase comes from
+ * @param {string} [source.passphrase] - The passphrase itself
+ * @param {string} [source.passphraseFile] - File holding the passphrase
+ * @returns {{args: string[], env: (Object|undefined)}} Arguments and extra environment for runOpenSSL()
+ */
+export const passphraseArgs = (flag, { passphrase, passphraseFile }) => {
+  if (passphrase !== undefined) {
+    return {
+      args: [flag, "env:SSL_CLI_PASSPHRASE"],
+      env: { SSL_CLI_PASSPHRASE: passphrase },
+    };
+  }
+  return {
+    args: passphraseFile ? [flag, `file:${passphraseFile}`] : [],
+    env: undefined,
+  };
+};
+
+/**
+ * Read a passphrase from the first line of a file, as OpenSSL's file: source does
+ * @param {string} passphraseFile - File holding the passphrase
+ * @returns {string} Passphrase
+ */
+export const readPassphraseFile = (passphraseFile) =>
+  fs.readFileSync(passphraseFile, "utf8").split(/\r?\n/)[0];
+
+/**
+ * Load a PEM private key, decrypting it if needed
+ * @param {string} keyPath - Path to the PEM key file
+ * @param {Object} [source] - Where the passphrase comes from, see passphraseArgs()
+ * @returns {crypto.KeyObject} Private key
+ * @throws {PassphraseRequiredError|WrongPassphraseError} If an encrypted key cannot be decrypted
+ */
+export const loadPrivateKey = (
+  keyPath,
+  { passphrase, passphraseFile } = {}
+) => {
+  const secret =
+    passphrase !== undefined
+      ? passphrase
+      : passphraseFile && readPassphraseFile(passphraseFile);
+  const name = path.basename(keyPath);
+
+  if (isEncryptedKey(keyPath) && (secret === undefined || secret === "")) {
+    throw new PassphraseRequiredError(`${name} is passphrase-protected`);
+  }
+  try {
+    return crypto.createPrivateKey({
+      key: fs.readFileSync(keyPath),
+      passphrase: secret || undefined,
+    });
+  } catch (error) {
+    if (isEncryptedKey(keyPath)) {
+      throw new WrongPassphraseError(`Wrong passphrase for ${name}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Generate a private key
+ * @param {string} keyPath - Where to write the PEM key
+ * @param {Object} [options] - Options
+ * @param {string} [options.keyType=DEFAULT_KEY_TYPE] - One of KEY_TYPES
+ * @param {boolean} [options.encrypt=false] - Protect the key with a passphrase (AES-256)
+ * @param {string} [options.passphrase] - The passphrase
+ * @param {string} [options.passphraseFile] - File holding the passphrase; one of the two is required with encrypt
+ * @param {string} [options.backend="native"] - One of BACKENDS
+ * @throws {PassphraseRequiredError} If encrypt is set without a passphrase
+ */
+export const generateKey = (
+  keyPath,
+  {
+    keyType = DEFAULT_KEY_TYPE,
+    encrypt = false,
+    passphrase,
+    passphraseFile,
+    backend = "native",
+  } = {}
+) => {
+  const type = KEY_TYPES[keyType];
+  if (!type) {
+    throw new Error(`Unsupported key type: ${keyType}`);
+  }
+
+  const secret =
+    passphrase !== undefined
+      ? passphrase
+      : passphraseFile && readPassphraseFile(passphraseFile);
+  if (encrypt && !secret) {
+    throw new PassphraseRequiredError(
+      "A passphrase is needed to encrypt the key"
+    );
+  }
+
+  if (backend === "native") {
+    const { privateKey } = crypto.generateKeyPairSync(...type.nodeArgs);
+    const pem = privateKey.export({
+      type: "pkcs8",
+      format: "pem",
+      ...(encrypt ? { cipher: "aes-256-cbc", passphrase: secret } : {}),
+    });
+    fs.writeFileSync(keyPath, pem);
+    fs.chmodSync(keyPath, 0o600);
+    return;
+  }
+
+  const pass = encrypt
+    ? passphraseArgs("-pass", { passphrase, passphraseFile })
+    : { args: [] };
+  runOpenSSL(
+    [
+      "genpkey",
+      ...type.genpkeyArgs,
+      ...(encrypt ? ["-aes256"] : []),
+      ...pass.args,
+      "-out",
+      keyPath,
+    ],
+    { env: pass.env }
+  );
+};
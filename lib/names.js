@@ -0,0 +1,179 @@
+import net from "net";
+import { domainToASCII } from "url";
+
+// An RFC 1123 label: letters, digits and inner hyphens, up to 63 characters
+const LABEL_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+/**
+ * Split user input into a list of unique certificate names
+ * @param {string|string[]} input - Names separated by commas or whitespace
+ * @returns {string[]} Names in the order they were given, without duplicates
+ */
+export const parseNames = (input) => {
+  const values = Array.isArray(input) ? input : [input];
+  const names = values
+    .flatMap((value) => String(value || "").split(/[\s,]+/))
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+    // Allow IPv6 addresses written in URL form, e.g. [::1]
+    .map((name) => name.replace(/^\[(.*)\]$/, "$1"))
+    .map(toASCIIName);
+
+  return [...new Set(names)];
+};
+
+/**
+ * Check whether a name is an IP address
+ * @param {string} name - Certificate name
+ * @returns {boolean} True for IPv4 and IPv6 addresses
+ */
+export const isIPAddress = (name) => net.isIP(name) !== 0;
+
+/**
+ * Convert an internationalized domain name to its ASCII (punycode) form
+ * @param {string} name - DNS name, e.g. bücher.test or *.bücher.test
+ * @returns {string} e.g. xn--bcher-kva.test; names that cannot be converted are returned unchanged for validation to report
+ */
+export const toASCIIName = (name) =>
+  /^[\x00-\x7f]*$/.test(name) ? name : domainToASCII(name) || name;
+
+/**
+ * Validate a DNS name, including wildcard placement
+ * @param {string} name - DNS name, e.g. app.test or *.app.test
+ * @returns {string|null} Error message, or null if the name is valid
+ */
+export const validateDnsName = (name) => {
+  const labels = name.split(".");
+
+  if (labels.some((label) => label.length === 0)) {
+    return `"${name}" contains an empty label`;
+  }
+  if (name.length > 253) {
+    return `"${name}" is longer than 253 characters`;
+  }
+
+  if (name.includes("*")) {
+    if (labels[0] !== "*" || labels.slice(1).some((l) => l.includes("*"))) {
+      return `"${name}": a wildcard must be the whole left-most label (e.g. *.example.test)`;
+    }
+    if (labels.length < 3) {
+      return `"${name}": a wildcard needs at least two labels after it`;
+    }
+  }
+
+  const invalid = labels.find(
+    (label, i) => !(i === 0 && label === "*") && !LABEL_PATTERN.test(label)
+  );
+  if (invalid) {
+    return `"${name}": "${invalid}" is not a valid label (letters, digits and inner hyphens, up to 63 characters)`;
+  }
+
+  return null;
+};
+
+/**
+ * Validate the domain name of a public site, e.g. for Nginx and Let's Encrypt
+ * @param {string} name - Domain name in ASCII form, see toHostname()
+ * @returns {string|null} Error message, or null if the name is valid
+ */
+export const validateHostname = (name) => {
+  if (!name) {
+    return "A domain name is required";
+  }
+  if (isIPAddress(name)) {
+    return `"${name}" is an IP address; enter a domain name`;
+  }
+  if (name.includes("*")) {
+    return `"${name}": wildcards are not supported here`;
+  }
+  return validateDnsName(name);
+};
+
+/**
+ * Normalize a domain name typed by the user
+ * @param {string} input - e.g. " Bücher.Example "
+ * @returns {string} Lower-case ASCII form, e.g. xn--bcher-kva.example
+ */
+export const toHostname = (input) =>
+  toASCIIName(
+    String(input || "")
+      .trim()
+      .toLowerCase()
+  );
+
+/**
+ * Validate a list of certificate names
+ * @param {string[]} names - DNS names and IP addresses
+ * @returns {string[]} Error messages, empty if every name is valid
+ */
+export const validateNames = (names) => {
+  if (names.length === 0) {
+    return ["At least one domain name or IP address is required"];
+  }
+
+  return names
+    .filter((name) => !isIPAddress(name))
+    .map(validateDnsName)
+    .filter(Boolean);
+};
+
+/**
+ * Build the [alt_names] section of an OpenSSL extension file
+ * @param {string[]} names - DNS names and IP addresses
+ * @returns {string} DNS.n and IP.n entries, one per line
+ */
+export const buildAltNames = (names) => {
+  const dns = names.filter((name) => !isIPAddress(name));
+  const ips = names.filter(isIPAddress);
+
+  return [
+    ...dns.map((name, i) => `DNS.${i + 1} = ${name}`),
+    ...ips.map((ip, i) => `IP.${i + 1} = ${ip}`),
+  ].join("\n");
+};
+
+/**
+ * Turn a certificate name into a safe file name
+ * @param {string} name - DNS name or IP address, e.g. *.app.test
+ * @returns {string} File name base, e.g. _wildcard.app.test
+ */
+export const toFileName = (name) => {
+  return name.replace(/^\*\./, "_wildcard.").replace(/[^a-z0-9._-]/gi, "_");
+};
+
+/**
+ * Convert an IP address to the bytes of an iPAddress GeneralName
+ * @param {string} ip - IPv4 or IPv6 address, e.g. 127.0.0.1 or ::1
+ * @returns {Buffer} 4 bytes for IPv4, 16 for IPv6
+ */
+export const ipAddressBytes = (ip) => {
+  if (net.isIPv4(ip)) {
+    return Buffer.from(ip.split(".").map(Number));
+  }
+
+  // Expand "::" and a trailing dotted IPv4 part into eight 16-bit groups
+  let address = ip.replace(/%.*$/, "");
+  const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(address);
+  if (dotted) {
+    const [a, b, c, d] = dotted[1].split(".").map(Number);
+    address = address.replace(
+      dotted[1],
+      `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`
+    );
+  }
+  const [head, tail] = address.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const groups =
+    tail === undefined
+      ? headGroups
+      : [
+          ...headGroups,
+          ...Array(8 - headGroups.length - tailGroups.length).fill("0"),
+          ...tailGroups,
+        ];
+
+  const bytes = Buffer.alloc(16);
+  groups.forEach((group, i) => bytes.writeUInt16BE(parseInt(group, 16), i * 2));
+  return bytes;
+};
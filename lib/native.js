@@ -0,0 +1,342 @@
+import crypto from "crypto";
+import {
+  CLASS,
+  TAGS,
+  decodeAll,
+  encodeBitString,
+  encodeBoolean,
+  encodeExplicit,
+  encodeImplicit,
+  encodeInteger,
+  encodeNull,
+  encodeOctetString,
+  encodeOid,
+  encodeSequence,
+  encodeSet,
+  encodeString,
+  encodeTime,
+  is,
+  toBits,
+} from "./asn1.js";
+import { ipAddressBytes, isIPAddress } from "./names.js";
+import { encodePem } from "./pem.js";
+import { KEY_USAGE_BITS, OID_NAMES, parseCertificate } from "./x509.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// OIDs by short name, for the attributes, extensions and algorithms we write
+const OIDS = Object.fromEntries(
+  Object.entries(OID_NAMES).map(([oid, name]) => [name, oid])
+);
+
+// Subject attributes accepted in -subj form, and the string type each is written as
+const NAME_ATTRIBUTES = {
+  C: TAGS.PRINTABLE_STRING,
+  ST: TAGS.UTF8_STRING,
+  L: TAGS.UTF8_STRING,
+  O: TAGS.UTF8_STRING,
+  OU: TAGS.UTF8_STRING,
+  CN: TAGS.UTF8_STRING,
+  serialNumber: TAGS.PRINTABLE_STRING,
+  emailAddress: TAGS.IA5_STRING,
+  DC: TAGS.IA5_STRING,
+};
+
+/**
+ * Parse a subject in OpenSSL -subj form
+ * @param {string} subject - e.g. "/C=DE/O=Acme/CN=app.test"; "\/" is a literal slash
+ * @returns {Array<[string, string]>} Attribute name and value pairs, in order
+ */
+export const parseSubject = (subject) => {
+  if (!subject.startsWith("/")) {
+    throw new Error(`A subject must start with "/", e.g. "/CN=app.test"`);
+  }
+  return subject
+    .slice(1)
+    .split(/(?<!\\)\//)
+    .filter(Boolean)
+    .map((part) => {
+      const separator = part.indexOf("=");
+      const name = part.slice(0, separator);
+      const value = part.slice(separator + 1).replace(/\\(.)/g, "$1");
+      if (separator < 1 || !NAME_ATTRIBUTES[name]) {
+        throw new Error(`Unsupported subject attribute: ${part}`);
+      }
+      if (!value) {
+        throw new Error(`The subject attribute ${name} is empty`);
+      }
+      return [name, value];
+    });
+};
+
+/**
+ * Encode an X.501 Name with one attribute per RDN
+ * @param {Array<[string, string]>} attributes - Pairs from parseSubject()
+ * @returns {Buffer} DER Name
+ */
+const encodeName = (attributes) =>
+  encodeSequence(
+    attributes.map(([name, value]) =>
+      encodeSet([
+        encodeSequence([
+          encodeOid(OIDS[name]),
+          encodeString(NAME_ATTRIBUTES[name], value),
+        ]),
+      ])
+    )
+  );
+
+/**
+ * Encode the AlgorithmIdentifier of a signature
+ * @param {crypto.KeyObject} key - Signing key
+ * @param {string|null} digest - Digest, null for EdDSA
+ * @returns {Buffer} DER AlgorithmIdentifier
+ */
+const encodeSignatureAlgorithm = (key, digest) => {
+  switch (key.asymmetricKeyType) {
+    case "rsa":
+      return encodeSequence([
+        encodeOid(OIDS[`${digest}WithRSAEncryption`]),
+        encodeNull(),
+      ]);
+    case "ec":
+      return encodeSequence([
+        encodeOid(OIDS[`ecdsa-with-${digest.toUpperCase()}`]),
+      ]);
+    case "ed25519":
+      return encodeSequence([encodeOid(OIDS.Ed25519)]);
+    case "ed448":
+      return encodeSequence([encodeOid(OIDS.Ed448)]);
+    default:
+      throw new Error(`Unsupported signing key type: ${key.asymmetricKeyType}`);
+  }
+};
+
+/**
+ * Compute a key identifier: the SHA-1 of the subjectPublicKey bits (RFC 5280 method 1)
+ * @param {crypto.KeyObject} publicKey - Public key
+ * @returns {Buffer} 20-byte key identifier
+ */
+const keyIdentifierOf = (publicKey) => {
+  const spki = decodeAll(publicKey.export({ type: "spki", format: "der" }));
+  const { bytes } = toBits(spki.children[1]);
+  return crypto.createHash("sha1").update(bytes).digest();
+};
+
+/**
+ * Read the subject Name and key identifier of an issuer certificate
+ * @param {crypto.X509Certificate} cert - Issuer certificate
+ * @returns {{name: Buffer, keyIdentifier: Buffer}} DER subject Name and the identifier to put in authorityKeyIdentifier
+ */
+const issuerOf = (cert) => {
+  const fields = decodeAll(cert.raw).children[0].children;
+  const subject = fields[is(fields[0], 0, CLASS.CONTEXT) ? 5 : 4];
+  // Prefer the issuer's own subjectKeyIdentifier so chains built by identifier work
+  const ski = parseCertificate(cert.raw).extensions.find(
+    (ext) => ext.name === "subjectKeyIdentifier"
+  );
+  return {
+    name: subject.raw,
+    keyIdentifier: ski
+      ? Buffer.from(ski.value.replace(/:/g, ""), "hex")
+      : keyIdentifierOf(cert.publicKey),
+  };
+};
+
+/**
+ * Encode a keyUsage BIT STRING value
+ * @param {string[]} usages - Names from KEY_USAGE_BITS
+ * @returns {Buffer} DER BIT STRING with trailing zero bits removed
+ */
+const encodeKeyUsage = (usages) => {
+  const bits = usages.map((usage) => KEY_USAGE_BITS.indexOf(usage));
+  const length = Math.max(...bits) + 1;
+  const bytes = Buffer.alloc(Math.ceil(length / 8));
+  bits.forEach((bit) => {
+    bytes[bit >> 3] |= 0x80 >> bit % 8;
+  });
+  return encodeBitString(bytes, bytes.length * 8 - length);
+};
+
+/**
+ * Encode a GeneralName for a DNS name or IP address
+ * @param {string} name - DNS name or IP address
+ * @returns {Buffer} [2] dNSName or [7] iPAddress
+ */
+const encodeAltName = (name) =>
+  isIPAddress(name)
+    ? encodeImplicit(7, ipAddressBytes(name))
+    : encodeImplicit(2, Buffer.from(name, "latin1"));
+
+/**
+ * Encode one Extension
+ * @param {string} name - Extension name from OID_NAMES
+ * @param {Buffer} value - DER extension value
+ * @param {boolean} [critical=false] - Mark the extension critical
+ * @returns {Buffer} DER Extension
+ */
+const encodeExtension = (name, value, critical = false) =>
+  encodeSequence([
+    encodeOid(OIDS[name]),
+    ...(critical ? [encodeBoolean(true)] : []),
+    encodeOctetString(value),
+  ]);
+
+/**
+ * Encode the extensions of a certificate profile
+ * @param {Object} profile - See signCertificate()
+ * @param {Buffer} subjectKeyId - Key identifier of the subject key
+ * @param {Buffer} authorityKeyId - Key identifier of the issuer key
+ * @returns {Buffer[]} DER Extensions
+ */
+const encodeExtensions = (profile, subjectKeyId, authorityKeyId) => {
+  const { ca, pathLength, keyUsage, names = [], revocation } = profile;
+  const uri = (url) => encodeImplicit(6, Buffer.from(url, "latin1"));
+
+  return [
+    encodeExtension(
+      "basicConstraints",
+      encodeSequence(
+        ca
+          ? [
+              encodeBoolean(true),
+              ...(pathLength === undefined ? [] : [encodeInteger(pathLength)]),
+            ]
+          : []
+      ),
+      ca
+    ),
+    encodeExtension("keyUsage", encodeKeyUsage(keyUsage), ca),
+    ...(names.length > 0
+      ? [
+          encodeExtension(
+            "subjectAltName",
+            encodeSequence(names.map(encodeAltName))
+          ),
+        ]
+      : []),
+    encodeExtension("subjectKeyIdentifier", encodeOctetString(subjectKeyId)),
+    encodeExtension(
+      "authorityKeyIdentifier",
+      encodeSequence([encodeImplicit(0, authorityKeyId)])
+    ),
+    ...(revocation
+      ? [
+          encodeExtension(
+            "cRLDistributionPoints",
+            encodeSequence([
+              encodeSequence([
+                encodeImplicit(0, [
+                  encodeImplicit(0, [uri(revocation.crlUrl)]),
+                ]),
+              ]),
+            ])
+          ),
+          encodeExtension(
+            "authorityInfoAccess",
+            encodeSequence([
+              encodeSequence([encodeOid(OIDS.OCSP), uri(revocation.ocspUrl)]),
+            ])
+          ),
+        ]
+      : []),
+  ];
+};
+
+/**
+ * Build and sign an X.509 v3 certificate in memory
+ * @param {Object} options - Options
+ * @param {string} options.subject - Subject in OpenSSL form, e.g. "/CN=app.test"
+ * @param {crypto.KeyObject} options.publicKey - The subject's public key
+ * @param {crypto.KeyObject} options.signingKey - The issuer's private key (the subject's own when self-signed)
+ * @param {crypto.X509Certificate} [options.issuerCert] - The issuer's certificate; omit for a self-signed CA
+ * @param {string} options.serial - Serial number in hex
+ * @param {number} options.days - Validity period in days, starting now
+ * @param {string|null} options.digest - Digest from digestFor(), null for EdDSA
+ * @param {Object} options.profile - ca, pathLength, keyUsage, and for leaves names; revocation URLs from revocationUrls()
+ * @returns {string} PEM certificate
+ */
+export const signCertificate = ({
+  subject,
+  publicKey,
+  signingKey,
+  issuerCert,
+  serial,
+  days,
+  digest,
+  profile,
+}) => {
+  const subjectName = encodeName(parseSubject(subject));
+  const subjectKeyId = keyIdentifierOf(publicKey);
+  const issuer = issuerCert
+    ? issuerOf(issuerCert)
+    : { name: subjectName, keyIdentifier: subjectKeyId };
+  const algorithm = encodeSignatureAlgorithm(signingKey, digest);
+  const notBefore = new Date();
+  const notAfter = new Date(notBefore.getTime() + days * DAY_MS);
+
+  const tbs = encodeSequence([
+    encodeExplicit(0, encodeInteger(2)),
+    encodeInteger(BigInt(`0x${serial}`)),
+    algorithm,
+    issuer.name,
+    encodeSequence([encodeTime(notBefore), encodeTime(notAfter)]),
+    subjectName,
+    publicKey.export({ type: "spki", format: "der" }),
+    encodeExplicit(
+      3,
+      encodeSequence(
+        encodeExtensions(profile, subjectKeyId, issuer.keyIdentifier)
+      )
+    ),
+  ]);
+  const signature = crypto.sign(digest, tbs, signingKey);
+
+  return encodePem(
+    "CERTIFICATE",
+    encodeSequence([tbs, algorithm, encodeBitString(signature)])
+  );
+};
+
+/**
+ * Build and sign a PKCS#10 certificate signing request in memory
+ * @param {Object} options - Options
+ * @param {string} [options.subject] - Subject in OpenSSL form; omit for an empty subject
+ * @param {string[]} options.names - DNS names and IP addresses, requested as subjectAltName
+ * @param {crypto.KeyObject} options.privateKey - Key of the certificate to be
+ * @param {string|null} options.digest - Digest from digestFor(), null for EdDSA
+ * @returns {string} PEM certificate request
+ */
+export const createCertificationRequest = ({
+  subject,
+  names,
+  privateKey,
+  digest,
+}) => {
+  const info = encodeSequence([
+    encodeInteger(0),
+    encodeName(subject ? parseSubject(subject) : []),
+    crypto.createPublicKey(privateKey).export({ type: "spki", format: "der" }),
+    // attributes [0]: one extensionRequest carrying the subjectAltName
+    encodeImplicit(0, [
+      encodeSequence([
+        encodeOid(OIDS.extensionRequest),
+        encodeSet([
+          encodeSequence([
+            encodeExtension(
+              "subjectAltName",
+              encodeSequence(names.map(encodeAltName))
+            ),
+          ]),
+        ]),
+      ]),
+    ]),
+  ]);
+  const algorithm = encodeSignatureAlgorithm(privateKey, digest);
+  const signature = crypto.sign(digest, info, privateKey);
+
+  return encodePem(
+    "CERTIFICATE REQUEST",
+    encodeSequence([info, algorithm, encodeBitString(signature)])
+  );
+};
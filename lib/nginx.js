@@ -0,0 +1,414 @@
+import { encodeInteger, encodeSequence } from "./asn1.js";
+import { InvalidOptionError } from "./errors.js";
+import { encodePem } from "./pem.js";
+
+// Where setup-nginx keeps the Diffie-Hellman parameters shared by all sites
+export const DHPARAM_PATH = "/etc/nginx/dhparam.pem";
+
+// Where setup-nginx keeps the accounts and certificates of the built-in ACME client
+export const ACME_DIR = "/etc/ssl-cli/acme";
+
+// Where the built-in ACME client leaves HTTP-01 challenge files for nginx to serve
+export const ACME_WEBROOT = "/var/lib/ssl-cli/acme";
+
+// Mozilla server-side TLS profiles (https://ssl-config.mozilla.org, guideline 5.7)
+export const TLS_PROFILES = {
+  // TLS 1.3 only, for clients from the last few years
+  modern: {
+    protocols: "TLSv1.3",
+    ciphers: null,
+    dhparam: false,
+  },
+  // TLS 1.2 and 1.3, for almost every client still in use
+  intermediate: {
+    protocols: "TLSv1.2 TLSv1.3",
+    ciphers: [
+      "ECDHE-ECDSA-AES128-GCM-SHA256",
+      "ECDHE-RSA-AES128-GCM-SHA256",
+      "ECDHE-ECDSA-AES256-GCM-SHA384",
+      "ECDHE-RSA-AES256-GCM-SHA384",
+      "ECDHE-ECDSA-CHACHA20-POLY1305",
+      "ECDHE-RSA-CHACHA20-POLY1305",
+      "DHE-RSA-AES128-GCM-SHA256",
+      "DHE-RSA-AES256-GCM-SHA384",
+      "DHE-RSA-CHACHA20-POLY1305",
+    ].join(":"),
+    dhparam: true,
+  },
+};
+
+/**
+ * The location block that proxies a site to the application
+ * @param {string|number} port - Application port on 127.0.0.1
+ * @returns {string} nginx location block, indented for a server block
+ */
+const proxyLocation = (port) => `    location / {
+        proxy_pass http://127.0.0.1:${port};
+        proxy_set_header Host $host;
+        proxy_set_header X-Real-IP $remote_addr;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto $scheme;
+        proxy_read_timeout 90s;
+        proxy_connect_timeout 90s;
+        proxy_send_timeout 90s;
+        proxy_set_header Upgrade $http_upgrade;
+        proxy_set_header Connection 'upgrade';
+        proxy_cache_bypass $http_upgrade;
+    }`;
+
+/**
+ * The location block that serves HTTP-01 challenge files from a webroot
+ * @param {string} webroot - Directory holding .well-known/acme-challenge/
+ * @returns {string} nginx location block, indented for a server block
+ */
+const challengeLocation = (
+  webroot
+) => `    location ^~ /.well-known/acme-challenge/ {
+        root ${webroot};
+        default_type text/plain;
+    }`;
+
+/**
+ * Plain HTTP site, used until the certificate has been issued
+ * @param {Object} site - Site
+ * @param {string} site.domain - Domain name
+ * @param {string|number} site.port - Application port
+ * @param {string} [site.acmeWebroot] - Serve HTTP-01 challenges from this directory instead of the application
+ * @returns {string} Contents of the site file, see sitePaths()
+ */
+export const httpSiteConfig = ({ domain, port, acmeWebroot }) => {
+  const locations = [
+    ...(acmeWebroot ? [challengeLocation(acmeWebroot)] : []),
+    proxyLocation(port),
+  ];
+  return `server {
+    listen 80;
+    server_name ${domain};
+
+${locations.join("\n\n")}
+}
+`;
+};
+
+/**
+ * Server block that redirects port 80 to HTTPS
+ * @param {string} serverName - server_name value, one or more names
+ * @param {string} [acmeWebroot] - Serve HTTP-01 challenges from this directory instead of redirecting them
+ * @returns {string} nginx server block
+ */
+const redirectServer = (serverName, acmeWebroot) =>
+  acmeWebroot
+    ? `server {
+    listen 80;
+    listen [::]:80;
+    server_name ${serverName};
+
+${challengeLocation(acmeWebroot)}
+
+    location / {
+        return 301 https://$host$request_uri;
+    }
+}`
+    : `server {
+    listen 80;
+    listen [::]:80;
+    server_name ${serverName};
+
+    return 301 https://$host$request_uri;
+}`;
+
+/**
+ * Certificate, Mozilla profile, HSTS and OCSP stapling directives of an HTTPS server block
+ * @param {Object} options - Options
+ * @param {string} options.certDir - Directory with fullchain.pem, privkey.pem and chain.pem
+ * @param {string} options.profile - One of TLS_PROFILES
+ * @param {string} options.dhparamPath - DH parameters file, used by profiles with DHE ciphers
+ * @returns {string} Directives, indented for a server block
+ * @throws {InvalidOptionError} If the profile is unknown
+ */
+const tlsDirectives = ({ certDir, profile, dhparamPath }) => {
+  const tls = TLS_PROFILES[profile];
+  if (!tls) {
+    throw new InvalidOptionError(
+      `profile must be one of ${Object.keys(TLS_PROFILES).join(", ")}`
+    );
+  }
+  const cipherLines = [
+    ...(tls.ciphers ? [`    ssl_ciphers ${tls.ciphers};`] : []),
+    "    ssl_prefer_server_ciphers off;",
+    ...(tls.dhparam ? [`    ssl_dhparam ${dhparamPath};`] : []),
+  ].join("\n");
+
+  return `    ssl_certificate ${certDir}/fullchain.pem;
+    ssl_certificate_key ${certDir}/privkey.pem;
+    ssl_session_timeout 1d;
+    ssl_session_cache shared:MozSSL:10m;
+    ssl_session_tickets off;
+
+    # Mozilla ${profile} profile
+    ssl_protocols ${tls.protocols};
+${cipherLines}
+
+    # Browsers only use HTTPS for this site for the next two years
+    add_header Strict-Transport-Security "max-age=63072000" always;
+
+    # nginx skips stapling, with a warning, for certificates without an OCSP URL
+    ssl_stapling on;
+    ssl_stapling_verify on;
+    ssl_trusted_certificate ${certDir}/chain.pem;`;
+};
+
+/**
+ * HTTPS site with a Let's Encrypt certificate and a redirect from port 80
+ * @param {Object} site - Site
+ * @param {string} site.domain - Domain name
+ * @param {string|number} site.port - Application port
+ * @param {string} [site.certDir] - Directory with fullchain.pem, privkey.pem and chain.pem (default: certbot's /etc/letsencrypt/live/<domain>)
+ * @param {string} [site.profile="intermediate"] - One of TLS_PROFILES
+ * @param {string} [site.dhparamPath] - DH parameters file, used by profiles with DHE ciphers
+ * @returns {string} Contents of the site file, see sitePaths()
+ * @throws {InvalidOptionError} If the profile is unknown
+ */
+export const httpsSiteConfig = ({
+  domain,
+  port,
+  certDir = `/etc/letsencrypt/live/${domain}`,
+  profile = "intermediate",
+  dhparamPath = DHPARAM_PATH,
+}) => `${redirectServer(domain)}
+
+server {
+    listen 443 ssl http2;
+    listen [::]:443 ssl http2;
+    server_name ${domain};
+
+${tlsDirectives({ certDir, profile, dhparamPath })}
+
+${proxyLocation(port)}
+}
+`;
+
+/**
+ * upstream block of a spec site
+ * @param {Object} upstream - name, servers and balance, see validateSiteSpec()
+ * @returns {string} nginx upstream block
+ */
+const upstreamBlock = ({ name, servers, balance }) =>
+  [
+    `upstream ${name} {`,
+    ...(balance ? [`    ${balance};`] : []),
+    ...servers.map((server) => `    server ${server};`),
+    "}",
+  ].join("\n");
+
+/**
+ * location block of a spec site
+ * @param {Object} location - path, proxyPass, websocket, clientMaxBodySize and proxyHeaders, see validateSiteSpec()
+ * @returns {string} nginx location block, indented for a server block
+ */
+const specLocation = ({
+  path,
+  proxyPass,
+  websocket,
+  clientMaxBodySize,
+  proxyHeaders,
+}) =>
+  [
+    `    location ${path} {`,
+    `        proxy_pass ${proxyPass};`,
+    "        proxy_set_header Host $host;",
+    "        proxy_set_header X-Real-IP $remote_addr;",
+    "        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;",
+    "        proxy_set_header X-Forwarded-Proto $scheme;",
+    ...proxyHeaders.map(
+      ([name, value]) => `        proxy_set_header ${name} "${value}";`
+    ),
+    "        proxy_read_timeout 90s;",
+    "        proxy_connect_timeout 90s;",
+    "        proxy_send_timeout 90s;",
+    // The Upgrade handshake needs HTTP/1.1 to the application
+    ...(websocket
+      ? [
+          "        proxy_http_version 1.1;",
+          "        proxy_set_header Upgrade $http_upgrade;",
+          '        proxy_set_header Connection "upgrade";',
+          "        proxy_cache_bypass $http_upgrade;",
+        ]
+      : []),
+    ...(clientMaxBodySize
+      ? [`        client_max_body_size ${clientMaxBodySize};`]
+      : []),
+    "    }",
+  ].join("\n");
+
+/**
+ * Site from a setup-nginx spec: its upstreams, and its locations over HTTP
+ * or, once it has a certificate, over HTTPS with a redirect from port 80
+ * @param {Object} site - Site, see validateSiteSpec()
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.https=false] - Serve over HTTPS
+ * @param {string} [options.certDir] - Directory with fullchain.pem, privkey.pem and chain.pem (default: certbot's /etc/letsencrypt/live/<first name>)
+ * @param {string} [options.profile="intermediate"] - One of TLS_PROFILES, unless the site names one
+ * @param {string} [options.dhparamPath] - DH parameters file, used by profiles with DHE ciphers
+ * @returns {string} Contents of the site file, see sitePaths()
+ * @throws {InvalidOptionError} If the profile is unknown
+ */
+export const specSiteConfig = (
+  site,
+  {
+    https = false,
+    certDir = `/etc/letsencrypt/live/${site.serverNames[0]}`,
+    profile = "intermediate",
+    dhparamPath = DHPARAM_PATH,
+  } = {}
+) => {
+  const serverName = site.serverNames.join(" ");
+  const directives = [
+    ...(site.clientMaxBodySize
+      ? [`    client_max_body_size ${site.clientMaxBodySize};`]
+      : []),
+    ...site.headers.map(
+      ([name, value]) => `    add_header ${name} "${value}" always;`
+    ),
+  ];
+  const body = [
+    ...(directives.length > 0 ? [directives.join("\n")] : []),
+    ...site.locations.map(specLocation),
+  ].join("\n\n");
+
+  const blocks = [
+    "# Written by ssl-cli setup-nginx --spec: change the spec rather than this file",
+    ...site.upstreams.map(upstreamBlock),
+  ];
+  if (https) {
+    blocks.push(
+      redirectServer(serverName),
+      `server {
+    listen 443 ssl http2;
+    listen [::]:443 ssl http2;
+    server_name ${serverName};
+
+${tlsDirectives({
+  certDir,
+  profile: site.tlsProfile || profile,
+  dhparamPath,
+})}
+
+${body}
+}`
+    );
+  } else {
+    blocks.push(`server {
+    listen 80;
+    listen [::]:80;
+    server_name ${serverName};
+
+${body}
+}`);
+  }
+  return `${blocks.join("\n\n")}\n`;
+};
+
+/**
+ * Split an nginx configuration into its top-level directives and blocks
+ * @param {string} config - Configuration
+ * @returns {string[]} Statements, each with the comments before it
+ */
+const topLevelStatements = (config) => {
+  const statements = [];
+  let start = 0;
+  let depth = 0;
+  let quote = null;
+  let comment = false;
+  for (let i = 0; i < config.length; i += 1) {
+    const char = config[i];
+    if (comment) {
+      comment = char !== "\n";
+    } else if (quote) {
+      if (char === "\\") {
+        i += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === "#") {
+      comment = true;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "{") {
+      depth += 1;
+    } else if (char === "}" || char === ";") {
+      depth -= char === "}" ? 1 : 0;
+      // A statement ends with a ; or } at the top level
+      if (depth === 0) {
+        statements.push(config.slice(start, i + 1).trim());
+        start = i + 1;
+      }
+    }
+  }
+  return statements;
+};
+
+/**
+ * Site file for while certbot gets or expands the certificate of a site
+ * that already serves HTTPS
+ *
+ * Its HTTPS server blocks stay, with the upstreams and whatever else they
+ * need; its plain HTTP server blocks give way to a redirect for every name,
+ * in which certbot's nginx plugin answers the HTTP-01 challenge.
+ * @param {string} current - Current contents of the site file
+ * @param {string[]} serverNames - Every name the certificate is for
+ * @param {Object} [options] - Options
+ * @param {string} [options.acmeWebroot] - Serve HTTP-01 challenges from this directory, for the native client
+ * @returns {string|null} Contents of the site file, or null if the current one serves no HTTPS
+ */
+export const issuingSiteConfig = (
+  current,
+  serverNames,
+  { acmeWebroot } = {}
+) => {
+  const statements = topLevelStatements(current);
+  const isServer = (statement) =>
+    /^(?:#[^\n]*\n\s*)*server\s*\{/.test(statement);
+  const isHttps = (statement) =>
+    /^\s*listen\s[^;]*\b(?:443|ssl)\b/m.test(statement);
+  if (
+    !statements.some((statement) => isServer(statement) && isHttps(statement))
+  ) {
+    return null;
+  }
+  return `${[
+    ...statements.filter(
+      (statement) => !isServer(statement) || isHttps(statement)
+    ),
+    redirectServer(serverNames.join(" "), acmeWebroot),
+  ].join("\n\n")}\n`;
+};
+
+// The ffdhe2048 prime of RFC 7919 (appendix A.1); its generator is 2
+const FFDHE2048_PRIME = [
+  "FFFFFFFFFFFFFFFFADF85458A2BB4A9AAFDC5620273D3CF1D8B9C583CE2D3695",
+  "A9E13641146433FBCC939DCE249B3EF97D2FE363630C75D8F681B202AEC4617A",
+  "D3DF1ED5D5FD65612433F51F5F066ED0856365553DED1AF3B557135E7F57C935",
+  "984F0C70E0E68B77E2A689DAF3EFE8721DF158A136ADE73530ACCA4F483A797A",
+  "BC0AB182B324FB61D108A94BB2C8E3FBB96ADAB760D7F4681D4F42A3DE394DF4",
+  "AE56EDE76372BB190B07A7C8EE0A6D709E02FCE1CDF7E2ECC03404CD28342F61",
+  "9172FE9CE98583FF8E4F1232EEF28183C3FE3B1B4C6FAD733BB5FCBC2EC22005",
+  "C58EF1837D1683B2C6F34A26C1B2EFFA886B423861285C97FFFFFFFFFFFFFFFF",
+].join("");
+
+/**
+ * Diffie-Hellman parameters for nginx's ssl_dhparam
+ *
+ * Uses the ffdhe2048 group of RFC 7919 rather than generating a prime:
+ * it is the group Mozilla's intermediate profile ships, and generating one
+ * takes minutes.
+ * @returns {string} PEM "DH PARAMETERS" block
+ */
+export const dhParameters = () =>
+  encodePem(
+    "DH PARAMETERS",
+    encodeSequence([
+      encodeInteger(Buffer.from(FFDHE2048_PRIME, "hex")),
+      encodeInteger(2),
+    ])
+  );
@@ -0,0 +1,163 @@
+import crypto from "crypto";
+import { execFile } from "child_process";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { promisify } from "util";
+import { caNameOf, getDatabasePaths, openDatabase } from "./cadb.js";
+import { decodePem } from "./pem.js";
+
+const execFileAsync = promisify(execFile);
+
+// Largest OCSP request body accepted
+const MAX_REQUEST_BYTES = 64 * 1024;
+
+// OCSPResponse with only a responseStatus, sent when no signed answer can be produced
+const UNSIGNED_RESPONSES = {
+  malformedRequest: Buffer.from([0x30, 0x03, 0x0a, 0x01, 0x01]),
+  internalError: Buffer.from([0x30, 0x03, 0x0a, 0x01, 0x02]),
+};
+
+/**
+ * Read the body of a request, up to MAX_REQUEST_BYTES
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Buffer>} Body
+ */
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_REQUEST_BYTES) {
+        reject(new Error("Request too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+/**
+ * Answer an OCSP request from a CA's database with openssl ocsp
+ * @param {Object} ca - CA entry, see createRevocationServer()
+ * @param {Buffer} request - DER OCSPRequest
+ * @param {string} tmpDir - Directory for the request and response files
+ * @returns {Promise<Buffer>} DER OCSPResponse signed by the CA
+ */
+const answerOcspRequest = async (ca, request, tmpDir) => {
+  const id = crypto.randomUUID();
+  const reqPath = path.join(tmpDir, `${id}.req`);
+  const respPath = path.join(tmpDir, `${id}.resp`);
+  fs.writeFileSync(reqPath, request);
+
+  try {
+    // The database is read on every request, so revocations show up immediately
+    await execFileAsync(
+      "openssl",
+      [
+        "ocsp",
+        "-index",
+        openDatabase(ca.certPath).index,
+        "-CA",
+        ca.certPath,
+        "-rsigner",
+        ca.certPath,
+        "-rkey",
+        ca.keyPath,
+        ...(ca.passphrase ? ["-passin", "env:SSL_CLI_OCSP_PASSPHRASE"] : []),
+        "-reqin",
+        reqPath,
+        "-respout",
+        respPath,
+        "-ndays",
+        "1",
+      ],
+      {
+        env: { ...process.env, SSL_CLI_OCSP_PASSPHRASE: ca.passphrase || "" },
+      }
+    );
+    return fs.readFileSync(respPath);
+  } finally {
+    [reqPath, respPath].filter(fs.existsSync).forEach((p) => fs.unlinkSync(p));
+  }
+};
+
+/**
+ * Create an HTTP server that answers OCSP requests and serves CRLs for the local CAs
+ *
+ * Routes: POST /ocsp/<CA name>, GET /ocsp/<CA name>/<base64 request> and
+ * GET /crl/<CA name>.crl (DER).
+ * @param {Object} options - Options
+ * @param {Object[]} options.cas - CAs to serve: certPath, keyPath and the decrypted key's passphrase, if any
+ * @param {Function} [options.onRequest] - Called with {method, url, status} after each request
+ * @returns {http.Server} Server, not yet listening
+ */
+export const createRevocationServer = ({ cas, onRequest = () => {} }) => {
+  const byName = new Map(cas.map((ca) => [caNameOf(ca.certPath), ca]));
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-ocsp-"));
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const [, route, name = "", ...rest] = url.pathname.split("/");
+
+    if (route === "crl" && req.method === "GET") {
+      const ca = byName.get(name.replace(/\.crl$/, ""));
+      const crlPath = ca && getDatabasePaths(ca.certPath).crl;
+      if (!name.endsWith(".crl") || !crlPath || !fs.existsSync(crlPath)) {
+        return 404;
+      }
+      const [{ der }] = decodePem(fs.readFileSync(crlPath, "utf8"));
+      res.writeHead(200, { "Content-Type": "application/pkix-crl" });
+      res.end(der);
+      return 200;
+    }
+
+    const ca = route === "ocsp" && byName.get(name);
+    if (!ca || !["GET", "POST"].includes(req.method)) {
+      return 404;
+    }
+
+    let request;
+    let response;
+    try {
+      request =
+        req.method === "POST"
+          ? await readBody(req)
+          : Buffer.from(decodeURIComponent(rest.join("/")), "base64");
+    } catch (error) {
+      request = null;
+    }
+    if (!request || request.length === 0) {
+      response = UNSIGNED_RESPONSES.malformedRequest;
+    } else {
+      try {
+        response = await answerOcspRequest(ca, request, tmpDir);
+      } catch (error) {
+        response = UNSIGNED_RESPONSES.internalError;
+      }
+    }
+
+    // OCSP reports errors inside the response, so the HTTP status stays 200
+    res.writeHead(200, { "Content-Type": "application/ocsp-response" });
+    res.end(response);
+    return 200;
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res)
+      .catch(() => 500)
+      .then((status) => {
+        if (!res.headersSent) {
+          res.writeHead(status, { "Content-Type": "text/plain" });
+          res.end(`${http.STATUS_CODES[status]}\n`);
+        }
+        onRequest({ method: req.method, url: req.url, status });
+      });
+  });
+  server.on("close", () => fs.rmSync(tmpDir, { recursive: true, force: true }));
+  return server;
+};
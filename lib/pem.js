@@ -0,0 +1,45 @@
+const PEM_PATTERN =
+  /-----BEGIN ([A-Z0-9 ]+)-----\r?\n([\s\S]*?)-----END \1-----/g;
+
+/**
+ * Split PEM text into its blocks
+ * @param {string} text - One or more PEM blocks
+ * @returns {{label: string, headers: Object, der: Buffer}[]} Blocks in file order
+ */
+export const decodePem = (text) => {
+  return [...text.matchAll(PEM_PATTERN)].map(([, label, body]) => {
+    const headers = {};
+    const lines = body.split(/\r?\n/);
+    // Legacy OpenSSL keys carry RFC 1421 headers such as Proc-Type and DEK-Info
+    while (lines.length > 0 && lines[0].includes(":")) {
+      const [name, ...value] = lines.shift().split(":");
+      headers[name.trim()] = value.join(":").trim();
+    }
+    return {
+      label,
+      headers,
+      der: Buffer.from(lines.join(""), "base64"),
+    };
+  });
+};
+
+/**
+ * Check whether a buffer looks like PEM text
+ * @param {Buffer} data - File contents
+ * @returns {boolean} True if the data contains a PEM block
+ */
+export const isPem = (data) => data.toString("latin1").includes("-----BEGIN ");
+
+/**
+ * Encode DER data as a PEM block
+ * @param {string} label - Block label, e.g. CERTIFICATE
+ * @param {Buffer} der - DER encoded data
+ * @returns {string} PEM text with a trailing newline
+ */
+export const encodePem = (label, der) => {
+  const body = der
+    .toString("base64")
+    .match(/.{1,64}/g)
+    .join("\n");
+  return `-----BEGIN ${label}-----\n${body}\n-----END ${label}-----\n`;
+};
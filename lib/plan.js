@@ -0,0 +1,224 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Split text into lines, without the empty string after a final newline
+ * @param {string} text - Text
+ * @returns {string[]} Lines
+ */
+const splitLines = (text) => {
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") {
+    lines.pop();
+  }
+  return lines;
+};
+
+/**
+ * Unified diff of two texts, as diff -u prints it
+ * @param {string|null} before - Current content, null for a new file
+ * @param {string} after - New content
+ * @param {Object} [options] - Options
+ * @param {string} [options.from="a"] - Name of the current file
+ * @param {string} [options.to="b"] - Name of the new file
+ * @param {number} [options.context=3] - Unchanged lines shown around each change
+ * @returns {string} Diff, empty when the texts are the same
+ */
+export const unifiedDiff = (
+  before,
+  after,
+  { from = "a", to = "b", context = 3 } = {}
+) => {
+  const a = before === null ? [] : splitLines(before);
+  const b = splitLines(after);
+
+  // Longest common subsequence of the lines that follow each pair of positions
+  const lcs = Array.from(
+    { length: a.length + 1 },
+    () => new Uint32Array(b.length + 1)
+  );
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  // Edit script, with removals before additions as diff prints them
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: " ", line: a[i], i, j });
+      i += 1;
+      j += 1;
+    } else if (
+      i < a.length &&
+      (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])
+    ) {
+      ops.push({ type: "-", line: a[i], i, j });
+      i += 1;
+    } else {
+      ops.push({ type: "+", line: b[j], i, j });
+      j += 1;
+    }
+  }
+
+  const changes = ops
+    .map((op, index) => (op.type === " " ? -1 : index))
+    .filter((index) => index >= 0);
+  if (changes.length === 0) {
+    return "";
+  }
+
+  // Changes closer than twice the context share a hunk
+  const groups = [[changes[0], changes[0]]];
+  changes.slice(1).forEach((index) => {
+    const group = groups[groups.length - 1];
+    if (index - group[1] <= 2 * context + 1) {
+      group[1] = index;
+    } else {
+      groups.push([index, index]);
+    }
+  });
+
+  const lines = [`--- ${before === null ? "/dev/null" : from}`, `+++ ${to}`];
+  groups.forEach(([first, last]) => {
+    const hunk = ops.slice(
+      Math.max(0, first - context),
+      Math.min(ops.length, last + context + 1)
+    );
+    const oldCount = hunk.filter((op) => op.type !== "+").length;
+    const newCount = hunk.filter((op) => op.type !== "-").length;
+    // An empty range starts at the line before it
+    const oldStart = hunk[0].i + (oldCount > 0 ? 1 : 0);
+    const newStart = hunk[0].j + (newCount > 0 ? 1 : 0);
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunk.forEach((op) => lines.push(`${op.type}${op.line}`));
+  });
+  return `${lines.join("\n")}\n`;
+};
+
+/**
+ * Quote a command line for display, the way a shell would need it
+ * @param {string} command - Program
+ * @param {string[]} [args] - Arguments
+ * @param {boolean} [sudo=false] - Run through sudo
+ * @returns {string} e.g. sudo ln -sf /etc/nginx/sites-available/a.conf ...
+ */
+export const formatCommand = (command, args = [], sudo = false) =>
+  [...(sudo ? ["sudo"] : []), command, ...args]
+    .map((word) =>
+      /^[\w@%+=:,./-]+$/.test(word) ? word : `'${word.replace(/'/g, "'\\''")}'`
+    )
+    .join(" ");
+
+/**
+ * Record the changes a command would make instead of making them, for --dry-run
+ *
+ * runCommand() has the signature of the one in utils.js, so code that takes
+ * a runner can be handed either; a tee with input counts as a file write.
+ * Files written twice are diffed against their planned content the second
+ * time, so the plan reads as the sequence of changes a real run makes;
+ * stat() and readFile() give code that looks before it changes something
+ * the same view, including the rm, ln, cp and mkdir it ran.
+ * @returns {Object} Plan: steps, runCommand(), writeFile(), installPackages(), note(), stat() and readFile()
+ */
+export const createPlan = () => {
+  const steps = [];
+  // What the steps did to each path: { type: "file", contents }, { type: "link", target }, { type: "dir" }, or null once removed
+  const entries = new Map();
+
+  // Current content: planned, on disk, null for a missing file, or undefined when unreadable
+  const currentContent = (file) => {
+    if (entries.has(file)) {
+      const entry = entries.get(file);
+      if (!entry) {
+        return null;
+      }
+      if (entry.type === "link") {
+        return currentContent(path.resolve(path.dirname(file), entry.target));
+      }
+      return entry.type === "file" ? entry.contents : undefined;
+    }
+    try {
+      return fs.readFileSync(file, "utf8");
+    } catch (error) {
+      return error.code === "ENOENT" ? null : undefined;
+    }
+  };
+
+  // What is at a path: { type: "file" }, { type: "dir" }, { type: "link", target }, or null if nothing is
+  const stat = (file) => {
+    if (entries.has(file)) {
+      const entry = entries.get(file);
+      if (!entry) {
+        return null;
+      }
+      return entry.type === "link"
+        ? { type: "link", target: entry.target }
+        : { type: entry.type };
+    }
+    try {
+      const stats = fs.lstatSync(file);
+      if (stats.isSymbolicLink()) {
+        return { type: "link", target: fs.readlinkSync(file) };
+      }
+      return { type: stats.isDirectory() ? "dir" : "file" };
+    } catch {
+      return null;
+    }
+  };
+
+  const writeFile = (file, contents, mode) => {
+    const before = currentContent(file);
+    entries.set(file, { type: "file", contents });
+    steps.push({
+      type: "file",
+      file,
+      mode,
+      exists: before !== null,
+      diff:
+        before === undefined
+          ? null
+          : unifiedDiff(before, contents, { from: file, to: file }),
+    });
+  };
+
+  const runCommand = (command, args = [], { sudo = false, input } = {}) => {
+    if (command === "tee" && input !== undefined && args.length === 1) {
+      writeFile(args[0], input.toString());
+      return "";
+    }
+    // Keep track of the files the command would change
+    const operands = args.filter((arg) => !arg.startsWith("-"));
+    if (command === "rm") {
+      operands.forEach((file) => entries.set(file, null));
+    } else if (command === "mkdir") {
+      operands.forEach((dir) => entries.set(dir, { type: "dir" }));
+    } else if (command === "ln" && operands.length === 2) {
+      entries.set(operands[1], { type: "link", target: operands[0] });
+    } else if (command === "cp" && operands.length === 2) {
+      entries.set(operands[1], {
+        type: "file",
+        contents: currentContent(operands[0]),
+      });
+    }
+    steps.push({ type: "command", command, args, sudo });
+    return "";
+  };
+
+  return {
+    steps,
+    runCommand,
+    writeFile,
+    installPackages: (manager, packages, args) =>
+      steps.push({ type: "packages", manager, packages, args }),
+    note: (text) => steps.push({ type: "note", text }),
+    stat,
+    readFile: currentContent,
+  };
+};
@@ -0,0 +1,254 @@
+import fs from "fs";
+import path from "path";
+import { commandExists as defaultCommandExists } from "../utils.js";
+
+/**
+ * Package managers: the command, the arguments that refresh the package
+ * lists (null when installing does that itself) and those that install
+ * packages without asking
+ */
+export const PACKAGE_MANAGERS = {
+  "apt-get": { update: ["update"], install: ["install", "-y"] },
+  dnf: { update: null, install: ["install", "-y"] },
+  yum: { update: null, install: ["install", "-y"] },
+  apk: { update: ["update"], install: ["add"] },
+  pacman: { update: null, install: ["-S", "--noconfirm", "--needed"] },
+  zypper: {
+    update: ["--non-interactive", "refresh"],
+    install: ["--non-interactive", "install"],
+  },
+};
+
+// Where nginx looks for server blocks: Debian enables sites-available files through links
+export const NGINX_LAYOUTS = {
+  sites: {
+    name: "sites",
+    dir: "/etc/nginx/sites-available",
+    enabledDir: "/etc/nginx/sites-enabled",
+  },
+  "conf.d": { name: "conf.d", dir: "/etc/nginx/conf.d", enabledDir: null },
+  // Alpine's nginx package renamed conf.d in 3.14
+  "http.d": { name: "http.d", dir: "/etc/nginx/http.d", enabledDir: null },
+};
+
+/**
+ * Distribution families by os-release ID, with their package managers in
+ * order of preference, nginx layout and certbot packages
+ */
+const FAMILIES = {
+  debian: {
+    ids: ["debian", "ubuntu", "raspbian", "linuxmint", "pop"],
+    managers: ["apt-get"],
+    layout: "sites",
+    certbot: ["certbot", "python3-certbot-nginx"],
+  },
+  fedora: {
+    ids: ["fedora"],
+    managers: ["dnf", "yum"],
+    layout: "conf.d",
+    certbot: ["certbot", "python3-certbot-nginx"],
+  },
+  // nginx and certbot come from EPEL on RHEL and its rebuilds
+  rhel: {
+    ids: ["rhel", "centos", "rocky", "almalinux", "ol", "amzn"],
+    managers: ["dnf", "yum"],
+    layout: "conf.d",
+    repositories: ["epel-release"],
+    certbot: ["certbot", "python3-certbot-nginx"],
+  },
+  alpine: {
+    ids: ["alpine"],
+    managers: ["apk"],
+    layout: "http.d",
+    certbot: ["certbot", "certbot-nginx"],
+  },
+  arch: {
+    ids: ["arch", "archarm", "manjaro", "endeavouros"],
+    managers: ["pacman"],
+    layout: "conf.d",
+    certbot: ["certbot", "certbot-nginx"],
+  },
+  suse: {
+    ids: ["opensuse", "opensuse-leap", "opensuse-tumbleweed", "sles", "suse"],
+    managers: ["zypper"],
+    layout: "conf.d",
+    certbot: ["python3-certbot", "python3-certbot-nginx"],
+  },
+};
+
+/**
+ * Parse an os-release file
+ * @param {string} text - Contents, KEY=value lines with optionally quoted values
+ * @returns {Object} Values by key, e.g. { ID: "ubuntu", ID_LIKE: "debian" }
+ */
+export const parseOsRelease = (text) =>
+  Object.fromEntries(
+    text
+      .split("\n")
+      .map((line) => line.match(/^([A-Z0-9_]+)=(.*)$/))
+      .filter(Boolean)
+      .map(([, key, value]) => {
+        const quoted = value.match(/^(["'])(.*)\1$/);
+        return [
+          key,
+          quoted ? quoted[2].replace(/\\(["'$`\\])/g, "$1") : value.trim(),
+        ];
+      })
+  );
+
+/**
+ * Read the os-release file of a system
+ * @param {string} [root="/"] - Filesystem root
+ * @returns {Object} Values by key, empty when there is no os-release file
+ */
+export const readOsRelease = (root = "/") => {
+  for (const file of ["etc/os-release", "usr/lib/os-release"]) {
+    try {
+      return parseOsRelease(fs.readFileSync(path.join(root, file), "utf8"));
+    } catch {
+      // Try the next location
+    }
+  }
+  return {};
+};
+
+/**
+ * Find the family of a distribution from its ID, then from the IDs it is like
+ * @param {Object} osRelease - From readOsRelease()
+ * @returns {string|null} FAMILIES key, or null for an unknown distribution
+ */
+const familyOf = (osRelease) => {
+  const ids = [osRelease.ID, ...(osRelease.ID_LIKE || "").split(/\s+/)]
+    .filter(Boolean)
+    .map((id) => id.toLowerCase());
+  for (const id of ids) {
+    const family = Object.keys(FAMILIES).find((name) =>
+      FAMILIES[name].ids.includes(id)
+    );
+    if (family) {
+      return family;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check whether a system runs under Windows Subsystem for Linux, where systemd is often missing
+ * @param {string} root - Filesystem root
+ * @returns {boolean} True under WSL
+ */
+const isWSL = (root) => {
+  try {
+    const version = fs
+      .readFileSync(path.join(root, "proc/version"), "utf8")
+      .toLowerCase();
+    return version.includes("microsoft") || version.includes("wsl");
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Work out how to install packages, lay out nginx sites and run services on a system
+ *
+ * The layout nginx already uses wins over the distribution's default, so
+ * a Debian-style setup on another distribution is kept.
+ * @param {Object} [options] - Options
+ * @param {string} [options.root="/"] - Filesystem root, e.g. a fixture
+ * @param {Function} [options.commandExists] - Checks whether a program is in PATH
+ * @returns {Object} Platform: id, name, family, wsl, packageManager ({ command, update, install } or null), serviceManager ("systemd", "openrc" or "sysv"), nginx (an NGINX_LAYOUTS entry) and packages ({ nginx, certbot, repositories })
+ */
+export const detectPlatform = ({
+  root = "/",
+  commandExists = defaultCommandExists,
+} = {}) => {
+  const osRelease = readOsRelease(root);
+  const family = familyOf(osRelease);
+  const known = FAMILIES[family];
+
+  // An unknown distribution gets whichever package manager is installed
+  const managers = known ? known.managers : Object.keys(PACKAGE_MANAGERS);
+  const manager =
+    managers.find((command) => commandExists(command)) ||
+    (known ? managers[0] : null);
+
+  const wsl = isWSL(root);
+  let serviceManager = "sysv";
+  if (!wsl && fs.existsSync(path.join(root, "run/systemd/system"))) {
+    serviceManager = "systemd";
+  } else if (
+    fs.existsSync(path.join(root, "sbin/openrc-run")) ||
+    commandExists("rc-service")
+  ) {
+    serviceManager = "openrc";
+  }
+
+  const existing = ["sites", "http.d", "conf.d"].find((name) =>
+    fs.existsSync(path.join(root, NGINX_LAYOUTS[name].dir))
+  );
+  const layout = NGINX_LAYOUTS[existing || known?.layout || "conf.d"];
+
+  return {
+    id: osRelease.ID || null,
+    name: osRelease.PRETTY_NAME || osRelease.NAME || "Linux",
+    family,
+    wsl,
+    packageManager: manager
+      ? { command: manager, ...PACKAGE_MANAGERS[manager] }
+      : null,
+    serviceManager,
+    nginx: layout,
+    packages: {
+      nginx: ["nginx"],
+      certbot: known ? known.certbot : ["certbot", "python3-certbot-nginx"],
+      repositories: known?.repositories || [],
+    },
+  };
+};
+
+/**
+ * Command that installs packages
+ * @param {Object} packageManager - detectPlatform().packageManager
+ * @param {string[]} packages - Packages
+ * @returns {{command: string, args: string[]}} Command, to run as root
+ */
+export const installCommand = (packageManager, packages) => ({
+  command: packageManager.command,
+  args: [...packageManager.install, ...packages],
+});
+
+/**
+ * Commands that act on a service
+ * @param {string} serviceManager - detectPlatform().serviceManager
+ * @param {string} action - reload, start, or enable (start now and at boot)
+ * @param {string} service - Service, e.g. "nginx"
+ * @returns {Array<{command: string, args: string[]}>} Commands, to run as root in order
+ */
+export const serviceCommands = (serviceManager, action, service) => {
+  if (serviceManager === "systemd") {
+    return [
+      {
+        command: "systemctl",
+        args:
+          action === "enable"
+            ? ["enable", "--now", service]
+            : [action, service],
+      },
+    ];
+  }
+  if (serviceManager === "openrc") {
+    return action === "enable"
+      ? [
+          { command: "rc-update", args: ["add", service, "default"] },
+          { command: "rc-service", args: [service, "start"] },
+        ]
+      : [{ command: "rc-service", args: [service, action] }];
+  }
+  // SysV init scripts, which WSL runs without systemd; they start at boot once installed
+  return [
+    {
+      command: "service",
+      args: [service, action === "enable" ? "start" : action],
+    },
+  ];
+};
@@ -0,0 +1,404 @@
+import dns from "dns";
+import http from "http";
+import https from "https";
+import os from "os";
+import { DnsPropagationError } from "./errors.js";
+
+// CAA identifier of Let's Encrypt
+export const LETSENCRYPT_CAA = "letsencrypt.org";
+
+// Lookup errors that mean the name or record type does not exist
+const NO_RECORDS = ["ENODATA", "ENOTFOUND"];
+
+// CAA property tags this check understands; a critical record with any other forbids issuance
+const CAA_TAGS = [
+  "issue",
+  "issuewild",
+  "iodef",
+  "contactemail",
+  "contactphone",
+  "issuemail",
+  "issuevmc",
+];
+
+/**
+ * Look up records, treating a missing name or type as no records
+ * @param {Promise<Array>} lookup - Pending resolver call
+ * @returns {Promise<Array>} Records
+ */
+const recordsOf = (lookup) =>
+  lookup.catch((error) => {
+    if (NO_RECORDS.includes(error.code)) {
+      return [];
+    }
+    throw error;
+  });
+
+/**
+ * The addresses of this host's network interfaces
+ * @returns {Set<string>} IPv4 and IPv6 addresses
+ */
+export const hostAddresses = () =>
+  new Set(
+    Object.values(os.networkInterfaces())
+      .flat()
+      .filter((iface) => !iface.internal)
+      .map((iface) => iface.address.replace(/%.*$/, ""))
+  );
+
+/**
+ * Check that the A and AAAA records of a domain point at this host
+ *
+ * Behind NAT or a load balancer the public address is not on an interface,
+ * so a mismatch is only a warning unless the expected addresses are given.
+ * @param {string} domain - Domain, a wildcard checks its base name
+ * @param {Object} [options] - Options
+ * @param {string} [options.challenge="http"] - Without HTTP-01 a missing record is only a warning
+ * @param {string[]} [options.expected] - This host's public addresses
+ * @param {Object} [options.resolver=dns.promises] - Resolver
+ * @returns {Promise<Object>} Check result: check, status ("ok", "warning" or "failed") and message
+ */
+export const checkAddresses = async (
+  domain,
+  { challenge = "http", expected, resolver = dns.promises } = {}
+) => {
+  const check = "A/AAAA";
+  const host = domain.replace(/^\*\./, "");
+  let v4;
+  let v6;
+  try {
+    [v4, v6] = await Promise.all([
+      recordsOf(resolver.resolve4(host)),
+      recordsOf(resolver.resolve6(host)),
+    ]);
+  } catch (error) {
+    return {
+      check,
+      status: "failed",
+      message: `Cannot look up ${host} (${error.code || error.message})`,
+    };
+  }
+  if (v4.length === 0 && v6.length === 0) {
+    return {
+      check,
+      status: challenge === "http" ? "failed" : "warning",
+      message: `${host} has no A or AAAA records`,
+    };
+  }
+
+  const local = new Set(expected || hostAddresses());
+  const here4 = v4.filter((address) => local.has(address));
+  const here6 = v6.filter((address) => local.has(address));
+  const all = [...v4, ...v6].join(", ");
+  if (here4.length === 0 && here6.length === 0) {
+    return {
+      check,
+      status: expected ? "failed" : "warning",
+      message: expected
+        ? `${host} resolves to ${all}, not to ${expected.join(", ")}`
+        : `${host} resolves to ${all}, which is not an address of this host (fine behind NAT or a load balancer; pass the public address to check it)`,
+    };
+  }
+  // Let's Encrypt connects over IPv6 when there is an AAAA record
+  if (v6.length > 0 && here6.length === 0) {
+    return {
+      check,
+      status: "warning",
+      message: `The AAAA records of ${host} (${v6.join(
+        ", "
+      )}) point elsewhere; Let's Encrypt prefers them over the A records`,
+    };
+  }
+  return {
+    check,
+    status: "ok",
+    message: `${host} resolves to ${all}`,
+  };
+};
+
+/**
+ * Check that the CAA records of a domain let a CA issue for it (RFC 8659)
+ *
+ * The records that apply are those of the closest name, the domain or one of
+ * its parents, that has any. A failed lookup fails the check, as it makes
+ * Let's Encrypt refuse to issue.
+ * @param {string} domain - Domain, "*." checks issuewild records
+ * @param {Object} [options] - Options
+ * @param {string} [options.issuer="letsencrypt.org"] - CAA identifier of the CA
+ * @param {Object} [options.resolver=dns.promises] - Resolver
+ * @returns {Promise<Object>} Check result: check, status and message
+ */
+export const checkCaa = async (
+  domain,
+  { issuer = LETSENCRYPT_CAA, resolver = dns.promises } = {}
+) => {
+  const check = "CAA";
+  const wildcard = domain.startsWith("*.");
+  const labels = domain.replace(/^\*\./, "").split(".");
+
+  for (let i = 0; i < labels.length; i += 1) {
+    const name = labels.slice(i).join(".");
+    let records;
+    try {
+      records = await recordsOf(resolver.resolveCaa(name));
+    } catch (error) {
+      return {
+        check,
+        status: "failed",
+        message: `The CAA lookup of ${name} fails (${
+          error.code || error.message
+        }), so CAs refuse to issue`,
+      };
+    }
+    if (records.length === 0) {
+      continue;
+    }
+
+    const unknown = records.find(
+      (record) =>
+        record.critical & 128 &&
+        !Object.keys(record).some((tag) => CAA_TAGS.includes(tag))
+    );
+    if (unknown) {
+      return {
+        check,
+        status: "failed",
+        message: `${name} has a critical CAA record no CA understands, so none may issue`,
+      };
+    }
+
+    // issuewild replaces issue for wildcard names; without either any CA may issue
+    const tag =
+      wildcard && records.some((record) => "issuewild" in record)
+        ? "issuewild"
+        : "issue";
+    const values = records
+      .filter((record) => tag in record)
+      .map((record) => record[tag].split(";")[0].trim().toLowerCase());
+    if (values.length === 0 || values.includes(issuer)) {
+      return {
+        check,
+        status: "ok",
+        message: `The CAA records of ${name} allow ${issuer}`,
+      };
+    }
+    const allowed = values.filter(Boolean);
+    return {
+      check,
+      status: "failed",
+      message: `The CAA records of ${name} ${
+        allowed.length > 0
+          ? `only allow ${allowed.join(", ")}`
+          : "forbid every CA"
+      }: add ${name}. CAA 0 ${tag} "${issuer}"`,
+    };
+  }
+  return {
+    check,
+    status: "ok",
+    message: `No CAA records: any CA may issue for ${domain}`,
+  };
+};
+
+/**
+ * Check that a port is free, or that nginx listens on it
+ *
+ * Asks what answers HTTP (HTTPS on 443) there and looks at its Server header.
+ * @param {number} port - Port
+ * @param {Object} [options] - Options
+ * @param {string} [options.host="127.0.0.1"] - Address to connect to
+ * @param {boolean} [options.tls] - Speak HTTPS; the default on port 443
+ * @param {number} [options.timeout=3000] - Milliseconds to wait for an answer
+ * @returns {Promise<Object>} Check result: check, status and message
+ */
+export const checkPort = (
+  port,
+  { host = "127.0.0.1", tls = port === 443, timeout = 3000 } = {}
+) =>
+  new Promise((resolve) => {
+    const check = `Port ${port}`;
+    const result = (status, message) => resolve({ check, status, message });
+    const request = (tls ? https : http).request(
+      {
+        host,
+        port,
+        method: "HEAD",
+        path: "/",
+        timeout,
+        rejectUnauthorized: false,
+      },
+      (response) => {
+        response.resume();
+        const server = response.headers.server || "";
+        if (/^nginx/i.test(server)) {
+          result("ok", `nginx listens on port ${port}`);
+        } else {
+          result(
+            "failed",
+            `${
+              server || "A web server other than nginx"
+            } listens on port ${port}: stop it so nginx can use the port`
+          );
+        }
+      }
+    );
+    request.on("timeout", () => request.destroy(new Error("timeout")));
+    request.on("error", (error) => {
+      if (error.code === "ECONNREFUSED") {
+        result("ok", `Port ${port} is free`);
+      } else {
+        result(
+          "failed",
+          `Another program listens on port ${port} (${
+            error.code || error.message
+          }): stop it so nginx can use the port`
+        );
+      }
+    });
+    request.end();
+  });
+
+/**
+ * Run the checks before asking Let's Encrypt for a certificate
+ * @param {string} domain - Domain
+ * @param {Object} [options] - Options
+ * @param {string} [options.challenge="http"] - Challenge type, http or dns
+ * @param {string[]} [options.expected] - This host's public addresses
+ * @param {number[]} [options.ports=[80, 443]] - Ports nginx needs
+ * @param {Object} [options.resolver=dns.promises] - Resolver
+ * @returns {Promise<Object[]>} Check results
+ */
+export const runPreflight = async (
+  domain,
+  { challenge = "http", expected, ports = [80, 443], resolver } = {}
+) => [
+  await checkAddresses(domain, { challenge, expected, resolver }),
+  await checkCaa(domain, { resolver }),
+  ...(await Promise.all(ports.map((port) => checkPort(port)))),
+];
+
+/**
+ * Find the name servers that are authoritative for a record
+ *
+ * Follows a CNAME first, as _acme-challenge names are often delegated that way.
+ * @param {string} name - Record name
+ * @param {Object} [resolver=dns.promises] - Resolver
+ * @returns {Promise<Object>} name (after the CNAME) and servers, each with host and address
+ * @throws {DnsPropagationError} If no zone or name server address is found
+ */
+export const authoritativeServers = async (name, resolver = dns.promises) => {
+  const [target = name] = await recordsOf(resolver.resolveCname(name)).catch(
+    () => []
+  );
+  const labels = target.split(".");
+  for (let i = 0; i < labels.length - 1; i += 1) {
+    const hosts = await recordsOf(
+      resolver.resolveNs(labels.slice(i).join("."))
+    ).catch(() => []);
+    if (hosts.length === 0) {
+      continue;
+    }
+    const servers = [];
+    for (const host of hosts) {
+      const v4 = await recordsOf(resolver.resolve4(host)).catch(() => []);
+      const addresses =
+        v4.length > 0
+          ? v4
+          : await recordsOf(resolver.resolve6(host)).catch(() => []);
+      if (addresses.length > 0) {
+        servers.push({ host, address: addresses[0] });
+      }
+    }
+    if (servers.length === 0) {
+      throw new DnsPropagationError(
+        `Cannot find the addresses of the name servers of ${target}`,
+        hosts
+      );
+    }
+    return { name: target, servers };
+  }
+  throw new DnsPropagationError(`Cannot find the name servers of ${target}`);
+};
+
+/**
+ * Wait until every authoritative name server serves a TXT record
+ *
+ * Let's Encrypt asks these servers directly, so a record the local resolver
+ * already sees may still be missing on one of them.
+ * @param {string} name - Record name, e.g. _acme-challenge.example.com
+ * @param {string} value - Expected value
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeout=300000] - Milliseconds to wait
+ * @param {number} [options.interval=5000] - Milliseconds between rounds of queries
+ * @param {Object} [options.resolver=dns.promises] - Resolver finding the name servers
+ * @param {Function} [options.createResolver] - Makes a resolver that asks one server address
+ * @param {Function} [options.onProgress] - Called with a message while waiting
+ * @returns {Promise<string[]>} Names of the servers
+ * @throws {DnsPropagationError} If a server does not serve the record in time
+ */
+export const waitForTxtRecord = async (
+  name,
+  value,
+  {
+    timeout = 300000,
+    interval = 5000,
+    resolver = dns.promises,
+    createResolver = (address) => {
+      const direct = new dns.promises.Resolver({ timeout: 5000, tries: 1 });
+      direct.setServers([address]);
+      return direct;
+    },
+    onProgress = () => {},
+  } = {}
+) => {
+  const { name: target, servers } = await authoritativeServers(name, resolver);
+  const deadline = Date.now() + timeout;
+  let pending = servers;
+  for (;;) {
+    const results = await Promise.all(
+      pending.map((server) =>
+        recordsOf(createResolver(server.address).resolveTxt(target))
+          .then((records) =>
+            records.some((chunks) => chunks.join("") === value)
+          )
+          .catch(() => false)
+      )
+    );
+    pending = pending.filter((server, i) => !results[i]);
+    if (pending.length === 0) {
+      return servers.map((server) => server.host);
+    }
+    if (Date.now() + interval > deadline) {
+      throw new DnsPropagationError(
+        `${pending
+          .map((server) => server.host)
+          .join(
+            ", "
+          )} did not serve the ${target} TXT record within ${Math.round(
+          timeout / 1000
+        )} seconds`,
+        pending.map((server) => server.host)
+      );
+    }
+    onProgress(
+      `Waiting for ${target} on ${pending
+        .map((server) => server.host)
+        .join(", ")}`
+    );
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+};
+
+/**
+ * Make a DNS-01 solver wait until its records reach the authoritative name servers
+ * @param {Object} solver - DNS-01 solver, e.g. from dnsProviderSolver()
+ * @param {Object} [options] - Options of waitForTxtRecord()
+ * @returns {Object} Solver
+ */
+export const withPropagationCheck = (solver, options = {}) => ({
+  ...solver,
+  prepare: async (task) => {
+    await solver.prepare(task);
+    await waitForTxtRecord(task.dnsName, task.dnsValue, options);
+  },
+});
@@ -0,0 +1,165 @@
+import fs from "fs";
+import path from "path";
+import { writeFullChain } from "./ca.js";
+import { revocationBaseUrlOf, revocationUrls } from "./cadb.js";
+import { readCertificate } from "./certs.js";
+import { parseCertificate } from "./x509.js";
+import { generateKey, keyTypeOf } from "./keys.js";
+import { issueCertificate, toOpenSSLSubject } from "./issue.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the DNS names and IP addresses a certificate was issued for
+ * @param {crypto.X509Certificate} cert - Certificate
+ * @returns {string[]} SAN values, or the CN when the certificate has no SANs
+ */
+export const getCertificateNames = (cert) => {
+  const { extensions } = parseCertificate(cert.raw);
+  const san = extensions.find((ext) => ext.name === "subjectAltName");
+  const names = (san ? san.value : [])
+    .filter(({ type }) => type === "DNS" || type === "IP")
+    .map(({ value }) => value);
+
+  if (names.length > 0) {
+    return names;
+  }
+  const cn = cert.subject.split("\n").find((rdn) => rdn.startsWith("CN="));
+  return cn ? [cn.slice(3)] : [];
+};
+
+/**
+ * Copy a file into the backups directory with a timestamp in its name
+ * @param {string} filePath - File to back up
+ * @param {string} stamp - Timestamp to include in the backup name
+ * @returns {string} Path of the backup
+ */
+const backupFile = (filePath, stamp) => {
+  const backupDir = path.join(path.dirname(filePath), "backups");
+  fs.mkdirSync(backupDir, { recursive: true });
+
+  const ext = path.extname(filePath);
+  const backupPath = path.join(
+    backupDir,
+    `${path.basename(filePath, ext)}.${stamp}${ext}`
+  );
+  fs.copyFileSync(filePath, backupPath);
+  return backupPath;
+};
+
+/**
+ * Reissue a certificate from the local CA with the same subject and SANs
+ * @param {Object} options - Options
+ * @param {string} options.certPath - Certificate to renew; its key sits next to it
+ * @param {{certPath: string, keyPath: string, intermediate: boolean}} options.ca - CA to sign with, see getSigningCA()
+ * @param {string[]} options.localCACertPaths - CA certificates a renewable certificate may have been issued by
+ * @param {string} [options.caPassphrase] - CA key passphrase
+ * @param {string} [options.caPassphraseFile] - File holding the CA key passphrase
+ * @param {boolean} [options.rotateKey=false] - Generate a new key instead of reusing the current one
+ * @param {number} [options.days] - Validity period; defaults to that of the current certificate
+ * @param {string} [options.digest="auto"] - Signing digest, one of DIGESTS
+ * @param {string} [options.backend="native"] - One of BACKENDS
+ * @returns {Object} Names, previous and new expiry, whether the key was rotated and the backups made
+ */
+export const renewCertificate = ({
+  certPath,
+  ca,
+  localCACertPaths,
+  caPassphrase,
+  caPassphraseFile,
+  rotateKey = false,
+  days,
+  digest = "auto",
+  backend = "native",
+}) => {
+  const cert = readCertificate(certPath);
+  if (!cert) {
+    throw new Error(`No certificate found at ${certPath}`);
+  }
+
+  const issuedLocally = localCACertPaths
+    .map(readCertificate)
+    .some(
+      (caCert) =>
+        caCert && cert.checkIssued(caCert) && cert.verify(caCert.publicKey)
+    );
+  if (!issuedLocally) {
+    throw new Error(
+      `${path.basename(certPath)} was not issued by the local CA`
+    );
+  }
+
+  const dir = path.dirname(certPath);
+  const base = path.basename(certPath, path.extname(certPath));
+  const keyPath = path.join(dir, `${base}.key`);
+  const fullchainPath = path.join(dir, `${base}.fullchain.pem`);
+
+  if (!rotateKey && !fs.existsSync(keyPath)) {
+    throw new Error(
+      `Private key ${path.basename(
+        keyPath
+      )} not found; use --rotate-key to generate a new one`
+    );
+  }
+
+  const names = getCertificateNames(cert);
+  // Keep pointing at the revocation endpoints, now those of the signing CA
+  const revocationBaseUrl = revocationBaseUrlOf(cert);
+  const revocation = revocationBaseUrl
+    ? revocationUrls(revocationBaseUrl, ca.certPath)
+    : undefined;
+  const validityDays =
+    days ||
+    Math.round(
+      (new Date(cert.validTo).getTime() - new Date(cert.validFrom).getTime()) /
+        DAY_MS
+    );
+
+  // Keep the previous certificate (and key, if it is replaced) around
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const backups = { cert: backupFile(certPath, stamp), key: null };
+  if (rotateKey && fs.existsSync(keyPath)) {
+    backups.key = backupFile(keyPath, stamp);
+  }
+
+  try {
+    if (rotateKey) {
+      // A rotated key keeps the algorithm and size of the current one
+      generateKey(keyPath, { keyType: keyTypeOf(cert.publicKey), backend });
+    }
+    issueCertificate({
+      keyPath,
+      certPath,
+      subject: toOpenSSLSubject(cert.subject),
+      names,
+      revocation,
+      caCertPath: ca.certPath,
+      caKeyPath: ca.keyPath,
+      caPassphrase,
+      caPassphraseFile,
+      days: validityDays,
+      digest,
+      backend,
+    });
+    if (ca.intermediate) {
+      writeFullChain(fullchainPath, certPath, ca.certPath);
+    }
+  } catch (error) {
+    // Put the previous certificate and key back so nothing is left half renewed
+    fs.copyFileSync(backups.cert, certPath);
+    if (backups.key) {
+      fs.copyFileSync(backups.key, keyPath);
+    }
+    throw error;
+  }
+
+  return {
+    file: path.basename(certPath),
+    names,
+    previousNotAfter: new Date(cert.validTo).toISOString(),
+    notAfter: new Date(readCertificate(certPath).validTo).toISOString(),
+    keyRotated: rotateKey,
+    fullchain: ca.intermediate ? path.basename(fullchainPath) : null,
+    backups,
+  };
+};
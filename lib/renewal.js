@@ -0,0 +1,410 @@
+import fs from "fs";
+import path from "path";
+import { findCommand, runCommand } from "../utils.js";
+import { readCertificate } from "./certs.js";
+import { detectPlatform, serviceCommands } from "./platform.js";
+
+// Name of the systemd service and timer that run certbot renew
+export const RENEWAL_UNIT = "ssl-cli-renew";
+
+// Files written by installRenewal(), relative to the filesystem root
+const SERVICE_PATH = `/etc/systemd/system/${RENEWAL_UNIT}.service`;
+const TIMER_PATH = `/etc/systemd/system/${RENEWAL_UNIT}.timer`;
+const CRON_PATH = `/etc/cron.d/${RENEWAL_UNIT}`;
+// certbot runs every executable in this directory after it renews a certificate
+export const DEPLOY_HOOK_PATH =
+  "/etc/letsencrypt/renewal-hooks/deploy/ssl-cli-reload-nginx.sh";
+
+const LETSENCRYPT_DIR = "/etc/letsencrypt";
+
+// Timers the certbot packages ship: Debian and Ubuntu, Fedora and openSUSE, and the snap
+const PACKAGED_TIMERS = [
+  "certbot.timer",
+  "certbot-renew.timer",
+  "snap.certbot.renew.timer",
+];
+const UNIT_DIRS = [
+  "/etc/systemd/system",
+  "/usr/lib/systemd/system",
+  "/lib/systemd/system",
+];
+// Debian's cron job, which only runs certbot when systemd does not
+const PACKAGED_CRON_PATH = "/etc/cron.d/certbot";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Deploy hook that reloads nginx after a renewal, only if its configuration passes nginx -t
+ * @param {string} serviceManager - detectPlatform().serviceManager, so nginx reloads the way setup-nginx starts it
+ * @returns {string} Shell script
+ */
+export const deployHookScript = (serviceManager) => `#!/bin/sh
+# Written by ssl-cli: reload nginx after certbot renews a certificate
+set -e
+
+nginx -t -q
+${serviceCommands(serviceManager, "reload", "nginx")
+  .map(({ command, args }) => [command, ...args].join(" "))
+  .join("\n")}
+`;
+
+/**
+ * systemd service and timer running certbot renew twice a day
+ * @param {string} certbot - Full path of certbot
+ * @returns {{service: string, timer: string}} Unit files
+ */
+export const systemdUnits = (certbot) => ({
+  service: `# Written by ssl-cli
+[Unit]
+Description=Renew Let's Encrypt certificates (ssl-cli)
+After=network-online.target
+Wants=network-online.target
+
+[Service]
+Type=oneshot
+ExecStart=${certbot} renew --quiet
+`,
+  // Same schedule as certbot's own timer; the random delay spreads the load on Let's Encrypt
+  timer: `# Written by ssl-cli
+[Unit]
+Description=Renew Let's Encrypt certificates twice a day (ssl-cli)
+
+[Timer]
+OnCalendar=*-*-* 00,12:00:00
+RandomizedDelaySec=12h
+Persistent=true
+
+[Install]
+WantedBy=timers.target
+`,
+});
+
+/**
+ * /etc/cron.d entry running certbot renew twice a day, at a random minute
+ * @param {string} certbot - Full path of certbot
+ * @param {number} [minute] - Minute past the hour, 0-59
+ * @param {number} [hour] - First hour, 0-11; the second run is 12 hours later
+ * @returns {string} Cron file
+ */
+export const cronFile = (
+  certbot,
+  minute = Math.floor(Math.random() * 60),
+  hour = Math.floor(Math.random() * 12)
+) => `# Written by ssl-cli: renew Let's Encrypt certificates twice a day
+SHELL=/bin/sh
+PATH=/usr/local/sbin:/usr/local/bin:/sbin:/bin:/usr/sbin:/usr/bin
+
+${minute} ${hour},${hour + 12} * * * root ${certbot} renew --quiet
+`;
+
+/**
+ * Next time a cron file from cronFile() runs
+ * @param {string} contents - Cron file
+ * @param {Date} [now] - Current time
+ * @returns {Date|null} Next run in local time, or null if the file has no schedule we wrote
+ */
+export const nextCronRun = (contents, now = new Date()) => {
+  const match = contents.match(/^(\d+) ([\d,]+) \* \* \* /m);
+  if (!match) {
+    return null;
+  }
+  const minute = Number(match[1]);
+  const hours = match[2].split(",").map(Number);
+  // Today's runs, then tomorrow's
+  const runs = [0, 1].flatMap((day) =>
+    hours.map(
+      (hour) =>
+        new Date(
+          now.getFullYear(),
+          now.getMonth(),
+          now.getDate() + day,
+          hour,
+          minute
+        )
+    )
+  );
+  return runs.find((run) => run > now) || null;
+};
+
+/**
+ * Check whether the machine under a root runs systemd
+ * @param {string} root - Filesystem root
+ * @returns {boolean} True if systemd is the init system
+ */
+const hasSystemd = (root) =>
+  fs.existsSync(path.join(root, "run/systemd/system"));
+
+/**
+ * Find the renewal schedule the certbot package installed
+ * @param {string} root - Filesystem root
+ * @returns {{scheduler: string, name: string}|null} "systemd" with the timer, or "cron" with the cron file; null if the package brought none
+ */
+export const packagedRenewal = (root) => {
+  if (hasSystemd(root)) {
+    const timer = PACKAGED_TIMERS.find((name) =>
+      UNIT_DIRS.some((dir) => fs.existsSync(path.join(root, dir, name)))
+    );
+    if (timer) {
+      return { scheduler: "systemd", name: timer };
+    }
+  }
+  if (fs.existsSync(path.join(root, PACKAGED_CRON_PATH))) {
+    return { scheduler: "cron", name: PACKAGED_CRON_PATH };
+  }
+  return null;
+};
+
+/**
+ * Write a root-owned file, through sudo unless we are root or working under another root
+ * @param {string} file - Path, already joined with the root
+ * @param {string} contents - File contents
+ * @param {Object} context - root, sudo and the plan, if any
+ * @param {string} [mode="644"] - Permissions
+ */
+const writeSystemFile = (
+  file,
+  contents,
+  { root, sudo, plan },
+  mode = "644"
+) => {
+  if (plan) {
+    plan.writeFile(file, contents, mode);
+    return;
+  }
+  if (root !== "/" || !sudo) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents, { mode: parseInt(mode, 8) });
+    fs.chmodSync(file, parseInt(mode, 8));
+    return;
+  }
+  runCommand("mkdir", ["-p", path.dirname(file)], { sudo });
+  runCommand("tee", [file], { sudo, input: contents });
+  runCommand("chmod", [mode, file], { sudo });
+};
+
+/**
+ * Set up unattended renewal of the Let's Encrypt certificates of this machine
+ *
+ * Installs a deploy hook that tests and reloads nginx. When the certbot
+ * package brought its own timer or cron job, that one runs the renewals;
+ * otherwise adds a systemd timer, or a cron job where systemd is not running.
+ * @param {Object} [options] - Options
+ * @param {string} [options.root="/"] - Filesystem root, to work on a mounted or fake system; systemctl is only run on "/"
+ * @param {Object} [options.plan] - Plan from createPlan() to record the changes in instead of making them
+ * @returns {{scheduler: string, packaged: string|null, files: string[]}} "systemd" or "cron", the packaged timer or cron file in use (null if we added ours) and the files written
+ */
+export const installRenewal = ({ root = "/", plan } = {}) => {
+  const context = { root, sudo: process.getuid?.() !== 0, plan };
+  const run = plan ? plan.runCommand : runCommand;
+  const certbot = findCommand("certbot") || "/usr/bin/certbot";
+  const at = (file) => path.join(root, file);
+
+  const { serviceManager } = detectPlatform({ root });
+  writeSystemFile(
+    at(DEPLOY_HOOK_PATH),
+    deployHookScript(serviceManager),
+    context,
+    "755"
+  );
+
+  const packaged = packagedRenewal(root);
+  if (packaged) {
+    // Fedora ships certbot-renew.timer disabled
+    if (packaged.scheduler === "systemd" && root === "/") {
+      run("systemctl", ["enable", "--now", packaged.name], {
+        sudo: context.sudo,
+      });
+    }
+    return {
+      scheduler: packaged.scheduler,
+      packaged: packaged.name,
+      files: [at(DEPLOY_HOOK_PATH)],
+    };
+  }
+
+  if (hasSystemd(root)) {
+    const { service, timer } = systemdUnits(certbot);
+    writeSystemFile(at(SERVICE_PATH), service, context);
+    writeSystemFile(at(TIMER_PATH), timer, context);
+    if (root === "/") {
+      run("systemctl", ["daemon-reload"], { sudo: context.sudo });
+      run("systemctl", ["enable", "--now", `${RENEWAL_UNIT}.timer`], {
+        sudo: context.sudo,
+      });
+    }
+    return {
+      scheduler: "systemd",
+      packaged: null,
+      files: [DEPLOY_HOOK_PATH, SERVICE_PATH, TIMER_PATH].map(at),
+    };
+  }
+
+  writeSystemFile(at(CRON_PATH), cronFile(certbot), context);
+  return {
+    scheduler: "cron",
+    packaged: null,
+    files: [DEPLOY_HOOK_PATH, CRON_PATH].map(at),
+  };
+};
+
+/**
+ * Parse a timestamp printed by systemctl show
+ * @param {string} [value] - "@1760789000" with --timestamp=unix, otherwise e.g. "Sat 2026-10-18 12:23:00 CEST"
+ * @returns {Date|null} Time, or null when unset or unreadable
+ */
+const parseSystemdTime = (value) => {
+  if (!value || value === "n/a") {
+    return null;
+  }
+  const date = value.startsWith("@")
+    ? new Date(Number(value.slice(1)) * 1000)
+    : // Zone abbreviations such as CEST cannot be parsed; read the time as local
+      new Date(value.replace(/^\w+ /, "").replace(/ [A-Z]+$/, ""));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Ask systemd when a timer last ran and runs next
+ * @param {string} timer - Timer unit, e.g. "ssl-cli-renew.timer"
+ * @returns {{nextRun: Date|null, lastRun: Date|null}} Times, null when unknown
+ */
+const timerTimes = (timer) => {
+  const args = [
+    "show",
+    timer,
+    "--property=NextElapseUSecRealtime,LastTriggerUSec",
+  ];
+  let output;
+  try {
+    output = runCommand("systemctl", [...args, "--timestamp=unix"]);
+  } catch {
+    // systemd before 248 has no --timestamp option
+    output = runCommand("systemctl", args);
+  }
+  const values = Object.fromEntries(
+    output
+      .split("\n")
+      .filter((line) => line.includes("="))
+      .map((line) => [
+        line.slice(0, line.indexOf("=")),
+        line.slice(line.indexOf("=") + 1),
+      ])
+  );
+  return {
+    nextRun: parseSystemdTime(values.NextElapseUSecRealtime),
+    lastRun: parseSystemdTime(values.LastTriggerUSec),
+  };
+};
+
+/**
+ * Read the settings of a certificate's renewal configuration
+ * @param {string} file - /etc/letsencrypt/renewal/<name>.conf
+ * @returns {Object} Keys and values of the file, e.g. authenticator
+ */
+const readRenewalConf = (file) => {
+  try {
+    return Object.fromEntries(
+      fs
+        .readFileSync(file, "utf8")
+        .split("\n")
+        .map((line) => line.match(/^\s*([\w-]+)\s*=\s*(.*?)\s*$/))
+        .filter(Boolean)
+        .map(([, key, value]) => [key, value])
+    );
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * List the certificates certbot manages
+ * @param {string} root - Filesystem root
+ * @param {Date} now - Current time
+ * @returns {Object[]|null} name, notAfter, daysLeft, authenticator and whether it can renew unattended; null if /etc/letsencrypt cannot be read
+ */
+const listLiveCertificates = (root, now) => {
+  const live = path.join(root, LETSENCRYPT_DIR, "live");
+  let entries;
+  try {
+    entries = fs.readdirSync(live, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    return null;
+  }
+  return entries
+    .filter((entry) => entry.isDirectory())
+    .map(({ name }) => {
+      const cert = readCertificate(path.join(live, name, "cert.pem"));
+      const notAfter = cert && new Date(cert.validTo);
+      const conf = readRenewalConf(
+        path.join(root, LETSENCRYPT_DIR, "renewal", `${name}.conf`)
+      );
+      return {
+        name,
+        notAfter: notAfter ? notAfter.toISOString() : null,
+        daysLeft: notAfter
+          ? Math.floor((notAfter.getTime() - now.getTime()) / DAY_MS)
+          : null,
+        authenticator: conf.authenticator || null,
+        // The manual authenticator needs a person to publish the challenge, unless a hook does it
+        unattended: conf.authenticator !== "manual" || !!conf.manual_auth_hook,
+      };
+    });
+};
+
+/**
+ * Report how certificate renewal is set up
+ * @param {Object} [options] - Options
+ * @param {string} [options.root="/"] - Filesystem root; systemd is only asked about "/"
+ * @param {Date} [options.now] - Current time, for the next cron run
+ * @returns {Object} scheduler ("systemd", "cron" or null), the packaged timer or cron file it runs from (null for ours), nextRun, lastRun, whether the deploy hook is installed, and the certificates (null if they cannot be read)
+ */
+export const renewalStatus = ({ root = "/", now = new Date() } = {}) => {
+  const at = (file) => path.join(root, file);
+  const status = {
+    scheduler: null,
+    packaged: null,
+    nextRun: null,
+    lastRun: null,
+    deployHook: fs.existsSync(at(DEPLOY_HOOK_PATH)),
+    certificates: listLiveCertificates(root, now),
+  };
+
+  const packaged = packagedRenewal(root);
+  let timer = null;
+  if (fs.existsSync(at(TIMER_PATH))) {
+    status.scheduler = "systemd";
+    timer = `${RENEWAL_UNIT}.timer`;
+  } else if (fs.existsSync(at(CRON_PATH))) {
+    status.scheduler = "cron";
+    status.nextRun = nextCronRun(fs.readFileSync(at(CRON_PATH), "utf8"), now);
+  } else if (packaged) {
+    status.scheduler = packaged.scheduler;
+    status.packaged = packaged.name;
+    timer = packaged.scheduler === "systemd" ? packaged.name : null;
+  }
+  if (timer && root === "/") {
+    try {
+      Object.assign(status, timerTimes(timer));
+    } catch {
+      // systemctl is missing or cannot talk to systemd; the times stay unknown
+    }
+  }
+  return status;
+};
+
+/**
+ * Rehearse a renewal of every certificate against the Let's Encrypt staging server
+ *
+ * Runs certbot renew --dry-run with its output on the terminal; deploy hooks
+ * are not run by a dry run.
+ * @throws {Error} If certbot fails, i.e. a real renewal would fail too
+ */
+export const testRenewal = () => {
+  runCommand("certbot", ["renew", "--dry-run"], {
+    sudo: process.getuid?.() !== 0,
+    stdio: "inherit",
+  });
+};
@@ -0,0 +1,551 @@
+import crypto from "crypto";
+import dgram from "dgram";
+import dns from "dns";
+import fs from "fs";
+import net from "net";
+import { DnsProviderError } from "./errors.js";
+
+// DNS types and classes used by updates (RFC 1035, RFC 2136, RFC 8945)
+const TYPE = { SOA: 6, TXT: 16, TSIG: 250 };
+const CLASS = { IN: 1, NONE: 254, ANY: 255 };
+// Opcode 5 (UPDATE) in the flags word
+const UPDATE_FLAGS = 5 << 11;
+// Truncated response over UDP: retry over TCP
+const TC_FLAG = 0x0200;
+
+// TSIG algorithms by the names BIND and knot use, with their wire names and digests
+export const TSIG_ALGORITHMS = {
+  "hmac-md5": { name: "hmac-md5.sig-alg.reg.int", digest: "md5" },
+  "hmac-sha1": { name: "hmac-sha1", digest: "sha1" },
+  "hmac-sha224": { name: "hmac-sha224", digest: "sha224" },
+  "hmac-sha256": { name: "hmac-sha256", digest: "sha256" },
+  "hmac-sha384": { name: "hmac-sha384", digest: "sha384" },
+  "hmac-sha512": { name: "hmac-sha512", digest: "sha512" },
+};
+
+// Response codes, including the TSIG ones (RFC 1035, RFC 2136, RFC 8945)
+const RCODES = [
+  "NOERROR",
+  "FORMERR",
+  "SERVFAIL",
+  "NXDOMAIN",
+  "NOTIMP",
+  "REFUSED",
+  "YXDOMAIN",
+  "YXRRSET",
+  "NXRRSET",
+  "NOTAUTH",
+  "NOTZONE",
+];
+const TSIG_ERRORS = {
+  16: "BADSIG",
+  17: "BADKEY",
+  18: "BADTIME",
+  22: "BADTRUNC",
+};
+
+// Seconds of clock difference the server may allow for our signature
+const FUDGE = 300;
+
+const uint16 = (value) => {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16BE(value);
+  return buffer;
+};
+
+const uint32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+};
+
+const uint48 = (value) => {
+  const buffer = Buffer.alloc(6);
+  buffer.writeUIntBE(value, 0, 6);
+  return buffer;
+};
+
+/**
+ * Encode a domain name in uncompressed, lowercase wire form, as TSIG requires
+ * @param {string} name - Domain name, with or without the final dot
+ * @returns {Buffer} Length-prefixed labels ending with the root label
+ */
+const encodeName = (name) =>
+  Buffer.concat([
+    ...name
+      .replace(/\.$/, "")
+      .split(".")
+      .filter(Boolean)
+      .map((label) => {
+        const bytes = Buffer.from(label.toLowerCase());
+        if (bytes.length > 63) {
+          throw new DnsProviderError(`The label "${label}" is too long`);
+        }
+        return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+      }),
+    Buffer.from([0]),
+  ]);
+
+/**
+ * Read a domain name, following compression pointers
+ * @param {Buffer} message - Whole DNS message
+ * @param {number} offset - Where the name starts
+ * @returns {{name: string, end: number}} Name and the offset after it in place
+ */
+const readName = (message, offset) => {
+  const labels = [];
+  let position = offset;
+  let end = null;
+  for (let jumps = 0; jumps < 128; jumps += 1) {
+    const length = message[position];
+    if (length === undefined) {
+      break;
+    }
+    if (length === 0) {
+      return { name: labels.join("."), end: end ?? position + 1 };
+    }
+    if ((length & 0xc0) === 0xc0) {
+      end = end ?? position + 2;
+      position = message.readUInt16BE(position) & 0x3fff;
+      continue;
+    }
+    labels.push(
+      message.toString("latin1", position + 1, position + 1 + length)
+    );
+    position += length + 1;
+  }
+  throw new DnsProviderError("The DNS server sent a malformed response");
+};
+
+// A resource record: name, type, class, TTL and RDATA
+const encodeRecord = (name, type, klass, ttl, data) =>
+  Buffer.concat([
+    encodeName(name),
+    uint16(type),
+    uint16(klass),
+    uint32(ttl),
+    uint16(data.length),
+    data,
+  ]);
+
+// RDATA of a TXT record holding one string
+const txtData = (value) => {
+  const text = Buffer.from(value);
+  if (text.length > 255) {
+    throw new DnsProviderError("TXT values are limited to 255 bytes");
+  }
+  return Buffer.concat([Buffer.from([text.length]), text]);
+};
+
+/**
+ * Build an unsigned UPDATE message adding and removing TXT records
+ * @param {Object} update - Update
+ * @param {number} update.id - Message ID
+ * @param {string} update.zone - Zone to update
+ * @param {{name: string, value: string}[]} [update.add] - Records to add
+ * @param {{name: string, value: string}[]} [update.remove] - Records to delete, each only with that value
+ * @param {number} [update.ttl=60] - TTL of added records
+ * @returns {Buffer} DNS message
+ */
+export const buildUpdate = ({ id, zone, add = [], remove = [], ttl = 60 }) =>
+  Buffer.concat([
+    uint16(id),
+    uint16(UPDATE_FLAGS),
+    uint16(1),
+    uint16(0),
+    uint16(add.length + remove.length),
+    uint16(0),
+    encodeName(zone),
+    uint16(TYPE.SOA),
+    uint16(CLASS.IN),
+    // Class NONE with TTL 0 deletes the one record with this data (RFC 2136 section 2.5.4)
+    ...remove.map(({ name, value }) =>
+      encodeRecord(name, TYPE.TXT, CLASS.NONE, 0, txtData(value))
+    ),
+    ...add.map(({ name, value }) =>
+      encodeRecord(name, TYPE.TXT, CLASS.IN, ttl, txtData(value))
+    ),
+  ]);
+
+/**
+ * The TSIG variables covered by the MAC (RFC 8945 section 4.3.3)
+ * @param {Object} tsig - keyName, algorithm wire name, timeSigned, fudge, error and other data
+ * @returns {Buffer} Wire form of the variables
+ */
+const tsigVariables = ({
+  keyName,
+  algorithmName,
+  timeSigned,
+  fudge,
+  error = 0,
+  other = Buffer.alloc(0),
+}) =>
+  Buffer.concat([
+    encodeName(keyName),
+    uint16(CLASS.ANY),
+    uint32(0),
+    encodeName(algorithmName),
+    uint48(timeSigned),
+    uint16(fudge),
+    uint16(error),
+    uint16(other.length),
+    other,
+  ]);
+
+/**
+ * Sign a message with TSIG
+ * @param {Buffer} message - Unsigned message
+ * @param {Object} key - Key
+ * @param {string} key.keyName - Key name, as configured on the server
+ * @param {string} key.algorithm - One of TSIG_ALGORITHMS
+ * @param {Buffer} key.secret - Shared secret
+ * @param {Date} [now] - Signing time
+ * @returns {{message: Buffer, mac: Buffer}} Signed message and its MAC, needed to check the response
+ */
+export const signMessage = (
+  message,
+  { keyName, algorithm, secret },
+  now = new Date()
+) => {
+  const { name: algorithmName, digest } = TSIG_ALGORITHMS[algorithm];
+  const timeSigned = Math.floor(now.getTime() / 1000);
+  const mac = crypto
+    .createHmac(digest, secret)
+    .update(message)
+    .update(tsigVariables({ keyName, algorithmName, timeSigned, fudge: FUDGE }))
+    .digest();
+  const rdata = Buffer.concat([
+    encodeName(algorithmName),
+    uint48(timeSigned),
+    uint16(FUDGE),
+    uint16(mac.length),
+    mac,
+    message.subarray(0, 2),
+    uint16(0),
+    uint16(0),
+  ]);
+  const signed = Buffer.concat([
+    message,
+    encodeRecord(keyName, TYPE.TSIG, CLASS.ANY, 0, rdata),
+  ]);
+  signed.writeUInt16BE(message.readUInt16BE(10) + 1, 10);
+  return { message: signed, mac };
+};
+
+/**
+ * Parse the parts of an UPDATE response we need: ID, response code and TSIG record
+ * @param {Buffer} message - Response
+ * @returns {{id: number, flags: number, rcode: string, tsig: Object|null}} TSIG has its offset in the message and its fields
+ */
+export const parseResponse = (message) => {
+  if (message.length < 12) {
+    throw new DnsProviderError("The DNS server sent a malformed response");
+  }
+  const counts = [4, 6, 8, 10].map((offset) => message.readUInt16BE(offset));
+  let offset = 12;
+  for (let i = 0; i < counts[0]; i += 1) {
+    offset = readName(message, offset).end + 4;
+  }
+
+  let tsig = null;
+  const records = counts[1] + counts[2] + counts[3];
+  for (let i = 0; i < records; i += 1) {
+    const start = offset;
+    const { name, end } = readName(message, offset);
+    const type = message.readUInt16BE(end);
+    const length = message.readUInt16BE(end + 8);
+    const data = end + 10;
+    offset = data + length;
+    if (type === TYPE.TSIG) {
+      const algorithm = readName(message, data);
+      let field = algorithm.end;
+      const timeSigned = message.readUIntBE(field, 6);
+      const fudge = message.readUInt16BE(field + 6);
+      const macSize = message.readUInt16BE(field + 8);
+      field += 10;
+      const mac = message.subarray(field, field + macSize);
+      field += macSize;
+      const otherLength = message.readUInt16BE(field + 4);
+      tsig = {
+        start,
+        keyName: name,
+        algorithmName: algorithm.name,
+        timeSigned,
+        fudge,
+        mac,
+        originalId: message.readUInt16BE(field),
+        error: message.readUInt16BE(field + 2),
+        other: message.subarray(field + 6, field + 6 + otherLength),
+      };
+    }
+  }
+
+  const flags = message.readUInt16BE(2);
+  return {
+    id: message.readUInt16BE(0),
+    flags,
+    rcode: RCODES[flags & 0xf] || `RCODE${flags & 0xf}`,
+    tsig,
+  };
+};
+
+/**
+ * Check the TSIG signature of a response to a signed request (RFC 8945 section 5.3)
+ * @param {Buffer} message - Response
+ * @param {Object} response - From parseResponse()
+ * @param {Object} key - keyName, algorithm and secret
+ * @param {Buffer} requestMac - MAC of the request
+ * @returns {boolean} True if the response was signed with the key
+ */
+export const verifyResponse = (message, { tsig }, key, requestMac) => {
+  if (!tsig || tsig.mac.length === 0) {
+    return false;
+  }
+  const unsigned = Buffer.from(message.subarray(0, tsig.start));
+  unsigned.writeUInt16BE(tsig.originalId, 0);
+  unsigned.writeUInt16BE(unsigned.readUInt16BE(10) - 1, 10);
+  const expected = crypto
+    .createHmac(TSIG_ALGORITHMS[key.algorithm].digest, key.secret)
+    .update(uint16(requestMac.length))
+    .update(requestMac)
+    .update(unsigned)
+    .update(tsigVariables(tsig))
+    .digest();
+  return (
+    expected.length === tsig.mac.length &&
+    crypto.timingSafeEqual(expected, tsig.mac)
+  );
+};
+
+/**
+ * Send a message over UDP and wait for the response with the same ID
+ * @param {Buffer} message - Message
+ * @param {Object} target - server, port and timeout in milliseconds
+ * @returns {Promise<Buffer>} Response
+ */
+const sendUdp = (message, { server, port, timeout }) =>
+  new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIPv6(server) ? "udp6" : "udp4");
+    const finish = (error, response) => {
+      clearTimeout(timer);
+      socket.close();
+      return error ? reject(error) : resolve(response);
+    };
+    const timer = setTimeout(
+      () =>
+        finish(
+          new DnsProviderError(`${server} port ${port} did not answer over UDP`)
+        ),
+      timeout
+    );
+    socket.on("error", finish);
+    socket.on("message", (response) => {
+      if (
+        response.length >= 2 &&
+        response.readUInt16BE(0) === message.readUInt16BE(0)
+      ) {
+        finish(null, response);
+      }
+    });
+    socket.send(message, port, server);
+  });
+
+/**
+ * Send a message over TCP, with the two-byte length prefix
+ * @param {Buffer} message - Message
+ * @param {Object} target - server, port and timeout in milliseconds
+ * @returns {Promise<Buffer>} Response
+ */
+const sendTcp = (message, { server, port, timeout }) =>
+  new Promise((resolve, reject) => {
+    const socket = net.connect({ host: server, port });
+    let received = Buffer.alloc(0);
+    socket.setTimeout(timeout, () =>
+      socket.destroy(
+        new DnsProviderError(`${server} port ${port} did not answer over TCP`)
+      )
+    );
+    socket.on("error", reject);
+    socket.on("connect", () =>
+      socket.end(Buffer.concat([uint16(message.length), message]))
+    );
+    socket.on("data", (chunk) => {
+      received = Buffer.concat([received, chunk]);
+      if (
+        received.length >= 2 &&
+        received.length >= 2 + received.readUInt16BE(0)
+      ) {
+        socket.destroy();
+        resolve(received.subarray(2, 2 + received.readUInt16BE(0)));
+      }
+    });
+    socket.on("close", () =>
+      reject(
+        new DnsProviderError(`${server} port ${port} closed the connection`)
+      )
+    );
+  });
+
+/**
+ * Read the name, algorithm and secret from a BIND key file, as written by tsig-keygen
+ * @param {string} text - e.g. key "acme" { algorithm hmac-sha256; secret "..."; };
+ * @returns {{keyName: string, keyAlgorithm: string, keySecret: string}} Key settings
+ * @throws {DnsProviderError} If the file holds no key
+ */
+export const parseBindKey = (text) => {
+  const match = text.match(
+    /key\s+"?([^"\s{]+)"?\s*\{[^}]*?algorithm\s+"?([\w.-]+)"?\s*;[^}]*?secret\s+"([^"]+)"\s*;/
+  );
+  if (!match) {
+    throw new DnsProviderError("The key file holds no TSIG key");
+  }
+  return { keyName: match[1], keyAlgorithm: match[2], keySecret: match[3] };
+};
+
+/**
+ * Create a DNS provider that updates an authoritative server with RFC 2136 dynamic updates
+ * @param {Object} options - Options, usually from a --dns-credentials file
+ * @param {string} options.server - Primary server of the zone, an IP address or host name
+ * @param {number} [options.port=53] - Its port
+ * @param {string} [options.keyName] - TSIG key name; without a key the updates are unsigned
+ * @param {string} [options.keyAlgorithm="hmac-sha256"] - One of TSIG_ALGORITHMS
+ * @param {string} [options.keySecret] - Base64 TSIG secret
+ * @param {string} [options.keyFile] - BIND key file instead of the three key options
+ * @param {string} [options.zone] - Zone of the records (default: asked from the server)
+ * @param {number} [options.ttl=60] - TTL of the records
+ * @param {string} [options.protocol="udp"] - udp, falling back to tcp for truncated responses, or tcp
+ * @param {number} [options.timeout=10000] - Milliseconds to wait for an answer
+ * @returns {Object} DNS provider
+ * @throws {DnsProviderError} If an option is missing or unsupported
+ */
+export const createRfc2136Provider = (options = {}) => {
+  const {
+    server,
+    port = 53,
+    keyName,
+    keyAlgorithm = "hmac-sha256",
+    keySecret,
+    zone: configuredZone,
+    ttl = 60,
+    protocol = "udp",
+    timeout = 10000,
+  } = options.keyFile
+    ? { ...options, ...parseBindKey(fs.readFileSync(options.keyFile, "utf8")) }
+    : options;
+
+  if (!server) {
+    throw new DnsProviderError("rfc2136 needs the server to send updates to");
+  }
+  if (Boolean(keyName) !== Boolean(keySecret)) {
+    throw new DnsProviderError("rfc2136 needs both keyName and keySecret");
+  }
+  if (!TSIG_ALGORITHMS[keyAlgorithm]) {
+    throw new DnsProviderError(
+      `keyAlgorithm must be one of ${Object.keys(TSIG_ALGORITHMS).join(", ")}`
+    );
+  }
+  if (!["udp", "tcp"].includes(protocol)) {
+    throw new DnsProviderError("protocol must be udp or tcp");
+  }
+  const key = keyName && {
+    keyName,
+    algorithm: keyAlgorithm,
+    secret: Buffer.from(keySecret, "base64"),
+  };
+  const target = { server, port: Number(port), timeout };
+
+  // Queries go to the same server, so they see the update before any secondary does
+  const getResolver = async () => {
+    const { address } = await dns.promises.lookup(server);
+    const resolver = new dns.promises.Resolver({ timeout, tries: 2 });
+    resolver.setServers([
+      net.isIPv6(address) ? `[${address}]:${port}` : `${address}:${port}`,
+    ]);
+    return resolver;
+  };
+
+  // The zone is the closest enclosing name with an SOA record
+  const findZone = async (name) => {
+    if (configuredZone) {
+      return configuredZone;
+    }
+    const resolver = await getResolver();
+    const labels = name.split(".");
+    for (let i = 1; i < labels.length - 1; i += 1) {
+      const candidate = labels.slice(i).join(".");
+      try {
+        await resolver.resolveSoa(candidate);
+        return candidate;
+      } catch {
+        // Not a zone apex; try the parent
+      }
+    }
+    throw new DnsProviderError(
+      `${server} is not authoritative for ${name}: set zone in the credentials`
+    );
+  };
+
+  const update = async (name, records) => {
+    const request = buildUpdate({
+      id: crypto.randomInt(0x10000),
+      zone: await findZone(name),
+      ttl,
+      ...records,
+    });
+    const { message, mac } = key
+      ? signMessage(request, key)
+      : { message: request, mac: null };
+
+    let raw =
+      protocol === "tcp"
+        ? await sendTcp(message, target)
+        : await sendUdp(message, target);
+    if (protocol === "udp" && raw.readUInt16BE(2) & TC_FLAG) {
+      raw = await sendTcp(message, target);
+    }
+
+    const response = parseResponse(raw);
+    if (response.tsig && response.tsig.error) {
+      const error =
+        TSIG_ERRORS[response.tsig.error] || `TSIG error ${response.tsig.error}`;
+      throw new DnsProviderError(
+        `${server} rejected the TSIG key ${keyName} (${error})`,
+        error
+      );
+    }
+    if (key && !verifyResponse(raw, response, key, mac)) {
+      throw new DnsProviderError(
+        `The response from ${server} is not signed with the TSIG key`
+      );
+    }
+    if (response.rcode !== "NOERROR") {
+      throw new DnsProviderError(
+        `${server} refused to update ${name} (${response.rcode})`,
+        response.rcode
+      );
+    }
+  };
+
+  return {
+    name: "rfc2136",
+    createTxtRecord: (name, value) => update(name, { add: [{ name, value }] }),
+    removeTxtRecord: (name, value) =>
+      update(name, { remove: [{ name, value }] }),
+    waitForRecord: async (name, value) => {
+      const resolver = await getResolver();
+      const deadline = Date.now() + timeout;
+      while (Date.now() < deadline) {
+        try {
+          const records = await resolver.resolveTxt(name);
+          if (records.some((chunks) => chunks.join("") === value)) {
+            return;
+          }
+        } catch {
+          // Not there yet
+        }
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+      }
+      throw new DnsProviderError(`${server} does not serve the ${name} record`);
+    },
+  };
+};
@@ -0,0 +1,426 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { commandExists, runCommand } from "../utils.js";
+import { FileExistsError, InvalidOptionError } from "./errors.js";
+import { isIPAddress, toFileName } from "./names.js";
+
+// Web servers create-cert can write a configuration for
+export const SERVERS = ["nginx", "apache", "caddy", "haproxy", "traefik"];
+
+// Where the generated configurations send requests unless told otherwise
+export const DEFAULT_UPSTREAM = "http://127.0.0.1:3000";
+
+/**
+ * Quote a path or URL for a server configuration file
+ * @param {string} value - e.g. /home/dev/certs/app.test.key
+ * @returns {string} Double-quoted value with quotes and backslashes escaped
+ */
+const quote = (value) => `"${value.replace(/[\\"]/g, "\\$&")}"`;
+
+/**
+ * Parse and check the address the generated configuration proxies to
+ * @param {string} upstream - e.g. http://127.0.0.1:3000
+ * @returns {URL} Parsed URL
+ * @throws {InvalidOptionError} If it is not an http or https URL without a path
+ */
+export const parseUpstream = (upstream) => {
+  let url;
+  try {
+    url = new URL(upstream);
+  } catch {
+    throw new InvalidOptionError(`Invalid upstream URL: ${upstream}`);
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new InvalidOptionError(
+      `The upstream must be an http:// or https:// URL, got ${upstream}`
+    );
+  }
+  // Not every server can rewrite paths when proxying, so only an origin is accepted
+  if (url.pathname !== "/" || url.search || url.hash) {
+    throw new InvalidOptionError(
+      `The upstream must not have a path, e.g. http://127.0.0.1:3000, got ${upstream}`
+    );
+  }
+  return url;
+};
+
+/**
+ * Split certificate names into the host names a server matches on
+ * @param {string[]} names - DNS names and IP addresses from the certificate
+ * @returns {{primary: string, aliases: string[], hosts: string[]}} A non-wildcard name to use as the main one, the others, and all of them
+ */
+const hostsOf = (names) => {
+  // IP addresses are only matched by name-less default servers, except by Caddy and Traefik
+  const hosts = names.filter((name) => !isIPAddress(name));
+  const primary =
+    hosts.find((name) => !name.startsWith("*.")) || hosts[0] || names[0];
+  return {
+    primary,
+    aliases: hosts.filter((name) => name !== primary),
+    hosts,
+  };
+};
+
+/**
+ * nginx server blocks, for sites-available/ or conf.d/
+ * @param {Object} site - See renderServerConfig()
+ * @returns {string} Configuration
+ */
+const nginxConfig = ({ names, chainPath, keyPath, upstream }) => {
+  const { hosts } = hostsOf(names);
+  const serverName = hosts.join(" ") || "_";
+  return `# Generated by ssl-cli for ${names[0]}
+server {
+    listen 80;
+    listen [::]:80;
+    server_name ${serverName};
+
+    return 301 https://$host$request_uri;
+}
+
+server {
+    listen 443 ssl;
+    listen [::]:443 ssl;
+    server_name ${serverName};
+
+    # Certificate followed by the intermediate CA, if there is one
+    ssl_certificate ${quote(chainPath)};
+    ssl_certificate_key ${quote(keyPath)};
+    ssl_protocols TLSv1.2 TLSv1.3;
+
+    location / {
+        proxy_pass ${upstream.origin};
+        proxy_set_header Host $host;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto $scheme;
+    }
+}
+`;
+};
+
+/**
+ * Apache virtual hosts, for sites-available/ or conf.d/ (mod_ssl, mod_rewrite, mod_headers and mod_proxy_http)
+ * @param {Object} site - See renderServerConfig()
+ * @returns {string} Configuration
+ */
+const apacheConfig = ({ names, chainPath, keyPath, upstream }) => {
+  const { primary, aliases } = hostsOf(names);
+  const serverNames = [
+    `    ServerName ${primary}`,
+    ...aliases.map((alias) => `    ServerAlias ${alias}`),
+  ].join("\n");
+  return `# Generated by ssl-cli for ${names[0]}
+<VirtualHost *:80>
+${serverNames}
+
+    RewriteEngine On
+    RewriteRule ^ https://%{HTTP_HOST}%{REQUEST_URI} [R=301,L]
+</VirtualHost>
+
+<VirtualHost *:443>
+${serverNames}
+
+    SSLEngine on
+    # Certificate followed by the intermediate CA, if there is one (Apache 2.4.8+)
+    SSLCertificateFile ${quote(chainPath)}
+    SSLCertificateKeyFile ${quote(keyPath)}
+    SSLProtocol -all +TLSv1.2 +TLSv1.3
+
+    ProxyPreserveHost On
+    RequestHeader set X-Forwarded-Proto "https"
+${
+  upstream.protocol === "https:" ? "    SSLProxyEngine on\n" : ""
+}    ProxyPass / ${upstream.href}
+    ProxyPassReverse / ${upstream.href}
+</VirtualHost>
+`;
+};
+
+/**
+ * Caddyfile with the certificate instead of an ACME one
+ * @param {Object} site - See renderServerConfig()
+ * @returns {string} Configuration
+ */
+const caddyConfig = ({ names, chainPath, keyPath, upstream }) => {
+  const addresses = (scheme) =>
+    names
+      .map((name) => `${scheme}://${name.includes(":") ? `[${name}]` : name}`)
+      .join(", ");
+  return `# Generated by ssl-cli for ${names[0]}
+${addresses("http")} {
+	redir https://{host}{uri} permanent
+}
+
+${addresses("https")} {
+	# Certificate followed by the intermediate CA, if there is one
+	tls ${quote(chainPath)} ${quote(keyPath)}
+	reverse_proxy ${upstream.origin}
+}
+`;
+};
+
+/**
+ * Complete HAProxy configuration; HAProxy reads certificate, chain and key from one file
+ * @param {Object} site - See renderServerConfig()
+ * @returns {string} Configuration
+ */
+const haproxyConfig = ({ names, bundlePath, upstream }) => {
+  const id = toFileName(names[0]);
+  const port = upstream.port || (upstream.protocol === "https:" ? 443 : 80);
+  const host = upstream.hostname.replace(/^\[(.*)\]$/, "$1");
+  // SNI only carries host names, not IP addresses
+  const sni = isIPAddress(host) ? "" : ` sni str(${host})`;
+  const tls =
+    upstream.protocol === "https:"
+      ? ` ssl verify required ca-file @system-ca${sni}`
+      : "";
+  return `# Generated by ssl-cli for ${names[0]}
+global
+    log stdout format raw local0
+
+defaults
+    mode http
+    log global
+    option forwardfor
+    timeout connect 5s
+    timeout client 30s
+    timeout server 30s
+
+frontend ${id}
+    bind :80
+    bind :443 ssl crt ${quote(bundlePath)} alpn h2,http/1.1
+    http-request redirect scheme https code 301 unless { ssl_fc }
+    http-request set-header X-Forwarded-Proto https if { ssl_fc }
+    default_backend ${id}
+
+backend ${id}
+    server upstream ${upstream.hostname}:${port}${tls}
+`;
+};
+
+/**
+ * Traefik v3 dynamic configuration (file provider) with "web" and "websecure" entry points
+ * @param {Object} site - See renderServerConfig()
+ * @returns {string} Configuration in YAML
+ */
+const traefikConfig = ({ names, chainPath, keyPath, upstream }) => {
+  const id = toFileName(names[0]).replace(/[._]/g, "-");
+  const rule = names
+    .map((name) =>
+      name.startsWith("*.")
+        ? `HostRegexp(\`^[a-z0-9-]+${name.slice(1).replace(/\./g, "\\.")}$\`)`
+        : `Host(\`${name}\`)`
+    )
+    .join(" || ");
+  return `# Generated by ssl-cli for ${names[0]}
+http:
+  routers:
+    ${id}-http:
+      rule: ${JSON.stringify(rule)}
+      entryPoints: [web]
+      middlewares: [${id}-https-redirect]
+      service: ${id}
+    ${id}:
+      rule: ${JSON.stringify(rule)}
+      entryPoints: [websecure]
+      service: ${id}
+      tls: {}
+  middlewares:
+    ${id}-https-redirect:
+      redirectScheme:
+        scheme: https
+        permanent: true
+  services:
+    ${id}:
+      loadBalancer:
+        servers:
+          - url: ${JSON.stringify(upstream.origin)}
+
+tls:
+  certificates:
+    # Certificate followed by the intermediate CA, if there is one
+    - certFile: ${JSON.stringify(chainPath)}
+      keyFile: ${JSON.stringify(keyPath)}
+`;
+};
+
+const RENDERERS = {
+  nginx: nginxConfig,
+  apache: apacheConfig,
+  caddy: caddyConfig,
+  haproxy: haproxyConfig,
+  traefik: traefikConfig,
+};
+
+// File name suffix of the configuration of each server
+const EXTENSIONS = {
+  nginx: ".nginx.conf",
+  apache: ".apache.conf",
+  caddy: ".Caddyfile",
+  haproxy: ".haproxy.cfg",
+  traefik: ".traefik.yml",
+};
+
+/**
+ * Render a web server configuration for a certificate
+ *
+ * Every configuration redirects HTTP to HTTPS, serves the certificate with
+ * its chain and proxies requests to an upstream.
+ * @param {string} server - One of SERVERS
+ * @param {Object} options - Options
+ * @param {string[]} options.names - Names in the certificate; the first one names the site
+ * @param {string} options.certPath - Certificate
+ * @param {string} options.keyPath - Private key
+ * @param {string} [options.fullchainPath] - Certificate + intermediate CA, when there is an intermediate
+ * @param {string} [options.bundlePath] - Where the HAProxy certificate + chain + key file goes
+ * @param {string} [options.upstream] - URL requests are proxied to (default: DEFAULT_UPSTREAM)
+ * @returns {string} Configuration file contents
+ * @throws {InvalidOptionError} If the server or upstream is not supported
+ */
+export const renderServerConfig = (
+  server,
+  {
+    names,
+    certPath,
+    keyPath,
+    fullchainPath,
+    bundlePath,
+    upstream = DEFAULT_UPSTREAM,
+  }
+) => {
+  if (!RENDERERS[server]) {
+    throw new InvalidOptionError(`server must be one of ${SERVERS.join(", ")}`);
+  }
+  return RENDERERS[server]({
+    names,
+    chainPath: path.resolve(fullchainPath || certPath),
+    keyPath: path.resolve(keyPath),
+    bundlePath: bundlePath && path.resolve(bundlePath),
+    upstream: parseUpstream(upstream),
+  });
+};
+
+/**
+ * Check a configuration with the server's own binary, when it is installed
+ *
+ * nginx and Apache files only hold virtual hosts, so nginx checks them
+ * inside a minimal main configuration and Apache on top of the system one.
+ * @param {string} server - One of SERVERS
+ * @param {string} configPath - Configuration file
+ * @returns {{status: string, detail: string}} "ok", "skipped" (no binary or no checker) or "failed" with the server's message
+ */
+export const validateServerConfig = (server, configPath) => {
+  const file = path.resolve(configPath);
+  const apachectl = ["apachectl", "apache2ctl"].find(commandExists);
+  const checks = {
+    nginx: commandExists("nginx") && (() => checkNginx(file)),
+    apache:
+      apachectl &&
+      (() => runCommand(apachectl, ["-t", "-c", `Include ${file}`])),
+    caddy:
+      commandExists("caddy") &&
+      (() =>
+        runCommand("caddy", [
+          "validate",
+          "--config",
+          file,
+          "--adapter",
+          "caddyfile",
+        ])),
+    haproxy:
+      commandExists("haproxy") &&
+      (() => runCommand("haproxy", ["-c", "-f", file])),
+  };
+
+  if (server === "traefik") {
+    return {
+      status: "skipped",
+      detail: "Traefik has no offline configuration check",
+    };
+  }
+  if (!checks[server]) {
+    return {
+      status: "skipped",
+      detail: `${server} is not installed, so the configuration was not checked`,
+    };
+  }
+  try {
+    checks[server]();
+    return { status: "ok", detail: `${server} accepted the configuration` };
+  } catch (error) {
+    const output = `${error.stderr || ""}${error.stdout || ""}`.trim();
+    return { status: "failed", detail: output || error.message };
+  }
+};
+
+/**
+ * Run nginx -t on server blocks wrapped in a throwaway main configuration
+ * @param {string} file - File with server blocks
+ */
+const checkNginx = (file) => {
+  const prefix = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-nginx-"));
+  const mainConfig = path.join(prefix, "nginx.conf");
+  try {
+    fs.writeFileSync(
+      mainConfig,
+      `pid ${quote(path.join(prefix, "nginx.pid"))};
+error_log stderr;
+events {}
+http {
+    include ${quote(file)};
+}
+`
+    );
+    runCommand("nginx", ["-t", "-p", prefix, "-c", mainConfig]);
+  } finally {
+    fs.rmSync(prefix, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Write a web server configuration for a certificate and check it
+ * @param {string} server - One of SERVERS
+ * @param {Object} options - See renderServerConfig(), plus:
+ * @param {string} options.dir - Directory to write to (created if needed)
+ * @param {boolean} [options.overwrite=false] - Replace existing files
+ * @returns {{files: string[], configPath: string, validation: {status: string, detail: string}}} Files written and the check result
+ * @throws {FileExistsError} If a file exists and overwrite is not set
+ * @throws {InvalidOptionError} If the server or upstream is not supported
+ */
+export const writeServerConfig = (
+  server,
+  { dir, overwrite = false, ...site }
+) => {
+  const base = toFileName(site.names[0]);
+  const configPath = path.resolve(dir, `${base}${EXTENSIONS[server] || ""}`);
+  const bundlePath =
+    server === "haproxy" ? path.resolve(dir, `${base}.haproxy.pem`) : null;
+  const contents = renderServerConfig(server, { ...site, bundlePath });
+
+  const files = [configPath, bundlePath].filter(Boolean);
+  const existing = files.filter((file) => fs.existsSync(file));
+  if (existing.length > 0 && !overwrite) {
+    throw new FileExistsError(
+      `${existing.join(", ")} already exists`,
+      existing
+    );
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  if (bundlePath) {
+    // Holds the private key, so only the owner may read it
+    const pems = [site.fullchainPath || site.certPath, site.keyPath].map(
+      (file) => fs.readFileSync(file, "utf8").trim()
+    );
+    fs.writeFileSync(bundlePath, `${pems.join("\n")}\n`, { mode: 0o600 });
+    fs.chmodSync(bundlePath, 0o600);
+  }
+  fs.writeFileSync(configPath, contents);
+
+  return {
+    files,
+    configPath,
+    validation: validateServerConfig(server, configPath),
+  };
+};
@@ -0,0 +1,456 @@
+import fs from "fs";
+import path from "path";
+import { runCommand } from "../utils.js";
+import { InvalidOptionError, NginxConfigError } from "./errors.js";
+import { httpSiteConfig, issuingSiteConfig } from "./nginx.js";
+import { NGINX_LAYOUTS } from "./platform.js";
+
+// Backups of the site files setup-nginx replaces, one directory per site and change
+export const NGINX_BACKUP_DIR = "/var/backups/ssl-cli/nginx";
+
+// Main nginx configuration, which has to include the directory of the sites
+const NGINX_CONF = "/etc/nginx/nginx.conf";
+
+/**
+ * Files of an nginx site
+ * @param {string} domain - Domain, which names the files
+ * @param {string} [root="/"] - Filesystem root
+ * @param {Object} [layout] - NGINX_LAYOUTS entry, see detectPlatform(); Debian's by default
+ * @returns {{available: string, enabled: string|null}} Site file, and its sites-enabled link in Debian's layout
+ */
+export const sitePaths = (
+  domain,
+  root = "/",
+  layout = NGINX_LAYOUTS.sites
+) => ({
+  available: path.join(root, layout.dir, `${domain}.conf`),
+  enabled: layout.enabledDir
+    ? path.join(root, layout.enabledDir, `${domain}.conf`)
+    : null,
+});
+
+/**
+ * What is at a sites-enabled path
+ * @param {string|null} file - Path, null in layouts without sites-enabled
+ * @param {Object} [plan] - Plan from createPlan(), whose earlier steps count as done
+ * @returns {Object|null} { type: "link", target } or { type: "file" }, or null if nothing is there
+ */
+const enabledState = (file, plan) => {
+  if (!file) {
+    return null;
+  }
+  if (plan) {
+    const state = plan.stat(file);
+    return state && state.type !== "link" ? { type: "file" } : state;
+  }
+  try {
+    return fs.lstatSync(file).isSymbolicLink()
+      ? { type: "link", target: fs.readlinkSync(file) }
+      : { type: "file" };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Check whether an nginx configuration includes the sites of a directory
+ * @param {string} conf - nginx.conf
+ * @param {string} dir - Directory, e.g. /etc/nginx/conf.d
+ * @returns {boolean} True if an include directive loads every file, or every .conf file, in it
+ */
+const includesDir = (conf, dir) =>
+  [...conf.matchAll(/^\s*include\s+["']?([^"';\s]+)["']?\s*;/gm)].some(
+    ([, pattern]) => {
+      // Relative includes are relative to the directory of nginx.conf
+      const file = path.resolve(path.dirname(NGINX_CONF), pattern);
+      return (
+        path.dirname(file) === dir &&
+        ["*", "*.conf"].includes(path.basename(file))
+      );
+    }
+  );
+
+/**
+ * Make nginx load the sites of a layout
+ *
+ * Not every nginx package includes the directory its distribution uses:
+ * Arch's nginx.conf has no conf.d include, and no conf.d. The include goes
+ * at the top of the http block; the previous nginx.conf is kept as
+ * nginx.conf.ssl-cli.bak. The include loads whatever the directory already
+ * holds, so nginx -t checks the result at once, and the previous nginx.conf
+ * is put back if it fails.
+ * @param {Object} layout - NGINX_LAYOUTS entry, see detectPlatform()
+ * @param {Object} [options] - Options
+ * @param {string} [options.root="/"] - Filesystem root
+ * @param {Object} [options.plan] - Plan from createPlan() to record the changes in instead of making them
+ * @param {Function} [options.run] - Runs the commands that need root; runCommand, or the plan's
+ * @param {Function} [options.test] - Checks the configuration, throwing if it is broken; runs nginx -t by default
+ * @returns {boolean} True if nginx.conf was changed; false if it includes the sites already, or nginx is not installed
+ * @throws {NginxConfigError} If nginx.conf has no http block to add the include to, or nginx rejects it with the include
+ */
+export const includeLayout = (
+  layout,
+  {
+    root = "/",
+    plan,
+    run = plan ? plan.runCommand : runCommand,
+    test = () => run("nginx", ["-t"], { sudo: true }),
+  } = {}
+) => {
+  const file = path.join(root, NGINX_CONF);
+  let conf;
+  if (plan) {
+    conf = plan.readFile(file);
+  } else {
+    try {
+      conf = fs.readFileSync(file, "utf8");
+    } catch {
+      conf = null;
+    }
+  }
+  const dir = layout.enabledDir || layout.dir;
+  if (typeof conf !== "string" || includesDir(conf, dir)) {
+    return false;
+  }
+  const http = conf.match(/^([ \t]*)http\s*\{[^\n]*\n/m);
+  if (!http) {
+    throw new NginxConfigError(
+      `${file} has no http block, so nginx would not load the sites in ${dir}: add "include ${dir}/*.conf;" to it`,
+      null,
+      null
+    );
+  }
+  const at = http.index + http[0].length;
+  const include = `${http[1]}    # Added by ssl-cli: load the sites in ${dir}\n${http[1]}    include ${dir}/*.conf;\n`;
+  run("mkdir", ["-p", path.join(root, layout.dir)], { sudo: true });
+  if (layout.enabledDir) {
+    run("mkdir", ["-p", path.join(root, layout.enabledDir)], { sudo: true });
+  }
+  const backup = `${file}.ssl-cli.bak`;
+  run("cp", ["-p", file, backup], { sudo: true });
+  try {
+    run("tee", [file], {
+      sudo: true,
+      input: `${conf.slice(0, at)}${include}${conf.slice(at)}`,
+    });
+    test();
+  } catch (error) {
+    const output = (error.stderr?.toString() || error.message).trim();
+    try {
+      run("cp", ["-p", backup, file], { sudo: true });
+    } catch (restoreError) {
+      throw new NginxConfigError(
+        `nginx rejected ${file} with the include of ${dir} and restoring it failed (${restoreError.message}): copy ${backup} back\n${output}`,
+        output,
+        null
+      );
+    }
+    throw new NginxConfigError(
+      `nginx rejected ${file} with the include of ${dir}, so the previous file was restored; fix or remove the files in ${dir} nginx does not accept\n${output}`,
+      output,
+      null
+    );
+  }
+  return true;
+};
+
+/**
+ * Copy the files of a site to a new timestamped backup
+ *
+ * A site that does not exist yet gets a backup too, so restoring it removes
+ * the files written since.
+ * @param {string} domain - Domain
+ * @param {Object} [options] - Options
+ * @param {string} [options.root="/"] - Filesystem root
+ * @param {Object} [options.layout] - nginx layout, Debian's by default
+ * @param {Object} [options.plan] - Plan from createPlan() to record the commands in; the files its earlier steps wrote count as there
+ * @param {Function} [options.run] - Runs the commands that need root; runCommand, or the plan's
+ * @param {Date} [options.now] - Time of the backup, which names it
+ * @returns {Object} Backup: domain, id, createdAt, layout, available, enabled and dir
+ */
+export const backupSite = (
+  domain,
+  {
+    root = "/",
+    layout = NGINX_LAYOUTS.sites,
+    plan,
+    run = plan ? plan.runCommand : runCommand,
+    now = new Date(),
+  } = {}
+) => {
+  const { available, enabled } = sitePaths(domain, root, layout);
+  const exists = plan ? (file) => plan.stat(file) !== null : fs.existsSync;
+  const stamp = now.toISOString().replace(/[:.]/g, "-");
+  const siteDir = path.join(root, NGINX_BACKUP_DIR, domain);
+  // Changes within the same millisecond get numbered backups
+  let id = stamp;
+  for (let n = 1; exists(path.join(siteDir, id)); n += 1) {
+    id = `${stamp}-${n}`;
+  }
+  const dir = path.join(siteDir, id);
+  const manifest = {
+    domain,
+    id,
+    createdAt: now.toISOString(),
+    layout: layout.name,
+    available: exists(available),
+    enabled: enabledState(enabled, plan),
+  };
+
+  run("mkdir", ["-p", dir], { sudo: true });
+  if (manifest.available) {
+    run("cp", ["-p", available, path.join(dir, "available.conf")], {
+      sudo: true,
+    });
+  }
+  if (manifest.enabled?.type === "file") {
+    run("cp", ["-p", enabled, path.join(dir, "enabled.conf")], { sudo: true });
+  }
+  run("tee", [path.join(dir, "manifest.json")], {
+    sudo: true,
+    input: `${JSON.stringify(manifest, null, 2)}\n`,
+  });
+  return { ...manifest, dir };
+};
+
+/**
+ * Put the files of a site back as they were at a backup
+ * @param {Object} backup - From backupSite() or listSiteBackups()
+ * @param {Object} [options] - Options
+ * @param {string} [options.root="/"] - Filesystem root
+ * @param {Function} [options.run=runCommand] - Runs the commands that need root
+ */
+export const restoreSite = (backup, { root = "/", run = runCommand } = {}) => {
+  // Backups from before layouts were recorded are of Debian's
+  const { available, enabled } = sitePaths(
+    backup.domain,
+    root,
+    NGINX_LAYOUTS[backup.layout || "sites"]
+  );
+  if (backup.available) {
+    run("cp", ["-p", path.join(backup.dir, "available.conf"), available], {
+      sudo: true,
+    });
+  } else {
+    run("rm", ["-f", available], { sudo: true });
+  }
+  if (!enabled) {
+    return;
+  }
+  // cp would write through a link, so whatever is enabled now goes first
+  run("rm", ["-f", enabled], { sudo: true });
+  if (backup.enabled?.type === "link") {
+    run("ln", ["-s", backup.enabled.target, enabled], { sudo: true });
+  } else if (backup.enabled?.type === "file") {
+    run("cp", ["-p", path.join(backup.dir, "enabled.conf"), enabled], {
+      sudo: true,
+    });
+  }
+};
+
+/**
+ * The backups of a site, newest first
+ * @param {string} domain - Domain
+ * @param {Object} [options] - Options
+ * @param {string} [options.root="/"] - Filesystem root
+ * @returns {Object[]} Backups, as backupSite() returns them; unreadable ones are left out
+ */
+export const listSiteBackups = (domain, { root = "/" } = {}) => {
+  const siteDir = path.join(root, NGINX_BACKUP_DIR, domain);
+  let ids;
+  try {
+    ids = fs.readdirSync(siteDir);
+  } catch {
+    return [];
+  }
+  return ids
+    .flatMap((id) => {
+      const dir = path.join(siteDir, id);
+      try {
+        const manifest = JSON.parse(
+          fs.readFileSync(path.join(dir, "manifest.json"), "utf8")
+        );
+        return [{ ...manifest, id, dir }];
+      } catch {
+        return [];
+      }
+    })
+    .sort((a, b) => b.id.localeCompare(a.id));
+};
+
+/**
+ * Change the files of a site as one step: back them up, change them, run
+ * nginx -t, and put them back if anything fails, so no broken site stays
+ * enabled to break the next reload of every other site
+ * @param {string} domain - Domain
+ * @param {Function} change - Makes the change through run
+ * @param {Object} options - root, layout, plan, run and test
+ * @returns {Object} Backup of the files before the change
+ * @throws {NginxConfigError} If the change or the test fails
+ */
+const changeSite = (
+  domain,
+  change,
+  {
+    root = "/",
+    layout,
+    plan,
+    run = plan ? plan.runCommand : runCommand,
+    test = () => run("nginx", ["-t"], { sudo: true }),
+  } = {}
+) => {
+  const backup = backupSite(domain, { root, layout, plan, run });
+  try {
+    change();
+    test();
+  } catch (error) {
+    const output = (error.stderr?.toString() || error.message).trim();
+    try {
+      restoreSite(backup, { root, run });
+    } catch (restoreError) {
+      throw new NginxConfigError(
+        `nginx rejected the configuration of ${domain} and restoring it failed (${restoreError.message}): run ssl-cli nginx-rollback ${domain} ${backup.id}\n${output}`,
+        output,
+        backup.id
+      );
+    }
+    throw new NginxConfigError(
+      `nginx rejected the configuration of ${domain}, so the previous files were restored\n${output}`,
+      output,
+      backup.id
+    );
+  }
+  return backup;
+};
+
+/**
+ * Write and enable the configuration of a site, or leave the old one in place if nginx -t fails
+ * @param {string} domain - Domain
+ * @param {string} config - nginx configuration
+ * @param {Object} [options] - Options
+ * @param {string} [options.root="/"] - Filesystem root
+ * @param {Object} [options.layout] - nginx layout, see detectPlatform(); Debian's by default
+ * @param {Object} [options.plan] - Plan from createPlan() to record the changes in instead of making them
+ * @param {Function} [options.run] - Runs the commands that need root; runCommand, or the plan's
+ * @param {Function} [options.test] - Checks the configuration, throwing if it is broken; runs nginx -t by default
+ * @returns {Object} Backup of the previous files
+ * @throws {NginxConfigError} If the configuration is rejected
+ */
+export const applySiteConfig = (domain, config, options = {}) => {
+  const { available, enabled } = sitePaths(
+    domain,
+    options.root,
+    options.layout
+  );
+  const run =
+    options.run || (options.plan ? options.plan.runCommand : runCommand);
+  return changeSite(
+    domain,
+    () => {
+      run("tee", [available], { sudo: true, input: config });
+      // Replace whatever is enabled, a link or a copied file
+      if (enabled) {
+        run("rm", ["-f", enabled], { sudo: true });
+        run("ln", ["-s", available, enabled], { sudo: true });
+      }
+    },
+    options
+  );
+};
+
+/**
+ * Current configuration of a site
+ * @param {string} domain - Domain
+ * @param {Object} [options] - Options
+ * @param {string} [options.root="/"] - Filesystem root
+ * @param {Object} [options.layout] - nginx layout, Debian's by default
+ * @param {Object} [options.plan] - Plan from createPlan(), whose earlier steps count as done
+ * @returns {string|null} Contents of the site file, or null if there is none
+ */
+export const readSiteConfig = (domain, { root = "/", layout, plan } = {}) => {
+  const { available } = sitePaths(domain, root, layout);
+  if (plan) {
+    return plan.readFile(available) ?? null;
+  }
+  try {
+    return fs.readFileSync(available, "utf8");
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Serve a site over HTTP while its certificate is issued
+ *
+ * A site that already serves HTTPS keeps its HTTPS server blocks, see
+ * issuingSiteConfig(), so it stays reachable if the issuance fails; any
+ * other site gets httpSiteConfig().
+ * @param {Object} site - domain, port and acmeWebroot, see httpSiteConfig()
+ * @param {Object} [options] - root, layout, plan, run and test, as for applySiteConfig()
+ * @returns {Object} Backup of the previous files
+ * @throws {NginxConfigError} If the configuration is rejected
+ */
+export const applyIssuingSite = (site, options = {}) => {
+  const current = readSiteConfig(site.domain, options);
+  const config =
+    (current &&
+      issuingSiteConfig(current, [site.domain], {
+        acmeWebroot: site.acmeWebroot,
+      })) ||
+    httpSiteConfig(site);
+  return applySiteConfig(site.domain, config, options);
+};
+
+/**
+ * Check whether a site already has a configuration, and is enabled, so
+ * writing it again would change nothing
+ * @param {string} domain - Domain
+ * @param {string} config - nginx configuration
+ * @param {Object} [options] - Options
+ * @param {string} [options.root="/"] - Filesystem root
+ * @param {Object} [options.layout] - nginx layout, Debian's by default
+ * @param {Object} [options.plan] - Plan from createPlan(), whose earlier steps count as done
+ * @returns {boolean} True if the site file has this content and, in Debian's layout, is linked from sites-enabled
+ */
+export const isSiteCurrent = (
+  domain,
+  config,
+  { root = "/", layout, plan } = {}
+) => {
+  const { available, enabled } = sitePaths(domain, root, layout);
+  if (readSiteConfig(domain, { root, layout, plan }) !== config) {
+    return false;
+  }
+  const state = enabledState(enabled, plan);
+  return (
+    !enabled ||
+    (state?.type === "link" &&
+      path.resolve(path.dirname(enabled), state.target) ===
+        path.resolve(available))
+  );
+};
+
+/**
+ * Put the files of a site back as they were at a backup, itself as a
+ * change that is backed up and undone if nginx -t fails
+ * @param {string} domain - Domain
+ * @param {string} id - Backup, see listSiteBackups()
+ * @param {Object} [options] - root, layout, run and test, as for applySiteConfig()
+ * @returns {{restored: Object, backup: Object}} The backup restored and the backup of the files it replaced
+ * @throws {InvalidOptionError} If the site has no such backup
+ * @throws {NginxConfigError} If the restored configuration is rejected
+ */
+export const rollbackSite = (domain, id, options = {}) => {
+  const restored = listSiteBackups(domain, options).find(
+    (backup) => backup.id === id
+  );
+  if (!restored) {
+    throw new InvalidOptionError(`${domain} has no backup ${id}`);
+  }
+  const backup = changeSite(
+    domain,
+    () => restoreSite(restored, options),
+    options
+  );
+  return { restored, backup };
+};
@@ -0,0 +1,522 @@
+import fs from "fs";
+import path from "path";
+import { LineCounter, parse as parseYaml } from "yaml";
+import { runCommand } from "../utils.js";
+import { readCertificate } from "./certs.js";
+import { FileNotFoundError, SiteSpecError } from "./errors.js";
+import { toHostname, validateHostname } from "./names.js";
+import {
+  DHPARAM_PATH,
+  TLS_PROFILES,
+  dhParameters,
+  issuingSiteConfig,
+  specSiteConfig,
+} from "./nginx.js";
+import { applySiteConfig, isSiteCurrent, readSiteConfig } from "./sites.js";
+import { validateEmail, validatePort } from "./validate.js";
+
+// Load-balancing methods of an upstream besides nginx's default round robin
+export const UPSTREAM_BALANCING = ["least_conn", "ip_hash", "random"];
+
+// Keys each level of a spec accepts, so a misspelt one is reported instead of ignored
+const SPEC_KEYS = ["email", "sites"];
+const SITE_KEYS = [
+  "serverNames",
+  "port",
+  "upstreams",
+  "locations",
+  "tls",
+  "tlsProfile",
+  "clientMaxBodySize",
+  "headers",
+];
+const UPSTREAM_KEYS = ["servers", "balance"];
+const LOCATION_KEYS = [
+  "path",
+  "port",
+  "upstream",
+  "websocket",
+  "clientMaxBodySize",
+  "proxyHeaders",
+];
+
+// nginx sizes, e.g. 512k or 20m
+const SIZE_PATTERN = /^\d+[kKmMgG]?$/;
+
+// host:port, [IPv6]:port or unix:/path, with the server parameters a spec may set
+const UPSTREAM_SERVER_PATTERN =
+  /^(unix:\/\S+|(?:\[[0-9a-fA-F:.]+\]|[A-Za-z0-9.-]+):(\d+))((?:\s+(?:weight=\d+|max_fails=\d+|fail_timeout=\d+[smh]?|backup|down))*)$/;
+
+// Header names are HTTP tokens; values are quoted for nginx, so no quotes or backslashes
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+const HEADER_VALUE_PATTERN = /^[^"\\\x00-\x1f\x7f]*$/;
+
+const isMapping = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Report the keys of a mapping that are not in a list
+ * @param {Object} value - Mapping
+ * @param {string[]} keys - Accepted keys
+ * @param {string} where - Path of the mapping, for messages
+ * @param {string[]} errors - Collects the problems
+ */
+const checkKeys = (value, keys, where, errors) =>
+  Object.keys(value)
+    .filter((key) => !keys.includes(key))
+    .forEach((key) =>
+      errors.push(
+        `${where}.${key} is not a known setting (expected ${keys.join(", ")})`
+      )
+    );
+
+/**
+ * Validate a size such as client_max_body_size takes
+ * @param {*} value - Size from the spec, a string or a number of bytes
+ * @param {string} where - Path, for messages
+ * @param {string[]} errors - Collects the problems
+ * @returns {string|null} Size, or null when not set
+ */
+const checkSize = (value, where, errors) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const size = String(value);
+  if (!SIZE_PATTERN.test(size)) {
+    errors.push(`${where} must be a size such as 512k, 20m or 1g`);
+  }
+  return size;
+};
+
+/**
+ * Validate a mapping of header names to values
+ * @param {*} value - Mapping from the spec
+ * @param {string} where - Path, for messages
+ * @param {string[]} errors - Collects the problems
+ * @returns {Array<[string, string]>} Headers, in order
+ */
+const checkHeaders = (value, where, errors) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!isMapping(value)) {
+    errors.push(`${where} must map header names to values`);
+    return [];
+  }
+  return Object.entries(value).map(([name, headerValue]) => {
+    const text =
+      typeof headerValue === "string" || typeof headerValue === "number"
+        ? String(headerValue)
+        : null;
+    if (!HEADER_NAME_PATTERN.test(name)) {
+      errors.push(`${where}: "${name}" is not a valid header name`);
+    }
+    if (text === null || !HEADER_VALUE_PATTERN.test(text)) {
+      errors.push(
+        `${where}.${name} must be a string without double quotes, backslashes or control characters`
+      );
+    }
+    return [name, text];
+  });
+};
+
+/**
+ * Validate the upstreams of a site
+ * @param {*} value - Mapping of names to { servers, balance } from the spec
+ * @param {string} where - Path, for messages
+ * @param {string[]} errors - Collects the problems
+ * @returns {Object[]} Upstreams: name, servers and balance (null for round robin)
+ */
+const checkUpstreams = (value, where, errors) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!isMapping(value)) {
+    errors.push(`${where} must map upstream names to their servers`);
+    return [];
+  }
+  return Object.entries(value).map(([name, upstream]) => {
+    const at = `${where}.${name}`;
+    if (!/^[A-Za-z0-9_.-]+$/.test(name)) {
+      errors.push(
+        `${where}: "${name}" is not a valid upstream name (letters, digits, ".", "-" and "_")`
+      );
+    }
+    if (!isMapping(upstream)) {
+      errors.push(`${at} must have servers`);
+      return { name, servers: [], balance: null };
+    }
+    checkKeys(upstream, UPSTREAM_KEYS, at, errors);
+    const servers = Array.isArray(upstream.servers) ? upstream.servers : [];
+    if (servers.length === 0) {
+      errors.push(`${at}.servers must list at least one server`);
+    }
+    const balance = upstream.balance ?? null;
+    if (balance !== null && !UPSTREAM_BALANCING.includes(balance)) {
+      errors.push(
+        `${at}.balance must be one of ${UPSTREAM_BALANCING.join(", ")}`
+      );
+    }
+    return {
+      name,
+      balance,
+      servers: servers.map((server, i) => {
+        // A bare port is an application on this machine
+        const address =
+          typeof server === "number" ? `127.0.0.1:${server}` : String(server);
+        const match = address.trim().match(UPSTREAM_SERVER_PATTERN);
+        if (!match || (match[2] && validatePort(match[2]))) {
+          errors.push(
+            `${at}.servers[${i}]: "${address}" must be host:port or unix:/path, optionally followed by weight=, max_fails=, fail_timeout=, backup or down`
+          );
+        }
+        return address.trim().replace(/\s+/g, " ");
+      }),
+    };
+  });
+};
+
+/**
+ * Validate the locations of a site
+ * @param {*} value - Sequence of locations from the spec
+ * @param {Object[]} upstreams - The site's upstreams, which locations name
+ * @param {string} where - Path, for messages
+ * @param {string[]} errors - Collects the problems
+ * @returns {Object[]} Locations: path, proxyPass, websocket, clientMaxBodySize and proxyHeaders
+ */
+const checkLocations = (value, upstreams, where, errors) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push(`${where} must list at least one location`);
+    return [];
+  }
+  const paths = new Set();
+  return value.map((location, i) => {
+    const at = `${where}[${i}]`;
+    if (!isMapping(location)) {
+      errors.push(`${at} must have a path and a port or upstream`);
+      return null;
+    }
+    checkKeys(location, LOCATION_KEYS, at, errors);
+    const locationPath = location.path;
+    if (
+      typeof locationPath !== "string" ||
+      !/^\/[^\s{};"'#\\]*$/.test(locationPath)
+    ) {
+      errors.push(
+        `${at}.path must start with / and contain no spaces, quotes, braces, ";" or "#"`
+      );
+    } else if (paths.has(locationPath)) {
+      errors.push(`${at}.path ${locationPath} is listed twice`);
+    }
+    paths.add(locationPath);
+
+    let proxyPass = null;
+    if ((location.port === undefined) === (location.upstream === undefined)) {
+      errors.push(`${at} must have either a port or an upstream`);
+    } else if (location.port !== undefined) {
+      if (validatePort(location.port)) {
+        errors.push(`${at}.port must be a port number between 1 and 65535`);
+      }
+      proxyPass = `http://127.0.0.1:${location.port}`;
+    } else if (!upstreams.some(({ name }) => name === location.upstream)) {
+      errors.push(
+        `${at}.upstream ${location.upstream} is not one of the site's upstreams`
+      );
+    } else {
+      proxyPass = `http://${location.upstream}`;
+    }
+
+    const websocket = location.websocket ?? false;
+    if (typeof websocket !== "boolean") {
+      errors.push(`${at}.websocket must be true or false`);
+    }
+    return {
+      path: locationPath,
+      proxyPass,
+      websocket,
+      clientMaxBodySize: checkSize(
+        location.clientMaxBodySize,
+        `${at}.clientMaxBodySize`,
+        errors
+      ),
+      proxyHeaders: checkHeaders(
+        location.proxyHeaders,
+        `${at}.proxyHeaders`,
+        errors
+      ),
+    };
+  });
+};
+
+/**
+ * Validate one site of a spec
+ * @param {*} site - Site from the spec
+ * @param {string} where - Path, for messages
+ * @param {string[]} errors - Collects the problems
+ * @returns {Object|null} Normalized site, null if it is not a mapping
+ */
+const checkSite = (site, where, errors) => {
+  if (!isMapping(site)) {
+    errors.push(`${where} must be a mapping with serverNames`);
+    return null;
+  }
+  checkKeys(site, SITE_KEYS, where, errors);
+
+  const names = Array.isArray(site.serverNames)
+    ? site.serverNames
+    : [site.serverNames].filter((name) => name !== undefined);
+  if (names.length === 0) {
+    errors.push(`${where}.serverNames must list at least one domain name`);
+  }
+  // Internationalized names are used in their punycode form
+  const serverNames = names.map((name) => toHostname(name));
+  serverNames.forEach((name, i) => {
+    const nameError = validateHostname(name);
+    if (nameError) {
+      errors.push(`${where}.serverNames[${i}]: ${nameError}`);
+    }
+  });
+
+  const upstreams = checkUpstreams(
+    site.upstreams,
+    `${where}.upstreams`,
+    errors
+  );
+  // A port alone is shorthand for a site proxying everything to it
+  let locations = site.locations;
+  if (site.port !== undefined && site.locations !== undefined) {
+    errors.push(`${where} must have either a port or locations, not both`);
+  } else if (site.port !== undefined) {
+    locations = [{ path: "/", port: site.port }];
+  }
+  const tls = site.tls ?? true;
+  if (typeof tls !== "boolean") {
+    errors.push(`${where}.tls must be true or false`);
+  }
+  const tlsProfile = site.tlsProfile ?? null;
+  if (tlsProfile !== null && !TLS_PROFILES[tlsProfile]) {
+    errors.push(
+      `${where}.tlsProfile must be one of ${Object.keys(TLS_PROFILES).join(
+        ", "
+      )}`
+    );
+  }
+
+  return {
+    serverNames,
+    tls,
+    tlsProfile,
+    clientMaxBodySize: checkSize(
+      site.clientMaxBodySize,
+      `${where}.clientMaxBodySize`,
+      errors
+    ),
+    headers: checkHeaders(site.headers, `${where}.headers`, errors),
+    upstreams,
+    locations: checkLocations(
+      locations,
+      upstreams,
+      `${where}.locations`,
+      errors
+    ),
+  };
+};
+
+/**
+ * Validate a site spec and fill in its defaults
+ * @param {*} spec - Parsed spec: { email, sites: [...] }
+ * @param {string} [file="spec"] - Where it came from, for messages
+ * @returns {Object} Spec: email (or null) and sites, each with serverNames, tls, tlsProfile, clientMaxBodySize, headers, upstreams and locations
+ * @throws {SiteSpecError} Listing every problem
+ */
+export const validateSiteSpec = (spec, file = "spec") => {
+  const errors = [];
+  if (!isMapping(spec)) {
+    throw new SiteSpecError(file, ["the spec must be a mapping with sites"]);
+  }
+  checkKeys(spec, SPEC_KEYS, "spec", errors);
+
+  const email = spec.email ?? null;
+  if (email !== null) {
+    const emailError = validateEmail(email);
+    if (emailError) {
+      errors.push(`spec.email: ${emailError}`);
+    }
+  }
+  if (!Array.isArray(spec.sites) || spec.sites.length === 0) {
+    errors.push("spec.sites must list at least one site");
+  }
+  const sites = (Array.isArray(spec.sites) ? spec.sites : [])
+    .map((site, i) => checkSite(site, `sites[${i}]`, errors))
+    .filter(Boolean);
+
+  // nginx names the sites' files after their first name and shares upstream names between them
+  const owners = new Map();
+  const upstreamOwners = new Map();
+  sites.forEach((site, i) => {
+    site.serverNames.forEach((name) => {
+      if (owners.has(name)) {
+        errors.push(
+          `sites[${i}]: ${name} is already served by sites[${owners.get(name)}]`
+        );
+      }
+      owners.set(name, i);
+    });
+    site.upstreams.forEach(({ name }) => {
+      if (upstreamOwners.has(name)) {
+        errors.push(
+          `sites[${i}]: upstream ${name} is already defined by sites[${upstreamOwners.get(
+            name
+          )}]; nginx upstream names are shared by every site`
+        );
+      }
+      upstreamOwners.set(name, i);
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new SiteSpecError(file, errors);
+  }
+  return { email: email === null ? null : String(email).trim(), sites };
+};
+
+/**
+ * Read and validate a site spec file
+ * @param {string} file - .json file, or YAML (.yaml, .yml)
+ * @returns {Object} Spec, see validateSiteSpec()
+ * @throws {FileNotFoundError} If the file does not exist
+ * @throws {SiteSpecError} If it cannot be parsed or is not a valid spec
+ */
+export const loadSiteSpec = (file) => {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new FileNotFoundError(file);
+    }
+    throw error;
+  }
+  const lineCounter = new LineCounter();
+  let spec;
+  try {
+    spec =
+      path.extname(file).toLowerCase() === ".json"
+        ? JSON.parse(text)
+        : parseYaml(text, { lineCounter, prettyErrors: false });
+  } catch (error) {
+    // YAML syntax errors carry the offset they were found at
+    const where = error.pos
+      ? `line ${lineCounter.linePos(error.pos[0]).line}: `
+      : "";
+    throw new SiteSpecError(file, [`${where}${error.message}`]);
+  }
+  return validateSiteSpec(spec, file);
+};
+
+/**
+ * Check whether a certificate is valid and names every server name
+ * @param {string} file - certbot's cert.pem
+ * @param {string[]} names - Server names
+ * @param {Date} now - Current time
+ * @returns {boolean} False if it is missing, unreadable, expired or lacks a name
+ */
+const certificateCovers = (file, names, now) => {
+  const cert = readCertificate(file);
+  return Boolean(
+    cert &&
+      new Date(cert.validTo) > now &&
+      names.every((name) => cert.checkHost(name, { subject: "never" }))
+  );
+};
+
+/**
+ * Bring the sites of a spec to their configuration, changing only what differs
+ *
+ * A TLS site whose certificate is missing, expired or lacks a name gets it
+ * from requestCertificate() before its HTTPS configuration is written.
+ * Meanwhile port 80 has a server block for every name, where certbot's nginx
+ * plugin answers the challenge: a new site is served over HTTP, and one that
+ * serves HTTPS keeps its HTTPS server blocks, see issuingSiteConfig().
+ * certbot keeps /etc/letsencrypt/live to root, so without root every
+ * certificate looks missing.
+ * @param {Object} spec - Spec, see validateSiteSpec()
+ * @param {Object} options - Options
+ * @param {string} [options.root="/"] - Filesystem root
+ * @param {Object} [options.layout] - nginx layout, see detectPlatform(); Debian's by default
+ * @param {Object} [options.plan] - Plan from createPlan() to record the changes in instead of making them
+ * @param {Function} [options.run] - Runs the commands that need root; runCommand, or the plan's
+ * @param {Function} [options.test] - Checks the nginx configuration, see applySiteConfig()
+ * @param {string} [options.profile="intermediate"] - TLS profile of the sites that name none
+ * @param {Date} [options.now] - Current time, to tell expired certificates
+ * @param {Function} [options.preflight] - async (site), throws to stop before a site that needs a certificate is changed
+ * @param {Function} options.requestCertificate - async (site), gets the certificate of a site into /etc/letsencrypt/live/<first name>
+ * @param {Function} [options.reload] - async (), reloads nginx once a site is served over HTTP for its certificate
+ * @param {Function} [options.onSite] - Called with the result of each site as it is done
+ * @returns {Promise<Object[]>} For each site: domain, certificate (whether one was requested) and changed (whether its file was written)
+ * @throws {NginxConfigError} If nginx rejects a site; it is restored and later sites are left alone
+ */
+export const applySiteSpec = async (
+  spec,
+  {
+    root = "/",
+    layout,
+    plan,
+    run = plan ? plan.runCommand : runCommand,
+    test,
+    profile = "intermediate",
+    now = new Date(),
+    preflight = async () => {},
+    requestCertificate,
+    reload = async () => {},
+    onSite = () => {},
+  }
+) => {
+  const siteOptions = { root, layout, plan, run, test };
+  // Write a site unless it already has this configuration; true when it was written
+  const applyIfChanged = (domain, config) => {
+    if (isSiteCurrent(domain, config, siteOptions)) {
+      return false;
+    }
+    applySiteConfig(domain, config, siteOptions);
+    return true;
+  };
+  const dhparamPath = path.join(root, DHPARAM_PATH);
+  const exists = plan ? (file) => plan.stat(file) !== null : fs.existsSync;
+
+  const results = [];
+  for (const site of spec.sites) {
+    const domain = site.serverNames[0];
+    const certDir = `/etc/letsencrypt/live/${domain}`;
+    const siteProfile = site.tlsProfile || profile;
+    const certificate =
+      site.tls &&
+      !certificateCovers(
+        path.join(root, certDir, "cert.pem"),
+        site.serverNames,
+        now
+      );
+    if (certificate) {
+      await preflight(site);
+      const current = readSiteConfig(domain, siteOptions);
+      const issuing =
+        (current && issuingSiteConfig(current, site.serverNames)) ||
+        specSiteConfig(site);
+      if (applyIfChanged(domain, issuing)) {
+        await reload();
+      }
+      await requestCertificate(site);
+    }
+    if (site.tls && TLS_PROFILES[siteProfile].dhparam && !exists(dhparamPath)) {
+      run("tee", [dhparamPath], { sudo: true, input: dhParameters() });
+    }
+    const changed = applyIfChanged(
+      domain,
+      specSiteConfig(site, { https: site.tls, certDir, profile: siteProfile })
+    );
+    const result = { domain, certificate, changed };
+    onSite(result);
+    results.push(result);
+  }
+  return results;
+};
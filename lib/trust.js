@@ -0,0 +1,529 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { commandExists, runCommand } from "../utils.js";
+import { getConfigPath } from "./config.js";
+import { decodePem } from "./pem.js";
+
+// Trust stores trust-ca and untrust-ca work with; java is only used when asked for
+export const TRUST_STORES = ["system", "nss", "node", "java"];
+
+// System trust stores by distribution family: where anchors go and the command that rebuilds the bundle
+const SYSTEM_STORES = [
+  {
+    family: "Debian",
+    dir: "/usr/local/share/ca-certificates",
+    update: ["update-ca-certificates"],
+    // --fresh drops the links of removed anchors as well
+    refresh: ["update-ca-certificates", "--fresh"],
+  },
+  {
+    family: "RHEL",
+    dir: "/etc/pki/ca-trust/source/anchors",
+    update: ["update-ca-trust", "extract"],
+    refresh: ["update-ca-trust", "extract"],
+  },
+];
+
+// NSS databases of Chromium and Firefox (profiles are the directories below), relative to the home directory
+const NSS_DATABASES = [".pki/nssdb", "snap/chromium/current/.pki/nssdb"];
+const FIREFOX_PROFILE_DIRS = [
+  ".mozilla/firefox",
+  "snap/firefox/common/.mozilla/firefox",
+];
+
+// Java keystores tried when --java is given without a path
+const JAVA_KEYSTORES = [
+  process.env.JAVA_HOME &&
+    path.join(process.env.JAVA_HOME, "lib/security/cacerts"),
+  "/etc/ssl/certs/java/cacerts",
+  "/etc/pki/java/cacerts",
+].filter(Boolean);
+
+// Lines wrapping the NODE_EXTRA_CA_CERTS export in the shell profile
+const PROFILE_START = "# >>> ssl-cli: trust local CAs in Node.js >>>";
+const PROFILE_END = "# <<< ssl-cli <<<";
+
+/**
+ * Result of one trust store
+ * @param {string} store - One of TRUST_STORES
+ * @param {string} status - "ok", "skipped" or "failed"
+ * @param {string} detail - What was done, or why not
+ * @returns {{store: string, status: string, detail: string}} Result
+ */
+const result = (store, status, detail) => ({ store, status, detail });
+
+/**
+ * Check whether the current user can write a file
+ * @param {string} file - File path
+ * @returns {boolean} True if it is writable
+ */
+const isWritable = (file) => {
+  try {
+    fs.accessSync(file, fs.constants.W_OK);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Copy a file into a directory that may need root privileges
+ * @param {Object} context - See trustContext()
+ * @param {string} source - File to copy
+ * @param {string} destination - Where to copy it
+ */
+const installFile = (context, source, destination) => {
+  if (context.sudo) {
+    runCommand("install", ["-m", "644", source, destination], { sudo: true });
+    return;
+  }
+  fs.mkdirSync(path.dirname(destination), { recursive: true });
+  fs.copyFileSync(source, destination);
+  fs.chmodSync(destination, 0o644);
+};
+
+/**
+ * Remove a file from a directory that may need root privileges
+ * @param {Object} context - See trustContext()
+ * @param {string} file - File to remove
+ */
+const removeFile = (context, file) => {
+  if (context.sudo) {
+    runCommand("rm", ["-f", file], { sudo: true });
+    return;
+  }
+  fs.rmSync(file, { force: true });
+};
+
+/**
+ * Find the system trust store of the distribution
+ * @param {string} root - Filesystem root
+ * @returns {Object|null} Entry of SYSTEM_STORES, or null on other systems
+ */
+const findSystemStore = (root) =>
+  SYSTEM_STORES.find((store) => fs.existsSync(path.join(root, store.dir))) ||
+  null;
+
+/**
+ * Run the command that rebuilds the system bundle, unless working under another root
+ * @param {Object} context - See trustContext()
+ * @param {string[]} command - Command and arguments
+ * @returns {string} Note for the result
+ */
+const rebuildSystemBundle = (context, [command, ...args]) => {
+  if (context.root !== "/") {
+    return `; run ${[command, ...args].join(" ")} inside ${context.root}`;
+  }
+  runCommand(command, args, { sudo: context.sudo });
+  return `, ran ${[command, ...args].join(" ")}`;
+};
+
+/**
+ * List the NSS databases in the home directory
+ * @param {Object} context - See trustContext()
+ * @returns {string[]} Directories holding a cert9.db
+ */
+const findNssDatabases = ({ home }) => {
+  const profiles = FIREFOX_PROFILE_DIRS.map((dir) => path.join(home, dir))
+    .filter((dir) => fs.existsSync(dir))
+    .flatMap((dir) =>
+      fs
+        .readdirSync(dir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => path.join(dir, entry.name))
+    );
+  return [...NSS_DATABASES.map((dir) => path.join(home, dir)), ...profiles]
+    .filter((dir) => fs.existsSync(path.join(dir, "cert9.db")))
+    .sort();
+};
+
+/**
+ * Check whether an NSS database holds a certificate under a nickname
+ * @param {string} dir - NSS database directory
+ * @param {string} nickname - Certificate nickname
+ * @returns {boolean} True if the certificate is there
+ */
+const nssHasCertificate = (dir, nickname) => {
+  try {
+    runCommand("certutil", ["-L", "-d", `sql:${dir}`, "-n", nickname]);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Read the certificates of a PEM bundle
+ * @param {string} file - Bundle file
+ * @returns {crypto.X509Certificate[]} Certificates, empty if the file does not exist
+ */
+const readBundle = (file) =>
+  fs.existsSync(file)
+    ? decodePem(fs.readFileSync(file, "utf8"))
+        .filter((block) => block.label === "CERTIFICATE")
+        .map((block) => new crypto.X509Certificate(block.der))
+    : [];
+
+/**
+ * Write a PEM bundle, or remove it when no certificates are left
+ * @param {string} file - Bundle file
+ * @param {crypto.X509Certificate[]} certs - Certificates
+ */
+const writeBundle = (file, certs) => {
+  if (certs.length === 0) {
+    fs.rmSync(file, { force: true });
+    return;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(
+    file,
+    certs
+      .map((cert) => `# ${cert.subject.split("\n").join(", ")}\n${cert}`)
+      .join("")
+  );
+};
+
+/**
+ * Add or remove the NODE_EXTRA_CA_CERTS block of the shell profile
+ * @param {string} profile - Profile file, e.g. ~/.profile
+ * @param {string|null} bundle - Bundle path to export, or null to remove the block
+ * @throws {Error} If the block has lost its end marker, leaving the file untouched
+ */
+const updateProfile = (profile, bundle) => {
+  const text = fs.existsSync(profile) ? fs.readFileSync(profile, "utf8") : "";
+  const start = text.indexOf(PROFILE_START);
+  const end = text.indexOf(PROFILE_END, start);
+  // Without its end we cannot tell where the block stops, and guessing could cut the user's own lines
+  if (start !== -1 && end === -1) {
+    throw new Error(
+      `${profile} has "${PROFILE_START}" without "${PROFILE_END}": fix the block by hand`
+    );
+  }
+  const rest =
+    start === -1
+      ? text
+      : text.slice(0, start) + text.slice(end + PROFILE_END.length + 1);
+
+  if (bundle === null) {
+    if (start !== -1) {
+      fs.writeFileSync(profile, rest);
+    }
+    return;
+  }
+  // Single quotes keep the shell from expanding anything in the path
+  const quoted = `'${bundle.replace(/'/g, "'\\''")}'`;
+  const block = `${PROFILE_START}\nexport NODE_EXTRA_CA_CERTS=${quoted}\n${PROFILE_END}\n`;
+  fs.mkdirSync(path.dirname(profile), { recursive: true });
+  fs.writeFileSync(
+    profile,
+    `${rest}${rest && !rest.endsWith("\n") ? "\n" : ""}${block}`
+  );
+};
+
+/**
+ * Find the Java keystore to use
+ * @param {Object} context - See trustContext()
+ * @returns {string|null} Path of the cacerts file, or null if none was found
+ */
+const findJavaKeystore = ({ root, javaKeystore }) => {
+  if (typeof javaKeystore === "string") {
+    return path.join(root, javaKeystore);
+  }
+  return (
+    JAVA_KEYSTORES.map((file) => path.join(root, file)).find((file) =>
+      fs.existsSync(file)
+    ) || null
+  );
+};
+
+/**
+ * Arguments giving keytool the keystore password
+ * @param {Object} context - See trustContext()
+ * @returns {string[]} -storepass arguments
+ */
+const storepassArgs = ({ javaStorepassFile }) =>
+  // "changeit" is the well-known default of every JDK's cacerts
+  javaStorepassFile
+    ? ["-storepass:file", javaStorepassFile]
+    : ["-storepass", "changeit"];
+
+/**
+ * Check whether a Java keystore holds an alias
+ * @param {Object} context - See trustContext()
+ * @param {string} keystore - Keystore file
+ * @returns {boolean} True if the alias exists
+ */
+const keystoreHasAlias = (context, keystore) => {
+  try {
+    runCommand("keytool", [
+      "-list",
+      "-keystore",
+      keystore,
+      "-alias",
+      context.nickname,
+      ...storepassArgs(context),
+    ]);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// How each trust store installs and removes a CA
+const STORE_HANDLERS = {
+  system: {
+    trust: (context) => {
+      const store = findSystemStore(context.root);
+      if (!store) {
+        return result(
+          "system",
+          "skipped",
+          "no Debian or RHEL family trust store found"
+        );
+      }
+      const anchor = path.join(
+        context.root,
+        store.dir,
+        `${context.nickname}.crt`
+      );
+      installFile(context, context.certPath, anchor);
+      return result(
+        "system",
+        "ok",
+        `installed ${anchor}${rebuildSystemBundle(context, store.update)}`
+      );
+    },
+    untrust: (context) => {
+      const store = findSystemStore(context.root);
+      const anchor =
+        store && path.join(context.root, store.dir, `${context.nickname}.crt`);
+      if (!anchor || !fs.existsSync(anchor)) {
+        return result("system", "skipped", "not installed");
+      }
+      removeFile(context, anchor);
+      return result(
+        "system",
+        "ok",
+        `removed ${anchor}${rebuildSystemBundle(context, store.refresh)}`
+      );
+    },
+  },
+  nss: {
+    trust: (context) => {
+      const databases = findNssDatabases(context);
+      if (databases.length === 0) {
+        return result(
+          "nss",
+          "skipped",
+          "no Firefox or Chromium certificate databases found"
+        );
+      }
+      if (!commandExists("certutil")) {
+        return result(
+          "nss",
+          "skipped",
+          "certutil not found (install libnss3-tools or nss-tools)"
+        );
+      }
+      databases.forEach((dir) =>
+        runCommand("certutil", [
+          "-A",
+          "-d",
+          `sql:${dir}`,
+          "-t",
+          "C,,",
+          "-n",
+          context.nickname,
+          "-i",
+          context.certPath,
+        ])
+      );
+      return result("nss", "ok", `added to ${databases.join(", ")}`);
+    },
+    untrust: (context) => {
+      if (!commandExists("certutil")) {
+        return result("nss", "skipped", "certutil not found");
+      }
+      const databases = findNssDatabases(context).filter((dir) =>
+        nssHasCertificate(dir, context.nickname)
+      );
+      if (databases.length === 0) {
+        return result("nss", "skipped", "not installed");
+      }
+      databases.forEach((dir) =>
+        runCommand("certutil", [
+          "-D",
+          "-d",
+          `sql:${dir}`,
+          "-n",
+          context.nickname,
+        ])
+      );
+      return result("nss", "ok", `removed from ${databases.join(", ")}`);
+    },
+  },
+  node: {
+    trust: (context) => {
+      const certs = readBundle(context.bundlePath);
+      if (
+        !certs.some(
+          (cert) => cert.fingerprint256 === context.cert.fingerprint256
+        )
+      ) {
+        writeBundle(context.bundlePath, [...certs, context.cert]);
+      }
+      // The profile names the bundle as seen from inside the root
+      updateProfile(context.profilePath, context.bundle);
+      return result(
+        "node",
+        "ok",
+        `NODE_EXTRA_CA_CERTS=${context.bundle} exported in ${context.profilePath}; open a new shell to pick it up`
+      );
+    },
+    untrust: (context) => {
+      const certs = readBundle(context.bundlePath);
+      const rest = certs.filter(
+        (cert) => cert.fingerprint256 !== context.cert.fingerprint256
+      );
+      if (rest.length === certs.length) {
+        return result("node", "skipped", "not installed");
+      }
+      writeBundle(context.bundlePath, rest);
+      if (rest.length === 0) {
+        updateProfile(context.profilePath, null);
+        return result(
+          "node",
+          "ok",
+          `removed ${context.bundlePath} and its export from ${context.profilePath}`
+        );
+      }
+      return result("node", "ok", `removed from ${context.bundlePath}`);
+    },
+  },
+  java: {
+    trust: (context) => {
+      const keystore = findJavaKeystore(context);
+      if (!keystore || !fs.existsSync(keystore)) {
+        return result("java", "skipped", "no Java cacerts keystore found");
+      }
+      if (!commandExists("keytool")) {
+        return result("java", "skipped", "keytool not found");
+      }
+      if (keystoreHasAlias(context, keystore)) {
+        return result("java", "ok", `already in ${keystore}`);
+      }
+      runCommand(
+        "keytool",
+        [
+          "-importcert",
+          "-noprompt",
+          "-trustcacerts",
+          "-alias",
+          context.nickname,
+          "-file",
+          context.certPath,
+          "-keystore",
+          keystore,
+          ...storepassArgs(context),
+        ],
+        { sudo: context.sudo && !isWritable(keystore) }
+      );
+      return result("java", "ok", `imported into ${keystore}`);
+    },
+    untrust: (context) => {
+      const keystore = findJavaKeystore(context);
+      if (!keystore || !commandExists("keytool")) {
+        return result("java", "skipped", "no Java keystore or keytool found");
+      }
+      if (!keystoreHasAlias(context, keystore)) {
+        return result("java", "skipped", "not installed");
+      }
+      runCommand(
+        "keytool",
+        [
+          "-delete",
+          "-alias",
+          context.nickname,
+          "-keystore",
+          keystore,
+          ...storepassArgs(context),
+        ],
+        { sudo: context.sudo && !isWritable(keystore) }
+      );
+      return result("java", "ok", `deleted from ${keystore}`);
+    },
+  },
+};
+
+/**
+ * Gather what the trust store handlers need
+ * @param {Object} options - See trustCA()
+ * @returns {Object} Context shared by the handlers
+ */
+const trustContext = ({
+  certPath,
+  nickname,
+  root = "/",
+  home = os.homedir(),
+  javaKeystore,
+  javaStorepassFile,
+}) => {
+  const bundle = path.join(
+    path.dirname(getConfigPath()),
+    "ca-certificates.pem"
+  );
+  return {
+    certPath,
+    cert: new crypto.X509Certificate(fs.readFileSync(certPath)),
+    nickname,
+    root,
+    home: path.join(root, home),
+    // System files need sudo, unless we are root or working under another root
+    sudo: root === "/" && process.getuid?.() !== 0,
+    bundle,
+    bundlePath: path.join(root, bundle),
+    profilePath: path.join(root, home, ".profile"),
+    javaKeystore,
+    javaStorepassFile,
+  };
+};
+
+/**
+ * Run a handler for each selected store, turning errors into failed results
+ * @param {string} action - "trust" or "untrust"
+ * @param {Object} options - See trustCA()
+ * @returns {Object[]} One result per selected store
+ */
+const runHandlers = (action, { stores, ...options }) => {
+  const context = trustContext(options);
+  return stores.map((store) => {
+    try {
+      return STORE_HANDLERS[store][action](context);
+    } catch (error) {
+      return result(store, "failed", error.message.split("\n")[0]);
+    }
+  });
+};
+
+/**
+ * Install a CA certificate into trust stores
+ * @param {Object} options - Options
+ * @param {string} options.certPath - CA certificate (PEM)
+ * @param {string} options.nickname - Name to install it under, see getTrustedName()
+ * @param {string[]} options.stores - Stores from TRUST_STORES
+ * @param {string} [options.root="/"] - Filesystem root, to work on a mounted or fake system
+ * @param {string} [options.home] - Home directory (inside the root)
+ * @param {string|boolean} [options.javaKeystore] - Java cacerts file; true finds it
+ * @param {string} [options.javaStorepassFile] - File holding the keystore password (default: changeit)
+ * @returns {{store: string, status: string, detail: string}[]} One result per store: ok, skipped or failed
+ */
+export const trustCA = (options) => runHandlers("trust", options);
+
+/**
+ * Remove a CA certificate from trust stores
+ * @param {Object} options - See trustCA()
+ * @returns {{store: string, status: string, detail: string}[]} One result per store: ok, skipped or failed
+ */
+export const untrustCA = (options) => runHandlers("untrust", options);
@@ -0,0 +1,49 @@
+import { toASCIIName, validateDnsName } from "./names.js";
+
+// Characters allowed in the dot-separated atoms of an email's local part (RFC 5322)
+const LOCAL_PART_PATTERN =
+  /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i;
+
+/**
+ * Validate a TCP port number
+ * @param {string|number} value - Port, e.g. "7000"
+ * @returns {string|null} Error message, or null if the port is valid
+ */
+export const validatePort = (value) => {
+  const port = /^\d+$/.test(String(value).trim()) ? Number(value) : NaN;
+  return port >= 1 && port <= 65535
+    ? null
+    : "Must be a port number between 1 and 65535";
+};
+
+/**
+ * Validate an email address, e.g. for Let's Encrypt account notices
+ * @param {string} value - Email address; the domain may be internationalized
+ * @returns {string|null} Error message, or null if the address is valid
+ */
+export const validateEmail = (value) => {
+  const email = String(value || "").trim();
+  if (!email) {
+    return "An email address is required";
+  }
+
+  const at = email.lastIndexOf("@");
+  const local = email.slice(0, at);
+  const domain = toASCIIName(email.slice(at + 1).toLowerCase());
+  if (
+    at < 1 ||
+    email.length > 254 ||
+    local.length > 64 ||
+    !LOCAL_PART_PATTERN.test(local)
+  ) {
+    return `"${email}" is not a valid email address`;
+  }
+  if (
+    !domain.includes(".") ||
+    domain.includes("*") ||
+    validateDnsName(domain)
+  ) {
+    return `"${email}" does not have a valid domain`;
+  }
+  return null;
+};
@@ -0,0 +1,267 @@
+import {
+  CLASS,
+  TAGS,
+  decodeAll,
+  is,
+  toBigInt,
+  toBits,
+  toOid,
+  toText,
+} from "./asn1.js";
+
+// Short names for the object identifiers we display
+export const OID_NAMES = {
+  // Name attributes
+  "2.5.4.3": "CN",
+  "2.5.4.5": "serialNumber",
+  "2.5.4.6": "C",
+  "2.5.4.7": "L",
+  "2.5.4.8": "ST",
+  "2.5.4.10": "O",
+  "2.5.4.11": "OU",
+  "1.2.840.113549.1.9.1": "emailAddress",
+  "0.9.2342.19200300.100.1.25": "DC",
+  // Extensions
+  "2.5.29.14": "subjectKeyIdentifier",
+  "2.5.29.15": "keyUsage",
+  "2.5.29.17": "subjectAltName",
+  "2.5.29.19": "basicConstraints",
+  "2.5.29.31": "cRLDistributionPoints",
+  "2.5.29.32": "certificatePolicies",
+  "2.5.29.35": "authorityKeyIdentifier",
+  "2.5.29.37": "extKeyUsage",
+  "1.3.6.1.5.5.7.1.1": "authorityInfoAccess",
+  "1.3.6.1.4.1.11129.2.4.2": "ctPrecertificateSCTs",
+  // Extended key usages
+  "1.3.6.1.5.5.7.3.1": "serverAuth",
+  "1.3.6.1.5.5.7.3.2": "clientAuth",
+  "1.3.6.1.5.5.7.3.3": "codeSigning",
+  "1.3.6.1.5.5.7.3.4": "emailProtection",
+  "1.3.6.1.5.5.7.3.8": "timeStamping",
+  "1.3.6.1.5.5.7.3.9": "OCSPSigning",
+  // Access methods
+  "1.3.6.1.5.5.7.48.1": "OCSP",
+  "1.3.6.1.5.5.7.48.2": "caIssuers",
+  // Algorithms
+  "1.2.840.113549.1.1.1": "rsaEncryption",
+  "1.2.840.113549.1.1.5": "sha1WithRSAEncryption",
+  "1.2.840.113549.1.1.10": "rsassaPss",
+  "1.2.840.113549.1.1.11": "sha256WithRSAEncryption",
+  "1.2.840.113549.1.1.12": "sha384WithRSAEncryption",
+  "1.2.840.113549.1.1.13": "sha512WithRSAEncryption",
+  "1.2.840.10045.2.1": "ecPublicKey",
+  "1.2.840.10045.4.3.2": "ecdsa-with-SHA256",
+  "1.2.840.10045.4.3.3": "ecdsa-with-SHA384",
+  "1.2.840.10045.4.3.4": "ecdsa-with-SHA512",
+  "1.3.101.112": "Ed25519",
+  "1.3.101.113": "Ed448",
+  // PKCS#9 attributes
+  "1.2.840.113549.1.9.14": "extensionRequest",
+};
+
+// keyUsage bit positions, as defined in RFC 5280 section 4.2.1.3
+export const KEY_USAGE_BITS = [
+  "digitalSignature",
+  "nonRepudiation",
+  "keyEncipherment",
+  "dataEncipherment",
+  "keyAgreement",
+  "keyCertSign",
+  "cRLSign",
+  "encipherOnly",
+  "decipherOnly",
+];
+
+/**
+ * Look up the display name of an OID
+ * @param {string} oid - Dotted OID
+ * @returns {string} Short name, or the OID itself if unknown
+ */
+export const oidName = (oid) => OID_NAMES[oid] || oid;
+
+/**
+ * Format an IP address from its binary form
+ * @param {Buffer} bytes - 4 or 16 bytes
+ * @returns {string} Dotted IPv4 or compressed IPv6 address
+ */
+const formatIP = (bytes) => {
+  if (bytes.length === 4) {
+    return [...bytes].join(".");
+  }
+  const groups = [];
+  for (let i = 0; i < bytes.length; i += 2) {
+    groups.push(bytes.readUInt16BE(i).toString(16));
+  }
+  // Let the URL parser compress the longest run of zero groups
+  const address = new URL(`http://[${groups.join(":")}]`).hostname;
+  return address.slice(1, -1);
+};
+
+/**
+ * Decode an X.501 Name
+ * @param {Object} node - Name SEQUENCE
+ * @returns {string} Name in "CN=app.test, O=Acme" form
+ */
+export const decodeName = (node) =>
+  node.children
+    .flatMap((rdn) => rdn.children)
+    .map(({ children: [type, value] }) => {
+      return `${oidName(toOid(type))}=${toText(value)}`;
+    })
+    .join(", ");
+
+/**
+ * Decode a GeneralName
+ * @param {Object} node - Context-tagged GeneralName
+ * @returns {{type: string, value: string}} Name type and value
+ */
+export const decodeGeneralName = (node) => {
+  switch (node.tag) {
+    case 1:
+      return { type: "email", value: node.value.toString("latin1") };
+    case 2:
+      return { type: "DNS", value: node.value.toString("latin1") };
+    case 4:
+      return { type: "DirName", value: decodeName(node.children[0]) };
+    case 6:
+      return { type: "URI", value: node.value.toString("latin1") };
+    case 7:
+      return { type: "IP", value: formatIP(node.value) };
+    default:
+      return { type: `[${node.tag}]`, value: node.value.toString("hex") };
+  }
+};
+
+/**
+ * Format a GeneralName for display
+ * @param {{type: string, value: string}} name - Decoded GeneralName
+ * @returns {string} e.g. "DNS:app.test"
+ */
+export const formatGeneralName = ({ type, value }) => `${type}:${value}`;
+
+// Decoders for the value of known extensions
+const EXTENSION_DECODERS = {
+  subjectAltName: (node) => node.children.map(decodeGeneralName),
+  keyUsage: (node) => {
+    const { bytes } = toBits(node);
+    return KEY_USAGE_BITS.filter(
+      (_, bit) => (bytes[bit >> 3] || 0) & (0x80 >> bit % 8)
+    );
+  },
+  extKeyUsage: (node) => node.children.map((oid) => oidName(toOid(oid))),
+  basicConstraints: (node) => {
+    const [first, second] = node.children;
+    const ca = is(first, TAGS.BOOLEAN) ? first.value[0] !== 0 : false;
+    const pathLen = [first, second].find((child) => is(child, TAGS.INTEGER));
+    return {
+      ca,
+      pathLen: pathLen ? Number(toBigInt(pathLen)) : null,
+    };
+  },
+  subjectKeyIdentifier: (node) => formatHex(node.value),
+  authorityKeyIdentifier: (node) => {
+    const keyId = node.children.find((child) => is(child, 0, CLASS.CONTEXT));
+    return keyId ? formatHex(keyId.value) : null;
+  },
+  cRLDistributionPoints: (node) =>
+    node.children.flatMap((point) => {
+      const name = point.children.find((child) => is(child, 0, CLASS.CONTEXT));
+      const fullName = name && name.children[0];
+      return fullName && fullName.tag === 0
+        ? fullName.children.map((general) => decodeGeneralName(general).value)
+        : [];
+    }),
+  authorityInfoAccess: (node) =>
+    node.children.map(({ children: [method, location] }) => ({
+      method: oidName(toOid(method)),
+      location: decodeGeneralName(location).value,
+    })),
+};
+
+/**
+ * Format bytes as colon separated upper-case hex
+ * @param {Buffer} bytes - Bytes to format
+ * @returns {string} e.g. "AB:CD:EF"
+ */
+export const formatHex = (bytes) =>
+  (bytes.toString("hex").toUpperCase().match(/../g) || []).join(":");
+
+/**
+ * Decode a SEQUENCE of Extension
+ * @param {Object} node - Extensions SEQUENCE
+ * @returns {Object[]} Extensions with oid, name, critical and decoded value
+ */
+export const decodeExtensions = (node) =>
+  node.children.map((extension) => {
+    const [oidNode, ...rest] = extension.children;
+    const oid = toOid(oidNode);
+    const name = oidName(oid);
+    const critical = is(rest[0], TAGS.BOOLEAN) && rest[0].value[0] !== 0;
+    const octets = rest[rest.length - 1].value;
+    const decoder = EXTENSION_DECODERS[name];
+
+    let value;
+    try {
+      value = decoder ? decoder(decodeAll(octets)) : formatHex(octets);
+    } catch (error) {
+      value = formatHex(octets);
+    }
+
+    return { oid, name, critical, value };
+  });
+
+/**
+ * Decode an AlgorithmIdentifier
+ * @param {Object} node - AlgorithmIdentifier SEQUENCE
+ * @returns {string} Algorithm name
+ */
+const decodeAlgorithm = (node) => oidName(toOid(node.children[0]));
+
+/**
+ * Parse the fields of a DER certificate that Node's X509Certificate does not expose
+ * @param {Buffer} der - DER encoded certificate
+ * @returns {Object} version, signatureAlgorithm and extensions
+ */
+export const parseCertificate = (der) => {
+  const [tbs, signatureAlgorithm] = decodeAll(der).children;
+  const fields = tbs.children;
+  const hasVersion = is(fields[0], 0, CLASS.CONTEXT);
+  const version = hasVersion ? Number(toBigInt(fields[0].children[0])) + 1 : 1;
+  const extensions = fields.find((field) => is(field, 3, CLASS.CONTEXT));
+
+  return {
+    version,
+    signatureAlgorithm: decodeAlgorithm(signatureAlgorithm),
+    extensions: extensions ? decodeExtensions(extensions.children[0]) : [],
+  };
+};
+
+/**
+ * Parse a DER certificate signing request (PKCS#10)
+ * @param {Buffer} der - DER encoded CSR
+ * @returns {Object} subject, public key (SPKI DER), requested extensions and signature details
+ */
+export const parseCertificationRequest = (der) => {
+  const [info, signatureAlgorithm, signature] = decodeAll(der).children;
+  const [version, subject, spki, attributes] = info.children;
+
+  if (!is(version, TAGS.INTEGER) || !is(subject, TAGS.SEQUENCE)) {
+    throw new Error("Not a certificate signing request");
+  }
+
+  const extensionRequest = ((attributes && attributes.children) || []).find(
+    (attribute) => oidName(toOid(attribute.children[0])) === "extensionRequest"
+  );
+
+  return {
+    version: Number(toBigInt(version)) + 1,
+    subject: decodeName(subject),
+    spki: spki.raw,
+    extensions: extensionRequest
+      ? decodeExtensions(extensionRequest.children[1].children[0])
+      : [],
+    signatureAlgorithm: decodeAlgorithm(signatureAlgorithm),
+    info: info.raw,
+    signature: toBits(signature).bytes,
+  };
+};
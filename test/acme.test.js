@@ -0,0 +1,505 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+  createAcmeClient,
+  dnsRecordValue,
+  keyAuthorization,
+  obtainCertificate,
+  saveCertificate,
+  standaloneHttpSolver,
+  webrootHttpSolver,
+} from "../lib/acme.js";
+import { signCertificate } from "../lib/native.js";
+import { decodePem } from "../lib/pem.js";
+import { parseCertificationRequest } from "../lib/x509.js";
+
+const fromBase64url = (text) => Buffer.from(text, "base64url");
+
+// Find a free port for the standalone solver
+const freePort = async () => {
+  const server = http.createServer().listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+};
+
+// A self-signed CA for the fake ACME server to issue from
+const createIssuer = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ec", {
+    namedCurve: "P-256",
+  });
+  const pem = signCertificate({
+    subject: "/CN=Fake ACME CA",
+    publicKey,
+    signingKey: privateKey,
+    serial: "01",
+    days: 30,
+    digest: "sha256",
+    profile: { ca: true, keyUsage: ["keyCertSign", "cRLSign"] },
+  });
+  return { pem, cert: new crypto.X509Certificate(pem), key: privateKey };
+};
+
+/**
+ * In-process ACME server checking what a real one checks: JWS signatures,
+ * nonces and URLs, key authorizations over HTTP-01 and DNS-01, and the CSR
+ */
+const createFakeAcmeServer = async ({ httpPort, dnsRecords }) => {
+  const issuer = createIssuer();
+  const nonces = new Set();
+  const accounts = new Map();
+  const orders = new Map();
+  const authorizations = new Map();
+  const state = { badNonces: 0 };
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const newNonce = () => {
+    const nonce = crypto.randomBytes(16).toString("base64url");
+    nonces.add(nonce);
+    return nonce;
+  };
+
+  const send = (res, status, body, headers = {}) => {
+    const text = typeof body === "string" ? body : JSON.stringify(body);
+    res.writeHead(status, {
+      "Replay-Nonce": newNonce(),
+      "Content-Type":
+        typeof body === "string"
+          ? "application/pem-certificate-chain"
+          : status >= 400
+          ? "application/problem+json"
+          : "application/json",
+      ...headers,
+    });
+    res.end(text);
+  };
+
+  const problem = (res, type, detail, status = 400) =>
+    send(res, status, { type: `urn:ietf:params:acme:error:${type}`, detail });
+
+  // Check the JWS of a request; returns its payload and account key
+  const verify = (url, jws) => {
+    const header = JSON.parse(fromBase64url(jws.protected));
+    if (!nonces.delete(header.nonce)) {
+      return { error: ["badNonce", "unknown nonce"] };
+    }
+    if (header.url !== url) {
+      return { error: ["malformed", `url ${header.url} is not ${url}`] };
+    }
+    const jwk = header.jwk || accounts.get(header.kid);
+    if (!jwk) {
+      return { error: ["accountDoesNotExist", "no such account"] };
+    }
+    const valid = crypto.verify(
+      { ES256: "sha256", ES384: "sha384", RS256: "sha256" }[header.alg],
+      Buffer.from(`${jws.protected}.${jws.payload}`),
+      {
+        key: crypto.createPublicKey({ key: jwk, format: "jwk" }),
+        dsaEncoding: "ieee-p1363",
+      },
+      fromBase64url(jws.signature)
+    );
+    if (!valid) {
+      return { error: ["malformed", "bad signature"] };
+    }
+    return {
+      jwk,
+      header,
+      payload: jws.payload ? JSON.parse(fromBase64url(jws.payload)) : null,
+    };
+  };
+
+  const orderStatus = (order) => {
+    if (order.certificate) {
+      return "valid";
+    }
+    const statuses = order.authorizations.map(
+      (url) => authorizations.get(url).status
+    );
+    if (statuses.includes("invalid")) {
+      return "invalid";
+    }
+    return statuses.every((status) => status === "valid") ? "ready" : "pending";
+  };
+
+  // Validate a challenge the way a CA does, from outside
+  const validate = async (authorization, challenge, jwk) => {
+    const expected = keyAuthorization(
+      challenge.token,
+      crypto.createPublicKey({ key: jwk, format: "jwk" })
+    );
+    let answer = null;
+    if (challenge.type === "http-01") {
+      answer = await new Promise((resolve) => {
+        http
+          .get(
+            `http://127.0.0.1:${httpPort}/.well-known/acme-challenge/${challenge.token}`,
+            (res) => {
+              let body = "";
+              res.on("data", (chunk) => (body += chunk));
+              res.on("end", () =>
+                resolve(res.statusCode === 200 ? body : null)
+              );
+            }
+          )
+          .on("error", () => resolve(null));
+      });
+    } else {
+      answer = dnsRecords.get(
+        `_acme-challenge.${authorization.identifier.value}`
+      );
+    }
+    const ok =
+      challenge.type === "http-01"
+        ? answer === expected
+        : answer === dnsRecordValue(expected);
+    challenge.status = ok ? "valid" : "invalid";
+    authorization.status = challenge.status;
+    if (!ok) {
+      challenge.error = {
+        type: "urn:ietf:params:acme:error:unauthorized",
+        detail: `Incorrect ${challenge.type} response for ${authorization.identifier.value}`,
+      };
+    }
+  };
+
+  const issue = (order, csrDer) => {
+    const csr = parseCertificationRequest(csrDer);
+    const names = csr.extensions
+      .find(({ name }) => name === "subjectAltName")
+      .value.map(({ value }) => value);
+    const requested = order.identifiers.map(({ value }) => value);
+    if ([...names].sort().join() !== [...requested].sort().join()) {
+      return false;
+    }
+    order.csr = csr;
+    order.certificate = `${base}/cert/${order.id}`;
+    order.pem =
+      signCertificate({
+        subject: `/CN=${names[0]}`,
+        publicKey: crypto.createPublicKey({
+          key: csr.spki,
+          format: "der",
+          type: "spki",
+        }),
+        signingKey: issuer.key,
+        issuerCert: issuer.cert,
+        serial: crypto.randomBytes(8).toString("hex"),
+        days: 90,
+        digest: "sha256",
+        profile: { ca: false, keyUsage: ["digitalSignature"], names },
+      }) + issuer.pem;
+    return true;
+  };
+
+  const handle = async (req, res, body) => {
+    const url = `${base}${req.url}`;
+    if (req.url === "/dir") {
+      send(res, 200, {
+        newNonce: `${base}/nonce`,
+        newAccount: `${base}/account`,
+        newOrder: `${base}/order`,
+        meta: { termsOfService: `${base}/terms` },
+      });
+      return;
+    }
+    if (req.url === "/nonce") {
+      send(res, 200, "");
+      return;
+    }
+
+    if (state.badNonces > 0) {
+      state.badNonces -= 1;
+      problem(res, "badNonce", "try again");
+      return;
+    }
+    const { error, jwk, payload } = verify(url, JSON.parse(body));
+    if (error) {
+      problem(res, ...error);
+      return;
+    }
+
+    if (req.url === "/account") {
+      if (!payload.termsOfServiceAgreed) {
+        problem(
+          res,
+          "userActionRequired",
+          "agree to the terms of service",
+          403
+        );
+        return;
+      }
+      const accountUrl = `${base}/account/${accounts.size + 1}`;
+      accounts.set(accountUrl, jwk);
+      send(
+        res,
+        201,
+        { status: "valid", contact: payload.contact },
+        {
+          Location: accountUrl,
+        }
+      );
+      return;
+    }
+    if (req.url === "/order") {
+      const id = orders.size + 1;
+      const order = {
+        id,
+        identifiers: payload.identifiers,
+        authorizations: payload.identifiers.map(({ value }, index) => {
+          const authorizationUrl = `${base}/authz/${id}/${index}`;
+          const token = crypto.randomBytes(16).toString("base64url");
+          authorizations.set(authorizationUrl, {
+            identifier: { type: "dns", value: value.replace(/^\*\./, "") },
+            wildcard: value.startsWith("*.") || undefined,
+            status: "pending",
+            challenges: ["http-01", "dns-01"]
+              .filter((type) => type === "dns-01" || !value.startsWith("*."))
+              .map((type) => ({
+                type,
+                url: `${authorizationUrl}/${type}`,
+                token,
+                status: "pending",
+              })),
+          });
+          return authorizationUrl;
+        }),
+        finalize: `${base}/finalize/${id}`,
+      };
+      orders.set(id, order);
+      send(
+        res,
+        201,
+        { ...order, status: orderStatus(order) },
+        {
+          Location: `${base}/orders/${id}`,
+        }
+      );
+      return;
+    }
+
+    const [, kind, id, index, type] = req.url.split("/");
+    const order = orders.get(Number(id));
+    if (kind === "authz" && !type) {
+      send(res, 200, authorizations.get(url));
+      return;
+    }
+    if (kind === "authz") {
+      const authorization = authorizations.get(`${base}/authz/${id}/${index}`);
+      const challenge = authorization.challenges.find((c) => c.type === type);
+      await validate(authorization, challenge, jwk);
+      send(res, 200, challenge);
+      return;
+    }
+    if (kind === "orders") {
+      send(res, 200, { ...order, status: orderStatus(order) });
+      return;
+    }
+    if (kind === "finalize") {
+      if (orderStatus(order) !== "ready") {
+        problem(res, "orderNotReady", "the order is not ready", 403);
+        return;
+      }
+      if (!issue(order, fromBase64url(payload.csr))) {
+        problem(res, "badCSR", "the CSR does not match the order");
+        return;
+      }
+      send(res, 200, { ...order, status: orderStatus(order) });
+      return;
+    }
+    if (kind === "cert") {
+      send(res, 200, order.pem);
+      return;
+    }
+    problem(res, "malformed", `no route ${req.url}`, 404);
+  };
+
+  server.on("request", (req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => handle(req, res, body));
+  });
+
+  return {
+    directoryUrl: `${base}/dir`,
+    issuer,
+    state,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+};
+
+const newKey = (type, options) =>
+  crypto.generateKeyPairSync(type, options).privateKey;
+
+describe("keyAuthorization", () => {
+  it("uses the RFC 7638 thumbprint of the account key", () => {
+    // The example key of RFC 7638 section 3.1
+    const key = crypto.createPublicKey({
+      format: "jwk",
+      key: {
+        kty: "RSA",
+        e: "AQAB",
+        n: "0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4cbbfAAtVT86zwu1RK7aPFFxuhDR1L6tSoc_BJECPebWKRXjBZCiFV4n3oknjhMstn64tZ_2W-5JsGY4Hc5n9yBXArwl93lqt7_RN5w6Cf0h4QyQ5v-65YGjQR0_FDW2QvzqY368QQMicAtaSqzs8KJZgnYb9c7d0zgdAZHzu6qMQvRL5hajrn1n91CbOpbISD08qNLyrdkt-bFTWhAI4vMQFh6WeZu0fM4lFd2NcRwr3XPksINHaQ-G_xBniIqbw0Ls1jF44-csFCur-kEgU8awapJzKnqDKgw",
+      },
+    });
+    assert.equal(
+      keyAuthorization("token", key),
+      "token.NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs"
+    );
+  });
+
+  it("hashes it into the DNS-01 record value", () => {
+    assert.equal(
+      dnsRecordValue("abc"),
+      "ungWv48Bz-pBQUDeXa4iI7ADYaOWF3qctBD_YfIAFa0"
+    );
+  });
+});
+
+describe("obtainCertificate", () => {
+  const dnsRecords = new Map();
+  let acme;
+  let httpPort;
+  let dir;
+
+  before(async () => {
+    httpPort = await freePort();
+    acme = await createFakeAcmeServer({ httpPort, dnsRecords });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-acme-"));
+  });
+
+  after(async () => {
+    await acme.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const clientFor = (accountKey) =>
+    createAcmeClient({
+      directoryUrl: acme.directoryUrl,
+      accountKey,
+      pollInterval: 10,
+    });
+
+  it("gets a certificate over HTTP-01 with a standalone listener", async () => {
+    const privateKey = newKey("ec", { namedCurve: "P-256" });
+    const steps = [];
+    const chain = await obtainCertificate({
+      client: clientFor(newKey("ec", { namedCurve: "P-256" })),
+      names: ["app.example.com", "www.example.com"],
+      solver: standaloneHttpSolver({ port: httpPort, host: "127.0.0.1" }),
+      privateKey,
+      email: "admin@example.com",
+      termsOfServiceAgreed: true,
+      onProgress: (message) => steps.push(message),
+    });
+
+    const files = saveCertificate(dir, { privateKey, chain });
+    const cert = new crypto.X509Certificate(fs.readFileSync(files.certPath));
+    assert.equal(
+      cert.subjectAltName,
+      "DNS:app.example.com, DNS:www.example.com"
+    );
+    assert.ok(cert.verify(acme.issuer.cert.publicKey));
+    assert.ok(cert.checkPrivateKey(privateKey));
+    assert.equal(
+      decodePem(fs.readFileSync(files.fullchainPath, "utf8")).length,
+      2
+    );
+    assert.equal(fs.readFileSync(files.chainPath, "utf8"), acme.issuer.pem);
+    assert.equal(fs.statSync(files.keyPath).mode & 0o777, 0o600);
+    assert.match(steps.at(-1), /Downloading/);
+  });
+
+  it("gets a wildcard certificate over DNS-01 with an RSA account", async () => {
+    const published = [];
+    const solver = {
+      type: "dns-01",
+      prepare: async ({ dnsName, dnsValue }) => {
+        published.push(dnsName);
+        dnsRecords.set(dnsName, dnsValue);
+      },
+      cleanup: async ({ dnsName }) => dnsRecords.delete(dnsName),
+    };
+    const privateKey = newKey("rsa", { modulusLength: 2048 });
+    const chain = await obtainCertificate({
+      client: clientFor(newKey("rsa", { modulusLength: 2048 })),
+      names: ["*.example.org"],
+      solver,
+      privateKey,
+      termsOfServiceAgreed: true,
+    });
+    const cert = new crypto.X509Certificate(chain);
+    assert.equal(cert.subjectAltName, "DNS:*.example.org");
+    assert.deepEqual(published, ["_acme-challenge.example.org"]);
+    assert.equal(dnsRecords.size, 0);
+  });
+
+  it("reports the reason of a failed challenge and cleans up", async () => {
+    let cleaned = false;
+    await assert.rejects(
+      obtainCertificate({
+        client: clientFor(newKey("ec", { namedCurve: "P-384" })),
+        names: ["bad.example.com"],
+        solver: {
+          type: "dns-01",
+          prepare: async () => {},
+          cleanup: async () => {
+            cleaned = true;
+          },
+        },
+        privateKey: newKey("ec", { namedCurve: "P-256" }),
+        termsOfServiceAgreed: true,
+      }),
+      (error) =>
+        error.code === "ERR_ACME" &&
+        /Incorrect dns-01 response for bad\.example\.com/.test(error.message) &&
+        error.problem.type === "urn:ietf:params:acme:error:unauthorized"
+    );
+    assert.equal(cleaned, true);
+  });
+
+  it("refuses to register without agreeing to the terms of service", async () => {
+    await assert.rejects(
+      clientFor(newKey("ec", { namedCurve: "P-256" })).register({}),
+      (error) =>
+        error.code === "ERR_ACME" && /terms of service/.test(error.message)
+    );
+  });
+
+  it("retries a request the server rejects with badNonce", async () => {
+    const client = clientFor(newKey("ec", { namedCurve: "P-256" }));
+    acme.state.badNonces = 1;
+    const account = await client.register({ termsOfServiceAgreed: true });
+    assert.equal(account.status, "valid");
+    assert.equal(acme.state.badNonces, 0);
+  });
+});
+
+describe("webrootHttpSolver", () => {
+  it("writes the key authorization where the web server serves it", async () => {
+    const webroot = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-webroot-"));
+    const solver = webrootHttpSolver(webroot);
+    const task = { token: "abc_DEF-123", keyAuthorization: "abc_DEF-123.xyz" };
+    const file = path.join(webroot, ".well-known/acme-challenge/abc_DEF-123");
+    try {
+      await solver.prepare(task);
+      assert.equal(fs.readFileSync(file, "utf8"), "abc_DEF-123.xyz");
+      await solver.cleanup(task);
+      assert.equal(fs.existsSync(file), false);
+    } finally {
+      fs.rmSync(webroot, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,192 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import * as api from "../lib/api.js";
+import { loadConfig } from "../lib/config.js";
+
+const { SslCliError, createCA, createCert, inspect, listCAs, listCerts } = api;
+
+// Check that a call throws an SslCliError with a code, and return the error
+const throwsCode = (fn, code) => {
+  let thrown;
+  assert.throws(fn, (error) => {
+    thrown = error;
+    return error instanceof SslCliError && error.code === code;
+  });
+  return thrown;
+};
+
+describe("package entry point", () => {
+  it("resolves to the programmatic API", async () => {
+    const pkg = await import("@krish-59/ssl-cli");
+    assert.equal(pkg.createCert, createCert);
+    assert.equal(pkg.SslCliError, SslCliError);
+  });
+
+  it("exports the functions of each area", () => {
+    for (const name of [
+      "createCA",
+      "createCert",
+      "listCAs",
+      "listCerts",
+      "inspect",
+      "obtainCertificate",
+      "dnsProviderSolver",
+      "runPreflight",
+      "detectPlatform",
+      "loadSiteSpec",
+      "applySiteConfig",
+      "rollbackSite",
+      "renderServerConfig",
+    ]) {
+      assert.equal(typeof api[name], "function", name);
+    }
+  });
+});
+
+describe("createCA, createCert, listCerts and inspect", () => {
+  let dir;
+  let store;
+  let passphraseFile;
+  const saved = {};
+  const variables = ["XDG_CONFIG_HOME", "SSL_CLI_STORE", "SSL_CLI_KEY_TYPE"];
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-api-"));
+    store = path.join(dir, "certs");
+    passphraseFile = path.join(dir, "passphrase");
+    fs.writeFileSync(passphraseFile, "correct horse\n");
+    variables.forEach((name) => {
+      saved[name] = process.env[name];
+    });
+    process.env.XDG_CONFIG_HOME = path.join(dir, "config");
+    process.env.SSL_CLI_STORE = store;
+    process.env.SSL_CLI_KEY_TYPE = "ec:P-256";
+    loadConfig({ reload: true });
+  });
+
+  after(() => {
+    variables.forEach((name) => {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    });
+    loadConfig({ reload: true });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("creates a CA and issues a certificate from it", () => {
+    const ca = createCA({ commonName: "API Test CA", passphraseFile });
+    assert.equal(ca.name, "default");
+    assert.equal(ca.default, true);
+    assert.equal(ca.certPath, path.join(store, "myCA.pem"));
+    assert.equal(ca.certificate.subject, "CN=API Test CA");
+
+    const cert = createCert({
+      names: "app.test, 127.0.0.1",
+      caPassphraseFile: passphraseFile,
+    });
+    assert.deepEqual(cert.names, ["app.test", "127.0.0.1"]);
+    assert.equal(cert.certPath, path.join(store, "app.test.crt"));
+    assert.equal(cert.fullchainPath, null);
+    assert.equal(cert.keyType, "ec:P-256");
+    assert.deepEqual(cert.ca, {
+      name: "default",
+      certPath: ca.certPath,
+      intermediate: false,
+    });
+
+    assert.deepEqual(
+      listCerts().map(({ file }) => file),
+      ["app.test.crt", "myCA.pem"]
+    );
+    const { type, items } = inspect(cert.certPath);
+    assert.equal(type, "certificate");
+    assert.deepEqual(items[0].subjectAltNames, [
+      "DNS:app.test",
+      "IP:127.0.0.1",
+    ]);
+  });
+
+  it("keeps named CAs next to the default one", () => {
+    const qa = createCA({ name: "qa", passphrase: "secret" });
+    assert.equal(qa.dir, path.join(store, "cas", "qa"));
+    assert.equal(qa.default, false);
+    assert.equal(qa.madeDefault, false);
+    createCert({ names: ["qa.test"], ca: "qa", caPassphrase: "secret" });
+    assert.deepEqual(
+      listCAs().map(({ name, certificates }) => [name, certificates]),
+      [
+        ["default", 1],
+        ["qa", 1],
+      ]
+    );
+  });
+
+  it("refuses to replace files unless asked to", () => {
+    const error = throwsCode(
+      () => createCA({ passphraseFile }),
+      "ERR_FILE_EXISTS"
+    );
+    assert.deepEqual(error.files, [
+      path.join(store, "myCA.pem"),
+      path.join(store, "myCA.key"),
+    ]);
+    const serial = inspect(path.join(store, "app.test.crt")).items[0]
+      .serialNumber;
+    throwsCode(
+      () => createCert({ names: "app.test", caPassphraseFile: passphraseFile }),
+      "ERR_FILE_EXISTS"
+    );
+    createCert({
+      names: "app.test",
+      caPassphraseFile: passphraseFile,
+      overwrite: true,
+    });
+    assert.notEqual(
+      inspect(path.join(store, "app.test.crt")).items[0].serialNumber,
+      serial
+    );
+  });
+
+  it("reports each problem with a stable code", () => {
+    const invalid = throwsCode(
+      () => createCert({ names: ["ok.test", "bad_name.test"] }),
+      "ERR_INVALID_NAME"
+    );
+    assert.equal(invalid.errors.length, 1);
+    throwsCode(
+      () => createCert({ names: "x.test", days: 0 }),
+      "ERR_INVALID_OPTION"
+    );
+    throwsCode(
+      () => createCert({ names: "x.test", ca: "../qa" }),
+      "ERR_INVALID_OPTION"
+    );
+    throwsCode(
+      () => createCert({ names: "x.test", ca: "prod" }),
+      "ERR_CA_NOT_FOUND"
+    );
+    throwsCode(
+      () => createCert({ names: "x.test" }),
+      "ERR_PASSPHRASE_REQUIRED"
+    );
+    throwsCode(
+      () => createCert({ names: "x.test", caPassphraseFile: "/nonexistent" }),
+      "ERR_FILE_NOT_FOUND"
+    );
+    throwsCode(() => createCA({ name: "prod" }), "ERR_PASSPHRASE_REQUIRED");
+    throwsCode(
+      () => inspect(path.join(dir, "missing.pem")),
+      "ERR_FILE_NOT_FOUND"
+    );
+    throwsCode(() => inspect(passphraseFile), "ERR_INVALID_FILE");
+    // Nothing was written for the failed calls
+    assert.equal(fs.existsSync(path.join(store, "x.test.key")), false);
+    assert.equal(fs.existsSync(path.join(store, "cas", "prod")), false);
+  });
+});
@@ -0,0 +1,202 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  CLASS,
+  TAGS,
+  decode,
+  decodeAll,
+  encode,
+  encodeBitString,
+  encodeBoolean,
+  encodeExplicit,
+  encodeImplicit,
+  encodeInteger,
+  encodeNull,
+  encodeOid,
+  encodeSequence,
+  encodeSet,
+  encodeString,
+  encodeTime,
+  is,
+  toBigInt,
+  toBits,
+  toDate,
+  toOid,
+  toText,
+} from "../lib/asn1.js";
+
+describe("INTEGER", () => {
+  it("round-trips serial-sized values", () => {
+    for (const value of [
+      0n,
+      1n,
+      127n,
+      128n,
+      255n,
+      256n,
+      0x7fffffffffffffffffffffffffffffffn,
+      0x80000000000000000000000000000000n,
+      (1n << 159n) + 12345n,
+    ]) {
+      assert.equal(toBigInt(decodeAll(encodeInteger(value))), value);
+    }
+  });
+
+  it("keeps values with the high bit set positive", () => {
+    assert.equal(encodeInteger(128).toString("hex"), "02020080");
+    assert.equal(
+      encodeInteger(Buffer.from("ff01", "hex")).toString("hex"),
+      "020300ff01"
+    );
+  });
+
+  it("drops redundant leading zeros", () => {
+    assert.equal(
+      encodeInteger(Buffer.from("00000102", "hex")).toString("hex"),
+      "02020102"
+    );
+    assert.equal(encodeInteger(0).toString("hex"), "020100");
+  });
+
+  it("reads negative values in two's complement", () => {
+    assert.equal(toBigInt(decodeAll(Buffer.from("0201ff", "hex"))), -1n);
+    assert.equal(toBigInt(decodeAll(Buffer.from("02020080", "hex"))), 128n);
+  });
+});
+
+describe("OBJECT IDENTIFIER", () => {
+  it("round-trips arcs of one and several bytes", () => {
+    for (const oid of [
+      "2.5.29.17",
+      "1.2.840.113549.1.1.11",
+      "1.3.6.1.4.1.11129.2.4.2",
+      "2.16.840.1.101.3.4.1.42",
+      "0.9.2342.19200300.100.1.25",
+    ]) {
+      assert.equal(toOid(decodeAll(encodeOid(oid))), oid);
+    }
+  });
+
+  it("encodes the way X.690 does", () => {
+    assert.equal(
+      encodeOid("1.2.840.113549.1.1.11").toString("hex"),
+      "06092a864886f70d01010b"
+    );
+  });
+});
+
+describe("times", () => {
+  it("uses UTCTime until 2049 and GeneralizedTime after", () => {
+    const before = decodeAll(encodeTime(new Date("2049-12-31T23:59:59Z")));
+    const after = decodeAll(encodeTime(new Date("2050-01-01T00:00:00Z")));
+    assert.equal(before.tag, TAGS.UTC_TIME);
+    assert.equal(before.value.toString(), "491231235959Z");
+    assert.equal(after.tag, TAGS.GENERALIZED_TIME);
+    assert.equal(after.value.toString(), "20500101000000Z");
+  });
+
+  it("round-trips dates and drops milliseconds", () => {
+    for (const iso of [
+      "1999-06-01T12:00:00.000Z",
+      "2026-10-18T15:42:23.000Z",
+      "2071-03-04T05:06:07.000Z",
+    ]) {
+      assert.equal(
+        toDate(decodeAll(encodeTime(new Date(iso)))).toISOString(),
+        iso
+      );
+    }
+    assert.equal(
+      toDate(
+        decodeAll(encodeTime(new Date("2026-10-18T15:42:23.789Z")))
+      ).toISOString(),
+      "2026-10-18T15:42:23.000Z"
+    );
+  });
+
+  it("rejects times with an offset", () => {
+    assert.throws(
+      () =>
+        toDate(
+          decodeAll(encode(TAGS.UTC_TIME, Buffer.from("2610181542+0200")))
+        ),
+      /Unsupported time value/
+    );
+  });
+});
+
+describe("strings", () => {
+  it("reads UTF8String, IA5String and BMPString", () => {
+    assert.equal(
+      toText(decodeAll(encodeString(TAGS.UTF8_STRING, "Zürich ✓"))),
+      "Zürich ✓"
+    );
+    assert.equal(
+      toText(decodeAll(encodeString(TAGS.IA5_STRING, "ops@example.com"))),
+      "ops@example.com"
+    );
+    assert.equal(
+      toText(
+        decodeAll(encode(TAGS.BMP_STRING, Buffer.from("00410107", "hex")))
+      ),
+      "Ać"
+    );
+  });
+});
+
+describe("structures", () => {
+  it("decodes nested elements with their class and tag", () => {
+    const der = encodeSequence([
+      encodeExplicit(0, encodeInteger(2)),
+      encodeImplicit(2, Buffer.from("app.test")),
+      encodeBoolean(true),
+      encodeNull(),
+      encodeBitString(Buffer.from([0x86]), 1),
+    ]);
+    const [explicit, implicit, bool, nul, bits] = decodeAll(der).children;
+    assert.ok(is(explicit, 0, CLASS.CONTEXT));
+    assert.equal(toBigInt(explicit.children[0]), 2n);
+    assert.ok(is(implicit, 2, CLASS.CONTEXT));
+    assert.equal(implicit.constructed, false);
+    assert.equal(implicit.value.toString(), "app.test");
+    assert.equal(bool.value[0], 0xff);
+    assert.ok(is(nul, TAGS.NULL));
+    assert.deepEqual(toBits(bits), {
+      unusedBits: 1,
+      bytes: Buffer.from([0x86]),
+    });
+  });
+
+  it("uses the long length form above 127 bytes", () => {
+    const content = Buffer.alloc(300, 0x61);
+    const der = encode(TAGS.OCTET_STRING, content);
+    assert.equal(der.subarray(0, 4).toString("hex"), "0482012c");
+    assert.deepEqual(decodeAll(der).value, content);
+  });
+
+  it("sorts the elements of a SET", () => {
+    const set = decodeAll(encodeSet([encodeInteger(3), encodeInteger(1)]));
+    assert.deepEqual(set.children.map(toBigInt), [1n, 3n]);
+  });
+
+  it("reads high tag numbers", () => {
+    const node = decode(Buffer.from("9f810000", "hex"));
+    assert.equal(node.tag, 128);
+    assert.equal(node.cls, CLASS.CONTEXT);
+  });
+
+  it("rejects truncated data and trailing bytes", () => {
+    assert.throws(
+      () => decodeAll(Buffer.from("300502", "hex")),
+      /Truncated ASN.1 data/
+    );
+    assert.throws(
+      () => decodeAll(Buffer.from("05000500", "hex")),
+      /Unexpected data after ASN.1 structure/
+    );
+    assert.throws(
+      () => decodeAll(Buffer.from("0480", "hex")),
+      /Unsupported ASN.1 length encoding/
+    );
+  });
+});
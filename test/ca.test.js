@@ -0,0 +1,374 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { after, afterEach, before, beforeEach, describe, it } from "node:test";
+import {
+  DEFAULT_CA_NAME,
+  getCADir,
+  getCAPaths,
+  getIssuerChain,
+  getLocalCACertPaths,
+  getSigningCA,
+  getTrustedName,
+  listCAs,
+  validateCAName,
+  writeFullChain,
+} from "../lib/ca.js";
+import { readCertificate } from "../lib/certs.js";
+import { createSelfSignedCA, issueCertificate } from "../lib/issue.js";
+import { generateKey } from "../lib/keys.js";
+import { decodePem } from "../lib/pem.js";
+import { parseCertificate } from "../lib/x509.js";
+
+const cli = fileURLToPath(new URL("../index.js", import.meta.url));
+
+// Extensions of a certificate file by name
+const extensionsOf = (certPath) =>
+  Object.fromEntries(
+    parseCertificate(readCertificate(certPath).raw).extensions.map((ext) => [
+      ext.name,
+      ext,
+    ])
+  );
+
+describe("intermediate CA", () => {
+  let dir;
+  let root;
+  let intermediate;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-ca-"));
+    ({ root, intermediate } = getCAPaths(dir));
+    generateKey(root.keyPath, { keyType: "ec:P-256" });
+    createSelfSignedCA({ ...root, subject: "/CN=Test Root CA", days: 30 });
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Sign an intermediate CA with the root
+  const createIntermediate = () => {
+    generateKey(intermediate.keyPath, { keyType: "ec:P-256" });
+    issueCertificate({
+      profile: "intermediate",
+      keyPath: intermediate.keyPath,
+      certPath: intermediate.certPath,
+      subject: "/CN=Test Issuing CA",
+      caCertPath: root.certPath,
+      caKeyPath: root.keyPath,
+      days: 20,
+    });
+  };
+
+  // Sign a leaf for app.test with the CA getSigningCA() picks
+  const issueLeaf = () => {
+    const ca = getSigningCA(dir);
+    const certPath = path.join(dir, "app.test.crt");
+    const keyPath = path.join(dir, "app.test.key");
+    generateKey(keyPath, { keyType: "ec:P-256" });
+    issueCertificate({
+      keyPath,
+      certPath,
+      subject: "/CN=app.test",
+      names: ["app.test"],
+      caCertPath: ca.certPath,
+      caKeyPath: ca.keyPath,
+      days: 10,
+    });
+    return { ca, certPath };
+  };
+
+  it("lets the intermediate sign leaves but no further CAs", () => {
+    createIntermediate();
+    const { basicConstraints, keyUsage } = extensionsOf(intermediate.certPath);
+    assert.deepEqual(basicConstraints.value, { ca: true, pathLen: 0 });
+    assert.equal(basicConstraints.critical, true);
+    assert.ok(keyUsage.value.includes("keyCertSign"));
+    assert.ok(
+      readCertificate(intermediate.certPath).verify(
+        readCertificate(root.certPath).publicKey
+      )
+    );
+  });
+
+  it("signs with the root until there is an intermediate", () => {
+    assert.deepEqual(getSigningCA(dir), { ...root, intermediate: false });
+    assert.deepEqual(getLocalCACertPaths(dir), [root.certPath]);
+    createIntermediate();
+    assert.deepEqual(getSigningCA(dir), {
+      ...intermediate,
+      intermediate: true,
+    });
+    assert.deepEqual(getLocalCACertPaths(dir), [
+      root.certPath,
+      intermediate.certPath,
+    ]);
+  });
+
+  it("chains a leaf to the intermediate and the root", () => {
+    createIntermediate();
+    const { certPath } = issueLeaf();
+    const fullchainPath = path.join(dir, "app.test.fullchain.pem");
+    writeFullChain(fullchainPath, certPath, intermediate.certPath);
+
+    const blocks = decodePem(fs.readFileSync(fullchainPath, "latin1"));
+    assert.deepEqual(
+      blocks.map(({ der }) => der),
+      [certPath, intermediate.certPath].map((file) => readCertificate(file).raw)
+    );
+    assert.deepEqual(
+      getIssuerChain(readCertificate(certPath), getLocalCACertPaths(dir)).map(
+        (cert) => cert.subject
+      ),
+      ["CN=Test Issuing CA", "CN=Test Root CA"]
+    );
+  });
+
+  it("finds no chain for certificates of other CAs", () => {
+    const other = path.join(dir, "other");
+    fs.mkdirSync(other);
+    const { root: otherRoot } = getCAPaths(other);
+    generateKey(otherRoot.keyPath, { keyType: "ec:P-256" });
+    createSelfSignedCA({ ...otherRoot, subject: "/CN=Other CA", days: 1 });
+    assert.deepEqual(
+      getIssuerChain(readCertificate(otherRoot.certPath), [root.certPath]),
+      []
+    );
+  });
+});
+
+describe("create-intermediate-ca", () => {
+  let dir;
+  let store;
+  let passphraseFile;
+
+  // Run the CLI without a terminal, with its settings and certificates in dir
+  const run = (...args) =>
+    spawnSync(process.execPath, [cli, ...args], {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "pipe"],
+      env: {
+        ...process.env,
+        XDG_CONFIG_HOME: path.join(dir, "config"),
+        SSL_CLI_STORE: store,
+        SSL_CLI_OUTPUT_COLOR: "false",
+      },
+    });
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-ca-"));
+    store = path.join(dir, "certs");
+    passphraseFile = path.join(dir, "passphrase");
+    fs.writeFileSync(passphraseFile, "correct horse\n");
+    const { status, stdout } = run(
+      "create-local-ca",
+      "--yes",
+      "--key-type",
+      "ec:P-256",
+      "--passphrase-file",
+      passphraseFile
+    );
+    assert.equal(status, 0, stdout);
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("needs the root passphrase without a terminal", () => {
+    const { status, stdout } = run(
+      "create-intermediate-ca",
+      "--yes",
+      "--no-encrypt"
+    );
+    assert.equal(status, 1);
+    assert.match(stdout, /Pass --ca-passphrase-file/);
+    assert.equal(fs.existsSync(path.join(store, "intermediateCA.pem")), false);
+  });
+
+  it("makes create-cert sign with the intermediate and write a full chain", () => {
+    const created = run(
+      "create-intermediate-ca",
+      "--yes",
+      "--no-encrypt",
+      "--cn",
+      "Test Issuing CA",
+      "--key-type",
+      "ec:P-256",
+      "--ca-passphrase-file",
+      passphraseFile
+    );
+    assert.equal(created.status, 0, created.stdout);
+
+    // The intermediate key is not encrypted, so no passphrase is needed
+    const { status, stdout } = run(
+      "create-cert",
+      "--yes",
+      "-d",
+      "app.test",
+      "--key-type",
+      "ec:P-256"
+    );
+    assert.equal(status, 0, stdout);
+    assert.match(stdout, /app\.test\.fullchain\.pem/);
+    const certPath = path.join(store, "app.test.crt");
+    assert.equal(readCertificate(certPath).issuer, "CN=Test Issuing CA");
+    assert.equal(
+      decodePem(
+        fs.readFileSync(path.join(store, "app.test.fullchain.pem"), "latin1")
+      ).length,
+      2
+    );
+  });
+});
+
+describe("CA names", () => {
+  it("only accepts path-safe names", () => {
+    assert.equal(validateCAName("qa-2_east"), null);
+    for (const name of ["", "../qa", "qa/prod", "-qa", "q a", "x".repeat(65)]) {
+      assert.match(validateCAName(name), /Invalid CA name/);
+    }
+  });
+
+  it("keeps the default CA in the store and named CAs under cas/", () => {
+    assert.equal(getCADir("/certs"), "/certs");
+    assert.equal(getCADir("/certs", DEFAULT_CA_NAME), "/certs");
+    assert.equal(getCADir("/certs", "qa"), path.join("/certs", "cas", "qa"));
+    assert.equal(getTrustedName(), "myCA");
+    assert.equal(getTrustedName("qa"), "ssl-cli-qa");
+  });
+
+  it("lists the CAs that have a root", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-ca-"));
+    try {
+      for (const name of ["qa", DEFAULT_CA_NAME]) {
+        const { root } = getCAPaths(getCADir(dir, name));
+        fs.mkdirSync(path.dirname(root.certPath), { recursive: true });
+        generateKey(root.keyPath, { keyType: "ec:P-256" });
+        createSelfSignedCA({ ...root, subject: `/CN=${name} CA`, days: 1 });
+      }
+      // Directories without a root CA, or with invalid names, are skipped
+      fs.mkdirSync(path.join(dir, "cas", "empty"));
+      fs.mkdirSync(path.join(dir, "cas", "not valid"));
+
+      const cas = listCAs(dir, "qa");
+      assert.deepEqual(
+        cas.map(({ name, default: isDefault, dir: caDir }) => [
+          name,
+          isDefault,
+          caDir,
+        ]),
+        [
+          [DEFAULT_CA_NAME, false, dir],
+          ["qa", true, path.join(dir, "cas", "qa")],
+        ]
+      );
+      assert.equal(cas[1].root.subject, "CN=qa CA");
+      assert.equal(cas[1].intermediate, null);
+      assert.equal(cas[1].certificates, 0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("named CAs", () => {
+  let dir;
+  let store;
+  let passphraseFile;
+
+  // Run the CLI without a terminal, with its settings and certificates in dir
+  const run = (...args) =>
+    spawnSync(process.execPath, [cli, ...args], {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "pipe"],
+      env: {
+        ...process.env,
+        XDG_CONFIG_HOME: path.join(dir, "config"),
+        SSL_CLI_STORE: store,
+        SSL_CLI_OUTPUT_COLOR: "false",
+      },
+    });
+  const createLocalCA = (...args) =>
+    run(
+      "create-local-ca",
+      "--yes",
+      "--key-type",
+      "ec:P-256",
+      "--passphrase-file",
+      passphraseFile,
+      ...args
+    );
+  const createCert = (...args) =>
+    run(
+      "create-cert",
+      "--yes",
+      "--key-type",
+      "ec:P-256",
+      "--ca-passphrase-file",
+      passphraseFile,
+      ...args
+    );
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-ca-"));
+    store = path.join(dir, "certs");
+    passphraseFile = path.join(dir, "passphrase");
+    fs.writeFileSync(passphraseFile, "correct horse\n");
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("makes the first CA the default one", () => {
+    const { status, stdout } = createLocalCA("--name", "qa");
+    assert.equal(status, 0, stdout);
+    assert.match(stdout, /"qa" is now the default CA/);
+    assert.ok(fs.existsSync(path.join(store, "cas", "qa", "myCA.pem")));
+    assert.equal(run("default-ca").stdout.trim(), "qa");
+
+    // Certificates go to the directory of the default CA
+    assert.equal(createCert("-d", "qa.test").status, 0);
+    assert.ok(fs.existsSync(path.join(store, "cas", "qa", "qa.test.crt")));
+  });
+
+  it("keeps each CA's certificates apart", () => {
+    assert.equal(createLocalCA("--name", "default").status, 0);
+    assert.equal(run("default-ca").stdout.trim(), "qa");
+    assert.equal(createCert("-d", "app.test", "--ca", "default").status, 0);
+    assert.ok(fs.existsSync(path.join(store, "app.test.crt")));
+    assert.equal(
+      fs.existsSync(path.join(store, "cas", "qa", "app.test.crt")),
+      false
+    );
+
+    const cas = JSON.parse(run("list-cas", "--json").stdout);
+    assert.deepEqual(
+      cas.map(({ name, default: isDefault, certificates }) => [
+        name,
+        isDefault,
+        certificates,
+      ]),
+      [
+        ["default", false, 1],
+        ["qa", true, 1],
+      ]
+    );
+  });
+
+  it("switches the default CA to one that exists", () => {
+    const missing = run("default-ca", "prod");
+    assert.equal(missing.status, 1);
+    assert.match(missing.stdout, /prod/);
+    assert.equal(run("default-ca").stdout.trim(), "qa");
+
+    assert.equal(run("default-ca", "default").status, 0);
+    assert.equal(run("default-ca").stdout.trim(), "default");
+  });
+
+  it("rejects invalid CA names", () => {
+    const { status, stderr } = createLocalCA("--name", "../qa");
+    assert.notEqual(status, 0);
+    assert.match(stderr, /Invalid CA name/);
+    assert.equal(fs.existsSync(path.join(store, "qa")), false);
+  });
+});
@@ -0,0 +1,218 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { checkOpenSSL } from "../utils.js";
+import {
+  findDatabaseEntry,
+  generateCrl,
+  getDatabasePaths,
+  nextSerial,
+  normalizeSerial,
+  openDatabase,
+  readIndex,
+  revocationBaseUrlOf,
+  revocationUrls,
+  revokeSerial,
+} from "../lib/cadb.js";
+import { readCertificate } from "../lib/certs.js";
+import { createSelfSignedCA, issueCertificate } from "../lib/issue.js";
+import { generateKey } from "../lib/keys.js";
+
+const skip = !checkOpenSSL() && "openssl is not installed";
+
+describe("normalizeSerial", () => {
+  it("accepts the forms OpenSSL and Node print", () => {
+    for (const input of ["0x1a2b", "1A:2B", "1a2b", "001A2B", " 1A 2B "]) {
+      assert.equal(normalizeSerial(input), "1A2B");
+    }
+    assert.equal(normalizeSerial("abc"), "0ABC");
+    assert.equal(normalizeSerial("0"), "00");
+  });
+});
+
+describe("CA database", () => {
+  let dir;
+  let caCertPath;
+  let caKeyPath;
+
+  // Write a key and a leaf certificate for a name, signed by the CA
+  const issue = (name, options = {}) => {
+    const keyPath = path.join(dir, `${name}.key`);
+    const certPath = path.join(dir, `${name}.pem`);
+    generateKey(keyPath, { keyType: "ec:P-256" });
+    issueCertificate({
+      keyPath,
+      certPath,
+      subject: `/CN=${name}`,
+      names: [name],
+      caCertPath,
+      caKeyPath,
+      days: 1,
+      ...options,
+    });
+    return readCertificate(certPath);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-cadb-"));
+    caCertPath = path.join(dir, "myCA.pem");
+    caKeyPath = path.join(dir, "myCA.key");
+    generateKey(caKeyPath, { keyType: "ec:P-256" });
+    createSelfSignedCA({
+      keyPath: caKeyPath,
+      certPath: caCertPath,
+      subject: "/CN=Test CA",
+      days: 2,
+    });
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("keeps its files under ca-db, named after the CA", () => {
+    const db = openDatabase(caCertPath);
+    assert.deepEqual(db, getDatabasePaths(caCertPath));
+    assert.equal(db.dir, path.join(dir, "ca-db", "myCA"));
+    assert.equal(
+      fs.readFileSync(db.fingerprint, "utf8").trim(),
+      readCertificate(caCertPath).fingerprint256
+    );
+    assert.match(fs.readFileSync(db.serial, "utf8"), /^[1-7][0-9A-F]{31}\n$/);
+  });
+
+  it("hands out consecutive serials", () => {
+    const db = openDatabase(caCertPath);
+    const first = nextSerial(db);
+    const second = nextSerial(db);
+    assert.equal(BigInt(`0x${second}`), BigInt(`0x${first}`) + 1n);
+  });
+
+  it("records issued certificates with their serial and subject", () => {
+    const cert = issue("app.test");
+    const [entry] = readIndex(getDatabasePaths(caCertPath));
+    assert.equal(entry.status, "valid");
+    assert.equal(entry.serial, normalizeSerial(cert.serialNumber));
+    assert.equal(entry.subject, "/CN=app.test");
+    assert.equal(entry.notAfter, new Date(cert.validTo).toISOString());
+    assert.equal(entry.revokedAt, null);
+  });
+
+  it("imports certificates issued before it existed", () => {
+    issue("app.test");
+    fs.rmSync(path.join(dir, "ca-db"), { recursive: true });
+    fs.writeFileSync(path.join(dir, "myCA.srl"), "01\n");
+    const entries = readIndex(openDatabase(caCertPath));
+    assert.deepEqual(
+      entries.map((entry) => entry.subject),
+      ["/CN=app.test"]
+    );
+    assert.ok(!fs.existsSync(path.join(dir, "myCA.srl")));
+  });
+
+  it("starts over when the CA is recreated", () => {
+    issue("app.test");
+    generateKey(caKeyPath, { keyType: "ec:P-256" });
+    createSelfSignedCA({
+      keyPath: caKeyPath,
+      certPath: caCertPath,
+      subject: "/CN=Test CA",
+      days: 2,
+    });
+    // The old leaf was signed by the old key, so it is not imported
+    const db = openDatabase(caCertPath);
+    assert.equal(
+      fs.readFileSync(db.fingerprint, "utf8").trim(),
+      readCertificate(caCertPath).fingerprint256
+    );
+    assert.deepEqual(readIndex(db), []);
+  });
+
+  it("revokes a serial with a reason, once", () => {
+    const cert = issue("app.test");
+    const db = getDatabasePaths(caCertPath);
+    const entry = revokeSerial(db, cert.serialNumber, "keyCompromise");
+    assert.equal(entry.status, "revoked");
+    assert.equal(entry.reason, "keyCompromise");
+    assert.ok(Date.now() - new Date(entry.revokedAt).getTime() < 60000);
+    assert.throws(
+      () => revokeSerial(db, cert.serialNumber),
+      /is already revoked/
+    );
+    assert.throws(() => revokeSerial(db, "01"), /is not in the database/);
+    assert.throws(
+      () => revokeSerial(db, cert.serialNumber, "stolen"),
+      /Unknown revocation reason: stolen/
+    );
+  });
+
+  it("finds the CA that issued a serial", () => {
+    const cert = issue("app.test");
+    const found = findDatabaseEntry(
+      [caCertPath],
+      cert.serialNumber.toLowerCase()
+    );
+    assert.equal(found.caCertPath, caCertPath);
+    assert.equal(found.entry.subject, "/CN=app.test");
+    assert.equal(findDatabaseEntry([caCertPath], "01"), null);
+  });
+
+  it("embeds revocation URLs that lead back to the base URL", () => {
+    const revocation = revocationUrls("http://127.0.0.1:8888/", caCertPath);
+    assert.deepEqual(revocation, {
+      crlUrl: "http://127.0.0.1:8888/crl/myCA.crl",
+      ocspUrl: "http://127.0.0.1:8888/ocsp/myCA",
+    });
+    assert.equal(
+      revocationBaseUrlOf(issue("app.test", { revocation })),
+      "http://127.0.0.1:8888"
+    );
+    assert.equal(revocationBaseUrlOf(issue("plain.test")), null);
+  });
+
+  it("records certificates issued with the openssl backend", { skip }, () => {
+    const native = issue("a.test");
+    const external = issue("b.test", { backend: "openssl" });
+    assert.equal(
+      BigInt(`0x${external.serialNumber}`),
+      BigInt(`0x${native.serialNumber}`) + 1n
+    );
+    assert.ok(external.verify(readCertificate(caCertPath).publicKey));
+    assert.deepEqual(
+      readIndex(getDatabasePaths(caCertPath)).map((entry) => entry.subject),
+      ["/CN=a.test", "/CN=b.test"]
+    );
+  });
+
+  it("lists revoked serials and their reasons in the CRL", { skip }, () => {
+    const revoked = issue("revoked.test");
+    const held = issue("held.test");
+    issue("valid.test");
+    const db = getDatabasePaths(caCertPath);
+    revokeSerial(db, revoked.serialNumber, "keyCompromise");
+    revokeSerial(db, held.serialNumber, "certificateHold");
+
+    const crl = generateCrl({ caCertPath, caKeyPath, days: 7 });
+    assert.equal(crl, db.crl);
+    const text = execFileSync(
+      "openssl",
+      ["crl", "-in", crl, "-CAfile", caCertPath, "-noout", "-text"],
+      { stdio: "pipe" }
+    ).toString();
+    const serials = [...text.matchAll(/Serial Number: ([0-9A-F]+)/g)].map(
+      ([, serial]) => normalizeSerial(serial)
+    );
+    assert.deepEqual(
+      serials.sort(),
+      [
+        normalizeSerial(held.serialNumber),
+        normalizeSerial(revoked.serialNumber),
+      ].sort()
+    );
+    assert.match(text, /Key Compromise/);
+    assert.match(text, /Certificate Hold/);
+    assert.match(text, /X509v3 CRL Number:\s+1\b/);
+    assert.ok(!fs.existsSync(path.join(db.dir, "crl.cnf")));
+  });
+});
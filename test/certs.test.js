@@ -0,0 +1,128 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { after, before, describe, it } from "node:test";
+import { createCA, createCert, listCerts } from "../lib/api.js";
+import { listCertificates, parseSubjectAltName } from "../lib/certs.js";
+
+const cli = fileURLToPath(new URL("../index.js", import.meta.url));
+
+describe("parseSubjectAltName", () => {
+  it("drops the type of each name", () => {
+    assert.deepEqual(
+      parseSubjectAltName("DNS:app.test, DNS:*.app.test, IP Address:127.0.0.1"),
+      ["app.test", "*.app.test", "127.0.0.1"]
+    );
+    assert.deepEqual(parseSubjectAltName(undefined), []);
+  });
+});
+
+describe("list-certs", () => {
+  let dir;
+  let store;
+  let passphraseFile;
+
+  // Run the CLI without a terminal, with its settings and certificates in dir
+  const run = (...args) =>
+    spawnSync(process.execPath, [cli, ...args], {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "pipe"],
+      env: {
+        ...process.env,
+        XDG_CONFIG_HOME: path.join(dir, "config"),
+        SSL_CLI_STORE: store,
+        SSL_CLI_OUTPUT_COLOR: "false",
+      },
+    });
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-certs-"));
+    store = path.join(dir, "certs");
+    passphraseFile = path.join(dir, "passphrase");
+    fs.writeFileSync(passphraseFile, "correct horse\n");
+    const options = { store, keyType: "ec:P-256", passphraseFile };
+    createCA({ ...options, name: "default" });
+    const issue = (names, days) =>
+      createCert({
+        ...options,
+        ca: "default",
+        names,
+        days,
+        caPassphraseFile: passphraseFile,
+      });
+    issue(["soon.test"], 10);
+    issue(["later.test", "127.0.0.1"], 200);
+    // Files that are not certificates are skipped
+    fs.writeFileSync(path.join(store, "notes.pem"), "not a certificate\n");
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("lists the certificates with their names and key files", () => {
+    const certs = listCertificates(store, [path.join(store, "myCA.pem")]);
+    const later = certs.find(({ file }) => file === "later.test.crt");
+    assert.deepEqual(certs.map(({ file }) => file).sort(), [
+      "later.test.crt",
+      "myCA.pem",
+      "soon.test.crt",
+    ]);
+    assert.deepEqual(later.subjectAltNames, ["later.test", "127.0.0.1"]);
+    assert.equal(later.issuedByLocalCA, true);
+    assert.equal(later.keyFile, "later.test.key");
+    assert.equal(later.keyMatches, true);
+    assert.deepEqual(later.key, { type: "ec", size: "prime256v1" });
+  });
+
+  it("filters by expiry and sorts", () => {
+    const expiring = listCerts({ store, ca: "default", expiringWithin: 30 });
+    assert.deepEqual(
+      expiring.map(({ file }) => file),
+      ["soon.test.crt"]
+    );
+    assert.deepEqual(
+      listCerts({ store, ca: "default", sort: "expiry" }).map(
+        ({ file }) => file
+      ),
+      ["soon.test.crt", "later.test.crt", "myCA.pem"]
+    );
+    assert.throws(
+      () => listCerts({ store, ca: "default", sort: "size" }),
+      (error) => error.code === "ERR_INVALID_OPTION"
+    );
+  });
+
+  it("prints the inventory as JSON", () => {
+    const { status, stdout } = run("list-certs", "--json", "--sort", "expiry");
+    assert.equal(status, 0);
+    assert.deepEqual(
+      JSON.parse(stdout).map(({ file }) => file),
+      ["soon.test.crt", "later.test.crt", "myCA.pem"]
+    );
+  });
+
+  it("tells a filter that matches nothing from an empty directory", () => {
+    const filtered = run("list-certs", "--expiring-within", "1w");
+    assert.equal(filtered.status, 0);
+    assert.match(
+      filtered.stdout,
+      /None of the 3 certificate\(s\) in .* expire within 7 days/
+    );
+    assert.match(
+      run("list-certs", "--expiring-within", "12h").stdout,
+      /expire within 12 hours/
+    );
+    assert.match(
+      run("list-certs", "--ca", "qa").stdout,
+      /No certificates found in .*cas\/qa/
+    );
+  });
+
+  it("rejects durations it cannot read", () => {
+    const { status, stderr } = run("list-certs", "--expiring-within", "soon");
+    assert.notEqual(status, 0);
+    assert.match(stderr, /Expected a duration/);
+  });
+});
@@ -0,0 +1,196 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { after, before, describe, it } from "node:test";
+
+const cli = fileURLToPath(new URL("../index.js", import.meta.url));
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validity of a certificate in whole days
+const validityDays = (cert) =>
+  Math.round((new Date(cert.validTo) - new Date(cert.validFrom)) / DAY_MS);
+
+describe("unattended create-local-ca and create-cert", () => {
+  let dir;
+  let store;
+  let passphraseFile;
+
+  // Run the CLI without a terminal, with its settings and certificates in dir
+  const run = (...args) =>
+    spawnSync(process.execPath, [cli, ...args], {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "pipe"],
+      env: {
+        ...process.env,
+        XDG_CONFIG_HOME: path.join(dir, "config"),
+        SSL_CLI_STORE: store,
+        SSL_CLI_OUTPUT_COLOR: "false",
+      },
+    });
+  const readCert = (file) =>
+    new crypto.X509Certificate(fs.readFileSync(path.join(store, file)));
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-cli-"));
+    store = path.join(dir, "certs");
+    passphraseFile = path.join(dir, "passphrase");
+    fs.writeFileSync(passphraseFile, "correct horse\n");
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("needs a passphrase file for the CA key", () => {
+    const { status, stdout } = run("create-local-ca", "--yes");
+    assert.equal(status, 1);
+    assert.match(stdout, /--passphrase-file is required/);
+    assert.equal(fs.existsSync(path.join(store, "myCA.key")), false);
+  });
+
+  it("creates the CA from its flags", () => {
+    const { status, stdout } = run(
+      "create-local-ca",
+      "--yes",
+      "--cn",
+      "Flags Test CA",
+      "--days",
+      "30",
+      "--key-type",
+      "ec:P-256",
+      "--passphrase-file",
+      passphraseFile
+    );
+    assert.equal(status, 0, stdout);
+    const cert = readCert("myCA.pem");
+    assert.equal(cert.subject, "CN=Flags Test CA");
+    assert.equal(cert.ca, true);
+    assert.equal(validityDays(cert), 30);
+    assert.match(
+      fs.readFileSync(path.join(store, "myCA.key"), "utf8"),
+      /ENCRYPTED PRIVATE KEY/
+    );
+  });
+
+  it("keeps an existing CA without a terminal, unless --force is given", () => {
+    const args = [
+      "create-local-ca",
+      "--cn",
+      "Replaced CA",
+      "--key-type",
+      "ec:P-256",
+      "--passphrase-file",
+      passphraseFile,
+    ];
+    const kept = run(...args);
+    assert.equal(kept.status, 1);
+    assert.match(kept.stdout, /Use --force to overwrite them/);
+    assert.equal(readCert("myCA.pem").subject, "CN=Flags Test CA");
+
+    assert.equal(run(...args, "--force").status, 0);
+    assert.equal(readCert("myCA.pem").subject, "CN=Replaced CA");
+  });
+
+  it("needs a domain and the CA passphrase", () => {
+    const noDomain = run("create-cert", "--yes");
+    assert.equal(noDomain.status, 1);
+    assert.match(noDomain.stdout, /--domain is required/);
+
+    const noPassphrase = run("create-cert", "--yes", "-d", "app.test");
+    assert.equal(noPassphrase.status, 1);
+    assert.equal(fs.existsSync(path.join(store, "app.test.crt")), false);
+  });
+
+  it("creates a certificate from its flags", () => {
+    const { status, stdout } = run(
+      "create-cert",
+      "--yes",
+      "-d",
+      "app.test",
+      "--subject",
+      "/CN=app.test/O=Acme",
+      "--days",
+      "10",
+      "--key-type",
+      "ec:P-256",
+      "--ca-passphrase-file",
+      passphraseFile
+    );
+    assert.equal(status, 0, stdout);
+    const cert = readCert("app.test.crt");
+    assert.equal(cert.subject, "CN=app.test\nO=Acme");
+    assert.equal(validityDays(cert), 10);
+    assert.ok(cert.verify(readCert("myCA.pem").publicKey));
+    assert.equal(
+      crypto.createPrivateKey(fs.readFileSync(path.join(store, "app.test.key")))
+        .asymmetricKeyType,
+      "ec"
+    );
+  });
+
+  it("keeps an existing certificate without a terminal, unless --yes is given", () => {
+    const args = [
+      "create-cert",
+      "-d",
+      "app.test",
+      "--key-type",
+      "ec:P-256",
+      "--ca-passphrase-file",
+      passphraseFile,
+    ];
+    const serial = readCert("app.test.crt").serialNumber;
+    assert.equal(run(...args).status, 1);
+    assert.equal(readCert("app.test.crt").serialNumber, serial);
+    assert.equal(run(...args, "--yes").status, 0);
+    assert.notEqual(readCert("app.test.crt").serialNumber, serial);
+  });
+
+  it("puts every name, wildcard and IP address in the certificate", () => {
+    const { status, stdout } = run(
+      "create-cert",
+      "--yes",
+      "-d",
+      "*.multi.test, multi.test",
+      "127.0.0.1",
+      "[::1]",
+      "--key-type",
+      "ec:P-256",
+      "--ca-passphrase-file",
+      passphraseFile
+    );
+    assert.equal(status, 0, stdout);
+    const cert = readCert("_wildcard.multi.test.crt");
+    assert.equal(cert.subject, "CN=*.multi.test");
+    assert.equal(
+      cert.subjectAltName,
+      "DNS:*.multi.test, DNS:multi.test, IP Address:127.0.0.1, IP Address:0:0:0:0:0:0:0:1"
+    );
+    assert.ok(cert.checkHost("www.multi.test"));
+    assert.ok(cert.checkIP("127.0.0.1"));
+  });
+
+  it("reports every invalid name", () => {
+    const { status, stdout } = run(
+      "create-cert",
+      "--yes",
+      "-d",
+      "good.test",
+      "bad_name.test",
+      "*.*.test",
+      "--ca-passphrase-file",
+      passphraseFile
+    );
+    assert.equal(status, 1);
+    assert.match(stdout, /bad_name\.test/);
+    assert.match(stdout, /\*\.\*\.test/);
+    assert.equal(fs.existsSync(path.join(store, "good.test.crt")), false);
+  });
+
+  it("rejects invalid option values before changing anything", () => {
+    const { status, stderr } = run("create-cert", "--yes", "--days", "soon");
+    assert.notEqual(status, 0);
+    assert.match(stderr, /--days/);
+  });
+});
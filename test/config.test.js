@@ -0,0 +1,160 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, beforeEach, describe, it } from "node:test";
+import {
+  envNameOf,
+  expandPath,
+  getConfig,
+  getConfigPath,
+  getSubjectDefaults,
+  loadConfig,
+  parseConfigValue,
+  setConfigValue,
+} from "../lib/config.js";
+
+describe("parseConfigValue", () => {
+  it("parses each setting type", () => {
+    assert.equal(parseConfigValue("days.cert", " 90 "), 90);
+    assert.equal(parseConfigValue("output.color", "no"), false);
+    assert.equal(parseConfigValue("output.json", "TRUE"), true);
+    assert.equal(parseConfigValue("keyType", "ec:P-384"), "ec:P-384");
+  });
+
+  it("rejects unknown settings and invalid values", () => {
+    assert.throws(
+      () => parseConfigValue("days.forever", "1"),
+      /Unknown setting/
+    );
+    assert.throws(
+      () => parseConfigValue("days.cert", "1.5"),
+      /days\.cert must be a positive whole number of days/
+    );
+    assert.throws(
+      () => parseConfigValue("keyType", "dsa"),
+      /keyType must be one of rsa:2048/
+    );
+    assert.throws(
+      () => parseConfigValue("subject.country", "Germany"),
+      /two-letter country code/
+    );
+    assert.throws(
+      () => parseConfigValue("acme.directory", "ftp://acme"),
+      /must be letsencrypt, letsencrypt-staging or a URL/
+    );
+  });
+});
+
+describe("envNameOf", () => {
+  it("turns dotted camelCase keys into SSL_CLI_ names", () => {
+    assert.equal(envNameOf("days.cert"), "SSL_CLI_DAYS_CERT");
+    assert.equal(envNameOf("defaultCA"), "SSL_CLI_DEFAULT_CA");
+    assert.equal(
+      envNameOf("subject.organizationalUnit"),
+      "SSL_CLI_SUBJECT_ORGANIZATIONAL_UNIT"
+    );
+  });
+});
+
+describe("loadConfig and setConfigValue", () => {
+  let dir;
+  const saved = {};
+  const variables = [
+    "XDG_CONFIG_HOME",
+    "SSL_CLI_DAYS_CERT",
+    "SSL_CLI_KEY_TYPE",
+  ];
+  const writeFile = (contents) => {
+    fs.mkdirSync(path.dirname(getConfigPath()), { recursive: true });
+    fs.writeFileSync(getConfigPath(), contents);
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-config-"));
+    variables.forEach((name) => {
+      saved[name] = process.env[name];
+    });
+  });
+
+  beforeEach(() => {
+    process.env.XDG_CONFIG_HOME = dir;
+    delete process.env.SSL_CLI_DAYS_CERT;
+    delete process.env.SSL_CLI_KEY_TYPE;
+    fs.rmSync(path.join(dir, "ssl-cli"), { recursive: true, force: true });
+  });
+
+  after(() => {
+    variables.forEach((name) => {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    });
+    loadConfig({ reload: true });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("follows XDG_CONFIG_HOME", () => {
+    assert.equal(getConfigPath(), path.join(dir, "ssl-cli", "config.json"));
+  });
+
+  it("layers defaults, the file and the environment", () => {
+    writeFile(JSON.stringify({ days: { cert: 90 }, keyType: "ed25519" }));
+    process.env.SSL_CLI_KEY_TYPE = "ec:P-256";
+    const { values, sources, problems } = loadConfig({ reload: true });
+    assert.equal(values["days.cert"], 90);
+    assert.equal(sources["days.cert"], "file");
+    assert.equal(values.keyType, "ec:P-256");
+    assert.equal(sources.keyType, "env");
+    assert.equal(values["days.ca"], 1825);
+    assert.equal(sources["days.ca"], "default");
+    assert.deepEqual(problems, []);
+  });
+
+  it("skips invalid values and reports them", () => {
+    writeFile(JSON.stringify({ days: { cert: -1 } }));
+    process.env.SSL_CLI_KEY_TYPE = "dsa";
+    const { values, problems } = loadConfig({ reload: true });
+    assert.equal(values["days.cert"], 825);
+    assert.equal(values.keyType, "rsa:2048");
+    assert.match(problems[0], /Ignoring SSL_CLI_KEY_TYPE: keyType must be/);
+    assert.match(problems[1], /Ignoring days\.cert in .*config\.json/);
+  });
+
+  it("ignores a file that is not a JSON object", () => {
+    writeFile("[1, 2]");
+    const { problems } = loadConfig({ reload: true });
+    assert.match(problems[0], /expected a JSON object/);
+    assert.throws(() => setConfigValue("days.cert", "90"), /could not be read/);
+  });
+
+  it("stores settings nested by key and removes them again", () => {
+    assert.equal(setConfigValue("days.cert", "90"), 90);
+    setConfigValue("subject.organization", "Acme");
+    assert.deepEqual(JSON.parse(fs.readFileSync(getConfigPath(), "utf8")), {
+      days: { cert: 90 },
+      subject: { organization: "Acme" },
+    });
+    assert.equal(getConfig("days.cert"), 90);
+    assert.equal(getSubjectDefaults().organization, "Acme");
+    assert.equal(getSubjectDefaults().country, null);
+
+    setConfigValue("days.cert");
+    assert.equal(getConfig("days.cert"), 825);
+    assert.equal(
+      JSON.parse(fs.readFileSync(getConfigPath(), "utf8")).days.cert,
+      undefined
+    );
+  });
+});
+
+describe("expandPath", () => {
+  it("expands ~ to the home directory", () => {
+    const home = process.env.HOME || os.homedir();
+    assert.equal(expandPath("~/certs"), path.join(home, "certs"));
+    assert.equal(expandPath("~"), path.resolve(home));
+    assert.equal(expandPath("~other/certs"), path.resolve("~other/certs"));
+  });
+});
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { dnsProviderSolver, loadDnsProvider } from "../lib/dns.js";
+
+// A provider module as a DNS host plugin would be written
+const PLUGIN = `
+export const createProvider = ({ zone }) => {
+  const records = [];
+  return {
+    records,
+    zone,
+    createTxtRecord: async (name, value) => records.push([name, value]),
+    removeTxtRecord: async (name, value) => {
+      records.splice(records.findIndex((r) => r[0] === name && r[1] === value), 1);
+    },
+  };
+};
+`;
+
+describe("loadDnsProvider", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-dns-"));
+    fs.writeFileSync(path.join(dir, "plugin.mjs"), PLUGIN);
+    fs.writeFileSync(path.join(dir, "empty.mjs"), "export const other = 1;\n");
+    fs.writeFileSync(
+      path.join(dir, "partial.mjs"),
+      "export const createProvider = () => ({ createTxtRecord() {} });\n"
+    );
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("loads a provider module with its settings", async () => {
+    const provider = await loadDnsProvider(path.join(dir, "plugin.mjs"), {
+      zone: "example.test",
+    });
+    assert.equal(provider.zone, "example.test");
+    assert.equal(provider.name, path.join(dir, "plugin.mjs"));
+  });
+
+  it("loads the built-in rfc2136 provider", async () => {
+    const provider = await loadDnsProvider("rfc2136", { server: "127.0.0.1" });
+    assert.equal(provider.name, "rfc2136");
+  });
+
+  it("rejects unknown names and incomplete modules", async () => {
+    await assert.rejects(loadDnsProvider("cloudflare"), /Unknown DNS provider/);
+    await assert.rejects(
+      loadDnsProvider(path.join(dir, "empty.mjs")),
+      /does not export createProvider/
+    );
+    await assert.rejects(
+      loadDnsProvider(path.join(dir, "partial.mjs")),
+      (error) =>
+        error.code === "ERR_DNS_PROVIDER" &&
+        /removeTxtRecord/.test(error.message)
+    );
+  });
+
+  it("publishes and removes challenge records through the solver", async () => {
+    const provider = await loadDnsProvider(path.join(dir, "plugin.mjs"));
+    const solver = dnsProviderSolver(provider);
+    const task = { dnsName: "_acme-challenge.example.test", dnsValue: "v" };
+    assert.equal(solver.type, "dns-01");
+    await solver.prepare(task);
+    assert.deepEqual(provider.records, [["_acme-challenge.example.test", "v"]]);
+    await solver.cleanup(task);
+    assert.deepEqual(provider.records, []);
+  });
+});
@@ -0,0 +1,159 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { checkOpenSSL } from "../utils.js";
+import { exportCertificate } from "../lib/export.js";
+import { CA_KEY_USAGE } from "../lib/keys.js";
+import { signCertificate } from "../lib/native.js";
+import { decodePem } from "../lib/pem.js";
+
+const skip = !checkOpenSSL() && "openssl is not installed";
+
+describe("exportCertificate", () => {
+  let dir;
+  let caCert;
+  let cert;
+  let keyPath;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-export-"));
+    const ca = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+    const leaf = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+    caCert = new crypto.X509Certificate(
+      signCertificate({
+        subject: "/CN=Export Test CA",
+        publicKey: ca.publicKey,
+        signingKey: ca.privateKey,
+        serial: "01",
+        days: 1,
+        digest: "sha256",
+        profile: { ca: true, keyUsage: CA_KEY_USAGE },
+      })
+    );
+    cert = new crypto.X509Certificate(
+      signCertificate({
+        subject: "/CN=app.test",
+        publicKey: leaf.publicKey,
+        signingKey: ca.privateKey,
+        issuerCert: caCert,
+        serial: "02",
+        days: 1,
+        digest: "sha256",
+        profile: {
+          ca: false,
+          keyUsage: ["digitalSignature"],
+          names: ["app.test"],
+        },
+      })
+    );
+    keyPath = path.join(dir, "app.test.key");
+    fs.writeFileSync(
+      keyPath,
+      leaf.privateKey.export({ type: "pkcs8", format: "pem" })
+    );
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Export to a file named after the format
+  const exportAs = (format, options = {}) =>
+    exportCertificate({
+      format,
+      cert,
+      keyPath,
+      chain: [caCert],
+      outPath: path.join(dir, "out", `app.${format}`),
+      ...options,
+    });
+
+  it("writes the certificate alone as DER", () => {
+    const result = exportAs("der");
+    assert.deepEqual(result, {
+      file: path.join(dir, "out", "app.der"),
+      format: "der",
+      certificates: 1,
+      containsKey: false,
+    });
+    const read = new crypto.X509Certificate(fs.readFileSync(result.file));
+    assert.equal(read.fingerprint256, cert.fingerprint256);
+  });
+
+  it("writes the certificate and chain as PEM", () => {
+    const { file, certificates } = exportAs("fullchain");
+    const blocks = decodePem(fs.readFileSync(file, "latin1"));
+    assert.equal(certificates, 2);
+    assert.deepEqual(
+      blocks.map(({ der }) => new crypto.X509Certificate(der).subject),
+      ["CN=app.test", "CN=Export Test CA"]
+    );
+  });
+
+  it("writes the key first in a bundle only its owner can read", () => {
+    const { file, containsKey } = exportAs("pem-bundle");
+    const blocks = decodePem(fs.readFileSync(file, "latin1"));
+    assert.equal(containsKey, true);
+    assert.deepEqual(
+      blocks.map(({ label }) => label),
+      ["PRIVATE KEY", "CERTIFICATE", "CERTIFICATE"]
+    );
+    assert.ok(
+      cert.checkPrivateKey(
+        crypto.createPrivateKey({
+          key: blocks[0].der,
+          format: "der",
+          type: "pkcs8",
+        })
+      )
+    );
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  });
+
+  it("refuses formats with a key when the key is missing", () => {
+    assert.throws(
+      () => exportAs("pem-bundle", { keyPath: path.join(dir, "missing.key") }),
+      /Private key missing\.key not found/
+    );
+    assert.throws(() => exportAs("jks"), /Unsupported export format: jks/);
+  });
+
+  for (const legacy of [false, true]) {
+    it(
+      `writes a ${legacy ? "legacy " : ""}PKCS#12 file OpenSSL can open`,
+      { skip },
+      () => {
+        const { file, certificates } = exportAs("p12", {
+          outPath: path.join(dir, "out", `app${legacy ? ".legacy" : ""}.p12`),
+          password: "s3cret",
+          legacy,
+        });
+        assert.equal(certificates, 2);
+        assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+        // -info reports the encryption on stderr and the contents on stdout
+        const { status, stdout, stderr } = spawnSync(
+          "openssl",
+          ["pkcs12", "-in", file, "-passin", "pass:s3cret", "-info", "-nodes"],
+          { encoding: "utf8" }
+        );
+        assert.equal(status, 0, stderr);
+        assert.match(stdout, /friendlyName: app\.test/);
+        assert.match(stdout, /friendlyName: Export Test CA/);
+        assert.match(
+          stderr,
+          legacy
+            ? /pbeWithSHA1And3-KeyTripleDES-CBC/
+            : /PBES2, PBKDF2, AES-256-CBC/
+        );
+        const blocks = decodePem(stdout);
+        assert.deepEqual(blocks.map(({ label }) => label).sort(), [
+          "CERTIFICATE",
+          "CERTIFICATE",
+          "PRIVATE KEY",
+        ]);
+      }
+    );
+  }
+});
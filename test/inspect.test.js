@@ -0,0 +1,218 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { checkOpenSSL } from "../utils.js";
+import { inspectFile } from "../lib/inspect.js";
+import { CA_KEY_USAGE } from "../lib/keys.js";
+import { createCertificationRequest, signCertificate } from "../lib/native.js";
+
+const skip = !checkOpenSSL() && "openssl is not installed";
+
+describe("inspectFile", () => {
+  let dir;
+  let root;
+  let intermediate;
+  let leaf;
+  let leafKey;
+
+  // Write a file into the test directory and return its path
+  const write = (name, contents) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+
+  // Sign a certificate with a fresh P-256 key
+  const sign = (subject, issuer, profile) => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("ec", {
+      namedCurve: "P-256",
+    });
+    const cert = new crypto.X509Certificate(
+      signCertificate({
+        subject,
+        publicKey,
+        signingKey: issuer ? issuer.key : privateKey,
+        issuerCert: issuer && issuer.cert,
+        serial: crypto.randomBytes(8).toString("hex").replace(/^./, "1"),
+        days: 1,
+        digest: "sha256",
+        profile,
+      })
+    );
+    return { cert, key: privateKey };
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-inspect-"));
+    root = sign("/CN=Root", null, { ca: true, keyUsage: CA_KEY_USAGE });
+    intermediate = sign("/CN=Intermediate", root, {
+      ca: true,
+      pathLength: 0,
+      keyUsage: CA_KEY_USAGE,
+    });
+    ({ cert: leaf, key: leafKey } = sign("/CN=app.test", intermediate, {
+      ca: false,
+      keyUsage: ["digitalSignature"],
+      names: ["app.test", "127.0.0.1"],
+    }));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("describes a PEM certificate", () => {
+    const { encoding, type, items, chain } = inspectFile(
+      write("leaf.pem", leaf.toString())
+    );
+    assert.equal(encoding, "PEM");
+    assert.equal(type, "certificate");
+    assert.equal(chain, null);
+    const [item] = items;
+    assert.equal(item.version, 3);
+    assert.equal(item.subject, "CN=app.test");
+    assert.equal(item.issuer, "CN=Intermediate");
+    assert.equal(item.selfSigned, false);
+    assert.equal(item.isCA, false);
+    assert.equal(item.serialNumber, leaf.serialNumber);
+    assert.equal(item.signatureAlgorithm, "ecdsa-with-SHA256");
+    assert.deepEqual(item.publicKey, { type: "ec", size: "prime256v1" });
+    assert.deepEqual(item.subjectAltNames, ["DNS:app.test", "IP:127.0.0.1"]);
+    assert.deepEqual(item.keyUsage, ["digitalSignature"]);
+    assert.deepEqual(item.basicConstraints, { ca: false, pathLen: null });
+    assert.equal(item.fingerprints.sha256, leaf.fingerprint256);
+  });
+
+  it("describes a DER certificate", () => {
+    const { encoding, items } = inspectFile(write("root.cer", root.cert.raw));
+    assert.equal(encoding, "DER");
+    assert.equal(items[0].selfSigned, true);
+    assert.deepEqual(items[0].basicConstraints, { ca: true, pathLen: null });
+  });
+
+  it("checks the order of a chain", () => {
+    const ordered = inspectFile(
+      write(
+        "ordered.pem",
+        [leaf, intermediate.cert, root.cert].map(String).join("")
+      )
+    );
+    assert.equal(ordered.type, "chain");
+    assert.equal(ordered.chain.ordered, true);
+    assert.deepEqual(
+      ordered.chain.certificates.map(({ role }) => role),
+      ["leaf", "intermediate", "root"]
+    );
+
+    const shuffled = inspectFile(
+      write("shuffled.pem", [leaf, root.cert].map(String).join(""))
+    );
+    assert.equal(shuffled.chain.ordered, false);
+    assert.equal(shuffled.chain.certificates[0].signedByNext, false);
+  });
+
+  it("checks the signature of a request", () => {
+    const pem = createCertificationRequest({
+      subject: "/CN=app.test",
+      names: ["app.test"],
+      privateKey: leafKey,
+      digest: "sha256",
+    });
+    const [item] = inspectFile(write("request.csr", pem)).items;
+    assert.equal(item.type, "csr");
+    assert.equal(item.subject, "CN=app.test");
+    assert.equal(item.signatureValid, true);
+    assert.deepEqual(item.subjectAltNames, ["DNS:app.test"]);
+  });
+
+  it("describes keys in each encoding", () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+    });
+    const pkcs1 = inspectFile(
+      write("rsa.key", privateKey.export({ type: "pkcs1", format: "pem" }))
+    ).items[0];
+    const pkcs8 = inspectFile(
+      write("rsa8.key", privateKey.export({ type: "pkcs8", format: "pem" }))
+    ).items[0];
+    const sec1 = inspectFile(
+      write("ec.key", leafKey.export({ type: "sec1", format: "pem" }))
+    ).items[0];
+    const spki = inspectFile(
+      write("rsa.pub", publicKey.export({ type: "spki", format: "der" }))
+    ).items[0];
+
+    assert.equal(pkcs1.format, "PKCS#1");
+    assert.deepEqual(pkcs1.key, { type: "rsa", size: 2048 });
+    assert.equal(pkcs8.format, "PKCS#8");
+    assert.equal(
+      pkcs8.fingerprints.publicKeySha256,
+      pkcs1.fingerprints.publicKeySha256
+    );
+    assert.equal(sec1.format, "SEC1");
+    assert.deepEqual(sec1.key, { type: "ec", size: "prime256v1" });
+    assert.equal(spki.type, "public-key");
+    assert.equal(
+      spki.fingerprints.publicKeySha256,
+      pkcs1.fingerprints.publicKeySha256
+    );
+  });
+
+  it("names the cipher of an encrypted key without decrypting it", () => {
+    const [item] = inspectFile(
+      write(
+        "encrypted.key",
+        leafKey.export({
+          type: "pkcs8",
+          format: "pem",
+          cipher: "aes-256-cbc",
+          passphrase: "secret",
+        })
+      )
+    ).items;
+    assert.deepEqual(item, {
+      type: "private-key",
+      format: "PKCS#8",
+      encrypted: true,
+      encryption: "PBES2 (aes-256-cbc)",
+    });
+  });
+
+  it("reads legacy encrypted keys from OpenSSL", { skip }, () => {
+    const file = path.join(dir, "legacy.key");
+    execFileSync(
+      "openssl",
+      [
+        "genrsa",
+        "-traditional",
+        "-aes128",
+        "-passout",
+        "pass:secret",
+        "-out",
+        file,
+        "2048",
+      ],
+      { stdio: "pipe" }
+    );
+    assert.deepEqual(inspectFile(file).items[0], {
+      type: "private-key",
+      format: "PKCS#1",
+      encrypted: true,
+      encryption: "AES-128-CBC",
+    });
+  });
+
+  it("rejects files it cannot read", () => {
+    assert.throws(
+      () => inspectFile(write("junk.bin", Buffer.from("not a certificate"))),
+      /Unrecognized DER data/
+    );
+    assert.throws(
+      () =>
+        inspectFile(write("cut.pem", "-----BEGIN CERTIFICATE-----\nAAAA\n")),
+      /no complete PEM block/
+    );
+  });
+});
@@ -0,0 +1,162 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { checkOpenSSL } from "../utils.js";
+import { readCertificate } from "../lib/certs.js";
+import { createSelfSignedCA, issueCertificate } from "../lib/issue.js";
+import {
+  digestFor,
+  generateKey,
+  keyTypeOf,
+  leafKeyUsageFor,
+  loadPrivateKey,
+} from "../lib/keys.js";
+import { parseCertificate } from "../lib/x509.js";
+
+const skip = !checkOpenSSL() && "openssl is not installed";
+
+// rsa:4096 only differs from rsa:2048 in size, and takes seconds to generate
+const KEY_TYPES = ["rsa:2048", "ec:P-256", "ec:P-384", "ed25519"];
+
+describe("generateKey", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-keys-"));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  for (const keyType of KEY_TYPES) {
+    it(`writes a ${keyType} key only its owner can read`, () => {
+      const keyPath = path.join(dir, "app.key");
+      generateKey(keyPath, { keyType });
+      assert.equal(keyTypeOf(loadPrivateKey(keyPath)), keyType);
+      assert.equal(fs.statSync(keyPath).mode & 0o777, 0o600);
+    });
+  }
+
+  it("encrypts a key with a passphrase", () => {
+    const keyPath = path.join(dir, "ca.key");
+    assert.throws(
+      () => generateKey(keyPath, { keyType: "ec:P-256", encrypt: true }),
+      (error) => error.code === "ERR_PASSPHRASE_REQUIRED"
+    );
+    generateKey(keyPath, {
+      keyType: "ec:P-256",
+      encrypt: true,
+      passphrase: "secret",
+    });
+    assert.match(fs.readFileSync(keyPath, "utf8"), /ENCRYPTED PRIVATE KEY/);
+    assert.equal(
+      keyTypeOf(loadPrivateKey(keyPath, { passphrase: "secret" })),
+      "ec:P-256"
+    );
+    assert.throws(
+      () => loadPrivateKey(keyPath),
+      (error) => error.code === "ERR_PASSPHRASE_REQUIRED"
+    );
+    assert.throws(
+      () => loadPrivateKey(keyPath, { passphrase: "wrong" }),
+      (error) => error.code === "ERR_WRONG_PASSPHRASE"
+    );
+  });
+
+  it("rejects unknown key types", () => {
+    assert.throws(
+      () => generateKey(path.join(dir, "app.key"), { keyType: "dsa:1024" }),
+      /Unsupported key type: dsa:1024/
+    );
+  });
+
+  it("generates keys with OpenSSL", { skip }, () => {
+    const keyPath = path.join(dir, "app.key");
+    generateKey(keyPath, { keyType: "ec:P-384", backend: "openssl" });
+    assert.equal(keyTypeOf(loadPrivateKey(keyPath)), "ec:P-384");
+  });
+});
+
+describe("digestFor", () => {
+  const keyOf = (type, options) =>
+    crypto.generateKeyPairSync(type, options).privateKey;
+
+  it("matches the digest to the key", () => {
+    const p384 = keyOf("ec", { namedCurve: "P-384" });
+    assert.equal(digestFor(keyOf("ec", { namedCurve: "P-256" })), "sha256");
+    assert.equal(digestFor(p384), "sha384");
+    assert.equal(digestFor(keyOf("ed25519")), null);
+    // A preferred digest wins, except for EdDSA, whose digest is fixed
+    assert.equal(digestFor(p384, "sha512"), "sha512");
+    assert.equal(digestFor(keyOf("ed25519"), "sha512"), null);
+  });
+});
+
+describe("leafKeyUsageFor", () => {
+  it("only lets RSA keys encipher", () => {
+    const { publicKey: rsa } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+    });
+    const { publicKey: ed25519 } = crypto.generateKeyPairSync("ed25519");
+    assert.ok(leafKeyUsageFor(rsa).includes("keyEncipherment"));
+    assert.deepEqual(leafKeyUsageFor(ed25519), ["digitalSignature"]);
+  });
+});
+
+describe("certificates with mixed key types", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-keys-"));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Issue a leaf with one key type from a CA with another
+  const issue = (caKeyType, leafKeyType) => {
+    const caKeyPath = path.join(dir, "myCA.key");
+    const caCertPath = path.join(dir, "myCA.pem");
+    const keyPath = path.join(dir, "app.test.key");
+    const certPath = path.join(dir, "app.test.crt");
+    generateKey(caKeyPath, { keyType: caKeyType });
+    createSelfSignedCA({
+      keyPath: caKeyPath,
+      certPath: caCertPath,
+      subject: "/CN=Keys Test CA",
+      days: 1,
+    });
+    generateKey(keyPath, { keyType: leafKeyType });
+    issueCertificate({
+      keyPath,
+      certPath,
+      subject: "/CN=app.test",
+      names: ["app.test"],
+      caCertPath,
+      caKeyPath,
+      days: 1,
+    });
+    const cert = readCertificate(certPath);
+    assert.ok(cert.verify(readCertificate(caCertPath).publicKey));
+    return parseCertificate(cert.raw);
+  };
+
+  it("signs with the digest of the CA key", () => {
+    assert.equal(
+      issue("ec:P-384", "rsa:2048").signatureAlgorithm,
+      "ecdsa-with-SHA384"
+    );
+    assert.equal(issue("ed25519", "ec:P-256").signatureAlgorithm, "Ed25519");
+  });
+
+  it("gives ECDSA and Ed25519 leaves the digitalSignature usage only", () => {
+    for (const leafKeyType of ["ec:P-256", "ed25519"]) {
+      const { extensions } = issue("ec:P-256", leafKeyType);
+      assert.deepEqual(
+        extensions.find(({ name }) => name === "keyUsage").value,
+        ["digitalSignature"]
+      );
+    }
+  });
+});
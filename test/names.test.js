@@ -0,0 +1,156 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  buildAltNames,
+  ipAddressBytes,
+  parseNames,
+  toFileName,
+  toASCIIName,
+  toHostname,
+  validateDnsName,
+  validateHostname,
+  validateNames,
+} from "../lib/names.js";
+
+describe("parseNames", () => {
+  it("splits on commas and whitespace and drops duplicates", () => {
+    assert.deepEqual(parseNames("App.test, *.app.test  app.test"), [
+      "app.test",
+      "*.app.test",
+    ]);
+  });
+
+  it("unwraps IPv6 addresses in URL form", () => {
+    assert.deepEqual(parseNames(["[::1]", "127.0.0.1"]), ["::1", "127.0.0.1"]);
+  });
+
+  it("converts internationalized names to punycode", () => {
+    assert.deepEqual(parseNames("bücher.test *.bücher.test"), [
+      "xn--bcher-kva.test",
+      "*.xn--bcher-kva.test",
+    ]);
+  });
+});
+
+describe("toASCIIName", () => {
+  it("leaves ASCII names alone", () => {
+    assert.equal(toASCIIName("app.test"), "app.test");
+  });
+
+  it("returns names it cannot convert unchanged", () => {
+    assert.equal(toASCIIName("bü cher.test"), "bü cher.test");
+  });
+});
+
+describe("validateDnsName", () => {
+  for (const name of [
+    "localhost",
+    "app.test",
+    "a-b.c0.test",
+    "*.app.test",
+    "xn--bcher-kva.test",
+    `${"a".repeat(63)}.test`,
+  ]) {
+    it(`accepts ${name.length > 20 ? "a 63-character label" : name}`, () => {
+      assert.equal(validateDnsName(name), null);
+    });
+  }
+
+  for (const [name, reason] of [
+    ["x; rm -rf ~", "shell metacharacters"],
+    ["$(id).test", "command substitution"],
+    ["a_b.test", "underscores"],
+    ["-app.test", "a leading hyphen"],
+    ["app-.test", "a trailing hyphen"],
+    ["app..test", "an empty label"],
+    [`${"a".repeat(64)}.test`, "a label over 63 characters"],
+    [`${"abcdefghi.".repeat(26)}test`, "more than 253 characters"],
+    ["app.*.test", "a wildcard that is not left-most"],
+    ["*.test", "a wildcard with one label after it"],
+    ["bü cher.test", "characters punycode cannot encode"],
+  ]) {
+    it(`rejects ${reason}`, () => {
+      assert.match(validateDnsName(name), /"/);
+    });
+  }
+});
+
+describe("validateNames", () => {
+  it("requires at least one name", () => {
+    assert.equal(validateNames([]).length, 1);
+  });
+
+  it("skips IP addresses and reports each invalid name", () => {
+    assert.equal(
+      validateNames(["127.0.0.1", "::1", "ok.test", "a;b", "c d"]).length,
+      2
+    );
+  });
+});
+
+describe("validateHostname", () => {
+  it("accepts a domain name", () => {
+    assert.equal(validateHostname("staging.example.com"), null);
+  });
+
+  it("rejects empty input, IP addresses and wildcards", () => {
+    assert.match(validateHostname(""), /required/);
+    assert.match(validateHostname("10.0.0.1"), /IP address/);
+    assert.match(validateHostname("*.example.com"), /wildcards/);
+  });
+
+  it("rejects names that would break out of a command or file path", () => {
+    for (const name of [
+      "x; rm -rf ~",
+      "../../etc/passwd",
+      "a/b.com",
+      "a`b`.com",
+    ]) {
+      assert.notEqual(validateHostname(toHostname(name)), null, name);
+    }
+  });
+});
+
+describe("toHostname", () => {
+  it("trims, lower-cases and converts to punycode", () => {
+    assert.equal(toHostname("  Bücher.Example "), "xn--bcher-kva.example");
+  });
+});
+
+describe("buildAltNames", () => {
+  it("numbers DNS names and IP addresses separately", () => {
+    assert.equal(
+      buildAltNames(["app.test", "127.0.0.1", "*.app.test", "::1"]),
+      "DNS.1 = app.test\nDNS.2 = *.app.test\nIP.1 = 127.0.0.1\nIP.2 = ::1"
+    );
+  });
+});
+
+describe("toFileName", () => {
+  it("names wildcard and IPv6 files without special characters", () => {
+    assert.equal(toFileName("app.test"), "app.test");
+    assert.equal(toFileName("*.app.test"), "_wildcard.app.test");
+    assert.equal(toFileName("::1"), "__1");
+  });
+});
+
+describe("ipAddressBytes", () => {
+  it("encodes IPv4 in 4 bytes", () => {
+    assert.equal(ipAddressBytes("192.168.0.10").toString("hex"), "c0a8000a");
+  });
+
+  it("expands IPv6 shorthand to 16 bytes", () => {
+    assert.equal(
+      ipAddressBytes("::1").toString("hex"),
+      "00000000000000000000000000000001"
+    );
+    assert.equal(
+      ipAddressBytes("fe80::1:2").toString("hex"),
+      "fe800000000000000000000000010002"
+    );
+    assert.equal(
+      ipAddressBytes("::ffff:10.0.0.1").toString("hex"),
+      "00000000000000000000ffff0a000001"
+    );
+  });
+});
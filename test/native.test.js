@@ -0,0 +1,279 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { checkOpenSSL } from "../utils.js";
+import { TAGS, decodeAll, toBigInt } from "../lib/asn1.js";
+import {
+  CA_KEY_USAGE,
+  KEY_TYPES,
+  digestFor,
+  leafKeyUsageFor,
+} from "../lib/keys.js";
+import {
+  createCertificationRequest,
+  parseSubject,
+  signCertificate,
+} from "../lib/native.js";
+import { parseCertificate } from "../lib/x509.js";
+
+const skip = !checkOpenSSL() && "openssl is not installed";
+
+// Run openssl in a directory and return its standard output
+const openssl = (dir, args) =>
+  execFileSync("openssl", args, { cwd: dir, stdio: "pipe" }).toString();
+
+// A self-signed CA and a leaf it signed, both with keys of one type
+const issuePair = (keyType, { serial = "1a2b3c", names, revocation } = {}) => {
+  const ca = crypto.generateKeyPairSync(...KEY_TYPES[keyType].nodeArgs);
+  const leaf = crypto.generateKeyPairSync(...KEY_TYPES[keyType].nodeArgs);
+  const digest = digestFor(ca.privateKey);
+  const caCert = new crypto.X509Certificate(
+    signCertificate({
+      subject: "/O=Acme/CN=Acme Test CA",
+      publicKey: ca.publicKey,
+      signingKey: ca.privateKey,
+      serial: "01",
+      days: 2,
+      digest,
+      profile: { ca: true, keyUsage: CA_KEY_USAGE },
+    })
+  );
+  const leafCert = new crypto.X509Certificate(
+    signCertificate({
+      subject: "/CN=app.test",
+      publicKey: leaf.publicKey,
+      signingKey: ca.privateKey,
+      issuerCert: caCert,
+      serial,
+      days: 1,
+      digest,
+      profile: {
+        ca: false,
+        keyUsage: leafKeyUsageFor(leaf.publicKey),
+        names: names || ["app.test"],
+        revocation,
+      },
+    })
+  );
+  return { caCert, leafCert, leafKey: leaf.privateKey };
+};
+
+// Extensions of a certificate by name
+const extensionsOf = (cert) =>
+  Object.fromEntries(
+    parseCertificate(cert.raw).extensions.map((ext) => [ext.name, ext])
+  );
+
+describe("signCertificate", () => {
+  for (const keyType of ["rsa:2048", "ec:P-256", "ec:P-384", "ed25519"]) {
+    it(`signs a CA and a leaf with ${keyType} keys`, () => {
+      const { caCert, leafCert, leafKey } = issuePair(keyType);
+      assert.ok(caCert.ca);
+      assert.ok(caCert.verify(caCert.publicKey));
+      assert.ok(!leafCert.ca);
+      assert.ok(leafCert.checkIssued(caCert));
+      assert.ok(leafCert.verify(caCert.publicKey));
+      assert.ok(leafCert.checkPrivateKey(leafKey));
+      assert.equal(leafCert.issuer, "O=Acme\nCN=Acme Test CA");
+      assert.equal(leafCert.subject, "CN=app.test");
+    });
+  }
+
+  it("uses the signature algorithm of the CA key", () => {
+    const algorithms = ["rsa:2048", "ec:P-384", "ed25519"].map(
+      (keyType) =>
+        parseCertificate(issuePair(keyType).leafCert.raw).signatureAlgorithm
+    );
+    assert.deepEqual(algorithms, [
+      "sha256WithRSAEncryption",
+      "ecdsa-with-SHA384",
+      "Ed25519",
+    ]);
+  });
+
+  it("writes serials as positive integers", () => {
+    for (const [serial, expected] of [
+      ["1a2b3c", 0x1a2b3cn],
+      ["ff00", 0xff00n],
+      ["0001ab", 0x1abn],
+      ["7f" + "ee".repeat(19), BigInt(`0x7f${"ee".repeat(19)}`)],
+    ]) {
+      const { leafCert } = issuePair("ed25519", { serial });
+      const [, serialNode] = decodeAll(leafCert.raw).children[0].children;
+      assert.equal(toBigInt(serialNode), expected);
+      assert.equal(BigInt(`0x${leafCert.serialNumber}`), expected);
+    }
+  });
+
+  it("writes DNS names and IP addresses to subjectAltName", () => {
+    const { leafCert } = issuePair("ed25519", {
+      names: ["app.test", "*.app.test", "127.0.0.1", "::1", "2001:db8::10"],
+    });
+    assert.equal(
+      leafCert.subjectAltName,
+      "DNS:app.test, DNS:*.app.test, IP Address:127.0.0.1, IP Address:0:0:0:0:0:0:0:1, IP Address:2001:DB8:0:0:0:0:0:10"
+    );
+    assert.ok(leafCert.checkHost("www.app.test"));
+    assert.ok(leafCert.checkIP("2001:db8::10"));
+  });
+
+  it("writes the extensions of each profile", () => {
+    const revocation = {
+      crlUrl: "http://127.0.0.1:8888/crl/ca.crl",
+      ocspUrl: "http://127.0.0.1:8888/ocsp/ca",
+    };
+    const { caCert, leafCert } = issuePair("rsa:2048", { revocation });
+    const ca = extensionsOf(caCert);
+    const leaf = extensionsOf(leafCert);
+
+    assert.deepEqual(ca.basicConstraints.value, { ca: true, pathLen: null });
+    assert.equal(ca.basicConstraints.critical, true);
+    assert.deepEqual(ca.keyUsage.value, CA_KEY_USAGE);
+    assert.equal(ca.keyUsage.critical, true);
+    assert.equal(
+      ca.authorityKeyIdentifier.value,
+      ca.subjectKeyIdentifier.value
+    );
+
+    assert.deepEqual(leaf.basicConstraints.value, { ca: false, pathLen: null });
+    assert.equal(leaf.basicConstraints.critical, false);
+    assert.deepEqual(leaf.keyUsage.value, [
+      "digitalSignature",
+      "nonRepudiation",
+      "keyEncipherment",
+      "dataEncipherment",
+    ]);
+    assert.equal(
+      leaf.authorityKeyIdentifier.value,
+      ca.subjectKeyIdentifier.value
+    );
+    assert.deepEqual(leaf.cRLDistributionPoints.value, [revocation.crlUrl]);
+    assert.deepEqual(leaf.authorityInfoAccess.value, [
+      { method: "OCSP", location: revocation.ocspUrl },
+    ]);
+  });
+
+  it("writes a path length for intermediates", () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+    const cert = new crypto.X509Certificate(
+      signCertificate({
+        subject: "/CN=Intermediate",
+        publicKey,
+        signingKey: privateKey,
+        serial: "02",
+        days: 1,
+        digest: null,
+        profile: { ca: true, pathLength: 0, keyUsage: CA_KEY_USAGE },
+      })
+    );
+    assert.deepEqual(extensionsOf(cert).basicConstraints.value, {
+      ca: true,
+      pathLen: 0,
+    });
+  });
+
+  it("puts validity far in the future in GeneralizedTime", () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+    const cert = new crypto.X509Certificate(
+      signCertificate({
+        subject: "/CN=Long Lived",
+        publicKey,
+        signingKey: privateKey,
+        serial: "03",
+        days: 365 * 40,
+        digest: null,
+        profile: { ca: true, keyUsage: CA_KEY_USAGE },
+      })
+    );
+    const [, notAfter] = decodeAll(cert.raw).children[0].children[4].children;
+    assert.equal(notAfter.tag, TAGS.GENERALIZED_TIME);
+    assert.ok(new Date(cert.validTo).getUTCFullYear() >= 2060);
+  });
+});
+
+describe("signCertificate checked by OpenSSL", { skip }, () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-native-"));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  for (const keyType of ["rsa:2048", "ec:P-256", "ed25519"]) {
+    it(`verifies a ${keyType} leaf against its CA`, () => {
+      const { caCert, leafCert } = issuePair(keyType, {
+        names: ["app.test", "10.0.0.1"],
+      });
+      fs.writeFileSync(path.join(dir, "ca.pem"), caCert.toString());
+      fs.writeFileSync(path.join(dir, "leaf.pem"), leafCert.toString());
+      assert.match(
+        openssl(dir, ["verify", "-CAfile", "ca.pem", "leaf.pem"]),
+        /leaf\.pem: OK/
+      );
+      const text = openssl(dir, ["x509", "-in", "leaf.pem", "-noout", "-text"]);
+      assert.match(text, /DNS:app\.test, IP Address:10\.0\.0\.1/);
+      assert.match(text, /CA:FALSE/);
+    });
+  }
+});
+
+describe("createCertificationRequest", { skip }, () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-native-"));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  for (const keyType of ["rsa:2048", "ec:P-384", "ed25519"]) {
+    it(`writes a ${keyType} request OpenSSL accepts`, () => {
+      const { privateKey } = crypto.generateKeyPairSync(
+        ...KEY_TYPES[keyType].nodeArgs
+      );
+      fs.writeFileSync(
+        path.join(dir, "request.csr"),
+        createCertificationRequest({
+          subject: "/O=Acme/CN=app.test",
+          names: ["app.test", "www.app.test", "::1"],
+          privateKey,
+          digest: digestFor(privateKey),
+        })
+      );
+      const text = openssl(dir, [
+        "req",
+        "-in",
+        "request.csr",
+        "-verify",
+        "-noout",
+        "-text",
+      ]);
+      assert.match(text, /Subject: O ?= ?Acme, CN ?= ?app\.test/);
+      assert.match(
+        text,
+        /DNS:app\.test, DNS:www\.app\.test, IP Address:0:0:0:0:0:0:0:1/
+      );
+    });
+  }
+});
+
+describe("parseSubject", () => {
+  it("splits attributes and unescapes slashes", () => {
+    assert.deepEqual(parseSubject("/C=DE/O=Acme\\/Labs/CN=app.test"), [
+      ["C", "DE"],
+      ["O", "Acme/Labs"],
+      ["CN", "app.test"],
+    ]);
+  });
+
+  it("rejects malformed subjects", () => {
+    assert.throws(() => parseSubject("CN=app.test"), /must start with "\/"/);
+    assert.throws(() => parseSubject("/XX=1"), /Unsupported subject attribute/);
+    assert.throws(() => parseSubject("/CN="), /CN is empty/);
+  });
+});
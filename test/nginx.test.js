@@ -0,0 +1,179 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { execFileSync } from "node:child_process";
+import { describe, it } from "node:test";
+import { checkOpenSSL } from "../utils.js";
+import { decodeAll } from "../lib/asn1.js";
+import {
+  dhParameters,
+  httpSiteConfig,
+  httpsSiteConfig,
+  issuingSiteConfig,
+} from "../lib/nginx.js";
+import { decodePem } from "../lib/pem.js";
+
+const skip = !checkOpenSSL() && "openssl is not installed";
+
+const site = { domain: "example.com", port: "7000" };
+
+describe("httpSiteConfig", () => {
+  it("proxies port 80 to the application", () => {
+    const config = httpSiteConfig(site);
+    assert.match(config, /listen 80;/);
+    assert.match(config, /proxy_pass http:\/\/127\.0\.0\.1:7000;/);
+    assert.doesNotMatch(config, /443/);
+    assert.doesNotMatch(config, /acme-challenge/);
+  });
+
+  it("serves HTTP-01 challenges from a webroot for the native client", () => {
+    const config = httpSiteConfig({ ...site, acmeWebroot: "/var/lib/acme" });
+    assert.match(
+      config,
+      /location \^~ \/\.well-known\/acme-challenge\/ \{\s+root \/var\/lib\/acme;/
+    );
+    assert.match(config, /proxy_pass http:\/\/127\.0\.0\.1:7000;/);
+  });
+});
+
+describe("httpsSiteConfig", () => {
+  it("serves the Let's Encrypt certificate over HTTP/2", () => {
+    const config = httpsSiteConfig(site);
+    assert.match(config, /listen 443 ssl http2;/);
+    assert.match(
+      config,
+      /ssl_certificate \/etc\/letsencrypt\/live\/example\.com\/fullchain\.pem;/
+    );
+    assert.match(
+      config,
+      /ssl_certificate_key \/etc\/letsencrypt\/live\/example\.com\/privkey\.pem;/
+    );
+    assert.match(config, /proxy_pass http:\/\/127\.0\.0\.1:7000;/);
+  });
+
+  it("reads the certificate from another directory", () => {
+    const config = httpsSiteConfig({ ...site, certDir: "/etc/ssl-cli/live/x" });
+    assert.match(
+      config,
+      /ssl_certificate \/etc\/ssl-cli\/live\/x\/fullchain\.pem;/
+    );
+    assert.match(
+      config,
+      /ssl_trusted_certificate \/etc\/ssl-cli\/live\/x\/chain\.pem;/
+    );
+  });
+
+  it("redirects port 80 to HTTPS", () => {
+    assert.match(
+      httpsSiteConfig(site),
+      /listen 80;[^}]*return 301 https:\/\/\$host\$request_uri;/
+    );
+  });
+
+  it("adds HSTS and OCSP stapling", () => {
+    const config = httpsSiteConfig(site);
+    assert.match(config, /Strict-Transport-Security "max-age=63072000" always/);
+    assert.match(config, /ssl_stapling on;/);
+    assert.match(config, /ssl_trusted_certificate .*\/chain\.pem;/);
+  });
+
+  it("uses TLS 1.2 with DHE ciphers and dhparam in the intermediate profile", () => {
+    const config = httpsSiteConfig({ ...site, profile: "intermediate" });
+    assert.match(config, /ssl_protocols TLSv1\.2 TLSv1\.3;/);
+    assert.match(config, /ssl_ciphers ECDHE-ECDSA-AES128-GCM-SHA256:/);
+    assert.match(config, /ssl_dhparam \/etc\/nginx\/dhparam\.pem;/);
+  });
+
+  it("uses TLS 1.3 only, without ciphers or dhparam, in the modern profile", () => {
+    const config = httpsSiteConfig({ ...site, profile: "modern" });
+    assert.match(config, /ssl_protocols TLSv1\.3;/);
+    assert.doesNotMatch(config, /ssl_ciphers|ssl_dhparam/);
+  });
+
+  it("rejects an unknown profile", () => {
+    assert.throws(
+      () => httpsSiteConfig({ ...site, profile: "old" }),
+      (error) => error.code === "ERR_INVALID_OPTION"
+    );
+  });
+});
+
+describe("issuingSiteConfig", () => {
+  const current = `# Written by hand
+upstream app { server 127.0.0.1:3000; }
+
+server {
+    listen 80;
+    server_name a.test;
+    return 301 https://$host$request_uri;
+}
+
+server {
+    listen 443 ssl;
+    server_name a.test;
+    add_header X-Note "braces } and # in quotes";
+    location / { proxy_pass http://app; }
+}
+`;
+
+  it("keeps the HTTPS server and replaces the HTTP one with a redirect for every name", () => {
+    const config = issuingSiteConfig(current, ["a.test", "b.test"]);
+    assert.match(
+      config,
+      /^# Written by hand\nupstream app \{ server 127\.0\.0\.1:3000; \}\n\n/
+    );
+    assert.ok(config.includes('add_header X-Note "braces } and # in quotes";'));
+    assert.match(config, /listen 443 ssl;/);
+    assert.equal(config.match(/listen 80;/g).length, 1);
+    assert.match(config, /server_name a\.test b\.test;\n\n {4}return 301/);
+  });
+
+  it("serves HTTP-01 challenges from a webroot for the native client", () => {
+    const config = issuingSiteConfig(current, ["a.test"], {
+      acmeWebroot: "/var/lib/acme",
+    });
+    assert.match(
+      config,
+      /location \^~ \/\.well-known\/acme-challenge\/ \{\s+root \/var\/lib\/acme;/
+    );
+    assert.match(config, /location \/ \{\s+return 301 https/);
+    assert.match(config, /listen 443 ssl;/);
+  });
+
+  it("leaves sites without HTTPS to the HTTP configuration", () => {
+    assert.equal(
+      issuingSiteConfig(httpSiteConfig({ domain: "a.test", port: 3000 }), [
+        "a.test",
+      ]),
+      null
+    );
+  });
+});
+
+describe("dhParameters", () => {
+  it("encodes the RFC 7919 ffdhe2048 group", () => {
+    const [prime, generator] = decodeAll(
+      decodePem(dhParameters())[0].der
+    ).children;
+    const p = prime.value.subarray(1);
+    assert.equal(p.length, 256);
+    assert.equal(p.subarray(0, 12).toString("hex"), "ffffffffffffffffadf85458");
+    assert.equal(p.subarray(-12).toString("hex"), "61285c97ffffffffffffffff");
+    assert.equal(generator.value[0], 2);
+    // Both ends of a key exchange over the group agree on the secret
+    const alice = crypto.createDiffieHellman(p, 2);
+    const bob = crypto.createDiffieHellman(p, 2);
+    const alicePublic = alice.generateKeys();
+    const bobPublic = bob.generateKeys();
+    assert.ok(
+      alice.computeSecret(bobPublic).equals(bob.computeSecret(alicePublic))
+    );
+  });
+
+  it("is the group OpenSSL knows as ffdhe2048", { skip }, () => {
+    const text = execFileSync("openssl", ["pkeyparam", "-text", "-noout"], {
+      input: dhParameters(),
+      stdio: "pipe",
+    }).toString();
+    assert.match(text, /GROUP: ffdhe2048/);
+  });
+});
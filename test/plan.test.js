@@ -0,0 +1,128 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { createPlan, formatCommand, unifiedDiff } from "../lib/plan.js";
+
+const lines = (count, from = 1) =>
+  Array.from({ length: count }, (_, i) => `line ${i + from}\n`).join("");
+
+describe("unifiedDiff", () => {
+  it("prints nothing for the same text", () => {
+    assert.equal(unifiedDiff("a\nb\n", "a\nb\n"), "");
+  });
+
+  it("diffs a new file against /dev/null", () => {
+    assert.equal(
+      unifiedDiff(null, "a\nb\n", { to: "site.conf" }),
+      "--- /dev/null\n+++ site.conf\n@@ -0,0 +1,2 @@\n+a\n+b\n"
+    );
+  });
+
+  // Same output as diff -u
+  it("keeps three lines of context and splits distant changes into hunks", () => {
+    const before = lines(20);
+    const after = before
+      .replace("line 2\n", "line two\n")
+      .replace("line 18\n", "")
+      .replace("line 20\n", "line 20\nline 21\n");
+    assert.equal(
+      unifiedDiff(before, after),
+      [
+        "--- a",
+        "+++ b",
+        "@@ -1,5 +1,5 @@",
+        " line 1",
+        "-line 2",
+        "+line two",
+        " line 3",
+        " line 4",
+        " line 5",
+        "@@ -15,6 +15,6 @@",
+        " line 15",
+        " line 16",
+        " line 17",
+        "-line 18",
+        " line 19",
+        " line 20",
+        "+line 21",
+        "",
+      ].join("\n")
+    );
+  });
+});
+
+describe("formatCommand", () => {
+  it("quotes words the shell would split", () => {
+    assert.equal(
+      formatCommand("certbot", ["--manual-auth-hook", "node a.js 'x'"], true),
+      "sudo certbot --manual-auth-hook 'node a.js '\\''x'\\'''"
+    );
+  });
+});
+
+describe("createPlan", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-plan-"));
+    fs.writeFileSync(path.join(dir, "site.conf"), "listen 80;\n");
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("records writes through tee, commands and packages without running them", () => {
+    const plan = createPlan();
+    const file = path.join(dir, "site.conf");
+    plan.installPackages("apt-get", ["nginx"], ["install", "-y", "nginx"]);
+    plan.runCommand("tee", [file], { sudo: true, input: "listen 8080;\n" });
+    plan.runCommand("nginx", ["-t"], { sudo: true, stdio: "inherit" });
+    plan.runCommand("tee", [file], { sudo: true, input: "listen 443;\n" });
+
+    assert.equal(fs.readFileSync(file, "utf8"), "listen 80;\n");
+    assert.deepEqual(
+      plan.steps.map((step) => step.type),
+      ["packages", "file", "command", "file"]
+    );
+    assert.equal(plan.steps[1].exists, true);
+    assert.match(plan.steps[1].diff, /-listen 80;\n\+listen 8080;/);
+    // The second write is compared with the first
+    assert.match(plan.steps[3].diff, /-listen 8080;\n\+listen 443;/);
+    assert.deepEqual(plan.steps[2], {
+      type: "command",
+      command: "nginx",
+      args: ["-t"],
+      sudo: true,
+    });
+  });
+
+  it("shows later steps the files earlier ones changed", () => {
+    const plan = createPlan();
+    const file = path.join(dir, "site.conf");
+    const link = path.join(dir, "enabled.conf");
+    const copy = path.join(dir, "backup/site.conf");
+    plan.runCommand("mkdir", ["-p", path.dirname(copy)], { sudo: true });
+    plan.runCommand("cp", ["-p", file, copy], { sudo: true });
+    plan.runCommand("ln", ["-s", file, link], { sudo: true });
+    plan.runCommand("tee", [file], { sudo: true, input: "listen 443;\n" });
+
+    assert.deepEqual(plan.stat(path.dirname(copy)), { type: "dir" });
+    assert.equal(plan.readFile(copy), "listen 80;\n");
+    assert.deepEqual(plan.stat(link), { type: "link", target: file });
+    assert.equal(plan.readFile(link), "listen 443;\n");
+
+    plan.runCommand("rm", ["-f", link], { sudo: true });
+    assert.equal(plan.stat(link), null);
+    assert.equal(plan.readFile(link), null);
+    assert.deepEqual(fs.readdirSync(dir), ["site.conf"]);
+  });
+
+  it("marks new files", () => {
+    const plan = createPlan();
+    plan.writeFile(path.join(dir, "new.conf"), "x\n", "600");
+    assert.equal(plan.steps[0].exists, false);
+    assert.equal(plan.steps[0].mode, "600");
+    assert.match(plan.steps[0].diff, /^--- \/dev\/null/);
+  });
+});
@@ -0,0 +1,316 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import {
+  NGINX_LAYOUTS,
+  detectPlatform,
+  installCommand,
+  parseOsRelease,
+  serviceCommands,
+} from "../lib/platform.js";
+import { createPlan } from "../lib/plan.js";
+import { applySiteConfig, includeLayout, sitePaths } from "../lib/sites.js";
+import { runCommand } from "../utils.js";
+
+const fixtures = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures/os-release"
+);
+
+// A system with the given os-release, directories and files under root
+const makeRoot = (root, release, { dirs = [], files = {} } = {}) => {
+  fs.mkdirSync(path.join(root, "etc"), { recursive: true });
+  if (release) {
+    fs.copyFileSync(
+      path.join(fixtures, release),
+      path.join(root, "etc/os-release")
+    );
+  }
+  dirs.forEach((dir) =>
+    fs.mkdirSync(path.join(root, dir), { recursive: true })
+  );
+  Object.entries(files).forEach(([file, contents]) => {
+    fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), contents);
+  });
+};
+
+// commandExists stand-in for the programs in PATH
+const installed =
+  (...commands) =>
+  (command) =>
+    commands.includes(command);
+
+describe("parseOsRelease", () => {
+  it("reads quoted and unquoted values and skips comments", () => {
+    assert.deepEqual(
+      parseOsRelease(
+        '# comment\nID=ubuntu\nPRETTY_NAME="Ubuntu \\"24.04\\""\nVARIANT=\'a b\'\n\n'
+      ),
+      { ID: "ubuntu", PRETTY_NAME: 'Ubuntu "24.04"', VARIANT: "a b" }
+    );
+  });
+});
+
+describe("detectPlatform", () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-platform-"));
+  });
+
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const cases = [
+    ["ubuntu-24.04", "apt-get", "sites", ["certbot", "python3-certbot-nginx"]],
+    ["debian-12", "apt-get", "sites", ["certbot", "python3-certbot-nginx"]],
+    ["fedora-40", "dnf", "conf.d", ["certbot", "python3-certbot-nginx"]],
+    ["rocky-9", "dnf", "conf.d", ["certbot", "python3-certbot-nginx"]],
+    ["alpine-3.20", "apk", "http.d", ["certbot", "certbot-nginx"]],
+    ["arch", "pacman", "conf.d", ["certbot", "certbot-nginx"]],
+    [
+      "opensuse-leap-15.6",
+      "zypper",
+      "conf.d",
+      ["python3-certbot", "python3-certbot-nginx"],
+    ],
+  ];
+  cases.forEach(([release, manager, layout, certbot]) => {
+    it(`picks ${manager} and ${layout} on ${release}`, () => {
+      makeRoot(root, release);
+      const platform = detectPlatform({
+        root,
+        commandExists: installed(manager, "yum"),
+      });
+      assert.equal(platform.packageManager.command, manager);
+      assert.equal(platform.nginx.name, layout);
+      assert.deepEqual(platform.packages.certbot, certbot);
+    });
+  });
+
+  it("uses yum and EPEL where dnf is missing", () => {
+    makeRoot(root, "centos-7");
+    const platform = detectPlatform({ root, commandExists: installed("yum") });
+    assert.equal(platform.family, "rhel");
+    assert.equal(platform.name, "CentOS Linux 7 (Core)");
+    assert.equal(platform.packageManager.command, "yum");
+    assert.equal(platform.packageManager.update, null);
+    assert.deepEqual(platform.packages.repositories, ["epel-release"]);
+  });
+
+  it("keeps the layout nginx already has", () => {
+    makeRoot(root, "fedora-40", { dirs: ["etc/nginx/sites-available"] });
+    const platform = detectPlatform({ root, commandExists: installed("dnf") });
+    assert.equal(platform.nginx.name, "sites");
+  });
+
+  it("falls back to any package manager on unknown distributions", () => {
+    makeRoot(root, null);
+    const platform = detectPlatform({ root, commandExists: installed("apk") });
+    assert.equal(platform.family, null);
+    assert.equal(platform.name, "Linux");
+    assert.equal(platform.packageManager.command, "apk");
+    assert.equal(platform.nginx.name, "conf.d");
+    assert.equal(
+      detectPlatform({ root, commandExists: installed() }).packageManager,
+      null
+    );
+  });
+
+  it("tells systemd, OpenRC and SysV apart", () => {
+    makeRoot(root, "alpine-3.20", { dirs: ["sbin"] });
+    const none = installed("apk");
+    assert.equal(
+      detectPlatform({ root, commandExists: none }).serviceManager,
+      "sysv"
+    );
+    fs.writeFileSync(path.join(root, "sbin/openrc-run"), "");
+    assert.equal(
+      detectPlatform({ root, commandExists: none }).serviceManager,
+      "openrc"
+    );
+
+    makeRoot(root, "ubuntu-24.04", { dirs: ["run/systemd/system"] });
+    assert.equal(
+      detectPlatform({ root, commandExists: none }).serviceManager,
+      "systemd"
+    );
+  });
+
+  it("uses SysV under WSL even with systemd directories", () => {
+    makeRoot(root, "ubuntu-24.04", {
+      dirs: ["run/systemd/system"],
+      files: {
+        "proc/version":
+          "Linux version 5.15.153.1-microsoft-standard-WSL2 (root@1)\n",
+      },
+    });
+    const platform = detectPlatform({ root, commandExists: installed() });
+    assert.equal(platform.wsl, true);
+    assert.equal(platform.serviceManager, "sysv");
+  });
+});
+
+describe("installCommand and serviceCommands", () => {
+  it("builds install commands", () => {
+    assert.deepEqual(
+      installCommand(
+        { command: "pacman", install: ["-S", "--noconfirm", "--needed"] },
+        ["nginx"]
+      ),
+      { command: "pacman", args: ["-S", "--noconfirm", "--needed", "nginx"] }
+    );
+  });
+
+  it("builds service commands for each service manager", () => {
+    assert.deepEqual(serviceCommands("systemd", "enable", "nginx"), [
+      { command: "systemctl", args: ["enable", "--now", "nginx"] },
+    ]);
+    assert.deepEqual(serviceCommands("openrc", "enable", "nginx"), [
+      { command: "rc-update", args: ["add", "nginx", "default"] },
+      { command: "rc-service", args: ["nginx", "start"] },
+    ]);
+    assert.deepEqual(serviceCommands("sysv", "reload", "nginx"), [
+      { command: "service", args: ["nginx", "reload"] },
+    ]);
+  });
+});
+
+describe("sites in the conf.d layout", () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-platform-"));
+    makeRoot(root, "rocky-9", { dirs: ["etc/nginx/conf.d"] });
+  });
+
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it("writes the site to conf.d without a link, and restores it", () => {
+    const { nginx: layout } = detectPlatform({
+      root,
+      commandExists: installed("dnf"),
+    });
+    const paths = sitePaths("app.test", root, layout);
+    assert.equal(paths.enabled, null);
+
+    const options = {
+      root,
+      layout,
+      run: (command, args, options) =>
+        runCommand(command, args, { ...options, sudo: false }),
+      test: () => {
+        if (fs.readFileSync(paths.available, "utf8").includes("broken")) {
+          throw new Error('unknown directive "broken"');
+        }
+      },
+    };
+    const backup = applySiteConfig("app.test", "server {}\n", options);
+    assert.equal(backup.layout, "conf.d");
+    assert.equal(
+      fs.readFileSync(
+        path.join(root, "etc/nginx/conf.d/app.test.conf"),
+        "utf8"
+      ),
+      "server {}\n"
+    );
+    assert.throws(() => applySiteConfig("app.test", "broken;\n", options));
+    assert.equal(fs.readFileSync(paths.available, "utf8"), "server {}\n");
+  });
+});
+
+describe("includeLayout", () => {
+  let root;
+  let conf;
+  const run = (command, args, options) =>
+    runCommand(command, args, { ...options, sudo: false });
+  // The http block of Arch's stock nginx.conf, shortened
+  const archConf = `worker_processes  1;
+
+http {
+    include       mime.types;
+    default_type  application/octet-stream;
+
+    server {
+        listen       80;
+        server_name  localhost;
+    }
+}
+`;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-platform-"));
+    makeRoot(root, "arch", { files: { "etc/nginx/nginx.conf": archConf } });
+    conf = path.join(root, "etc/nginx/nginx.conf");
+  });
+
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it("adds conf.d to Arch's nginx.conf, once", () => {
+    const { nginx: layout } = detectPlatform({
+      root,
+      commandExists: installed("pacman"),
+    });
+    assert.equal(layout.name, "conf.d");
+    assert.equal(includeLayout(layout, { root, run, test() {} }), true);
+    assert.match(
+      fs.readFileSync(conf, "utf8"),
+      /^http \{\n {4}# Added by ssl-cli[^\n]*\n {4}include \/etc\/nginx\/conf\.d\/\*\.conf;\n {4}include {7}mime\.types;/m
+    );
+    assert.equal(fs.readFileSync(`${conf}.ssl-cli.bak`, "utf8"), archConf);
+    assert.ok(fs.statSync(path.join(root, "etc/nginx/conf.d")).isDirectory());
+    assert.equal(includeLayout(layout, { root, run, test() {} }), false);
+  });
+
+  it("puts nginx.conf back when nginx rejects it with the include", () => {
+    // A file nginx did not load before, which it rejects
+    fs.mkdirSync(path.join(root, "etc/nginx/conf.d"));
+    fs.writeFileSync(path.join(root, "etc/nginx/conf.d/old.conf"), "broken;\n");
+    const test = () => {
+      if (fs.readFileSync(conf, "utf8").includes("conf.d")) {
+        throw new Error('nginx: [emerg] unknown directive "broken"');
+      }
+    };
+    assert.throws(
+      () => includeLayout(NGINX_LAYOUTS["conf.d"], { root, run, test }),
+      (error) =>
+        error.code === "ERR_NGINX_CONFIG" &&
+        /unknown directive/.test(error.output) &&
+        /previous file was restored/.test(error.message)
+    );
+    assert.equal(fs.readFileSync(conf, "utf8"), archConf);
+  });
+
+  it("leaves nginx.conf alone when it includes the sites", () => {
+    fs.writeFileSync(
+      conf,
+      "http {\n    include /etc/nginx/mime.types;\n    include sites-enabled/*;\n}\n"
+    );
+    assert.equal(
+      includeLayout(NGINX_LAYOUTS.sites, { root, run: assert.fail }),
+      false
+    );
+  });
+
+  it("only records the change in a plan", () => {
+    const plan = createPlan();
+    assert.equal(includeLayout(NGINX_LAYOUTS["conf.d"], { root, plan }), true);
+    assert.equal(fs.readFileSync(conf, "utf8"), archConf);
+    assert.match(
+      plan.readFile(conf),
+      /include \/etc\/nginx\/conf\.d\/\*\.conf;/
+    );
+    assert.equal(includeLayout(NGINX_LAYOUTS["conf.d"], { root, plan }), false);
+  });
+
+  it("stops when nginx.conf has no http block", () => {
+    fs.writeFileSync(conf, "events {}\n");
+    assert.throws(
+      () => includeLayout(NGINX_LAYOUTS["conf.d"], { root, run }),
+      (error) => error.code === "ERR_NGINX_CONFIG"
+    );
+  });
+});
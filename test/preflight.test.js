@@ -0,0 +1,260 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import net from "node:net";
+import { describe, it } from "node:test";
+import {
+  checkAddresses,
+  checkCaa,
+  checkPort,
+  waitForTxtRecord,
+  withPropagationCheck,
+} from "../lib/preflight.js";
+
+const notFound = () =>
+  Promise.reject(Object.assign(new Error("not found"), { code: "ENOTFOUND" }));
+
+// A resolver answering from a table of "type name" keys, like dns.promises
+const fakeResolver = (table) => {
+  const lookup = (type) => (name) =>
+    table[`${type} ${name}`]
+      ? Promise.resolve(table[`${type} ${name}`])
+      : notFound();
+  return {
+    resolve4: lookup("A"),
+    resolve6: lookup("AAAA"),
+    resolveCaa: lookup("CAA"),
+    resolveCname: lookup("CNAME"),
+    resolveNs: lookup("NS"),
+    resolveTxt: lookup("TXT"),
+  };
+};
+
+describe("checkAddresses", () => {
+  const resolver = fakeResolver({
+    "A example.test": ["192.0.2.10"],
+    "A dual.example.test": ["192.0.2.10"],
+    "AAAA dual.example.test": ["2001:db8::99"],
+  });
+
+  it("accepts records pointing at this host", async () => {
+    const result = await checkAddresses("*.example.test", {
+      resolver,
+      expected: ["192.0.2.10"],
+    });
+    assert.equal(result.status, "ok");
+  });
+
+  it("fails without records for HTTP-01 only", async () => {
+    const options = { resolver, expected: ["192.0.2.10"] };
+    assert.equal(
+      (await checkAddresses("missing.example.test", options)).status,
+      "failed"
+    );
+    assert.equal(
+      (
+        await checkAddresses("missing.example.test", {
+          ...options,
+          challenge: "dns",
+        })
+      ).status,
+      "warning"
+    );
+  });
+
+  it("tells other addresses from NAT", async () => {
+    assert.equal(
+      (
+        await checkAddresses("example.test", {
+          resolver,
+          expected: ["192.0.2.1"],
+        })
+      ).status,
+      "failed"
+    );
+    assert.equal(
+      (await checkAddresses("example.test", { resolver })).status,
+      "warning"
+    );
+  });
+
+  it("warns about AAAA records pointing elsewhere", async () => {
+    const result = await checkAddresses("dual.example.test", {
+      resolver,
+      expected: ["192.0.2.10"],
+    });
+    assert.equal(result.status, "warning");
+    assert.match(result.message, /2001:db8::99/);
+  });
+});
+
+describe("checkCaa", () => {
+  const resolver = fakeResolver({
+    "CAA example.test": [
+      { critical: 0, issue: "letsencrypt.org; accounturi=x" },
+      { critical: 0, issuewild: "pki.goog" },
+    ],
+    "CAA other.test": [{ critical: 0, issue: "digicert.com" }],
+    "CAA closed.test": [{ critical: 0, issue: ";" }],
+    "CAA strict.test": [{ critical: 128, futuretag: "x" }],
+  });
+
+  it("uses the records of the closest name that has any", async () => {
+    assert.equal(
+      (await checkCaa("www.example.test", { resolver })).status,
+      "ok"
+    );
+    assert.equal((await checkCaa("none.test", { resolver })).status, "ok");
+  });
+
+  it("uses issuewild records for wildcards", async () => {
+    const result = await checkCaa("*.example.test", { resolver });
+    assert.equal(result.status, "failed");
+    assert.match(result.message, /only allow pki\.goog/);
+  });
+
+  it("fails when no record allows Let's Encrypt", async () => {
+    assert.match(
+      (await checkCaa("www.other.test", { resolver })).message,
+      /other\.test\. CAA 0 issue "letsencrypt\.org"/
+    );
+    assert.match(
+      (await checkCaa("closed.test", { resolver })).message,
+      /forbid every CA/
+    );
+    assert.equal(
+      (await checkCaa("strict.test", { resolver })).status,
+      "failed"
+    );
+  });
+
+  it("fails when the lookup fails", async () => {
+    const result = await checkCaa("example.test", {
+      resolver: {
+        resolveCaa: () =>
+          Promise.reject(
+            Object.assign(new Error("failed"), { code: "ESERVFAIL" })
+          ),
+      },
+    });
+    assert.equal(result.status, "failed");
+    assert.match(result.message, /ESERVFAIL/);
+  });
+});
+
+describe("checkPort", () => {
+  const listen = (handler) =>
+    new Promise((resolve) => {
+      const server = http.createServer(handler);
+      server.listen(0, "127.0.0.1", () => resolve(server));
+    });
+
+  it("accepts a free port", async () => {
+    const server = net.createServer();
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+    await new Promise((resolve) => server.close(resolve));
+    assert.equal((await checkPort(port)).status, "ok");
+  });
+
+  it("accepts nginx and names other servers", async () => {
+    for (const [header, status] of [
+      ["nginx/1.24.0", "ok"],
+      ["Apache", "failed"],
+    ]) {
+      const server = await listen((request, response) => {
+        response.setHeader("Server", header);
+        response.end();
+      });
+      try {
+        const result = await checkPort(server.address().port);
+        assert.equal(result.status, status);
+        assert.match(result.message, status === "ok" ? /nginx/ : /Apache/);
+      } finally {
+        server.close();
+      }
+    }
+  });
+});
+
+describe("waitForTxtRecord", () => {
+  const resolver = fakeResolver({
+    "CNAME _acme-challenge.www.example.test": ["www.acme.test"],
+    "NS acme.test": ["ns1.acme.test", "ns2.acme.test"],
+    "A ns1.acme.test": ["192.0.2.1"],
+    "AAAA ns2.acme.test": ["2001:db8::2"],
+  });
+
+  // ns2 only serves the record from its third query on
+  const queries = {};
+  const createResolver = (address) => ({
+    resolveTxt: async (name) => {
+      assert.equal(name, "www.acme.test");
+      queries[address] = (queries[address] || 0) + 1;
+      return address === "2001:db8::2" && queries[address] < 3
+        ? [["old"]]
+        : [["old"], ["new"]];
+    },
+  });
+
+  it("follows the CNAME and polls every name server", async () => {
+    const progress = [];
+    const servers = await waitForTxtRecord(
+      "_acme-challenge.www.example.test",
+      "new",
+      {
+        resolver,
+        createResolver,
+        interval: 1,
+        onProgress: (message) => progress.push(message),
+      }
+    );
+    assert.deepEqual(servers, ["ns1.acme.test", "ns2.acme.test"]);
+    assert.equal(queries["192.0.2.1"], 1);
+    assert.equal(queries["2001:db8::2"], 3);
+    assert.match(progress[0], /on ns2\.acme\.test$/);
+  });
+
+  it("gives up after the timeout", async () => {
+    await assert.rejects(
+      waitForTxtRecord("_acme-challenge.www.example.test", "never", {
+        resolver,
+        createResolver,
+        interval: 5,
+        timeout: 20,
+      }),
+      (error) =>
+        error.code === "ERR_DNS_PROPAGATION" &&
+        error.pending.length === 2 &&
+        /within 0 seconds/.test(error.message)
+    );
+  });
+
+  it("runs after a solver publishes the record", async () => {
+    const steps = [];
+    const solver = withPropagationCheck(
+      {
+        type: "dns-01",
+        prepare: async () => steps.push("prepare"),
+        cleanup: async () => steps.push("cleanup"),
+      },
+      {
+        resolver: fakeResolver({
+          "NS example.test": ["ns1.example.test"],
+          "A ns1.example.test": ["192.0.2.1"],
+        }),
+        createResolver: () => ({
+          resolveTxt: async () => {
+            steps.push("query");
+            return [["value"]];
+          },
+        }),
+      }
+    );
+    await solver.prepare({
+      dnsName: "_acme-challenge.example.test",
+      dnsValue: "value",
+    });
+    await solver.cleanup();
+    assert.deepEqual(steps, ["prepare", "query", "cleanup"]);
+  });
+});
@@ -0,0 +1,169 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { readCertificate } from "../lib/certs.js";
+import { createSelfSignedCA, issueCertificate } from "../lib/issue.js";
+import { generateKey } from "../lib/keys.js";
+import { getCertificateNames, renewCertificate } from "../lib/renew.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validity of a certificate in whole days
+const validityDays = (cert) =>
+  Math.round((new Date(cert.validTo) - new Date(cert.validFrom)) / DAY_MS);
+
+// Public key of a key file, to tell whether it was replaced
+const publicKeyOf = (keyPath) =>
+  crypto
+    .createPublicKey(fs.readFileSync(keyPath))
+    .export({ type: "spki", format: "der" })
+    .toString("hex");
+
+describe("renewCertificate", () => {
+  let dir;
+  let ca;
+  let certPath;
+  let keyPath;
+
+  // Write a CA, encrypted with "secret", to dir under a name
+  const createCA = (name) => {
+    const paths = {
+      certPath: path.join(dir, `${name}.pem`),
+      keyPath: path.join(dir, `${name}.key`),
+      intermediate: false,
+    };
+    generateKey(paths.keyPath, {
+      keyType: "ec:P-256",
+      encrypt: true,
+      passphrase: "secret",
+    });
+    createSelfSignedCA({
+      ...paths,
+      subject: `/CN=${name}`,
+      days: 30,
+      passphrase: "secret",
+    });
+    return paths;
+  };
+
+  // Write a key and a leaf certificate for names, signed by a CA
+  const issue = (signer, names) => {
+    generateKey(keyPath, { keyType: "ec:P-256" });
+    issueCertificate({
+      keyPath,
+      certPath,
+      subject: `/CN=${names[0]}`,
+      names,
+      caCertPath: signer.certPath,
+      caKeyPath: signer.keyPath,
+      caPassphrase: "secret",
+      days: 20,
+    });
+  };
+
+  const renew = (options = {}) =>
+    renewCertificate({
+      certPath,
+      ca,
+      localCACertPaths: [ca.certPath],
+      caPassphrase: "secret",
+      ...options,
+    });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-renew-"));
+    ca = createCA("myCA");
+    certPath = path.join(dir, "app.test.crt");
+    keyPath = path.join(dir, "app.test.key");
+    issue(ca, ["app.test", "*.app.test", "127.0.0.1"]);
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("reissues with the same subject, names, key and validity", () => {
+    const before = readCertificate(certPath);
+    const key = publicKeyOf(keyPath);
+    const result = renew();
+    const after = readCertificate(certPath);
+
+    assert.deepEqual(result.names, ["app.test", "*.app.test", "127.0.0.1"]);
+    assert.equal(result.keyRotated, false);
+    assert.equal(result.fullchain, null);
+    assert.notEqual(after.serialNumber, before.serialNumber);
+    assert.equal(after.subject, before.subject);
+    assert.equal(after.subjectAltName, before.subjectAltName);
+    assert.equal(validityDays(after), 20);
+    assert.equal(publicKeyOf(keyPath), key);
+    assert.ok(after.verify(readCertificate(ca.certPath).publicKey));
+    // The previous certificate is kept in backups/
+    assert.equal(
+      readCertificate(result.backups.cert).serialNumber,
+      before.serialNumber
+    );
+    assert.equal(path.dirname(result.backups.cert), path.join(dir, "backups"));
+    assert.equal(result.backups.key, null);
+  });
+
+  it("takes another validity with days", () => {
+    renew({ days: 45 });
+    assert.equal(validityDays(readCertificate(certPath)), 45);
+  });
+
+  it("rotates the key to one of the same type", () => {
+    const key = publicKeyOf(keyPath);
+    const result = renew({ rotateKey: true });
+    assert.equal(result.keyRotated, true);
+    assert.notEqual(publicKeyOf(keyPath), key);
+    assert.equal(publicKeyOf(result.backups.key), key);
+    const cert = readCertificate(certPath);
+    assert.equal(cert.publicKey.asymmetricKeyDetails.namedCurve, "prime256v1");
+    assert.ok(
+      cert.checkPrivateKey(crypto.createPrivateKey(fs.readFileSync(keyPath)))
+    );
+  });
+
+  it("needs the key unless it is rotated", () => {
+    fs.rmSync(keyPath);
+    assert.throws(() => renew(), /app\.test\.key not found; use --rotate-key/);
+    assert.equal(renew({ rotateKey: true }).keyRotated, true);
+  });
+
+  it("only renews certificates of the local CA", () => {
+    issue(createCA("otherCA"), ["app.test"]);
+    assert.throws(() => renew(), /was not issued by the local CA/);
+  });
+
+  it("puts the previous certificate back when signing fails", () => {
+    const serial = readCertificate(certPath).serialNumber;
+    assert.throws(() => renew({ caPassphrase: "wrong" }));
+    assert.equal(readCertificate(certPath).serialNumber, serial);
+  });
+});
+
+describe("getCertificateNames", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-renew-"));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("falls back to the CN of a certificate without SANs", () => {
+    const keyPath = path.join(dir, "ca.key");
+    const certPath = path.join(dir, "ca.pem");
+    generateKey(keyPath, { keyType: "ec:P-256" });
+    createSelfSignedCA({
+      keyPath,
+      certPath,
+      subject: "/CN=legacy.test",
+      days: 1,
+    });
+    assert.deepEqual(getCertificateNames(readCertificate(certPath)), [
+      "legacy.test",
+    ]);
+  });
+});
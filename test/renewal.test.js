@@ -0,0 +1,199 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { signCertificate } from "../lib/native.js";
+import { createPlan } from "../lib/plan.js";
+import {
+  DEPLOY_HOOK_PATH,
+  cronFile,
+  installRenewal,
+  nextCronRun,
+  renewalStatus,
+} from "../lib/renewal.js";
+
+// Write a Let's Encrypt style live directory and renewal configuration under a root
+const writeLiveCertificate = (root, name, authenticator) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  const live = path.join(root, "etc/letsencrypt/live", name);
+  fs.mkdirSync(live, { recursive: true });
+  fs.writeFileSync(
+    path.join(live, "cert.pem"),
+    signCertificate({
+      subject: `/CN=${name}`,
+      publicKey,
+      signingKey: privateKey,
+      serial: "01",
+      days: 90,
+      digest: null,
+      profile: { ca: false, keyUsage: ["digitalSignature"], names: [name] },
+    })
+  );
+  fs.mkdirSync(path.join(root, "etc/letsencrypt/renewal"), { recursive: true });
+  fs.writeFileSync(
+    path.join(root, "etc/letsencrypt/renewal", `${name}.conf`),
+    `version = 2.9.0\n\n[renewalparams]\nauthenticator = ${authenticator}\n`
+  );
+};
+
+describe("installRenewal", () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-renewal-"));
+  });
+
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it("installs a systemd timer and an executable deploy hook under systemd", () => {
+    fs.mkdirSync(path.join(root, "run/systemd/system"), { recursive: true });
+    const { scheduler, packaged, files } = installRenewal({ root });
+    assert.equal(scheduler, "systemd");
+    assert.equal(packaged, null);
+    assert.deepEqual(
+      files.map((file) => path.relative(root, file)),
+      [
+        "etc/letsencrypt/renewal-hooks/deploy/ssl-cli-reload-nginx.sh",
+        "etc/systemd/system/ssl-cli-renew.service",
+        "etc/systemd/system/ssl-cli-renew.timer",
+      ]
+    );
+    const hook = path.join(root, DEPLOY_HOOK_PATH);
+    assert.equal(fs.statSync(hook).mode & 0o777, 0o755);
+    assert.match(
+      fs.readFileSync(hook, "utf8"),
+      /nginx -t -q\nsystemctl reload nginx\n$/
+    );
+    assert.match(
+      fs.readFileSync(files[1], "utf8"),
+      /ExecStart=\S*certbot renew --quiet/
+    );
+    assert.equal(renewalStatus({ root }).scheduler, "systemd");
+  });
+
+  it("falls back to a cron job without systemd", () => {
+    const { scheduler, files } = installRenewal({ root });
+    assert.equal(scheduler, "cron");
+    assert.equal(path.relative(root, files[1]), "etc/cron.d/ssl-cli-renew");
+    const status = renewalStatus({ root });
+    assert.equal(status.scheduler, "cron");
+    assert.equal(status.deployHook, true);
+    assert.ok(status.nextRun > new Date());
+  });
+
+  it("leaves the renewals to certbot's packaged timer", () => {
+    fs.mkdirSync(path.join(root, "run/systemd/system"), { recursive: true });
+    fs.mkdirSync(path.join(root, "usr/lib/systemd/system"), {
+      recursive: true,
+    });
+    fs.writeFileSync(
+      path.join(root, "usr/lib/systemd/system/certbot-renew.timer"),
+      "[Timer]\n"
+    );
+    const { scheduler, packaged, files } = installRenewal({ root });
+    assert.equal(scheduler, "systemd");
+    assert.equal(packaged, "certbot-renew.timer");
+    assert.deepEqual(files, [path.join(root, DEPLOY_HOOK_PATH)]);
+    assert.equal(fs.existsSync(path.join(root, "etc/systemd")), false);
+    const status = renewalStatus({ root });
+    assert.equal(status.scheduler, "systemd");
+    assert.equal(status.packaged, "certbot-renew.timer");
+  });
+
+  it("leaves the renewals to certbot's packaged cron job", () => {
+    fs.mkdirSync(path.join(root, "etc/cron.d"), { recursive: true });
+    fs.writeFileSync(
+      path.join(root, "etc/cron.d/certbot"),
+      "0 */12 * * * root certbot -q renew\n"
+    );
+    const { scheduler, packaged, files } = installRenewal({ root });
+    assert.equal(scheduler, "cron");
+    assert.equal(packaged, "/etc/cron.d/certbot");
+    assert.equal(files.length, 1);
+    assert.equal(
+      fs.existsSync(path.join(root, "etc/cron.d/ssl-cli-renew")),
+      false
+    );
+    assert.match(
+      fs.readFileSync(files[0], "utf8"),
+      /\nservice nginx reload\n$/
+    );
+  });
+
+  it("ignores a packaged timer when systemd is not running", () => {
+    fs.mkdirSync(path.join(root, "lib/systemd/system"), { recursive: true });
+    fs.writeFileSync(
+      path.join(root, "lib/systemd/system/certbot.timer"),
+      "[Timer]\n"
+    );
+    const { scheduler, packaged } = installRenewal({ root });
+    assert.equal(scheduler, "cron");
+    assert.equal(packaged, null);
+  });
+
+  it("only records the files in a plan", () => {
+    const plan = createPlan();
+    const { files } = installRenewal({ root, plan });
+    assert.deepEqual(
+      plan.steps.map((step) => [step.file, step.mode]),
+      [
+        [files[0], "755"],
+        [files[1], "644"],
+      ]
+    );
+    assert.equal(fs.readdirSync(root).length, 0);
+  });
+});
+
+describe("renewalStatus", () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-renewal-"));
+  });
+
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it("reports nothing set up on a fresh machine", () => {
+    assert.deepEqual(renewalStatus({ root }), {
+      scheduler: null,
+      packaged: null,
+      nextRun: null,
+      lastRun: null,
+      deployHook: false,
+      certificates: [],
+    });
+  });
+
+  it("flags certificates from a manual challenge", () => {
+    writeLiveCertificate(root, "a.example.com", "nginx");
+    writeLiveCertificate(root, "b.example.com", "manual");
+    const { certificates } = renewalStatus({ root });
+    const byName = Object.fromEntries(
+      certificates.map((cert) => [cert.name, cert])
+    );
+    assert.equal(byName["a.example.com"].unattended, true);
+    assert.equal(byName["b.example.com"].unattended, false);
+    assert.equal(byName["a.example.com"].daysLeft, 89);
+  });
+});
+
+describe("nextCronRun", () => {
+  const contents = cronFile("/usr/bin/certbot", 30, 4);
+
+  it("finds the next run later today", () => {
+    const next = nextCronRun(contents, new Date(2026, 0, 1, 10, 0));
+    assert.deepEqual(next, new Date(2026, 0, 1, 16, 30));
+  });
+
+  it("rolls over to tomorrow after the last run of the day", () => {
+    const next = nextCronRun(contents, new Date(2026, 0, 1, 17, 0));
+    assert.deepEqual(next, new Date(2026, 0, 2, 4, 30));
+  });
+
+  it("ignores files without our schedule", () => {
+    assert.equal(nextCronRun("# empty\n"), null);
+  });
+});
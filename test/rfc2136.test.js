@@ -0,0 +1,351 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import dgram from "node:dgram";
+import { after, before, describe, it } from "node:test";
+import {
+  buildUpdate,
+  createRfc2136Provider,
+  parseBindKey,
+  parseResponse,
+  signMessage,
+} from "../lib/rfc2136.js";
+
+const SECRET = crypto.randomBytes(32);
+const KEY = {
+  keyName: "acme-key",
+  keyAlgorithm: "hmac-sha256",
+  keySecret: SECRET.toString("base64"),
+};
+
+const u16 = (value) => Buffer.from([value >> 8, value & 0xff]);
+
+const wireName = (name) =>
+  Buffer.concat([
+    ...name
+      .split(".")
+      .filter(Boolean)
+      .map((label) =>
+        Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])
+      ),
+    Buffer.from([0]),
+  ]);
+
+// Uncompressed names only: what the client sends
+const readWireName = (message, offset) => {
+  const labels = [];
+  while (message[offset] !== 0) {
+    labels.push(
+      message.toString("latin1", offset + 1, offset + 1 + message[offset])
+    );
+    offset += message[offset] + 1;
+  }
+  return { name: labels.join(".").toLowerCase(), end: offset + 1 };
+};
+
+const readRecord = (message, offset) => {
+  const { name, end } = readWireName(message, offset);
+  const length = message.readUInt16BE(end + 8);
+  return {
+    start: offset,
+    name,
+    type: message.readUInt16BE(end),
+    klass: message.readUInt16BE(end + 2),
+    ttl: message.readUInt32BE(end + 4),
+    data: message.subarray(end + 10, end + 10 + length),
+    end: end + 10 + length,
+  };
+};
+
+// TSIG variables straight from RFC 8945 section 4.3.3, with our fixed algorithm
+const macOver = (parts, timeSigned) =>
+  crypto
+    .createHmac("sha256", SECRET)
+    .update(
+      Buffer.concat([
+        ...parts,
+        wireName("acme-key"),
+        u16(255),
+        Buffer.alloc(4),
+        wireName("hmac-sha256"),
+        Buffer.from(timeSigned),
+        u16(300),
+        u16(0),
+        u16(0),
+      ])
+    )
+    .digest();
+
+/**
+ * A UDP server for the zone example.test that applies signed updates and
+ * answers SOA and TXT queries, like BIND with an update-policy for the key
+ */
+const createFakeDnsServer = async () => {
+  const zone = "example.test";
+  const records = new Map();
+  const state = { updates: 0, responseMacTamper: false };
+  const socket = dgram.createSocket("udp4");
+
+  const header = (id, flags, counts) =>
+    Buffer.concat([u16(id), u16(flags), ...counts.map(u16)]);
+
+  const answerQuery = (message, id) => {
+    const question = readWireName(message, 12);
+    const type = message.readUInt16BE(question.end);
+    const questionBytes = message.subarray(12, question.end + 4);
+    let answers = [];
+    if (type === 6 && question.name === zone) {
+      const soa = Buffer.concat([
+        wireName(`ns.${zone}`),
+        wireName(`admin.${zone}`),
+        Buffer.alloc(20, 1),
+      ]);
+      answers = [soa];
+    } else if (type === 16) {
+      answers = (records.get(question.name) || []).map((value) =>
+        Buffer.concat([Buffer.from([value.length]), Buffer.from(value)])
+      );
+    }
+    const rcode = question.name.endsWith(zone) ? 0 : 5;
+    return Buffer.concat([
+      header(id, 0x8400 | rcode, [1, answers.length, 0, 0]),
+      questionBytes,
+      ...answers.map((data) =>
+        Buffer.concat([
+          Buffer.from([0xc0, 12]),
+          u16(type),
+          u16(1),
+          Buffer.from([0, 0, 0, 60]),
+          u16(data.length),
+          data,
+        ])
+      ),
+    ]);
+  };
+
+  const answerUpdate = (message, id) => {
+    const counts = [4, 6, 8, 10].map((offset) => message.readUInt16BE(offset));
+    const zoneName = readWireName(message, 12);
+    let offset = zoneName.end + 4;
+    const updates = [];
+    for (let i = 0; i < counts[2]; i += 1) {
+      const record = readRecord(message, offset);
+      updates.push(record);
+      offset = record.end;
+    }
+    const tsig = counts[3] === 1 ? readRecord(message, offset) : null;
+
+    let rcode = 0;
+    let tsigError = 0;
+    let requestMac = Buffer.alloc(0);
+    let timeSigned = Buffer.alloc(6);
+    if (!tsig || tsig.type !== 250 || tsig.name !== "acme-key") {
+      rcode = 5;
+    } else {
+      const algorithm = readWireName(tsig.data, 0);
+      timeSigned = tsig.data.subarray(algorithm.end, algorithm.end + 6);
+      const macSize = tsig.data.readUInt16BE(algorithm.end + 8);
+      requestMac = tsig.data.subarray(
+        algorithm.end + 10,
+        algorithm.end + 10 + macSize
+      );
+      const unsigned = Buffer.from(message.subarray(0, tsig.start));
+      unsigned.writeUInt16BE(0, 10);
+      if (!macOver([unsigned], timeSigned).equals(requestMac)) {
+        rcode = 9;
+        tsigError = 16;
+      }
+    }
+    if (rcode === 0 && zoneName.name !== zone) {
+      rcode = 10;
+    }
+    if (rcode === 0) {
+      state.updates += 1;
+      updates.forEach(({ name, klass, data }) => {
+        const value = data.toString("latin1", 1, 1 + data[0]);
+        const values = (records.get(name) || []).filter((v) => v !== value);
+        records.set(name, klass === 254 ? values : [...values, value]);
+      });
+    }
+
+    const response = Buffer.concat([
+      header(id, 0x8000 | (5 << 11) | rcode, [1, 0, 0, 0]),
+      message.subarray(12, zoneName.end + 4),
+    ]);
+    if (!tsig) {
+      return response;
+    }
+    const mac =
+      tsigError === 0
+        ? macOver([u16(requestMac.length), requestMac, response], timeSigned)
+        : Buffer.alloc(0);
+    if (state.responseMacTamper && mac.length > 0) {
+      mac[0] ^= 1;
+    }
+    const rdata = Buffer.concat([
+      wireName("hmac-sha256"),
+      timeSigned,
+      u16(300),
+      u16(mac.length),
+      mac,
+      u16(id),
+      u16(tsigError),
+      u16(0),
+    ]);
+    const signed = Buffer.concat([
+      response,
+      wireName("acme-key"),
+      u16(250),
+      u16(255),
+      Buffer.alloc(4),
+      u16(rdata.length),
+      rdata,
+    ]);
+    signed.writeUInt16BE(1, 10);
+    return signed;
+  };
+
+  socket.on("message", (message, peer) => {
+    const id = message.readUInt16BE(0);
+    const opcode = (message.readUInt16BE(2) >> 11) & 0xf;
+    const response =
+      opcode === 5 ? answerUpdate(message, id) : answerQuery(message, id);
+    socket.send(response, peer.port, peer.address);
+  });
+
+  await new Promise((resolve) => socket.bind(0, "127.0.0.1", resolve));
+  return {
+    port: socket.address().port,
+    records,
+    state,
+    close: () => new Promise((resolve) => socket.close(resolve)),
+  };
+};
+
+describe("signMessage", () => {
+  it("appends a TSIG record and counts it", () => {
+    const request = buildUpdate({
+      id: 0x1234,
+      zone: "example.test",
+      add: [{ name: "_acme-challenge.example.test", value: "abc" }],
+    });
+    const key = {
+      keyName: "acme-key",
+      algorithm: "hmac-sha256",
+      secret: SECRET,
+    };
+    const { message, mac } = signMessage(request, key, new Date(1700000000000));
+    assert.equal(message.readUInt16BE(10), 1);
+    assert.equal(mac.length, 32);
+    assert.equal(
+      message.subarray(12, request.length).equals(request.subarray(12)),
+      true
+    );
+    const tsig = readRecord(message, request.length);
+    assert.equal(tsig.name, "acme-key");
+    assert.equal(tsig.type, 250);
+    const timeSigned = tsig.data.subarray(13, 19);
+    assert.equal(timeSigned.readUIntBE(0, 6), 1700000000);
+    assert.deepEqual(macOver([request], timeSigned), mac);
+  });
+});
+
+describe("parseResponse", () => {
+  it("reads the response code", () => {
+    const response = Buffer.from([
+      0x12, 0x34, 0xa8, 0x05, 0, 0, 0, 0, 0, 0, 0, 0,
+    ]);
+    assert.equal(parseResponse(response).rcode, "REFUSED");
+  });
+});
+
+describe("parseBindKey", () => {
+  it("reads a tsig-keygen key", () => {
+    assert.deepEqual(
+      parseBindKey(
+        'key "acme-key" {\n\talgorithm hmac-sha512;\n\tsecret "c2VjcmV0";\n};\n'
+      ),
+      {
+        keyName: "acme-key",
+        keyAlgorithm: "hmac-sha512",
+        keySecret: "c2VjcmV0",
+      }
+    );
+  });
+});
+
+describe("createRfc2136Provider", () => {
+  let server;
+
+  before(async () => {
+    server = await createFakeDnsServer();
+  });
+
+  after(() => server.close());
+
+  const provider = (options = {}) =>
+    createRfc2136Provider({
+      server: "127.0.0.1",
+      port: server.port,
+      timeout: 2000,
+      ...KEY,
+      ...options,
+    });
+
+  it("adds, finds and removes a challenge record in the zone it looks up", async () => {
+    const dns = provider();
+    const name = "_acme-challenge.www.example.test";
+    await dns.createTxtRecord(name, "first");
+    await dns.createTxtRecord(name, "second");
+    await dns.waitForRecord(name, "second");
+    assert.deepEqual(server.records.get(name), ["first", "second"]);
+    await dns.removeTxtRecord(name, "first");
+    assert.deepEqual(server.records.get(name), ["second"]);
+  });
+
+  it("reports a wrong key", async () => {
+    await assert.rejects(
+      provider({
+        zone: "example.test",
+        keySecret: crypto.randomBytes(32).toString("base64"),
+      }).createTxtRecord("_acme-challenge.example.test", "x"),
+      (error) => error.code === "ERR_DNS_PROVIDER" && error.rcode === "BADSIG"
+    );
+  });
+
+  it("reports an update outside the server's zones", async () => {
+    await assert.rejects(
+      provider({ zone: "other.test" }).createTxtRecord(
+        "_acme-challenge.other.test",
+        "x"
+      ),
+      (error) => error.rcode === "NOTZONE"
+    );
+  });
+
+  it("rejects a response that is not signed with the key", async () => {
+    server.state.responseMacTamper = true;
+    try {
+      await assert.rejects(
+        provider({ zone: "example.test" }).createTxtRecord(
+          "_acme-challenge.example.test",
+          "x"
+        ),
+        /not signed with the TSIG key/
+      );
+    } finally {
+      server.state.responseMacTamper = false;
+    }
+  });
+
+  it("needs a server and a complete key", () => {
+    assert.throws(() => createRfc2136Provider({}), /server/);
+    assert.throws(
+      () => createRfc2136Provider({ server: "127.0.0.1", keyName: "k" }),
+      /keySecret/
+    );
+    assert.throws(
+      () => provider({ keyAlgorithm: "hmac-sha3" }),
+      /keyAlgorithm must be one of/
+    );
+  });
+});
@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+  SERVERS,
+  parseUpstream,
+  renderServerConfig,
+  writeServerConfig,
+} from "../lib/servers.js";
+
+const site = {
+  names: ["app.test", "*.app.test", "127.0.0.1"],
+  certPath: "/certs/app.test.crt",
+  keyPath: "/certs/app.test.key",
+  fullchainPath: "/certs/app.test.fullchain.pem",
+};
+
+describe("renderServerConfig", () => {
+  it("serves the full chain and the key in every configuration", () => {
+    SERVERS.filter((server) => server !== "haproxy").forEach((server) => {
+      const config = renderServerConfig(server, site);
+      assert.ok(config.includes("/certs/app.test.fullchain.pem"), server);
+      assert.ok(config.includes("/certs/app.test.key"), server);
+    });
+  });
+
+  it("falls back to the certificate without an intermediate", () => {
+    const config = renderServerConfig("nginx", {
+      ...site,
+      fullchainPath: null,
+    });
+    assert.match(config, /ssl_certificate "\/certs\/app\.test\.crt";/);
+  });
+
+  it("redirects HTTP to HTTPS", () => {
+    assert.match(
+      renderServerConfig("nginx", site),
+      /return 301 https:\/\/\$host\$request_uri;/
+    );
+    assert.match(renderServerConfig("apache", site), /\[R=301,L\]/);
+    assert.match(renderServerConfig("caddy", site), /redir https:\/\//);
+    assert.match(
+      renderServerConfig("haproxy", { ...site, bundlePath: "/x.pem" }),
+      /redirect scheme https code 301/
+    );
+    assert.match(renderServerConfig("traefik", site), /redirectScheme:/);
+  });
+
+  it("matches host names but not IP addresses in nginx and Apache", () => {
+    assert.match(
+      renderServerConfig("nginx", site),
+      /server_name app\.test \*\.app\.test;/
+    );
+    const apache = renderServerConfig("apache", {
+      ...site,
+      names: ["*.app.test", "app.test"],
+    });
+    assert.match(apache, /ServerName app\.test\n\s+ServerAlias \*\.app\.test/);
+  });
+
+  it("proxies to the upstream", () => {
+    const upstream = "https://backend.internal:8443";
+    assert.match(
+      renderServerConfig("nginx", { ...site, upstream }),
+      /proxy_pass https:\/\/backend\.internal:8443;/
+    );
+    assert.match(
+      renderServerConfig("haproxy", {
+        ...site,
+        upstream,
+        bundlePath: "/x.pem",
+      }),
+      /server upstream backend\.internal:8443 ssl verify required ca-file @system-ca sni str\(backend\.internal\)/
+    );
+  });
+
+  it("rejects an unknown server", () => {
+    assert.throws(
+      () => renderServerConfig("iis", site),
+      (error) => error.code === "ERR_INVALID_OPTION"
+    );
+  });
+});
+
+describe("parseUpstream", () => {
+  it("accepts http and https origins", () => {
+    assert.equal(parseUpstream("http://127.0.0.1:3000").port, "3000");
+    assert.equal(parseUpstream("https://[::1]").hostname, "[::1]");
+  });
+
+  it("rejects other schemes, paths and garbage", () => {
+    ["ftp://host", "http://host/app", "http://host/?a=1", "host:3000"].forEach(
+      (upstream) =>
+        assert.throws(
+          () => parseUpstream(upstream),
+          (error) => error.code === "ERR_INVALID_OPTION",
+          upstream
+        )
+    );
+  });
+});
+
+describe("writeServerConfig", () => {
+  let dir;
+  let files;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-servers-"));
+    files = {
+      names: ["app.test"],
+      certPath: path.join(dir, "app.test.crt"),
+      keyPath: path.join(dir, "app.test.key"),
+    };
+    fs.writeFileSync(files.certPath, "CERT\n");
+    fs.writeFileSync(files.keyPath, "KEY\n");
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("writes HAProxy's certificate and key file readable by the owner only", () => {
+    const out = path.join(dir, "haproxy");
+    const { files: written } = writeServerConfig("haproxy", {
+      ...files,
+      dir: out,
+    });
+    const bundle = path.join(out, "app.test.haproxy.pem");
+    assert.deepEqual(written, [path.join(out, "app.test.haproxy.cfg"), bundle]);
+    assert.equal(fs.readFileSync(bundle, "utf8"), "CERT\nKEY\n");
+    assert.equal(fs.statSync(bundle).mode & 0o777, 0o600);
+  });
+
+  it("refuses to overwrite a configuration unless asked to", () => {
+    writeServerConfig("nginx", { ...files, dir });
+    assert.throws(
+      () => writeServerConfig("nginx", { ...files, dir }),
+      (error) => error.code === "ERR_FILE_EXISTS"
+    );
+    writeServerConfig("nginx", { ...files, dir, overwrite: true });
+  });
+});
@@ -0,0 +1,216 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import {
+  applyIssuingSite,
+  applySiteConfig,
+  backupSite,
+  isSiteCurrent,
+  listSiteBackups,
+  rollbackSite,
+  sitePaths,
+} from "../lib/sites.js";
+import { httpSiteConfig, httpsSiteConfig } from "../lib/nginx.js";
+import { createPlan } from "../lib/plan.js";
+import { runCommand } from "../utils.js";
+
+// Run the commands as the test user, as they would run through sudo
+const run = (command, args, options) =>
+  runCommand(command, args, { ...options, sudo: false });
+
+// nginx -t stand-in that rejects configurations containing "broken"
+const test = (root) => () => {
+  const dir = path.join(root, "etc/nginx/sites-enabled");
+  fs.readdirSync(dir).forEach((name) => {
+    if (fs.readFileSync(path.join(dir, name), "utf8").includes("broken")) {
+      throw new Error(`nginx: [emerg] unknown directive "broken" in ${name}`);
+    }
+  });
+};
+
+describe("applySiteConfig", () => {
+  let root;
+  let paths;
+  let options;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-sites-"));
+    fs.mkdirSync(path.join(root, "etc/nginx/sites-available"), {
+      recursive: true,
+    });
+    fs.mkdirSync(path.join(root, "etc/nginx/sites-enabled"));
+    paths = sitePaths("app.test", root);
+    options = { root, run, test: test(root) };
+  });
+
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it("writes and enables a new site, keeping a backup of nothing", () => {
+    const backup = applySiteConfig("app.test", "server {}\n", options);
+    assert.equal(fs.readFileSync(paths.enabled, "utf8"), "server {}\n");
+    assert.equal(fs.readlinkSync(paths.enabled), paths.available);
+    assert.equal(backup.available, false);
+    assert.equal(backup.enabled, null);
+    assert.deepEqual(
+      listSiteBackups("app.test", { root }).map((b) => b.id),
+      [backup.id]
+    );
+  });
+
+  it("restores the previous files when the test fails", () => {
+    applySiteConfig("app.test", "server { listen 80; }\n", options);
+    assert.throws(
+      () => applySiteConfig("app.test", "broken;\n", options),
+      (error) =>
+        error.code === "ERR_NGINX_CONFIG" &&
+        /unknown directive/.test(error.output) &&
+        /previous files were restored/.test(error.message)
+    );
+    assert.equal(
+      fs.readFileSync(paths.enabled, "utf8"),
+      "server { listen 80; }\n"
+    );
+  });
+
+  it("removes a new site the test rejects", () => {
+    assert.throws(() => applySiteConfig("app.test", "broken;\n", options));
+    assert.equal(fs.existsSync(paths.available), false);
+    assert.equal(fs.existsSync(paths.enabled), false);
+  });
+
+  it("tells whether writing a site again would change anything", () => {
+    assert.equal(isSiteCurrent("app.test", "server {}\n", { root }), false);
+    applySiteConfig("app.test", "server {}\n", options);
+    assert.equal(isSiteCurrent("app.test", "server {}\n", { root }), true);
+    assert.equal(isSiteCurrent("app.test", "server { }\n", { root }), false);
+    // A copy in sites-enabled is replaced by the link
+    fs.rmSync(paths.enabled);
+    fs.writeFileSync(paths.enabled, "server {}\n");
+    assert.equal(isSiteCurrent("app.test", "server {}\n", { root }), false);
+  });
+
+  it("backs up a planned site the way a real run would find it", () => {
+    const plan = createPlan();
+    const now = new Date("2026-10-18T12:00:00Z");
+    const first = backupSite("app.test", { root, plan, now });
+    applySiteConfig("app.test", "server {}\n", { root, plan, test() {} });
+    const second = backupSite("app.test", { root, plan, now });
+    assert.equal(first.available, false);
+    assert.equal(second.available, true);
+    assert.deepEqual(second.enabled, { type: "link", target: paths.available });
+    assert.notEqual(second.id, first.id);
+    assert.equal(
+      isSiteCurrent("app.test", "server {}\n", { root, plan }),
+      true
+    );
+    assert.equal(fs.existsSync(paths.available), false);
+  });
+
+  it("replaces a copied file in sites-enabled and brings it back", () => {
+    fs.writeFileSync(paths.enabled, "copy\n");
+    assert.throws(() => applySiteConfig("app.test", "broken;\n", options));
+    assert.equal(fs.lstatSync(paths.enabled).isSymbolicLink(), false);
+    assert.equal(fs.readFileSync(paths.enabled, "utf8"), "copy\n");
+  });
+});
+
+describe("applyIssuingSite", () => {
+  const site = { domain: "app.test", port: "7000" };
+  let root;
+  let paths;
+  let options;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-sites-"));
+    fs.mkdirSync(path.join(root, "etc/nginx/sites-available"), {
+      recursive: true,
+    });
+    fs.mkdirSync(path.join(root, "etc/nginx/sites-enabled"));
+    paths = sitePaths("app.test", root);
+    options = { root, run, test: test(root) };
+  });
+
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it("serves a new site over HTTP", () => {
+    applyIssuingSite(site, options);
+    assert.equal(
+      fs.readFileSync(paths.available, "utf8"),
+      httpSiteConfig(site)
+    );
+  });
+
+  it("keeps the HTTPS server of a site set up before, and can put the site back", () => {
+    applySiteConfig("app.test", httpsSiteConfig(site), options);
+    const backup = applyIssuingSite(site, options);
+    const issuing = fs.readFileSync(paths.enabled, "utf8");
+    assert.match(issuing, /listen 443 ssl http2;/);
+    assert.match(
+      issuing,
+      /ssl_certificate \/etc\/letsencrypt\/live\/app\.test/
+    );
+    assert.match(issuing, /return 301 https/);
+    assert.equal(backup.available, true);
+
+    // What setup-nginx does when the certificate cannot be had
+    rollbackSite("app.test", backup.id, options);
+    assert.equal(
+      fs.readFileSync(paths.available, "utf8"),
+      httpsSiteConfig(site)
+    );
+  });
+});
+
+describe("rollbackSite", () => {
+  let root;
+  let options;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-sites-"));
+    fs.mkdirSync(path.join(root, "etc/nginx/sites-available"), {
+      recursive: true,
+    });
+    fs.mkdirSync(path.join(root, "etc/nginx/sites-enabled"));
+    options = { root, run, test: test(root) };
+  });
+
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it("restores an earlier backup and backs up what it replaces", () => {
+    const { available } = sitePaths("app.test", root);
+    applySiteConfig("app.test", "first\n", options);
+    const second = applySiteConfig("app.test", "second\n", options);
+    applySiteConfig("app.test", "third\n", options);
+
+    const { restored, backup } = rollbackSite("app.test", second.id, options);
+    assert.equal(restored.id, second.id);
+    assert.equal(fs.readFileSync(available, "utf8"), "first\n");
+
+    // The rollback can be undone the same way
+    rollbackSite("app.test", backup.id, options);
+    assert.equal(fs.readFileSync(available, "utf8"), "third\n");
+    assert.equal(listSiteBackups("app.test", { root }).length, 5);
+  });
+
+  it("numbers backups made within the same millisecond", () => {
+    const now = new Date("2026-10-18T12:00:00Z");
+    applySiteConfig("app.test", "first\n", options);
+    const ids = [0, 1, 2].map(
+      () => backupSite("app.test", { root, run, now }).id
+    );
+    assert.deepEqual(ids, [
+      "2026-10-18T12-00-00-000Z",
+      "2026-10-18T12-00-00-000Z-1",
+      "2026-10-18T12-00-00-000Z-2",
+    ]);
+  });
+
+  it("rejects unknown backups", () => {
+    assert.throws(
+      () => rollbackSite("app.test", "2020-01-01T00-00-00-000Z", options),
+      (error) => error.code === "ERR_INVALID_OPTION"
+    );
+  });
+});
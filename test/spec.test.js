@@ -0,0 +1,358 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, afterEach, before, beforeEach, describe, it } from "node:test";
+import { signCertificate } from "../lib/native.js";
+import { specSiteConfig } from "../lib/nginx.js";
+import { createPlan } from "../lib/plan.js";
+import { applySiteSpec, loadSiteSpec, validateSiteSpec } from "../lib/spec.js";
+import { runCommand } from "../utils.js";
+
+const spec = {
+  email: "ops@example.com",
+  sites: [
+    {
+      serverNames: ["example.com", "www.example.com"],
+      clientMaxBodySize: "20m",
+      headers: { "X-Frame-Options": "DENY" },
+      upstreams: {
+        app: {
+          balance: "least_conn",
+          servers: [3000, "127.0.0.1:3001 backup"],
+        },
+      },
+      locations: [
+        { path: "/api", port: 7000, proxyHeaders: { "X-Api": "1" } },
+        { path: "/", upstream: "app", websocket: true },
+      ],
+    },
+    { serverNames: "internal.example.com", port: 8080, tls: false },
+  ],
+};
+
+// The problems validateSiteSpec() reports for a spec
+const problems = (value) => {
+  try {
+    validateSiteSpec(value);
+    return [];
+  } catch (error) {
+    assert.equal(error.code, "ERR_SITE_SPEC");
+    return error.errors;
+  }
+};
+
+describe("validateSiteSpec", () => {
+  it("fills in the defaults", () => {
+    const { email, sites } = validateSiteSpec(spec);
+    assert.equal(email, "ops@example.com");
+    assert.deepEqual(sites[0].upstreams, [
+      {
+        name: "app",
+        balance: "least_conn",
+        servers: ["127.0.0.1:3000", "127.0.0.1:3001 backup"],
+      },
+    ]);
+    assert.equal(sites[0].tls, true);
+    assert.equal(sites[0].locations[1].proxyPass, "http://app");
+    assert.deepEqual(sites[1].serverNames, ["internal.example.com"]);
+    assert.deepEqual(sites[1].locations, [
+      {
+        path: "/",
+        proxyPass: "http://127.0.0.1:8080",
+        websocket: false,
+        clientMaxBodySize: null,
+        proxyHeaders: [],
+      },
+    ]);
+  });
+
+  it("reports every problem with its place in the spec", () => {
+    const errors = problems({
+      sites: [
+        {
+          serverNames: ["example.com", "*.example.com"],
+          clientMaxBodySize: "20 MB",
+          headers: { "X-Bad": 'say "hi"' },
+          upstreams: { app: { servers: ["localhost"], balance: "fastest" } },
+          locations: [
+            { path: "api", port: 70000 },
+            { path: "/", upstream: "missing", websocket: "yes" },
+          ],
+        },
+        { serverNames: ["example.com"], port: 3000, proxy: true },
+      ],
+    });
+    [
+      /^sites\[0\]\.serverNames\[1\]: .*wildcards/,
+      /^sites\[0\]\.clientMaxBodySize must be a size/,
+      /^sites\[0\]\.headers\.X-Bad must be a string without double quotes/,
+      /^sites\[0\]\.upstreams\.app\.servers\[0\]: "localhost" must be host:port/,
+      /^sites\[0\]\.upstreams\.app\.balance must be one of/,
+      /^sites\[0\]\.locations\[0\]\.path must start with \//,
+      /^sites\[0\]\.locations\[0\]\.port must be a port number/,
+      /^sites\[0\]\.locations\[1\]\.upstream missing is not one/,
+      /^sites\[0\]\.locations\[1\]\.websocket must be true or false/,
+      /^sites\[1\]\.proxy is not a known setting/,
+      /^sites\[1\]: example\.com is already served by sites\[0\]/,
+    ].forEach((pattern) =>
+      assert.ok(
+        errors.some((error) => pattern.test(error)),
+        `${pattern} in ${errors.join("\n")}`
+      )
+    );
+  });
+
+  it("rejects upstream names shared between sites", () => {
+    const upstreams = { app: { servers: [3000] } };
+    assert.match(
+      problems({
+        sites: [
+          { serverNames: "a.example.com", upstreams, port: 3000 },
+          { serverNames: "b.example.com", upstreams, port: 3000 },
+        ],
+      }).join("\n"),
+      /upstream app is already defined by sites\[0\]/
+    );
+  });
+});
+
+describe("loadSiteSpec", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-spec-"));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("reads YAML and JSON into the same spec", () => {
+    const yaml = path.join(dir, "sites.yaml");
+    const json = path.join(dir, "sites.json");
+    fs.writeFileSync(
+      yaml,
+      `email: ops@example.com
+sites:
+  - serverNames: [example.com, www.example.com]
+    clientMaxBodySize: 20m
+    headers:
+      X-Frame-Options: DENY
+    upstreams:
+      app:
+        balance: least_conn
+        servers:
+          - 3000
+          - 127.0.0.1:3001 backup
+    locations:
+      - path: /api
+        port: 7000
+        proxyHeaders: {X-Api: "1"}
+      - path: /
+        upstream: app
+        websocket: true
+  - serverNames: internal.example.com
+    port: 8080
+    tls: false
+`
+    );
+    fs.writeFileSync(json, JSON.stringify(spec));
+    assert.deepEqual(loadSiteSpec(yaml), loadSiteSpec(json));
+  });
+
+  it("reports syntax errors as spec errors", () => {
+    const file = path.join(dir, "broken.yml");
+    fs.writeFileSync(file, "sites:\n  - serverNames: [a.test\n");
+    assert.throws(
+      () => loadSiteSpec(file),
+      (error) =>
+        error.code === "ERR_SITE_SPEC" &&
+        /broken\.yml: line 3: Flow sequence .* end with a \]/.test(
+          error.message
+        )
+    );
+    assert.throws(
+      () => loadSiteSpec(path.join(dir, "missing.yaml")),
+      (error) => error.code === "ERR_FILE_NOT_FOUND"
+    );
+  });
+});
+
+describe("specSiteConfig", () => {
+  const [site, internal] = validateSiteSpec(spec).sites;
+
+  it("routes paths to ports and upstreams", () => {
+    const config = specSiteConfig(site);
+    assert.match(
+      config,
+      /upstream app \{\n {4}least_conn;\n {4}server 127\.0\.0\.1:3000;\n {4}server 127\.0\.0\.1:3001 backup;\n\}/
+    );
+    assert.match(config, /server_name example\.com www\.example\.com;/);
+    assert.match(
+      config,
+      /location \/api \{\n {8}proxy_pass http:\/\/127\.0\.0\.1:7000;/
+    );
+    assert.match(config, /proxy_set_header X-Api "1";/);
+    assert.match(config, /location \/ \{\n {8}proxy_pass http:\/\/app;/);
+    assert.match(config, /client_max_body_size 20m;/);
+    assert.match(config, /add_header X-Frame-Options "DENY" always;/);
+    assert.doesNotMatch(config, /443/);
+  });
+
+  it("only upgrades connections where websocket is set", () => {
+    const config = specSiteConfig(site);
+    assert.equal(config.match(/proxy_set_header Upgrade/g).length, 1);
+    assert.match(
+      config,
+      /proxy_http_version 1\.1;\n {8}proxy_set_header Upgrade \$http_upgrade;/
+    );
+    assert.doesNotMatch(specSiteConfig(internal), /Upgrade/);
+  });
+
+  it("serves HTTPS with a redirect once there is a certificate", () => {
+    const config = specSiteConfig(site, { https: true, profile: "modern" });
+    assert.match(config, /return 301 https:\/\/\$host\$request_uri;/);
+    assert.match(config, /listen 443 ssl http2;/);
+    assert.match(
+      config,
+      /ssl_certificate \/etc\/letsencrypt\/live\/example\.com\/fullchain\.pem;/
+    );
+    assert.match(config, /ssl_protocols TLSv1\.3;/);
+  });
+
+  it("renders the same spec the same way", () => {
+    assert.equal(
+      specSiteConfig(validateSiteSpec(spec).sites[0], { https: true }),
+      specSiteConfig(site, { https: true })
+    );
+  });
+});
+
+describe("applySiteSpec", () => {
+  let root;
+  let requested;
+
+  // Run the commands as the test user, as they would run through sudo
+  const run = (command, args, options) =>
+    runCommand(command, args, { ...options, sudo: false });
+
+  // certbot stand-in: a certificate for the site's names in its live directory
+  const requestCertificate = async ({ serverNames }) => {
+    requested.push(serverNames[0]);
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+    const live = path.join(root, "etc/letsencrypt/live", serverNames[0]);
+    fs.mkdirSync(live, { recursive: true });
+    fs.writeFileSync(
+      path.join(live, "cert.pem"),
+      signCertificate({
+        subject: `/CN=${serverNames[0]}`,
+        publicKey,
+        signingKey: privateKey,
+        serial: "01",
+        days: 90,
+        digest: null,
+        profile: {
+          ca: false,
+          keyUsage: ["digitalSignature"],
+          names: serverNames,
+        },
+      })
+    );
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-spec-"));
+    fs.mkdirSync(path.join(root, "etc/nginx/sites-available"), {
+      recursive: true,
+    });
+    fs.mkdirSync(path.join(root, "etc/nginx/sites-enabled"));
+    requested = [];
+  });
+
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it("plans nothing when an applied spec is applied again", async () => {
+    const sites = validateSiteSpec(spec);
+    const first = await applySiteSpec(sites, {
+      root,
+      run,
+      test() {},
+      requestCertificate,
+    });
+    assert.deepEqual(
+      first.map(({ domain, certificate, changed }) => [
+        domain,
+        certificate,
+        changed,
+      ]),
+      [
+        ["example.com", true, true],
+        ["internal.example.com", false, true],
+      ]
+    );
+    assert.match(
+      fs.readFileSync(
+        path.join(root, "etc/nginx/sites-enabled/example.com.conf"),
+        "utf8"
+      ),
+      /listen 443 ssl http2;/
+    );
+    assert.ok(fs.existsSync(path.join(root, "etc/nginx/dhparam.pem")));
+
+    const plan = createPlan();
+    const second = await applySiteSpec(sites, {
+      root,
+      plan,
+      requestCertificate,
+    });
+    assert.deepEqual(plan.steps, []);
+    assert.ok(
+      second.every(({ certificate, changed }) => !certificate && !changed)
+    );
+    assert.deepEqual(requested, ["example.com"]);
+  });
+
+  it("keeps serving HTTPS while a name is added to the certificate", async () => {
+    await applySiteSpec(validateSiteSpec(spec), {
+      root,
+      run,
+      test() {},
+      requestCertificate,
+    });
+    const [site] = spec.sites;
+    const file = path.join(root, "etc/nginx/sites-available/example.com.conf");
+    let issuing;
+    const [result] = await applySiteSpec(
+      validateSiteSpec({
+        sites: [
+          { ...site, serverNames: [...site.serverNames, "api.example.com"] },
+        ],
+      }),
+      {
+        root,
+        run,
+        test() {},
+        requestCertificate: async (expanded) => {
+          issuing = fs.readFileSync(file, "utf8");
+          await requestCertificate(expanded);
+        },
+      }
+    );
+    assert.equal(result.certificate, true);
+    assert.deepEqual(requested, ["example.com", "example.com"]);
+    assert.match(issuing, /upstream app \{/);
+    assert.match(
+      issuing,
+      /server_name example\.com www\.example\.com;\n\n {4}ssl_certificate /
+    );
+    assert.match(
+      issuing,
+      /listen 80;\n {4}listen \[::\]:80;\n {4}server_name example\.com www\.example\.com api\.example\.com;\n\n {4}return 301/
+    );
+    assert.equal(issuing.match(/listen 80;/g).length, 1);
+    assert.match(
+      fs.readFileSync(file, "utf8"),
+      /listen 443 ssl http2;[^}]*server_name example\.com www\.example\.com api\.example\.com;/
+    );
+  });
+});
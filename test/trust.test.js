@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { signCertificate } from "../lib/native.js";
+import { trustCA, untrustCA } from "../lib/trust.js";
+
+// Write a throwaway self-signed CA certificate and return its path
+const writeCA = (dir, commonName) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  const certPath = path.join(dir, `${commonName}.pem`);
+  fs.writeFileSync(
+    certPath,
+    signCertificate({
+      subject: `/CN=${commonName}`,
+      publicKey,
+      signingKey: privateKey,
+      serial: crypto.randomBytes(8).toString("hex").replace(/^./, "1"),
+      days: 1,
+      digest: null,
+      profile: { ca: true, keyUsage: ["keyCertSign", "cRLSign"] },
+    })
+  );
+  return certPath;
+};
+
+describe("trustCA and untrustCA under a fake root", () => {
+  let root;
+  let firstCA;
+  let secondCA;
+  const home = "/home/dev";
+  const configHome = process.env.XDG_CONFIG_HOME;
+  const anchors = () =>
+    fs.readdirSync(path.join(root, "usr/local/share/ca-certificates"));
+  const profile = () =>
+    fs.readFileSync(path.join(root, home, ".profile"), "utf8");
+  const bundle = path.join(home, ".config/ssl-cli/ca-certificates.pem");
+  const options = (certPath, nickname) => ({
+    certPath,
+    nickname,
+    stores: ["system", "node"],
+    root,
+    home,
+  });
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-trust-"));
+    fs.mkdirSync(path.join(root, "usr/local/share/ca-certificates"), {
+      recursive: true,
+    });
+    fs.mkdirSync(path.join(root, home), { recursive: true });
+    fs.writeFileSync(path.join(root, home, ".profile"), "umask 022\n");
+    process.env.XDG_CONFIG_HOME = path.join(home, ".config");
+    firstCA = writeCA(root, "First Test CA");
+    secondCA = writeCA(root, "Second Test CA");
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    if (configHome === undefined) {
+      delete process.env.XDG_CONFIG_HOME;
+    } else {
+      process.env.XDG_CONFIG_HOME = configHome;
+    }
+  });
+
+  it("installs the system anchor and the Node.js bundle", () => {
+    const results = trustCA(options(firstCA, "myCA"));
+    assert.deepEqual(
+      results.map(({ store, status }) => [store, status]),
+      [
+        ["system", "ok"],
+        ["node", "ok"],
+      ]
+    );
+    assert.deepEqual(anchors(), ["myCA.crt"]);
+    assert.match(profile(), /^umask 022\n/);
+    assert.ok(
+      profile().includes(`export NODE_EXTRA_CA_CERTS='${bundle}'`),
+      profile()
+    );
+  });
+
+  it("keeps one copy of each CA in the bundle", () => {
+    trustCA(options(firstCA, "myCA"));
+    trustCA(options(secondCA, "ssl-cli-qa"));
+    const pem = fs.readFileSync(path.join(root, bundle), "utf8");
+    assert.equal(pem.match(/BEGIN CERTIFICATE/g).length, 2);
+    assert.deepEqual(anchors().sort(), ["myCA.crt", "ssl-cli-qa.crt"]);
+  });
+
+  it("removes the export once the last CA is untrusted", () => {
+    untrustCA(options(firstCA, "myCA"));
+    assert.ok(profile().includes("NODE_EXTRA_CA_CERTS"));
+    assert.deepEqual(anchors(), ["ssl-cli-qa.crt"]);
+
+    untrustCA(options(secondCA, "ssl-cli-qa"));
+    assert.equal(profile(), "umask 022\n");
+    assert.deepEqual(anchors(), []);
+    assert.equal(fs.existsSync(path.join(root, bundle)), false);
+  });
+
+  it("leaves a profile whose block lost its end marker alone", () => {
+    const broken =
+      "# >>> ssl-cli: trust local CAs in Node.js >>>\nexport A=1\n";
+    fs.writeFileSync(path.join(root, home, ".profile"), broken);
+    const [node] = trustCA({ ...options(firstCA, "myCA"), stores: ["node"] });
+    assert.equal(node.status, "failed");
+    assert.match(node.detail, /without "# <<< ssl-cli <<<"/);
+    assert.equal(profile(), broken);
+    untrustCA({ ...options(firstCA, "myCA"), stores: ["node"] });
+    assert.equal(profile(), broken);
+    fs.writeFileSync(path.join(root, home, ".profile"), "umask 022\n");
+  });
+
+  it("skips stores that do not exist under the root", () => {
+    const [nss] = trustCA({ ...options(firstCA, "myCA"), stores: ["nss"] });
+    assert.equal(nss.status, "skipped");
+  });
+});
@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { commandExists, findCommand, runCommand } from "../utils.js";
+
+describe("runCommand", () => {
+  it("passes arguments to the program without a shell", () => {
+    const argument = "x; echo injected $(id) `id` && exit 3";
+    const output = runCommand(process.execPath, [
+      "-e",
+      "process.stdout.write(process.argv[1])",
+      argument,
+    ]);
+    assert.equal(output, argument);
+  });
+
+  it("writes input to standard input", () => {
+    const output = runCommand(
+      process.execPath,
+      ["-e", "process.stdin.pipe(process.stdout)"],
+      { input: "server { }" }
+    );
+    assert.equal(output, "server { }");
+  });
+
+  it("throws when the program exits with an error", () => {
+    assert.throws(() =>
+      runCommand(process.execPath, ["-e", "process.exit(3)"])
+    );
+  });
+
+  it("throws ENOENT for a program that does not exist", () => {
+    assert.throws(
+      () => runCommand("ssl-cli-no-such-program"),
+      (error) => error.code === "ENOENT"
+    );
+  });
+});
+
+describe("commandExists", () => {
+  it("finds programs in PATH", () => {
+    const original = process.env.PATH;
+    process.env.PATH = path.dirname(process.execPath);
+    try {
+      assert.equal(commandExists(path.basename(process.execPath)), true);
+      assert.equal(commandExists("ssl-cli-no-such-program"), false);
+    } finally {
+      process.env.PATH = original;
+    }
+  });
+});
+
+describe("findCommand", () => {
+  it("returns the full path of a program in PATH", () => {
+    const original = process.env.PATH;
+    process.env.PATH = [
+      "/ssl-cli-missing",
+      path.dirname(process.execPath),
+    ].join(path.delimiter);
+    try {
+      assert.equal(
+        findCommand(path.basename(process.execPath)),
+        process.execPath
+      );
+      assert.equal(findCommand("ssl-cli-no-such-program"), null);
+    } finally {
+      process.env.PATH = original;
+    }
+  });
+});
@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { validateEmail, validatePort } from "../lib/validate.js";
+
+describe("validatePort", () => {
+  for (const port of ["1", "80", "7000", " 8080 ", 65535]) {
+    it(`accepts ${JSON.stringify(port)}`, () => {
+      assert.equal(validatePort(port), null);
+    });
+  }
+
+  for (const port of [
+    "0",
+    "65536",
+    "-1",
+    "80.5",
+    "1e3",
+    "",
+    "80; reboot",
+    "0x50",
+  ]) {
+    it(`rejects ${JSON.stringify(port)}`, () => {
+      assert.match(validatePort(port), /between 1 and 65535/);
+    });
+  }
+});
+
+describe("validateEmail", () => {
+  for (const email of [
+    "admin@example.com",
+    "first.last+certs@sub.example.co.uk",
+    "ops@bücher.example",
+  ]) {
+    it(`accepts ${email}`, () => {
+      assert.equal(validateEmail(email), null);
+    });
+  }
+
+  for (const [email, reason] of [
+    ["", "an empty address"],
+    ["admin", "a missing @"],
+    ["@example.com", "an empty local part"],
+    ["a..b@example.com", "consecutive dots"],
+    ["a b@example.com", "spaces"],
+    ["x;rm -rf ~@example.com", "shell metacharacters"],
+    ["admin@localhost", "a domain without a dot"],
+    ["admin@exa_mple.com", "an invalid domain label"],
+    ["admin@*.example.com", "a wildcard domain"],
+    [`${"a".repeat(65)}@example.com`, "a local part over 64 characters"],
+  ]) {
+    it(`rejects ${reason}`, () => {
+      assert.notEqual(validateEmail(email), null);
+    });
+  }
+});
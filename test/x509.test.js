@@ -0,0 +1,193 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { checkOpenSSL } from "../utils.js";
+import {
+  formatHex,
+  oidName,
+  parseCertificate,
+  parseCertificationRequest,
+} from "../lib/x509.js";
+import { decodePem } from "../lib/pem.js";
+
+const skip = !checkOpenSSL() && "openssl is not installed";
+
+// Run openssl in a directory and return its standard output
+const openssl = (dir, args) =>
+  execFileSync("openssl", args, { cwd: dir, stdio: "pipe" }).toString();
+
+// The DER of the first PEM block in a file
+const derOf = (file) => decodePem(fs.readFileSync(file, "latin1"))[0].der;
+
+describe("parseCertificate on OpenSSL certificates", { skip }, () => {
+  let dir;
+  let extensions;
+  let parsed;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-x509-"));
+    openssl(dir, [
+      "req",
+      "-x509",
+      "-newkey",
+      "ec",
+      "-pkeyopt",
+      "ec_paramgen_curve:P-384",
+      "-nodes",
+      "-keyout",
+      "key.pem",
+      "-out",
+      "cert.pem",
+      "-days",
+      "1",
+      "-sha384",
+      "-subj",
+      "/C=DE/O=Acme/CN=app.test",
+      "-addext",
+      "subjectAltName=DNS:app.test,IP:127.0.0.1,IP:2001:db8::1,email:ops@example.com,URI:https://app.test/",
+      "-addext",
+      "basicConstraints=critical,CA:TRUE,pathlen:1",
+      "-addext",
+      "keyUsage=critical,digitalSignature,keyCertSign,cRLSign",
+      "-addext",
+      "extendedKeyUsage=serverAuth,clientAuth",
+      "-addext",
+      "crlDistributionPoints=URI:http://127.0.0.1:8888/crl/app.crl",
+      "-addext",
+      "authorityInfoAccess=OCSP;URI:http://127.0.0.1:8888/ocsp/app",
+    ]);
+    parsed = parseCertificate(derOf(path.join(dir, "cert.pem")));
+    extensions = Object.fromEntries(
+      parsed.extensions.map((ext) => [ext.name, ext])
+    );
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("reads the version and signature algorithm", () => {
+    assert.equal(parsed.version, 3);
+    assert.equal(parsed.signatureAlgorithm, "ecdsa-with-SHA384");
+  });
+
+  it("reads every subjectAltName type", () => {
+    assert.deepEqual(extensions.subjectAltName.value, [
+      { type: "DNS", value: "app.test" },
+      { type: "IP", value: "127.0.0.1" },
+      { type: "IP", value: "2001:db8::1" },
+      { type: "email", value: "ops@example.com" },
+      { type: "URI", value: "https://app.test/" },
+    ]);
+  });
+
+  it("reads the constraints and usages", () => {
+    assert.deepEqual(extensions.basicConstraints, {
+      oid: "2.5.29.19",
+      name: "basicConstraints",
+      critical: true,
+      value: { ca: true, pathLen: 1 },
+    });
+    assert.deepEqual(extensions.keyUsage.value, [
+      "digitalSignature",
+      "keyCertSign",
+      "cRLSign",
+    ]);
+    assert.equal(extensions.keyUsage.critical, true);
+    assert.deepEqual(extensions.extKeyUsage.value, [
+      "serverAuth",
+      "clientAuth",
+    ]);
+    assert.equal(extensions.extKeyUsage.critical, false);
+  });
+
+  it("reads the revocation URLs", () => {
+    assert.deepEqual(extensions.cRLDistributionPoints.value, [
+      "http://127.0.0.1:8888/crl/app.crl",
+    ]);
+    assert.deepEqual(extensions.authorityInfoAccess.value, [
+      { method: "OCSP", location: "http://127.0.0.1:8888/ocsp/app" },
+    ]);
+  });
+
+  it("reads the key identifiers as OpenSSL prints them", () => {
+    const text = openssl(dir, ["x509", "-in", "cert.pem", "-noout", "-text"]);
+    assert.ok(text.includes(extensions.subjectKeyIdentifier.value));
+    assert.equal(
+      extensions.authorityKeyIdentifier.value,
+      extensions.subjectKeyIdentifier.value
+    );
+  });
+});
+
+describe("parseCertificationRequest on OpenSSL requests", { skip }, () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ssl-cli-x509-"));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("reads the subject, key and requested names", () => {
+    openssl(dir, [
+      "req",
+      "-new",
+      "-newkey",
+      "ed25519",
+      "-nodes",
+      "-keyout",
+      "key.pem",
+      "-out",
+      "request.csr",
+      "-subj",
+      "/O=Acme/CN=app.test",
+      "-addext",
+      "subjectAltName=DNS:app.test,IP:10.0.0.1",
+    ]);
+    const csr = parseCertificationRequest(derOf(path.join(dir, "request.csr")));
+    assert.equal(csr.version, 1);
+    assert.equal(csr.subject, "O=Acme, CN=app.test");
+    assert.equal(csr.signatureAlgorithm, "Ed25519");
+    assert.equal(csr.signature.length, 64);
+    assert.deepEqual(csr.extensions[0].value, [
+      { type: "DNS", value: "app.test" },
+      { type: "IP", value: "10.0.0.1" },
+    ]);
+    const pubkey = openssl(dir, ["pkey", "-in", "key.pem", "-pubout"]);
+    assert.deepEqual(csr.spki, decodePem(pubkey)[0].der);
+  });
+
+  it("rejects a certificate", () => {
+    openssl(dir, [
+      "req",
+      "-x509",
+      "-newkey",
+      "ed25519",
+      "-nodes",
+      "-keyout",
+      "key.pem",
+      "-out",
+      "cert.pem",
+      "-subj",
+      "/CN=app.test",
+    ]);
+    assert.throws(
+      () => parseCertificationRequest(derOf(path.join(dir, "cert.pem"))),
+      /Not a certificate signing request/
+    );
+  });
+});
+
+describe("helpers", () => {
+  it("names known OIDs and passes unknown ones through", () => {
+    assert.equal(oidName("2.5.29.17"), "subjectAltName");
+    assert.equal(oidName("1.2.3.4"), "1.2.3.4");
+  });
+
+  it("formats bytes as colon separated hex", () => {
+    assert.equal(formatHex(Buffer.from([0xab, 0x01, 0xff])), "AB:01:FF");
+    assert.equal(formatHex(Buffer.alloc(0)), "");
+  });
+});
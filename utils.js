@@ -1,7 +1,58 @@
 import chalk from "chalk";
-import { execSync } from "child_process";
+import { execFileSync } from "child_process";
 import fs from "fs";
 import path from "path";
+import { expandPath, getConfig } from "./lib/config.js";
+import { OpenSSLError, OpenSSLNotFoundError } from "./lib/errors.js";
+
+/**
+ * Run an external command with an argument array (no shell involved)
+ * @param {string} command - Program to run, e.g. "nginx"
+ * @param {string[]} [args] - Arguments, passed to the program as-is
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.sudo=false] - Run the program through sudo
+ * @param {string} [options.input] - Text written to the program's standard input
+ * @param {string} [options.stdio="pipe"] - "pipe" to capture the output, "inherit" to show it on the terminal
+ * @returns {string} Standard output of the command (empty when inherited)
+ * @throws {Error} If the program cannot be started or exits with an error
+ */
+export const runCommand = (
+  command,
+  args = [],
+  { sudo = false, input, stdio = "pipe" } = {}
+) => {
+  const output = execFileSync(
+    sudo ? "sudo" : command,
+    sudo ? [command, ...args] : args,
+    { input, stdio }
+  );
+  return output ? output.toString() : "";
+};
+
+/**
+ * Find a program in PATH
+ * @param {string} command - Program name, e.g. "certbot"
+ * @returns {string|null} Full path of the first executable with that name, or null
+ */
+export const findCommand = (command) =>
+  (process.env.PATH || "")
+    .split(path.delimiter)
+    .map((dir) => path.join(dir, command))
+    .find((file) => {
+      try {
+        fs.accessSync(file, fs.constants.X_OK);
+        return true;
+      } catch {
+        return false;
+      }
+    }) || null;
+
+/**
+ * Check whether a program can be found in PATH
+ * @param {string} command - Program name, e.g. "apt-get"
+ * @returns {boolean} True if an executable with that name is in PATH
+ */
+export const commandExists = (command) => findCommand(command) !== null;
 
 /**
  * Check if OpenSSL is installed
@@ -9,13 +60,54 @@ import path from "path";
  */
 export const checkOpenSSL = () => {
   try {
-    execSync("openssl version", { stdio: "ignore" });
+    runCommand("openssl", ["version"]);
     return true;
   } catch (error) {
     return false;
   }
 };
 
+/**
+ * Run OpenSSL with an argument array (no shell involved)
+ * @param {string[]} args - Arguments passed to the openssl binary
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.interactive=false] - Attach OpenSSL to the terminal so it can prompt
+ * @param {Object} [options.env] - Extra environment variables, e.g. for -passout env:NAME
+ * @returns {Buffer} Standard output of the command (empty when interactive)
+ * @throws {OpenSSLNotFoundError} If the openssl binary cannot be found
+ * @throws {OpenSSLError} If OpenSSL exits with an error
+ */
+export const runOpenSSL = (args, { interactive = false, env } = {}) => {
+  try {
+    return execFileSync("openssl", args, {
+      stdio: interactive ? "inherit" : "pipe",
+      env: env ? { ...process.env, ...env } : process.env,
+    });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new OpenSSLNotFoundError();
+    }
+    // Interactive runs print their errors straight to the terminal
+    throw new OpenSSLError(
+      args[0],
+      error.stderr ? error.stderr.toString() : ""
+    );
+  }
+};
+
+/**
+ * Check whether a PEM private key is protected by a passphrase
+ * @param {string} keyPath - Path to the PEM key file
+ * @returns {boolean} True if the key is encrypted
+ */
+export const isEncryptedKey = (keyPath) => {
+  const pem = fs.readFileSync(keyPath, "utf8");
+  return (
+    pem.includes("BEGIN ENCRYPTED PRIVATE KEY") ||
+    pem.includes("Proc-Type: 4,ENCRYPTED")
+  );
+};
+
 /**
  * Check if a file exists
  * @param {string} filePath - Path to the file
@@ -27,30 +119,39 @@ export const fileExists = (filePath) => {
 
 /**
  * Get the certificates directory path
- * @returns {string} Path to the certificates directory
+ * @returns {string} Path to the certificates directory (the store setting, ~/certs by default)
  */
 export const getCertsDir = () => {
-  return path.join(process.env.HOME || process.env.USERPROFILE, "certs");
+  return expandPath(getConfig("store"));
 };
 
 /**
  * Create certificates directory if it doesn't exist
+ * @param {string} [certsDir] - Directory to create; defaults to the certificates directory
  * @returns {boolean} True if directory exists or was created successfully
  */
-export const ensureCertsDir = () => {
-  const certsDir = getCertsDir();
-  if (!fileExists(certsDir)) {
-    try {
-      fs.mkdirSync(certsDir);
-      console.log(chalk.green(`Created certs directory at ${certsDir}`));
-    } catch (error) {
-      console.error(
-        chalk.red(`Error creating certs directory: ${error.message}`)
-      );
-      return false;
-    }
+export const ensureCertsDir = (certsDir = getCertsDir()) => {
+  try {
+    fs.mkdirSync(certsDir, { recursive: true });
+    return true;
+  } catch (error) {
+    return false;
   }
-  return true;
+};
+
+/**
+ * Parse a duration such as "30d", "2w" or "12h" into days
+ * @param {string} value - Duration; a bare number is taken as days
+ * @returns {number|null} Number of days, or null if the value is not a duration
+ */
+export const parseDuration = (value) => {
+  const match = /^(\d+)\s*([hdw]?)$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const amount = Number(match[1]);
+  const unitDays = { h: 1 / 24, d: 1, w: 7, "": 1 };
+  return amount * unitDays[match[2].toLowerCase()];
 };
 
 /**
@@ -81,12 +182,15 @@ export const log = (message, status = "info") => {
 
 /**
  * Get instructions for installing CA certificate based on platform
+ * @param {string} [caCertPath] - CA certificate; defaults to the default CA's
+ * @param {string} [trustedName="myCA"] - File name to give it in the system trust store
  * @returns {string} Instructions for the current platform
  */
-export const getCAInstallInstructions = () => {
+export const getCAInstallInstructions = (
+  caCertPath = path.join(getCertsDir(), "myCA.pem"),
+  trustedName = "myCA"
+) => {
   const platform = process.platform;
-  const certsDir = getCertsDir();
-  const caCertPath = path.join(certsDir, "myCA.pem");
 
   let instructions = "";
 
@@ -117,11 +221,11 @@ export const getCAInstallInstructions = () => {
 The process varies by distribution:
 
 For Ubuntu/Debian:
-1. sudo cp ${caCertPath} /usr/local/share/ca-certificates/myCA.crt
+1. sudo cp ${caCertPath} /usr/local/share/ca-certificates/${trustedName}.crt
 2. sudo update-ca-certificates
 
 For Fedora/CentOS:
-1. sudo cp ${caCertPath} /etc/pki/ca-trust/source/anchors/myCA.crt
+1. sudo cp ${caCertPath} /etc/pki/ca-trust/source/anchors/${trustedName}.crt
 2. sudo update-ca-trust
 `;
       break;
@@ -133,27 +237,3 @@ Please install the certificate (${caCertPath}) as a trusted root CA according to
 
   return instructions;
 };
-
-/**
- * Clean up temporary files
- * @param {string} domain - Domain name
- */
-export const cleanupTempFiles = (domain) => {
-  const certsDir = getCertsDir();
-  const csrPath = path.join(certsDir, `${domain}.csr`);
-  const extPath = path.join(certsDir, `${domain}.ext`);
-
-  try {
-    if (fileExists(csrPath)) {
-      fs.unlinkSync(csrPath);
-    }
-
-    if (fileExists(extPath)) {
-      fs.unlinkSync(extPath);
-    }
-
-    log(`Temporary files for ${domain} cleaned up`, "success");
-  } catch (error) {
-    log(`Failed to clean up temporary files: ${error.message}`, "warning");
-  }
-};